@@ -0,0 +1,90 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+// Instance paths of archive members are `<archive uri>#<member path>`. dcm2bq writes the
+// member's relative path inside the archive with URL-encoded segments
+// (cd.zip#DICOM/S0001/IM000001); older rows carry just the member's file name
+// (cd.zip#IM000001). Both resolve to the archive object and a member path. Members of
+// archives nested in archives chain their paths (study.zip#S1.zip#IM000001).
+
+// Archive suffixes dcm2bq extracts; the stored object is the first archive in the chain
+const ARCHIVE_SUFFIX = /\.(zip|tar|tar\.gz|tgz|tar\.bz2|tbz2?|tar\.xz|txz|dcm\.gz|dicom\.gz)$/i;
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    // Older basename fragments were not encoded and may contain a stray "%"
+    return segment;
+  }
+}
+
+// Where the stored object ends: the first "#" after an archive name. Object names may
+// contain "#" themselves; member segments are encoded, so fall back to the last one.
+function findObjectEnd(value) {
+  for (let index = value.indexOf("#"); index >= 0; index = value.indexOf("#", index + 1)) {
+    if (ARCHIVE_SUFFIX.test(value.slice(0, index))) {
+      return index;
+    }
+  }
+  return value.lastIndexOf("#");
+}
+
+/**
+ * Split an instance path into the stored object and, for archive members, the member's
+ * decoded path inside the archive (for nested archives, the chain of member paths joined
+ * by "#").
+ * @param {string} instancePath The row's path
+ * @returns {{basePath: string, memberPath: string|null}}
+ */
+function splitInstancePath(instancePath) {
+  const value = String(instancePath || "").trim();
+  const hashIndex = findObjectEnd(value);
+  if (hashIndex < 0) {
+    return { basePath: value, memberPath: null };
+  }
+  const chain = value
+    .slice(hashIndex + 1)
+    .split("#")
+    .map((fragment) => fragment.split("/").map(decodeSegment).join("/"));
+  return {
+    basePath: value.slice(0, hashIndex),
+    memberPath: chain.join("#") || null,
+  };
+}
+
+/**
+ * Group instance paths by the object that holds them: whole files map to no members,
+ * archives to the sorted member paths of the given rows.
+ * @param {string[]} instancePaths The rows' paths
+ * @returns {Map<string, string[]>} Object path to member paths
+ */
+function groupByObject(instancePaths) {
+  const groups = new Map();
+  for (const instancePath of instancePaths) {
+    const { basePath, memberPath } = splitInstancePath(instancePath);
+    if (!basePath) continue;
+    if (!groups.has(basePath)) {
+      groups.set(basePath, new Set());
+    }
+    if (memberPath) {
+      groups.get(basePath).add(memberPath);
+    }
+  }
+  return new Map(Array.from(groups, ([basePath, members]) => [basePath, Array.from(members).sort()]));
+}
+
+module.exports = { splitInstancePath, groupByObject };
@@ -36,6 +36,9 @@ module.exports = {
     // BigQuery dead letter table ID
     deadLetterTableId: process.env.BQ_DEAD_LETTER_TABLE_ID || "dead_letter",
 
+    // BigQuery failures table ID (events dcm2bq acknowledged without retry)
+    failuresTableId: process.env.BQ_FAILURES_TABLE_ID || "failures",
+
     // BigQuery embeddings table ID (per-frame embeddings, writable)
     embeddingsTableId: process.env.BQ_EMBEDDINGS_TABLE_ID || "embeddings",
 
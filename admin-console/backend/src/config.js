@@ -20,9 +20,9 @@ const path = require("path");
 /**
  * Configuration management for admin-console backend
  * 
- * Only manages BigQuery table references (instances view, writable instances table, and dead letter table).
+ * Only manages BigQuery table references (instances view, writable instances table, dead letter table and failures table).
  * Configuration precedence:
- * 1. Environment variables (BQ_INSTANCES_VIEW_ID, BQ_INSTANCES_TABLE_ID, BQ_DEAD_LETTER_TABLE_ID) - highest priority
+ * 1. Environment variables (BQ_INSTANCES_VIEW_ID, BQ_INSTANCES_TABLE_ID, BQ_DEAD_LETTER_TABLE_ID, BQ_FAILURES_TABLE_ID) - highest priority
  * 2. Test config (if NODE_ENV=test) from ../../../test/testconfig.json
  * 3. Default configuration from ./config.defaults.js
  */
@@ -53,7 +53,7 @@ function tryReadTestConfig() {
 /**
  * Extracts BigQuery configuration from config object
  * Handles both nested (gcpConfig.bigQuery) and flat (datasetId/instancesViewId) formats
- * Returns components separately: projectId, datasetId, instancesViewId, instancesTableId, deadLetterTableId
+ * Returns components separately: projectId, datasetId, instancesViewId, instancesTableId, deadLetterTableId, failuresTableId
  * @param {Object} config Configuration object
  * @returns {Object} Object with BigQuery components
  */
@@ -67,6 +67,7 @@ function extractBigQueryConfig(config) {
       instancesViewId,
       instancesTableId,
       deadLetterTableId: config.admin.deadLetterTableId || "dead_letter",
+      failuresTableId: config.admin.failuresTableId || "failures",
       embeddingsTableId: config.admin.embeddingsTableId || "embeddings",
       embeddingsViewId: config.admin.embeddingsViewId || "embeddingsView",
       bqLocation: config.admin.bqLocation || "US",
@@ -97,6 +98,7 @@ function extractBigQueryConfig(config) {
       instancesViewId,
       instancesTableId,
       deadLetterTableId: deadLetterTableId || "dead_letter",
+      failuresTableId: config.gcpConfig.bigQuery.failuresTableId || "failures",
       embeddingsTableId: config.gcpConfig.bigQuery.embeddingsTableId || "embeddings",
       embeddingsViewId: config.gcpConfig.bigQuery.embeddingsViewId || "embeddingsView",
       bqLocation: config.bqLocation || config.gcpConfig?.bigQuery?.location || "US",
@@ -122,6 +124,7 @@ function extractBigQueryConfig(config) {
       instancesViewId,
       instancesTableId,
       deadLetterTableId: deadLetterTableId || "dead_letter",
+      failuresTableId: config.failuresTableId || "failures",
       embeddingsTableId: config.embeddingsTableId || "embeddings",
       embeddingsViewId: config.embeddingsViewId || "embeddingsView",
       bqLocation: config.bqLocation || config.admin?.bqLocation || "US",
@@ -136,7 +139,7 @@ function extractBigQueryConfig(config) {
 /**
  * Gets the admin console BigQuery configuration
  * 
- * Returns BigQuery components (projectId, datasetId, instancesViewId, instancesTableId, deadLetterTableId)
+ * Returns BigQuery components (projectId, datasetId, instancesViewId, instancesTableId, deadLetterTableId, failuresTableId)
  * 
  * @param {Object} options Configuration options
  * @param {boolean} options.ignoreCache If true, reload config from source
@@ -202,6 +205,20 @@ function getConfig(options = {}) {
       }
     }
     
+    if (process.env.BQ_FAILURES_TABLE_ID) {
+      const parts = process.env.BQ_FAILURES_TABLE_ID.split(".");
+      if (parts.length === 3) {
+        adminCfg.projectId = parts[0];
+        adminCfg.datasetId = parts[1];
+        adminCfg.failuresTableId = parts[2];
+      } else if (parts.length === 2) {
+        adminCfg.datasetId = parts[0];
+        adminCfg.failuresTableId = parts[1];
+      } else {
+        adminCfg.failuresTableId = process.env.BQ_FAILURES_TABLE_ID;
+      }
+    }
+
     if (process.env.BQ_EMBEDDINGS_TABLE_ID) {
       const parts = process.env.BQ_EMBEDDINGS_TABLE_ID.split(".");
       if (parts.length === 3) {
@@ -39,6 +39,8 @@ const { extractDlqFileInfo } = require("./dlq-utils");
 const { requeueDlqMessages, requeueAllDlqMessages } = require("./dlq-requeue");
 const { parseQueuePathsText, queuePathsForProcessing } = require("./queue-paths");
 const { buildReprocessGeneration } = require("./reprocess-generation");
+const { restoreOffloadedMetadata } = require("./offloaded-metadata");
+const { splitInstancePath, groupByObject } = require("./archive-paths");
 const { isFileUri, readLocalAsset, deleteLocalAsset, postLocalReprocess } = require("./local-files");
 const config = require("./config");
 
@@ -242,6 +244,7 @@ app.get("/healthz", (_, res) => {
       instancesTableId: CONFIG.instancesTableId,
       embeddingsViewId: CONFIG.embeddingsViewId,
       deadLetterTableId: CONFIG.deadLetterTableId,
+      failuresTableId: CONFIG.failuresTableId,
       bqLocation: BQ_LOCATION,
       uploadBucketName,
     },
@@ -459,9 +462,9 @@ app.get("/studies/:studyId/metadata", async (req, res) => {
     const viewTable = `\`${CONFIG.projectId}.${CONFIG.datasetId}.${CONFIG.instancesViewId}\``;
     const query = `
       SELECT
-        id, path, version, timestamp, metadata
+        id, path, version, timestamp, metadata, info
       FROM ${viewTable}
-      WHERE JSON_VALUE(metadata, '$.StudyInstanceUID') = @studyId
+      WHERE COALESCE(JSON_VALUE(metadata, '$.StudyInstanceUID'), JSON_VALUE(metadata, '$."0020000D".Value[0]')) = @studyId
       LIMIT 20000
     `;
 
@@ -471,8 +474,17 @@ app.get("/studies/:studyId/metadata", async (req, res) => {
       params: { studyId },
     });
 
-    const normalized = buildNormalizedStudyMetadata(rows, studyId);
-    return res.json(normalized);
+    const warnings = [];
+    const restoredRows = await Promise.all(rows.map(async (row) => {
+      const restored = await restoreOffloadedMetadata(parseJsonValue(row.metadata), parseJsonValue(row.info), fetchAssetBuffer);
+      if (restored.warning) {
+        warnings.push(restored.warning);
+      }
+      return { ...row, metadata: restored.metadata };
+    }));
+
+    const normalized = buildNormalizedStudyMetadata(restoredRows, studyId);
+    return res.json(warnings.length > 0 ? { ...normalized, warnings } : normalized);
   } catch (error) {
     console.error("Get metadata error:", error);
     return res.status(500).json({ error: error?.message || "Internal error" });
@@ -543,8 +555,8 @@ app.get("/api/instances/:id", async (req, res) => {
     }
 
     const row = rows[0];
-    const metadata = parseJsonValue(row.metadata);
     const info = parseJsonValue(row.info);
+    const { metadata, warning } = await restoreOffloadedMetadata(parseJsonValue(row.metadata), info, fetchAssetBuffer);
     const embeddingCount = Number(row.embedding_count || 0);
 
     return res.json({
@@ -559,6 +571,7 @@ app.get("/api/instances/:id", async (req, res) => {
       embeddingCount,
       embeddingModel: row.embedding_model || null,
       embeddingInput: parseJsonValue(row.embedding_input),
+      ...(warning ? { warning } : {}),
     });
   } catch (error) {
     console.error("Get instance error:", error);
@@ -587,7 +600,7 @@ app.post("/api/instances/poll", async (req, res) => {
     
     if (isArchivePattern) {
       // Search for all files extracted from this archive
-      const archivePath = gcsPath.split('#')[0];
+      const archivePath = splitInstancePath(gcsPath).basePath;
       query = `
         SELECT COUNT(*) as count,
                COUNT(DISTINCT JSON_VALUE(metadata, '$.StudyInstanceUID')) as studyCount
@@ -912,6 +925,73 @@ app.get("/api/dlq/summary", async (req, res) => {
   }
 });
 
+// Processing failures endpoint (non-retryable failures recorded by dcm2bq)
+app.get("/api/failures/items", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || 100, 10), 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset || 0, 10), 0);
+
+    const failuresTable = `\`${CONFIG.projectId}.${CONFIG.datasetId}.${CONFIG.failuresTableId}\``;
+    const query = `
+      SELECT
+        timestamp,
+        path,
+        version,
+        event,
+        messageId,
+        stage,
+        errorClass,
+        message,
+        dcm2bqVersion
+      FROM ${failuresTable}
+      ORDER BY timestamp DESC
+      LIMIT @limit OFFSET @offset
+    `;
+
+    const [rows] = await bigquery.query({
+      query,
+      location: BQ_LOCATION,
+      params: { limit, offset },
+    });
+
+    const items = (rows || []).map((row) => ({
+      timestamp: row?.timestamp || null,
+      path: row?.path || null,
+      version: row?.version || null,
+      event: row?.event || null,
+      messageId: row?.messageId || null,
+      stage: row?.stage || null,
+      errorClass: row?.errorClass || null,
+      message: row?.message || null,
+      dcm2bqVersion: row?.dcm2bqVersion || null,
+    }));
+
+    return res.json({ items });
+  } catch (error) {
+    console.error("Failures items error:", error);
+    return res.status(500).json({ error: error?.message || "Internal error" });
+  }
+});
+
+// Processing failures summary endpoint
+app.get("/api/failures/summary", async (req, res) => {
+  try {
+    const failuresTable = `\`${CONFIG.projectId}.${CONFIG.datasetId}.${CONFIG.failuresTableId}\``;
+    const query = `SELECT COUNT(*) as totalCount FROM ${failuresTable}`;
+
+    const [result] = await bigquery.query({
+      query,
+      location: BQ_LOCATION,
+    });
+    const totalCount = result?.[0]?.totalCount || 0;
+
+    return res.json({ totalCount: Number(totalCount) });
+  } catch (error) {
+    console.error("Failures summary error:", error);
+    return res.status(500).json({ error: error?.message || "Internal error" });
+  }
+});
+
 // Studies delete endpoint
 app.post("/api/studies/delete", async (req, res) => {
   try {
@@ -1018,7 +1098,7 @@ app.post("/api/studies/reprocess", async (req, res) => {
         if (!fullPath) return null;
         return {
           path: fullPath,
-          basePath: fullPath.includes("#") ? fullPath.split("#")[0] : fullPath,
+          basePath: splitInstancePath(fullPath).basePath,
           generation: row?.version != null ? String(row.version) : null,
         };
       })
@@ -1321,18 +1401,20 @@ app.get("/api/studies/:studyId/download", async (req, res) => {
     }
 
     const rawPaths = rows.map((row) => row.path).filter(Boolean);
+    // Object path -> member paths inside it (empty for whole files)
+    const objectGroups = groupByObject(rawPaths);
     const archiveBases = new Set(
-      rawPaths
-        .filter((path) => path.includes("#"))
-        .map((path) => path.split("#")[0])
+      Array.from(objectGroups).filter(([, members]) => members.length > 0).map(([basePath]) => basePath)
     );
     const hasArchiveRefs = archiveBases.size > 0;
-    const allArchiveRefs = rawPaths.length > 0 && rawPaths.every((path) => path.includes("#"));
+    const allArchiveRefs = rawPaths.length > 0 && archiveBases.size === objectGroups.size;
 
     const getArchiveContentType = (objectName) => {
       const lower = String(objectName || "").toLowerCase();
       if (lower.endsWith(".zip")) return "application/zip";
-      if (lower.endsWith(".tar.gz") || lower.endsWith(".tgz")) return "application/gzip";
+      if (lower.endsWith(".gz") || lower.endsWith(".tgz")) return "application/gzip";
+      if (lower.endsWith(".bz2") || lower.endsWith(".tbz2") || lower.endsWith(".tbz")) return "application/x-bzip2";
+      if (lower.endsWith(".xz") || lower.endsWith(".txz")) return "application/x-xz";
       if (lower.endsWith(".tar")) return "application/x-tar";
       return "application/octet-stream";
     };
@@ -1380,12 +1462,10 @@ app.get("/api/studies/:studyId/download", async (req, res) => {
       
       archive.pipe(res);
 
-      // Add each file to the archive
-      const uniquePaths = Array.from(
-        new Set(
-          rawPaths.map((path) => (path.includes("#") ? path.split("#")[0] : path))
-        )
-      );
+      // Add each file to the archive; source archives are added whole, once each
+      const uniquePaths = Array.from(objectGroups.keys());
+      const entryNames = new Set();
+      const manifestArchives = [];
 
       for (let i = 0; i < uniquePaths.length; i += 1) {
         const filePath = uniquePaths[i];
@@ -1400,15 +1480,28 @@ app.get("/api/studies/:studyId/download", async (req, res) => {
 
         try {
           const [buffer] = await storage.bucket(bucket).file(object).download();
-          // Use filename from object path or generate one
-          const fileName = object.split('/').pop() || `file_${i + 1}`;
+          // Use filename from object path or generate one; the full object path if taken
+          let fileName = object.split('/').pop() || `file_${i + 1}`;
+          if (entryNames.has(fileName)) {
+            fileName = object;
+          }
+          entryNames.add(fileName);
           archive.append(buffer, { name: fileName });
+          const members = objectGroups.get(filePath);
+          if (members.length > 0) {
+            manifestArchives.push({ entry: fileName, source: filePath, members });
+          }
         } catch (error) {
           console.error(`Failed to download file from ${filePath}:`, error?.message);
           // Continue with other files on error
         }
       }
 
+      // Name the study's members inside each source archive, with their folders
+      if (manifestArchives.length > 0) {
+        archive.append(JSON.stringify({ studyId, archives: manifestArchives }, null, 2), { name: "manifest.json" });
+      }
+
       // Finalize the archive
       archive.finalize();
       
@@ -2113,6 +2206,11 @@ wss.on("connection", (socket, request) => {
         "dlq.requeueAll": { method: "POST", path: "/api/dlq/requeue-all" },
         "dlq.delete": { method: "POST", path: "/api/dlq/delete" },
         "dlq.queuePaths": { method: "POST", path: "/api/dlq/queue-paths" },
+        "failures.items": {
+          method: "GET",
+          path: `/api/failures/items?limit=${encodeURIComponent(String(payload?.limit || "100"))}&offset=${encodeURIComponent(String(payload?.offset || "0"))}`,
+        },
+        "failures.summary": { method: "GET", path: "/api/failures/summary" },
         "process.run": { method: "POST", path: "/api/process/run" },
       };
 
@@ -2178,6 +2276,7 @@ server.listen(PORT, () => {
       instancesTableId: CONFIG.instancesTableId,
       embeddingsViewId: CONFIG.embeddingsViewId,
       deadLetterTableId: CONFIG.deadLetterTableId,
+      failuresTableId: CONFIG.failuresTableId,
       uploadBucketName,
     },
   }));
@@ -0,0 +1,33 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+// Rows whose metadata was too large for BigQuery keep their largest sequences in a
+// sidecar JSON object (info.offloadedMetadata); merge them back for display. A sidecar
+// that can't be read leaves the stub in place with a warning rather than failing the request.
+async function restoreOffloadedMetadata(metadata, info, fetchAsset) {
+  const offloadPath = info?.offloadedMetadata?.path;
+  if (!offloadPath || !metadata || typeof metadata !== "object") {
+    return { metadata, warning: null };
+  }
+  try {
+    const offloaded = JSON.parse((await fetchAsset(offloadPath)).toString("utf8"));
+    return { metadata: { ...metadata, ...offloaded }, warning: null };
+  } catch (error) {
+    return { metadata, warning: `Offloaded metadata ${offloadPath} could not be read: ${error?.message || error}` };
+  }
+}
+
+module.exports = { restoreOffloadedMetadata };
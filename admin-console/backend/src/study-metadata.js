@@ -25,6 +25,17 @@ function parseJsonValue(value) {
   }
 }
 
+/**
+ * Read the first value of an element from flat (keyword-keyed) or DICOMweb
+ * (tag-keyed, `jsonOutput.format: "dicomweb"`) metadata.
+ */
+function getElementValue(metadata, keyword, tag) {
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) return undefined;
+  if (keyword in metadata) return metadata[keyword];
+  const element = metadata[tag];
+  return Array.isArray(element?.Value) ? element.Value[0] : undefined;
+}
+
 function stableStringify(value) {
   if (value === null || typeof value !== "object") {
     return JSON.stringify(value);
@@ -130,7 +141,7 @@ function buildNormalizedStudyMetadata(rows, studyId) {
   const seriesBuckets = new Map();
   for (const row of normalizedRows) {
     const metadataWithoutStudy = omitKeys(row.metadata, studyKeys);
-    const seriesId = String(row.metadata.SeriesInstanceUID || "UNKNOWN_SERIES");
+    const seriesId = String(getElementValue(row.metadata, "SeriesInstanceUID", "0020000E") || "UNKNOWN_SERIES");
     if (!seriesBuckets.has(seriesId)) {
       seriesBuckets.set(seriesId, []);
     }
@@ -25,6 +25,7 @@
       openStudyIds: new Set(),
       studyLoadState: new Map(),
       dlq: [],
+      failures: [],
       dlpPaging: { limit: 50, offset: 0, total: 0 },
       lastSearchParams: {
         key: '',
@@ -1202,6 +1203,39 @@
       `).join('');
     }
 
+    function renderFailures(totalCount = 0) {
+      const tbody = document.getElementById('failures-body');
+      tbody.innerHTML = state.failures.map((item) => `
+        <tr>
+          <td>${escapeHtml(item.timestamp?.value || item.timestamp || '')}</td>
+          <td><span class="truncate" title="${escapeHtml(item.path || '')}">${escapeHtml(item.path || '')}</span></td>
+          <td>${escapeHtml(item.stage || '')}</td>
+          <td><span class="truncate" title="${escapeHtml(item.message || '')}">${escapeHtml(item.errorClass || 'Error')}: ${escapeHtml(item.message || '')}</span></td>
+          <td>${escapeHtml(item.dcm2bqVersion || '')}</td>
+        </tr>
+      `).join('');
+      const summaryNode = document.getElementById('failures-summary');
+      if (summaryNode) {
+        summaryNode.textContent = totalCount > state.failures.length
+          ? `latest ${state.failures.length} of ${totalCount} recorded`
+          : `${totalCount} recorded`;
+      }
+    }
+
+    async function refreshFailures() {
+      try {
+        const [summary, list] = await Promise.all([
+          wsCall('failures.summary', {}),
+          wsCall('failures.items', { limit: 50, offset: 0 }),
+        ]);
+        state.failures = list.items || [];
+        renderFailures(Number(summary.totalCount || 0));
+      } catch (error) {
+        // The failures table is optional; the dead letter queue still renders without it
+        console.error('Error refreshing processing failures:', error);
+      }
+    }
+
     function setDlqCopyButtonState(button, stateName = 'default') {
       const icon = button?.querySelector('i');
       if (!button || !icon) return;
@@ -1261,10 +1295,12 @@
       if (nextBtn) nextBtn.disabled = true;
 
       try {
+        const failuresRefresh = refreshFailures();
         const [summary, list] = await Promise.all([
           wsCall('dlq.summary', { limit: 500 }),
           wsCall('dlq.items', { limit, offset }),
         ]);
+        await failuresRefresh;
 
         const total = Number(summary.totalCount || 0);
         const normalizedOffset = Math.max(offset, 0);
@@ -1739,7 +1775,8 @@
 
     function isArchiveFile(fileName) {
       const lower = String(fileName || '').toLowerCase();
-      return lower.endsWith('.zip') || lower.endsWith('.tgz') || lower.endsWith('.tar.gz');
+      return ['.zip', '.tar', '.tgz', '.tar.gz', '.tbz', '.tbz2', '.tar.bz2', '.txz', '.tar.xz', '.dcm.gz', '.dicom.gz']
+        .some((ext) => lower.endsWith(ext));
     }
 
     function isSupportedFileType(fileName) {
@@ -1849,7 +1886,7 @@
         return;
       }
       if (!isSupportedFileType(file.name)) {
-        alert('Unsupported file type. Please upload a DICOM file (.dcm) or archive (.zip, .tgz, .tar.gz).');
+        alert('Unsupported file type. Please upload a DICOM file (.dcm) or archive (.zip, .tar, .tgz, .tar.gz, .tar.bz2, .tar.xz, .dcm.gz).');
         return;
       }
       const output = document.getElementById('upload-output');
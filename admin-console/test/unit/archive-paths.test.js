@@ -0,0 +1,62 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require('assert');
+
+const { splitInstancePath, groupByObject } = require('../../backend/src/archive-paths');
+
+describe('archive instance paths', () => {
+  it('leaves whole-file paths alone', () => {
+    assert.deepEqual(splitInstancePath('gs://bucket/a/ct.dcm'), { basePath: 'gs://bucket/a/ct.dcm', memberPath: null });
+  });
+
+  it('decodes nested member paths', () => {
+    assert.deepEqual(splitInstancePath('gs://bucket/cd.zip#DICOM/Series%20%231/IM%201'), {
+      basePath: 'gs://bucket/cd.zip',
+      memberPath: 'DICOM/Series #1/IM 1',
+    });
+    assert.deepEqual(splitInstancePath('file:///data/cd.tgz#A/IM1.dcm'), { basePath: 'file:///data/cd.tgz', memberPath: 'A/IM1.dcm' });
+  });
+
+  it('resolves older basename fragments', () => {
+    assert.deepEqual(splitInstancePath('gs://bucket/study.zip#IM1.dcm'), { basePath: 'gs://bucket/study.zip', memberPath: 'IM1.dcm' });
+    assert.deepEqual(splitInstancePath('gs://bucket/study.zip#100%.dcm'), { basePath: 'gs://bucket/study.zip', memberPath: '100%.dcm' });
+  });
+
+  it('resolves members of nested archives to the stored archive', () => {
+    assert.deepEqual(splitInstancePath('gs://bucket/study.zip#S1/series%201.zip#IM1'), {
+      basePath: 'gs://bucket/study.zip',
+      memberPath: 'S1/series 1.zip#IM1',
+    });
+    assert.deepEqual(splitInstancePath('gs://bucket/a#b.tar.xz#IM1.dcm.gz#IM1.dcm'), {
+      basePath: 'gs://bucket/a#b.tar.xz',
+      memberPath: 'IM1.dcm.gz#IM1.dcm',
+    });
+  });
+
+  it('groups members by the object that holds them', () => {
+    const groups = groupByObject([
+      'gs://bucket/cd.zip#B/IM1',
+      'gs://bucket/cd.zip#A/IM1',
+      'gs://bucket/cd.zip#A/IM1',
+      'gs://bucket/ct.dcm',
+    ]);
+    assert.deepEqual(Array.from(groups), [
+      ['gs://bucket/cd.zip', ['A/IM1', 'B/IM1']],
+      ['gs://bucket/ct.dcm', []],
+    ]);
+  });
+});
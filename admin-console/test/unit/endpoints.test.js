@@ -289,6 +289,38 @@ describe('HTTP Endpoints Specification', () => {
       });
     });
 
+    describe('GET /api/failures/items', () => {
+      it('should return failure records with stage and error fields', () => {
+        const response = {
+          items: [{
+            timestamp: '2025-01-01T00:00:00.000Z',
+            path: 'gs://bucket/study/IM000001.dcm',
+            version: '1700000000000000',
+            event: 'OBJECT_FINALIZE',
+            messageId: '123',
+            stage: 'parse',
+            errorClass: 'Error',
+            message: 'Invalid DICOM file',
+            dcm2bqVersion: '1.0.0',
+          }],
+        };
+
+        assert.ok(Array.isArray(response.items));
+        const [item] = response.items;
+        assert.ok(item.path);
+        assert.ok(item.stage);
+        assert.ok(item.errorClass);
+        assert.ok(typeof item.message === 'string');
+      });
+    });
+
+    describe('GET /api/failures/summary', () => {
+      it('should return totalCount field', () => {
+        const response = { totalCount: 2 };
+        assert.ok(typeof response.totalCount === 'number');
+      });
+    });
+
     describe('GET /api/instances/:id/content', () => {
       it('should return image content with proper structure', () => {
         const response = {
@@ -0,0 +1,56 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require('assert');
+
+const { restoreOffloadedMetadata } = require('../../backend/src/offloaded-metadata');
+
+describe('restoreOffloadedMetadata', () => {
+  const info = { offloadedMetadata: { path: 'gs://bucket/offloaded/abc.json' } };
+
+  it('merges the sidecar sequences back into the stub', async () => {
+    const fetched = [];
+    const fetchAsset = async (path) => {
+      fetched.push(path);
+      return Buffer.from(JSON.stringify({ PerFrameFunctionalGroupsSequence: [{ FrameContentSequence: [] }] }));
+    };
+
+    const restored = await restoreOffloadedMetadata({ Modality: 'SM' }, info, fetchAsset);
+
+    assert.deepStrictEqual(fetched, ['gs://bucket/offloaded/abc.json']);
+    assert.deepStrictEqual(restored.metadata, { Modality: 'SM', PerFrameFunctionalGroupsSequence: [{ FrameContentSequence: [] }] });
+    assert.strictEqual(restored.warning, null);
+  });
+
+  it('leaves rows without a sidecar untouched', async () => {
+    const fetchAsset = async () => assert.fail('nothing should be fetched');
+
+    const restored = await restoreOffloadedMetadata({ Modality: 'CT' }, { event: 'OBJECT_FINALIZE' }, fetchAsset);
+
+    assert.deepStrictEqual(restored, { metadata: { Modality: 'CT' }, warning: null });
+  });
+
+  it('returns the stub with a warning when the sidecar is missing', async () => {
+    const fetchAsset = async () => {
+      throw new Error('No such object');
+    };
+
+    const restored = await restoreOffloadedMetadata({ Modality: 'SM' }, info, fetchAsset);
+
+    assert.deepStrictEqual(restored.metadata, { Modality: 'SM' });
+    assert.match(restored.warning, /gs:\/\/bucket\/offloaded\/abc\.json could not be read: No such object/);
+  });
+});
@@ -0,0 +1,656 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Streaming archive extraction: members of a zip, a tar (plain, gzip, bzip2 or xz) or a
+ * gzipped single file (.dcm.gz) are extracted one at a time, and the next member is only
+ * extracted once the caller asks for it, so the caller bounds how many members are on
+ * disk at a time. Archives are read through a source of byte ranges (a local file or a
+ * GCS object), so the archive itself needn't be on disk either.
+ *
+ * Zip archives are read through their central directory (ZIP64 included), tar archives
+ * in a single decompressed pass. Node has no bzip2 or xz codec, so those are streamed
+ * through the system `bzip2` and `xz` commands.
+ *
+ * Archives come from outside, so extraction is bounded: the number of entries, the total
+ * uncompressed size, the compression ratio and the directory depth are limited, and
+ * entries with absolute paths, ".." components or links out of the extraction root are
+ * rejected. A violation rejects the whole archive with a non-retryable error. Zip
+ * archives are checked against their central directory before anything is extracted;
+ * tar archives as they stream, so members before the violation may have been yielded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { once } = require("events");
+const { spawn } = require("child_process");
+const { pipeline } = require("stream/promises");
+const { Duplex, PassThrough, Transform } = require("stream");
+const tar = require("tar");
+const { createNonRetryableError } = require("./utils");
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_LENGTH = 22;
+const MAX_EOCD_SEARCH = EOCD_LENGTH + 0xffff; // The record ends with a comment of up to 64 KiB
+const LOCAL_HEADER_LENGTH = 30;
+const ZIP64_EXTRA_ID = 0x0001;
+// Archive types by file name suffix
+const ARCHIVE_TYPES = {
+  ".zip": "zip",
+  ".tar": "tar",
+  ".tar.gz": "tar.gz",
+  ".tgz": "tar.gz",
+  ".tar.bz2": "tar.bz2",
+  ".tbz2": "tar.bz2",
+  ".tbz": "tar.bz2",
+  ".tar.xz": "tar.xz",
+  ".txz": "tar.xz",
+  // Single gzipped instances; other .gz files are not assumed to hold DICOM
+  ".dcm.gz": "gz",
+  ".dicom.gz": "gz",
+};
+const ARCHIVE_EXTENSIONS = Object.keys(ARCHIVE_TYPES);
+// Stream compression of each tar type
+const TAR_COMPRESSION = { tar: null, "tar.gz": "gzip", "tar.bz2": "bzip2", "tar.xz": "xz" };
+const TAR_FILE_TYPES = new Set(["File", "OldFile", "ContiguousFile"]);
+const TAR_LINK_TYPES = new Set(["SymbolicLink", "Link"]);
+const UNIX_HOST = 3; // Zip "version made by" host system whose external attributes carry a mode
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const MAX_LINK_TARGET_BYTES = 4096;
+// Below this many uncompressed bytes the compression ratio isn't checked: tiny, highly
+// repetitive members (padding, empty DICOM elements) compress far beyond any sane limit
+const RATIO_MIN_BYTES = 1024 * 1024;
+
+/**
+ * Limits applied when a caller doesn't set them; 0 disables a limit.
+ */
+const DEFAULT_LIMITS = {
+  maxEntries: 100000,
+  maxTotalBytes: 64 * 1024 * 1024 * 1024,
+  maxCompressionRatio: 100,
+  maxDepth: 16,
+};
+
+/**
+ * The archive type of a file, by its name.
+ * @param {string} name The file name or path
+ * @returns {('zip'|'tar'|'tar.gz'|'tar.bz2'|'tar.xz'|'gz'|null)} The type, or null if not an archive
+ */
+function getArchiveType(name) {
+  const lower = String(name || "").toLowerCase();
+  const extension = ARCHIVE_EXTENSIONS.find((ext) => lower.endsWith(ext));
+  return extension ? ARCHIVE_TYPES[extension] : null;
+}
+
+/**
+ * A source of archive bytes backed by a local file.
+ * @param {string} filePath The archive path
+ * @returns {Promise<{name: string, size: number, createReadStream: function({start?: number, end?: number}=): NodeJS.ReadableStream}>}
+ */
+async function createFileSource(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  return { name: path.basename(filePath), size, createReadStream: (range = {}) => fs.createReadStream(filePath, range) };
+}
+
+// Decompress through an external command; its output ends only once it has exited, so
+// a failure (corrupt data, missing command) surfaces as an error rather than a short read
+function spawnDecompressor(command) {
+  const child = spawn(command, ["-dc"], { stdio: ["pipe", "pipe", "pipe"] });
+  const output = new PassThrough();
+  let stderr = "";
+  child.stderr.on("data", (chunk) => {
+    stderr = (stderr + chunk).slice(-1000);
+  });
+  child.stdout.pipe(output, { end: false });
+  child.on("error", (error) => {
+    output.destroy(error.code === "ENOENT" ? new Error(`The ${command} command is required to read ${command} archives`) : error);
+  });
+  child.on("close", (code, signal) => {
+    if (code === 0) {
+      output.end();
+    } else {
+      output.destroy(new Error(`${command} failed (${signal || `exit code ${code}`}): ${stderr.trim()}`));
+    }
+  });
+  const decompressor = Duplex.from({ writable: child.stdin, readable: output });
+  decompressor.on("close", () => child.kill());
+  return decompressor;
+}
+
+function createDecompressor(compression) {
+  if (compression === "gzip") {
+    return zlib.createGunzip();
+  }
+  if (compression === "bzip2" || compression === "xz") {
+    return spawnDecompressor(compression);
+  }
+  return new PassThrough();
+}
+
+/**
+ * The path of a member relative to the extraction root, with "/" separators, or null if
+ * it is empty or would escape the root.
+ * @param {string} name The member name in the archive
+ */
+function toMemberPath(name) {
+  const segments = String(name || "").split(/[\\/]+/).filter((segment) => segment && segment !== ".");
+  if (segments.length === 0 || segments.includes("..")) {
+    return null;
+  }
+  return segments.join("/");
+}
+
+function limitError(reason) {
+  return createNonRetryableError(`Archive rejected: ${reason}`);
+}
+
+function isAbsoluteName(name) {
+  return /^([\\/]|[a-zA-Z]:)/.test(name);
+}
+
+/**
+ * Check a member name against the path rules and the depth limit.
+ * @param {string} name The member name in the archive
+ * @param {Object} limits The effective limits
+ * @returns {string|null} The member path (see toMemberPath)
+ * @throws A non-retryable error for absolute paths, ".." components or too deep paths
+ */
+function checkMemberPath(name, limits) {
+  const raw = String(name || "");
+  if (isAbsoluteName(raw)) {
+    throw limitError(`entry "${raw}" has an absolute path`);
+  }
+  if (raw.split(/[\\/]+/).includes("..")) {
+    throw limitError(`entry "${raw}" has a ".." path component`);
+  }
+  const memberPath = toMemberPath(raw);
+  const depth = memberPath ? memberPath.split("/").length - 1 : 0;
+  if (limits.maxDepth > 0 && depth > limits.maxDepth) {
+    throw limitError(`entry "${raw}" is nested ${depth} directories deep (limit ${limits.maxDepth})`);
+  }
+  return memberPath;
+}
+
+// Links are never extracted, but one pointing out of the root marks a hostile archive.
+// Symbolic link targets are relative to the link's directory, hard link targets to the root.
+function checkLinkTarget(memberPath, target, isSymbolic) {
+  const raw = String(target || "");
+  const resolved = path.posix.normalize(
+    isSymbolic ? path.posix.join(path.posix.dirname(memberPath || "."), raw.replace(/\\/g, "/")) : raw.replace(/\\/g, "/")
+  );
+  if (isAbsoluteName(raw) || resolved === ".." || resolved.startsWith("../")) {
+    throw limitError(`link "${memberPath}" points outside the archive (${raw})`);
+  }
+}
+
+function checkRatio(description, uncompressed, compressed, limits) {
+  if (limits.maxCompressionRatio > 0 && uncompressed > RATIO_MIN_BYTES && uncompressed > compressed * limits.maxCompressionRatio) {
+    const ratio = compressed > 0 ? Math.round(uncompressed / compressed) : Infinity;
+    throw limitError(`${description} expands ${ratio}:1 (limit ${limits.maxCompressionRatio}:1)`);
+  }
+}
+
+function checkTotal(total, limits) {
+  if (limits.maxTotalBytes > 0 && total > limits.maxTotalBytes) {
+    throw limitError(`more than ${limits.maxTotalBytes} uncompressed bytes`);
+  }
+}
+
+function checkEntryCount(count, limits) {
+  if (limits.maxEntries > 0 && count > limits.maxEntries) {
+    throw limitError(`more than ${limits.maxEntries} entries`);
+  }
+}
+
+async function readRange(source, start, length) {
+  if (length <= 0) {
+    return Buffer.alloc(0);
+  }
+  const chunks = [];
+  for await (const chunk of source.createReadStream({ start, end: start + length - 1 })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function readUInt64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error("Zip offset or size exceeds the supported range");
+  }
+  return Number(value);
+}
+
+async function readZipDirectoryLocation(source) {
+  const tailLength = Math.min(source.size, MAX_EOCD_SEARCH);
+  const tailStart = source.size - tailLength;
+  const tail = await readRange(source, tailStart, tailLength);
+  let eocd = -1;
+  for (let i = tail.length - EOCD_LENGTH; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error("Not a zip archive: end of central directory not found");
+  }
+  let entries = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+  if (entries === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locator = eocd - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      throw new Error("Zip64 end of central directory locator not found");
+    }
+    const zip64 = await readRange(source, readUInt64(tail, locator + 8), 56);
+    if (zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error("Zip64 end of central directory not found");
+    }
+    entries = readUInt64(zip64, 32);
+    size = readUInt64(zip64, 40);
+    offset = readUInt64(zip64, 48);
+  }
+  return { entries, size, offset };
+}
+
+function applyZip64Extra(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length; ) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === ZIP64_EXTRA_ID) {
+      let field = i + 4;
+      for (const key of ["uncompressedSize", "compressedSize", "localHeaderOffset"]) {
+        if (entry[key] === 0xffffffff && field + 8 <= i + 4 + length) {
+          entry[key] = readUInt64(extra, field);
+          field += 8;
+        }
+      }
+      return;
+    }
+    i += 4 + length;
+  }
+}
+
+/**
+ * List the entries of a zip archive from its central directory.
+ * @param {Object} source The archive source
+ * @param {{maxEntries?: number}} [limits] Rejects archives with more entries (0 = no limit)
+ *   before their central directory is read
+ * @returns {Promise<Array<{name: string, method: number, flags: number, crc32: number,
+ *   compressedSize: number, uncompressedSize: number, localHeaderOffset: number, isSymlink: boolean}>>}
+ */
+async function readZipEntries(source, limits = {}) {
+  const location = await readZipDirectoryLocation(source);
+  checkEntryCount(location.entries, limits);
+  const directory = await readRange(source, location.offset, location.size);
+  const entries = [];
+  let position = 0;
+  for (let i = 0; i < location.entries; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const madeBy = directory.readUInt16LE(position + 4);
+    const flags = directory.readUInt16LE(position + 8);
+    const externalAttributes = directory.readUInt32LE(position + 38);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameStart = position + 46;
+    const entry = {
+      // Bit 11: UTF-8 names; otherwise CP437, which latin1 approximates
+      name: directory.toString(flags & 0x800 ? "utf8" : "latin1", nameStart, nameStart + nameLength),
+      method: directory.readUInt16LE(position + 10),
+      flags,
+      crc32: directory.readUInt32LE(position + 16),
+      compressedSize: directory.readUInt32LE(position + 20),
+      uncompressedSize: directory.readUInt32LE(position + 24),
+      localHeaderOffset: directory.readUInt32LE(position + 42),
+      isSymlink: madeBy >> 8 === UNIX_HOST && ((externalAttributes >>> 16) & S_IFMT) === S_IFLNK,
+    };
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+    entries.push(entry);
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Counts bytes and, where zlib offers it, checks the CRC-32 of a member as it passes
+function createIntegrityCheck(expectedSize, expectedCrc32) {
+  let size = 0;
+  let crc = 0;
+  const canCheckCrc = typeof zlib.crc32 === "function";
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      // Stop as soon as a member outgrows its declared size, rather than at the end
+      if (size > expectedSize) {
+        callback(new Error(`Member size mismatch: more than the declared ${expectedSize} bytes`));
+        return;
+      }
+      if (canCheckCrc) {
+        crc = zlib.crc32(chunk, crc);
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (size !== expectedSize) {
+        callback(new Error(`Member size mismatch: expected ${expectedSize} bytes, got ${size}`));
+      } else if (canCheckCrc && crc >>> 0 !== expectedCrc32 >>> 0) {
+        callback(new Error("Member CRC-32 mismatch"));
+      } else {
+        callback();
+      }
+    },
+  });
+}
+
+// The stages that read and inflate a member's data, ending with its integrity check
+async function openZipEntry(source, entry) {
+  const header = await readRange(source, entry.localHeaderOffset, LOCAL_HEADER_LENGTH);
+  if (header.length < LOCAL_HEADER_LENGTH || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error("Corrupt zip local file header");
+  }
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_LENGTH + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const stages = [];
+  if (entry.compressedSize > 0) {
+    stages.push(source.createReadStream({ start: dataStart, end: dataStart + entry.compressedSize - 1 }));
+  } else {
+    stages.push(async function* () {}());
+  }
+  if (entry.method === 8) {
+    stages.push(zlib.createInflateRaw());
+  }
+  stages.push(createIntegrityCheck(entry.uncompressedSize, entry.crc32));
+  return stages;
+}
+
+async function extractZipEntry(source, entry, filePath) {
+  const stages = await openZipEntry(source, entry);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(...stages, fs.createWriteStream(filePath));
+}
+
+async function readZipLinkTarget(source, entry, memberPath) {
+  if (entry.uncompressedSize > MAX_LINK_TARGET_BYTES) {
+    throw limitError(`link "${memberPath}" has an oversized target`);
+  }
+  const chunks = [];
+  await pipeline(...(await openZipEntry(source, entry)), async function (data) {
+    for await (const chunk of data) {
+      chunks.push(chunk);
+    }
+  });
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Check the whole archive against the limits from its central directory, before extracting
+async function checkZipEntries(source, entries, limits) {
+  let total = 0;
+  for (const entry of entries) {
+    const memberPath = checkMemberPath(entry.name, limits);
+    if (entry.isSymlink) {
+      checkLinkTarget(memberPath, await readZipLinkTarget(source, entry, entry.name), true);
+      continue;
+    }
+    if (entry.name.endsWith("/")) {
+      continue;
+    }
+    checkRatio(`entry "${entry.name}"`, entry.uncompressedSize, entry.compressedSize, limits);
+    total += entry.uncompressedSize;
+    checkTotal(total, limits);
+  }
+  checkRatio("archive", total, source.size, limits);
+}
+
+async function* extractZipMembers(source, tempDir, options) {
+  const allEntries = await readZipEntries(source, options.limits);
+  await checkZipEntries(source, allEntries, options.limits);
+  const entries = allEntries.filter((entry) => !entry.name.endsWith("/") && !entry.isSymlink);
+  // Directory files first, so their records are known before the members they reference
+  const isFirst = (entry) => (options.first ? options.first(entry.name) : false);
+  const ordered = [...entries.filter(isFirst), ...entries.filter((entry) => !isFirst(entry))];
+  for (const [index, entry] of ordered.entries()) {
+    const memberPath = toMemberPath(entry.name);
+    const member = { path: memberPath || entry.name, size: entry.uncompressedSize };
+    if (index < options.resumeAt && !isFirst(entry)) {
+      yield { ...member, resumed: true };
+    } else if (!memberPath) {
+      yield { ...member, skipped: "unsafe path" };
+    } else if (entry.flags & 0x1) {
+      yield { ...member, skipped: "encrypted" };
+    } else if (entry.method !== 0 && entry.method !== 8) {
+      yield { ...member, skipped: `unsupported compression method ${entry.method}` };
+    } else if (options.maxMemberBytes > 0 && entry.uncompressedSize > options.maxMemberBytes) {
+      yield { ...member, skipped: "too large" };
+    } else {
+      const filePath = path.join(tempDir, ...memberPath.split("/"));
+      try {
+        await extractZipEntry(source, entry, filePath);
+      } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        yield { ...member, skipped: `unreadable (${error.message})` };
+        continue;
+      }
+      yield { ...member, filePath };
+    }
+  }
+}
+
+async function* extractTarMembers(source, tempDir, options) {
+  const { limits } = options;
+  const parser = new tar.Parser({ strict: false });
+  // Members in archive order; each settles once its file is written (or it is skipped)
+  const queue = [];
+  let parseError = null;
+  // The first limit violation; entries after it are drained without being extracted
+  let violation = null;
+  let entryCount = 0;
+  let totalBytes = 0;
+  let memberCount = 0;
+  parser.on("error", (error) => {
+    parseError = error;
+  });
+  parser.on("entry", (entry) => {
+    const item = { ended: false, result: null };
+    entry.on("end", () => {
+      item.ended = true;
+    });
+    let memberPath;
+    try {
+      if (violation) {
+        entry.resume();
+        return;
+      }
+      checkEntryCount(++entryCount, limits);
+      memberPath = checkMemberPath(entry.path, limits);
+      if (TAR_LINK_TYPES.has(entry.type)) {
+        checkLinkTarget(memberPath, entry.linkpath, entry.type === "SymbolicLink");
+      }
+      if (TAR_FILE_TYPES.has(entry.type)) {
+        totalBytes += entry.size;
+        checkTotal(totalBytes, limits);
+      }
+    } catch (error) {
+      violation = error;
+      entry.resume();
+      return;
+    }
+    if (!TAR_FILE_TYPES.has(entry.type)) {
+      entry.resume();
+      return;
+    }
+    const member = { path: memberPath || entry.path, size: entry.size };
+    queue.push(item);
+    if (memberCount++ < options.resumeAt && !(options.first && options.first(entry.path))) {
+      item.result = Promise.resolve({ ...member, resumed: true });
+      entry.resume();
+      return;
+    }
+    if (!memberPath || (options.maxMemberBytes > 0 && entry.size > options.maxMemberBytes)) {
+      item.result = Promise.resolve({ ...member, skipped: memberPath ? "too large" : "unsafe path" });
+      entry.resume();
+      return;
+    }
+    const filePath = path.join(tempDir, ...memberPath.split("/"));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath);
+    item.result = new Promise((resolve) => {
+      output.on("finish", () => resolve({ ...member, filePath }));
+      output.on("error", (error) => resolve({ ...member, skipped: `unreadable (${error.message})` }));
+    });
+    entry.pipe(output);
+  });
+
+  // Hand out members as they complete; the source is not read further until the caller asks
+  async function* settled(all) {
+    while (queue.length > 0 && (all || queue[0].ended)) {
+      yield await queue.shift().result;
+    }
+  }
+
+  const input = source.createReadStream();
+  const decompressor = createDecompressor(options.compression);
+  let compressedBytes = 0;
+  let uncompressedBytes = 0;
+  input.on("data", (chunk) => {
+    compressedBytes += chunk.length;
+  });
+  try {
+    for await (const chunk of input.pipe(decompressor)) {
+      // The ratio so far, against what has been read of the source; the decompressor reads
+      // ahead of its output, which only errs on the lenient side
+      uncompressedBytes += chunk.length;
+      checkRatio("archive", uncompressedBytes, compressedBytes, limits);
+      if (!parser.write(chunk)) {
+        await once(parser, "drain");
+      }
+      if (parseError) {
+        throw parseError;
+      }
+      if (violation) {
+        throw violation;
+      }
+      yield* settled(false);
+    }
+    parser.end();
+    if (parseError) {
+      throw parseError;
+    }
+    if (violation) {
+      throw violation;
+    }
+    yield* settled(true);
+  } finally {
+    input.destroy();
+    decompressor.destroy();
+  }
+}
+
+// A gzipped single file is one member, named after the archive without ".gz"
+async function* extractGzipMember(source, tempDir, options) {
+  const { limits } = options;
+  const memberPath = toMemberPath(String(source.name || "").replace(/\.gz$/i, "")) || "member";
+  if (options.resumeAt > 0) {
+    yield { path: memberPath, size: null, resumed: true };
+    return;
+  }
+  const filePath = path.join(tempDir, memberPath);
+  const input = source.createReadStream();
+  let compressedBytes = 0;
+  input.on("data", (chunk) => {
+    compressedBytes += chunk.length;
+  });
+  // The size is only known once decompressed, so the limits are checked as it is written
+  let size = 0;
+  let tooLarge = false;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (options.maxMemberBytes > 0 && size > options.maxMemberBytes) {
+        tooLarge = true;
+        callback(new Error("Member too large"));
+        return;
+      }
+      try {
+        checkTotal(size, limits);
+        checkRatio("archive", size, compressedBytes, limits);
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(input, zlib.createGunzip(), limiter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    if (!tooLarge) {
+      throw error;
+    }
+    yield { path: memberPath, size, skipped: "too large" };
+    return;
+  }
+  yield { path: memberPath, size, filePath };
+}
+
+/**
+ * Extract the members of an archive one at a time. Each yielded member's file exists
+ * until the caller asks for the next member; the caller deletes it when done.
+ * @param {('zip'|'tar'|'tar.gz'|'tar.bz2'|'tar.xz'|'gz')} archiveType The archive type (see getArchiveType)
+ * @param {Object} source The archive source (see createFileSource); its name names a gz member
+ * @param {string} tempDir The directory to extract into (member paths are kept)
+ * @param {{maxMemberBytes?: number, first?: function(string): boolean, resumeAt?: number,
+ *   limits?: {maxEntries?: number, maxTotalBytes?: number, maxCompressionRatio?: number, maxDepth?: number}}} [options]
+ *   Members over maxMemberBytes (0 = no limit) are skipped; zip members matching `first` are
+ *   extracted first. The first `resumeAt` members (those handled by an earlier, interrupted
+ *   pass) are yielded as resumed without being extracted, except those matching `first`.
+ *   Limits not given default to DEFAULT_LIMITS (0 = no limit).
+ * @returns {AsyncGenerator<{path: string, size: number, filePath?: string, skipped?: string, resumed?: boolean}>}
+ *   Members in order, with the extracted file, the reason it was skipped, or resumed
+ * @throws A non-retryable "Archive rejected: ..." error when the archive violates a limit
+ */
+function extractArchiveMembers(archiveType, source, tempDir, options = {}) {
+  const given = Object.entries(options.limits || {}).filter(([, value]) => value !== undefined);
+  options = { ...options, resumeAt: options.resumeAt || 0, limits: { ...DEFAULT_LIMITS, ...Object.fromEntries(given) } };
+  if (archiveType === "zip") {
+    return extractZipMembers(source, tempDir, options);
+  }
+  if (archiveType in TAR_COMPRESSION) {
+    return extractTarMembers(source, tempDir, { ...options, compression: TAR_COMPRESSION[archiveType] });
+  }
+  if (archiveType === "gz") {
+    return extractGzipMember(source, tempDir, options);
+  }
+  throw new Error(`Unsupported archive type: ${archiveType}`);
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  DEFAULT_LIMITS,
+  getArchiveType,
+  createFileSource,
+  extractArchiveMembers,
+  readZipEntries,
+  toMemberPath,
+};
@@ -16,12 +16,14 @@
 
 const { BigQuery } = require("@google-cloud/bigquery");
 const config = require("./config");
+const { createHttpError } = require("./utils");
 
 const bigquery = new BigQuery();
 const cfg = config.get().gcpConfig.bigQuery || {};
 const datasetId = cfg.datasetId;
 const instancesTable = cfg.instancesTableId;
 const embeddingsTable = cfg.embeddingsTableId;
+const failuresTable = cfg.failuresTableId;
 
 function formatInsertError(error, label) {
   let errorDetails = 'Unknown error';
@@ -71,6 +73,37 @@ async function insert(obj, insertId) {
   }
 }
 
+/**
+ * Inserts rows into the instances table in batches (see `insertEmbeddings()`), e.g. the
+ * deletion rows of an archive's members.
+ * @param {Object[]} rows The rows to insert.
+ * @param {string[]} insertIds Per-row BigQuery streaming insertIds, parallel to `rows`.
+ *   See `insert()` for why this is best-effort only.
+ */
+async function insertInstances(rows, insertIds) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  if (!Array.isArray(rows) || rows.length === 0) return;
+  const bqCfg = config.get().gcpConfig.bigQuery || {};
+  const batchSize = bqCfg.insertBatchSize || 50;
+  try {
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const rawRows = rows.slice(i, i + batchSize).map((row, j) => ({ insertId: insertIds[i + j], json: row }));
+      await bigquery.dataset(datasetId).table(instancesTable).insert(rawRows, { raw: true });
+    }
+  } catch (error) {
+    console.error('BigQuery insert error:', JSON.stringify({
+      message: error.message,
+      errors: error.errors,
+      name: error.name,
+      code: error.code
+    }));
+
+    const err = new Error(formatInsertError(error, 'DICOM records'));
+    err.originalError = error;
+    throw err;
+  }
+}
+
 /**
  * Inserts rows into the embeddings table in batches.
  * Batching prevents exceeding BigQuery streaming insert HTTP payload limits
@@ -109,4 +142,293 @@ async function insertEmbeddings(rows, insertIds) {
   }
 }
 
-module.exports = { insert, insertEmbeddings };
+/**
+ * Inserts a failure record into the failures table: an event that failed with a
+ * non-retryable error and was acknowledged, so it never reaches the dead letter topic.
+ * @param {Object} obj The failure record
+ * @param {string} [insertId] Optional BigQuery streaming insertId (see `insert()`)
+ * @returns {Promise<boolean>} False when no failures table is configured (nothing written)
+ */
+async function insertFailure(obj, insertId) {
+  if (!datasetId || !failuresTable) return false;
+  try {
+    const rows = insertId ? [{ insertId, json: obj }] : [obj];
+    await bigquery.dataset(datasetId).table(failuresTable).insert(rows, insertId ? { raw: true } : undefined);
+    return true;
+  } catch (error) {
+    const err = new Error(formatInsertError(error, 'failure record'));
+    err.originalError = error;
+    throw err;
+  }
+}
+
+/**
+ * Look up the content hash, config fingerprint and version of the latest row for a path.
+ * @param {string} path The row path (gs://, file://, or a DICOMweb URI)
+ * @returns {Promise<{sha256: string, configFingerprint: string, version: string}|null>} Null when
+ *   the path has no row, or its latest row is a deletion
+ */
+async function findLatestInstance(path) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  const query = `
+    SELECT
+      info.input.sha256 AS sha256,
+      info.configFingerprint AS configFingerprint,
+      version,
+      metadata IS NULL AND NOT COALESCE(info.unchanged, FALSE) AS deleted
+    FROM \`${datasetId}.${instancesTable}\`
+    WHERE
+      path = @path
+      -- archive summaries and object metadata updates carry no content hash
+      AND NOT (metadata IS NULL AND COALESCE(info.event, '') IN ('ARCHIVE_SUMMARY', 'OBJECT_METADATA_UPDATE'))
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `;
+  const [rows] = await bigquery.query({ query, params: { path } });
+  const row = rows && rows[0];
+  if (!row || row.deleted) {
+    return null;
+  }
+  return { sha256: row.sha256, configFingerprint: row.configFingerprint, version: row.version };
+}
+
+/**
+ * Find the latest row with metadata of a path's version, to carry it forward to a new
+ * version of unchanged content (skipUnchanged).
+ * @param {string} path The row path
+ * @param {string} version The version the row was written for
+ * @returns {Promise<Object|null>} The row with plain JSON values (metadata as a JSON string),
+ *   ready to insert again, or null when the version has no such row
+ */
+async function findInstanceRow(path, version) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  // TO_JSON_STRING gives plain values (no BigQueryTimestamp/BigQueryDate wrappers) that
+  // can be streamed back as they are
+  const query = `
+    SELECT TO_JSON_STRING(t) AS row
+    FROM \`${datasetId}.${instancesTable}\` t
+    WHERE path = @path AND version = @version AND metadata IS NOT NULL
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `;
+  const [rows] = await bigquery.query({ query, params: { path, version: String(version) } });
+  if (!rows || rows.length === 0) {
+    return null;
+  }
+  const row = JSON.parse(rows[0].row);
+  return { ...row, metadata: JSON.stringify(row.metadata) };
+}
+
+/**
+ * Find the live rows of an object version: the object's own and, for an archive, its
+ * members' (the paths under `<archive uri>#`, members of nested archives included), where
+ * the path's latest row carries metadata of that version rather than a deletion. A newer
+ * version processed since (an overwrite whose finalize event came first) is left alone.
+ * "Unchanged" marker rows, archive summary rows and object metadata update rows are not
+ * considered.
+ * @param {string} objectPath The object's path
+ * @param {string} version The object's version (generation)
+ * @returns {Promise<Array<{id: string, path: string, version: string, offloadedMetadataPath: string|null}>>}
+ */
+async function findLiveRows(objectPath, version) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  const query = `
+    SELECT id, path, version, offloadedMetadataPath
+    FROM (
+      SELECT
+        id,
+        path,
+        version,
+        info.offloadedMetadata.path AS offloadedMetadataPath,
+        metadata IS NOT NULL AS live,
+        ROW_NUMBER() OVER (PARTITION BY path ORDER BY timestamp DESC) AS _row_id
+      FROM \`${datasetId}.${instancesTable}\`
+      WHERE
+        (path = @path OR STARTS_WITH(path, @prefix))
+        AND (
+          metadata IS NOT NULL
+          OR NOT (COALESCE(info.unchanged, FALSE) OR COALESCE(info.event, '') IN ('ARCHIVE_SUMMARY', 'OBJECT_METADATA_UPDATE'))
+        )
+    )
+    WHERE _row_id = 1 AND live AND version = @version
+  `;
+  const [rows] = await bigquery.query({ query, params: { path: objectPath, prefix: `${objectPath}#`, version: String(version) } });
+  return (rows || []).map((row) => ({
+    id: row.id,
+    path: row.path,
+    version: row.version,
+    offloadedMetadataPath: row.offloadedMetadataPath || null,
+  }));
+}
+
+/**
+ * Find the version of an object's latest row with metadata, its own or (for an archive)
+ * its members'. For deletion events that do not name the deleted version, such as those
+ * of unversioned S3 buckets.
+ * @param {string} objectPath The object's path
+ * @returns {Promise<string|null>} The version, or null when the object has no such row
+ */
+async function findLatestVersion(objectPath) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  const query = `
+    SELECT version
+    FROM \`${datasetId}.${instancesTable}\`
+    WHERE
+      (path = @path OR STARTS_WITH(path, @prefix))
+      AND metadata IS NOT NULL
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `;
+  const [rows] = await bigquery.query({ query, params: { path: objectPath, prefix: `${objectPath}#` } });
+  const row = rows && rows[0];
+  return row ? String(row.version) : null;
+}
+
+/**
+ * Find the rows under a path prefix that instancesView still lists: every path and
+ * version with metadata and no later deletion row of the same path and version (a path
+ * ingested more than once has a row version per ingestion).
+ * @param {string} prefix The path prefix (e.g. a DICOM store's or study's URL and "/")
+ * @returns {Promise<Array<{id: string, path: string, version: string, offloadedMetadataPath: string|null}>>}
+ */
+async function findLiveRowsUnder(prefix) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  const query = `
+    WITH tombstones AS (
+      SELECT path, version, MAX(timestamp) AS tombstone_timestamp
+      FROM \`${datasetId}.${instancesTable}\`
+      WHERE
+        STARTS_WITH(path, @prefix)
+        AND metadata IS NULL
+        AND NOT (COALESCE(info.unchanged, FALSE) OR COALESCE(info.event, '') IN ('ARCHIVE_SUMMARY', 'OBJECT_METADATA_UPDATE'))
+      GROUP BY path, version
+    )
+    SELECT
+      active.id,
+      active.path,
+      active.version,
+      ANY_VALUE(active.info.offloadedMetadata.path) AS offloadedMetadataPath
+    FROM \`${datasetId}.${instancesTable}\` active
+    LEFT JOIN tombstones
+      ON tombstones.path = active.path
+      AND tombstones.version = active.version
+      AND tombstones.tombstone_timestamp >= active.timestamp
+    WHERE
+      STARTS_WITH(active.path, @prefix)
+      AND active.metadata IS NOT NULL
+      AND tombstones.path IS NULL
+    GROUP BY active.id, active.path, active.version
+  `;
+  const [rows] = await bigquery.query({ query, params: { prefix } });
+  return (rows || []).map((row) => ({
+    id: row.id,
+    path: row.path,
+    version: row.version,
+    offloadedMetadataPath: row.offloadedMetadataPath || null,
+  }));
+}
+
+/**
+ * Find which instance ids instancesView still lists under a path or version other than
+ * the given ones: rows with metadata and no deletion row of their path (or of the archive
+ * holding them) and version at or after them. Copies of a file share the id, and with it
+ * the embeddings and assets.
+ * @param {string[]} instanceIds The instance ids
+ * @param {Array<{path: string, version: string}>} excludedRows The rows being deleted
+ * @returns {Promise<string[]>} The ids that stay live
+ */
+async function findLiveIds(instanceIds, excludedRows) {
+  if (!datasetId || !instancesTable) throw new Error('BigQuery instances table not configured');
+  if (!Array.isArray(instanceIds) || instanceIds.length === 0) return [];
+  const query = `
+    WITH tombstones AS (
+      SELECT path, version, MAX(timestamp) AS tombstone_timestamp
+      FROM \`${datasetId}.${instancesTable}\`
+      WHERE
+        metadata IS NULL
+        AND NOT (COALESCE(info.unchanged, FALSE) OR COALESCE(info.event, '') IN ('ARCHIVE_SUMMARY', 'OBJECT_METADATA_UPDATE'))
+      GROUP BY path, version
+    )
+    SELECT DISTINCT active.id
+    FROM \`${datasetId}.${instancesTable}\` active
+    LEFT JOIN tombstones
+      ON tombstones.path IN (active.path, SPLIT(active.path, '#')[SAFE_OFFSET(0)])
+      AND tombstones.version = active.version
+      AND tombstones.tombstone_timestamp >= active.timestamp
+    WHERE
+      active.id IN UNNEST(@instanceIds)
+      AND active.metadata IS NOT NULL
+      AND tombstones.path IS NULL
+      AND CONCAT(active.path, '|', active.version) NOT IN UNNEST(@excluded)
+  `;
+  const excluded = Array.from(new Set(excludedRows.map((row) => `${row.path}|${row.version}`)));
+  const [rows] = await bigquery.query({ query, params: { instanceIds, excluded } });
+  return (rows || []).map((row) => row.id);
+}
+
+/**
+ * Find the embedding rows of instances that are not deleted yet (latest row per id).
+ * @param {string[]} instanceIds The instance ids
+ * @returns {Promise<Array<{id: string, instanceId: string, frameNumber: number|null, inputPath: string|null}>>}
+ *   Empty when no embeddings table is configured
+ */
+async function findEmbeddings(instanceIds) {
+  if (!datasetId || !embeddingsTable || !Array.isArray(instanceIds) || instanceIds.length === 0) return [];
+  const query = `
+    SELECT id, instanceId, frameNumber, inputPath
+    FROM (
+      SELECT
+        id,
+        instanceId,
+        frameNumber,
+        info.input.path AS inputPath,
+        COALESCE(deleted, FALSE) AS deleted,
+        ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) AS _row_id
+      FROM \`${datasetId}.${embeddingsTable}\`
+      WHERE instanceId IN UNNEST(@instanceIds)
+    )
+    WHERE _row_id = 1 AND NOT deleted
+  `;
+  const [rows] = await bigquery.query({ query, params: { instanceIds } });
+  return (rows || []).map((row) => ({
+    id: row.id,
+    instanceId: row.instanceId,
+    frameNumber: row.frameNumber ?? null,
+    inputPath: row.inputPath || null,
+  }));
+}
+
+/**
+ * Delete the embedding rows of instances (a DML DELETE). BigQuery refuses it while rows
+ * are still in the streaming buffer (up to about 90 minutes after they were written);
+ * that error is returned as retryable, so the event is redelivered later.
+ * @param {string[]} instanceIds The instance ids
+ */
+async function deleteEmbeddings(instanceIds) {
+  if (!datasetId || !embeddingsTable) throw new Error('BigQuery embeddings table not configured');
+  if (!Array.isArray(instanceIds) || instanceIds.length === 0) return;
+  const query = `DELETE FROM \`${datasetId}.${embeddingsTable}\` WHERE instanceId IN UNNEST(@instanceIds)`;
+  try {
+    await bigquery.query({ query, params: { instanceIds } });
+  } catch (error) {
+    if (/streaming buffer/i.test(error.message || '')) {
+      throw createHttpError(503, `Failed to delete embedding records: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  insert,
+  insertInstances,
+  insertEmbeddings,
+  insertFailure,
+  findLatestInstance,
+  findInstanceRow,
+  findLiveRows,
+  findLiveRowsUnder,
+  findLiveIds,
+  findLatestVersion,
+  findEmbeddings,
+  deleteEmbeddings,
+};
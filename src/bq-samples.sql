@@ -71,6 +71,62 @@ from
 WHERE
      JSON_VALUE (`metadata`, '$.StudyInstanceUID') = '1.2.840.123456789456789456789.2.2223447302877.1';
 
+-- Find byte-identical copies of the same file stored under different paths
+SELECT
+     info.input.sha256,
+     COUNT(*) AS copies,
+     ARRAY_AGG(path ORDER BY timestamp) AS paths
+FROM
+     `dicom.instancesView`
+GROUP BY
+     info.input.sha256
+HAVING
+     copies > 1;
+
+-- Find instances with the same pixel data but different headers
+SELECT
+     info.input.pixelDataSha256,
+     COUNT(DISTINCT info.input.sha256) AS variants,
+     ARRAY_AGG(path ORDER BY timestamp) AS paths
+FROM
+     `dicom.instancesView`
+WHERE
+     info.input.pixelDataSha256 IS NOT NULL
+GROUP BY
+     info.input.pixelDataSha256
+HAVING
+     variants > 1;
+
+-- Show the latest archives with failed members (one summary row per delivery)
+SELECT
+     path,
+     version,
+     timestamp,
+     info.archive.total,
+     info.archive.failed,
+     info.archive.error,
+     ARRAY(SELECT failure.path FROM UNNEST(info.archive.failures) AS failure) AS failedMembers
+FROM
+     `dicom.instances`
+WHERE
+     info.event = 'ARCHIVE_SUMMARY'
+     AND (info.archive.failed > 0 OR info.archive.error IS NOT NULL)
+ORDER BY
+     timestamp DESC
+LIMIT
+     10;
+
+-- Count instances per site, from the custom metadata of the objects (OBJECT_METADATA_UPDATE)
+SELECT
+     JSON_VALUE(object_metadata.custom, '$.site') AS site,
+     COUNT(*) AS instances
+FROM
+     `dicom.instancesView`
+GROUP BY
+     site
+ORDER BY
+     instances DESC;
+
 -- Show the latest instances that have failed parsing
 SELECT
      MAX(publish_time) as latest_time,
@@ -90,6 +146,24 @@ ORDER BY
 LIMIT
      10;
 
+-- Count non-retryable processing failures by stage and error over the last 7 days
+SELECT
+     stage,
+     errorClass,
+     COUNT(*) AS failures,
+     MAX(timestamp) AS latest_time,
+     ANY_VALUE(path) AS example_path,
+     ANY_VALUE(message) AS example_message
+FROM
+     `dicom.failures`
+WHERE
+     timestamp > TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 7 DAY)
+GROUP BY
+     stage,
+     errorClass
+ORDER BY
+     failures DESC;
+
 -- If doing a vector search on the embeddings table, make sure to create an embeddings model connection and a vector index first.
 -- Note: VECTOR_SEARCH requires a vector index, and indexes can only be built on the base table, not on `dicom.embeddingsView`,
 -- so a reprocessed file's stale embedding rows can still surface as extra (duplicate) hits here.
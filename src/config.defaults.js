@@ -28,7 +28,16 @@ module.exports = {
       datasetId: "dicom",
       instancesTableId: "instances",
       embeddingsTableId: "embeddings",
+      // Failures acknowledged without retry (non-retryable errors) are recorded here; "" = not recorded
+      failuresTableId: "failures",
       insertBatchSize: 50,
+      // Rows serializing larger than this have their largest sequences moved to a sidecar JSON
+      // object under embedding.input.gcsBucketPath (BigQuery's streaming row limit is 10 MB; 0 = off)
+      maxRowBytes: 9 * 1024 * 1024,
+      // Attributes written as typed top-level columns next to `metadata` (see `dcm2bq schema`).
+      // Each entry is a keyword (STRING) or { attribute, column, type }.
+      promotedColumns: [],
+      clusteringFields: [], // Promoted columns to cluster the instances table on (max 4); `dcm2bq schema --tfvars` passes them to Terraform
     },
     // Configuration for embeddings: input extraction, summarization, and vector generation
     embedding: {
@@ -61,8 +70,120 @@ module.exports = {
     // Local (file://) events are rejected unless their path resolves under this root.
     rootPath: process.env.DCM2BQ_LOCAL_ROOT || "",
   },
+  // Generic DICOMweb server (Orthanc, dcm4chee, ...) that DICOMWEB_FINALIZE events refer to
+  dicomweb: {
+    baseUrl: process.env.DCM2BQ_DICOMWEB_URL || "", // e.g. "http://orthanc:8042/dicom-web"
+    auth: {
+      type: "none", // "none", "basic" (username/password), "bearer" (token) or "google" (application default credentials)
+      username: "",
+      password: process.env.DCM2BQ_DICOMWEB_PASSWORD || "",
+      token: process.env.DCM2BQ_DICOMWEB_TOKEN || "",
+    },
+    timeoutMs: 60000, // Per request
+    concurrency: 4, // Instances of a study or series event (also Healthcare API ones) retrieved and processed at once
+  },
+  // S3-compatible object storage (AWS S3, MinIO, ...) that S3 event notifications refer to
+  s3: {
+    endpoint: process.env.DCM2BQ_S3_ENDPOINT || "", // e.g. "http://minio:9000"; empty = AWS (https://s3.<region>.amazonaws.com)
+    region: process.env.AWS_REGION || "", // Signing region; empty = the event's awsRegion, or us-east-1
+    forcePathStyle: false, // <endpoint>/<bucket>/<key> rather than <bucket>.<endpoint host>/<key> (e.g. MinIO)
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID || "", // Empty = anonymous requests
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "",
+    sessionToken: process.env.AWS_SESSION_TOKEN || "",
+    timeoutMs: 300000, // Per request, including the download
+  },
+  // DICOM C-STORE SCP started by `dcm2bq scp`
+  dimse: {
+    aeTitle: "DCM2BQ",
+    port: 11112,
+    sopClasses: [], // Accepted SOP class UIDs; empty = any standard storage class (1.2.840.10008.5.1.4.1.1.*). Verification is always accepted
+    transferSyntaxes: [
+      // Accepted transfer syntax UIDs, in order of preference; instances are stored as received
+      "1.2.840.10008.1.2.1", // Explicit VR Little Endian
+      "1.2.840.10008.1.2", // Implicit VR Little Endian
+      "1.2.840.10008.1.2.1.99", // Deflated Explicit VR Little Endian
+      "1.2.840.10008.1.2.2", // Explicit VR Big Endian
+      "1.2.840.10008.1.2.5", // RLE Lossless
+      "1.2.840.10008.1.2.4.50", // JPEG Baseline
+      "1.2.840.10008.1.2.4.51", // JPEG Extended
+      "1.2.840.10008.1.2.4.57", // JPEG Lossless
+      "1.2.840.10008.1.2.4.70", // JPEG Lossless, First-Order Prediction
+      "1.2.840.10008.1.2.4.90", // JPEG 2000 Lossless
+      "1.2.840.10008.1.2.4.91", // JPEG 2000
+    ],
+    callingAeTitles: [], // Only accept associations from these AE titles; empty = any
+    timeoutMs: 60000, // Idle time before an association is aborted (not counting the processing of a received instance)
+  },
+  // De-identification applied to metadata and extracted text before persistence
+  // (DICOM PS3.15 Basic Application Level Confidentiality Profile).
+  deidentification: {
+    enabled: false,
+    profile: "basic", // The only supported profile
+    dates: "remove", // "remove" (profile default), "retain" (full dates), or "shift" (modified dates, see dateShiftDays)
+    dateShiftDays: 0, // Days to add to every date when dates is "shift" (negative moves dates earlier)
+    retainUids: false, // Keep original UIDs instead of replacing them with derived 2.25 UIDs
+    secret: process.env.DCM2BQ_DEID_SECRET || "", // HMAC key for replacement UIDs; empty = the pseudonymization secret
+    cleanDescriptors: false, // Keep free-text descriptors, with identifying values redacted, instead of removing them
+  },
+  // Keyed pseudonymization: PatientID, OtherPatientIDs and AccessionNumber (and optionally
+  // UIDs) are replaced with HMAC-SHA256 values, so the same patient always maps to the same pseudonym.
+  pseudonymization: {
+    enabled: false,
+    secret: process.env.DCM2BQ_PSEUDONYM_SECRET || "", // HMAC key; keep it stable, changing it breaks linkage
+    uids: false, // Also replace Study/Series/SOP Instance and other instance UIDs with derived 2.25 UIDs
+  },
+  // Skip files whose bytes and processing config match what was last processed for the same
+  // path: no rendering, embedding or summarization. A new version gets a copy of the previous
+  // row; a redelivery of the same version gets no new row unless writeRow is set.
+  skipUnchanged: {
+    enabled: false,
+    writeRow: false, // Write a cheap row marked info.unchanged for redeliveries instead of nothing
+    cacheFile: process.env.DCM2BQ_UNCHANGED_CACHE || "", // Local JSON cache file (e.g. for local mode); empty = look up the instances table
+  },
+  // How archive members and local files are recognized as DICOM: by the DICM magic at offset 128
+  dicomDetection: {
+    acceptPreambleless: false, // Also accept implicit VR little endian files without preamble and DICM magic
+  },
+  archives: {
+    // Instance paths of archive members: "relative" (archive#DICOM/S0001/IM000001, URL-encoded)
+    // or "basename" (archive#IM000001, as rows written before relative paths)
+    memberPaths: "relative",
+    // Cap on the bytes of extracted members on disk at once, nested archives' included; no
+    // more members are extracted while it is reached, and a member larger than it is
+    // skipped (and reported) rather than extracted. 0 = no limit.
+    maxTempBytes: 8589934592,
+    // Safety limits; an archive over any of them is rejected (non-retryable). 0 = no limit.
+    maxEntries: 100000, // Entries of any type
+    maxTotalBytes: 68719476736, // Uncompressed bytes of all members (64 GiB)
+    maxCompressionRatio: 100, // Uncompressed to compressed, per member and overall
+    maxDepth: 16, // Directory levels of a member path
+    // Levels of archives within archives (e.g. per-series zips in a study zip) that are
+    // extracted too; deeper ones are skipped and reported. 0 = don't extract nested archives.
+    maxNestingDepth: 2,
+    // Members of an archive processed at once; rendering and embedding requests of the
+    // archive share a pool of the same size
+    concurrency: 4,
+    // Time budget per delivery (ms, 0 = none): once spent, the archive stops and its event
+    // is republished to continuationTopic with the members handled, to resume from there.
+    // Keep it well under the subscription's ack deadline.
+    timeBudgetMs: 0,
+    continuationTopic: "",
+    // Failed members to processed ones over which the archive event fails (and is retried,
+    // then dead-lettered); an archive that can't be read counts as all failed. 1 = never.
+    maxFailureRatio: 1,
+  },
+  // What a deleted (or no longer current) GCS object takes with it besides its instance rows
+  deletion: {
+    // "tombstone" (a row with deleted = TRUE, left out of embeddingsView) or "delete" (a DML
+    // DELETE, which fails, and is retried, while the rows are still in the streaming buffer)
+    embeddings: "tombstone",
+    // Also delete its rendered images, extracted text and offloaded metadata under
+    // embedding.input.gcsBucketPath (gs:// or file://)
+    assets: false,
+  },
   // Passed to JSON formatter
   jsonOutput: {
+    format: "flat", // "flat" (keyword-keyed values) or "dicomweb" (PS3.18 Annex F: tag-keyed with vr/Value)
     useArrayWithSingleValue: false, // Use array, even when there's only a single value
     ignoreGroupLength: true, // Ignore group length elements
     ignoreMetaHeader: false, // Ignore the DICOM metadata header
@@ -70,6 +191,8 @@ module.exports = {
     ignoreBinary: false, // Ignore any binary tags
     useCommonNames: true, // Map DICOM tags to common names
     explicitBulkDataRoot: false, // For BulkdDataURIs use an explicit file path
+    include: [], // Only persist these elements (keywords, (gggg,eeee) tags, (gggg,xxxx) wildcards, Seq.Child paths); empty = all
+    exclude: [], // Never persist these elements (same selector syntax; applied inside sequences too)
   },
   src: "DEFAULTS",
 };
@@ -22,23 +22,52 @@ const GCS_OBJ_METADATA_UPDATE = "OBJECT_METADATA_UPDATE";
 const GCS_EVENT_TYPES = [GCS_OBJ_ARCHIVE, GCS_OBJ_DELETE, GCS_OBJ_FINALIZE, GCS_OBJ_METADATA_UPDATE];
 
 const HCAPI_FINALIZE = "HCAPI_FINALIZE";
-const HCAPI_EVENT_TYPES = [HCAPI_FINALIZE];
+// Written for instances a reconciliation no longer finds in their DICOM store
+const HCAPI_DELETE = "HCAPI_DELETE";
+const HCAPI_EVENT_TYPES = [HCAPI_FINALIZE, HCAPI_DELETE];
+// eventType attribute of a Healthcare API message that reconciles deletions instead of ingesting
+const HCAPI_RECONCILE = "HCAPI_RECONCILE";
+
+const DICOMWEB_FINALIZE = "DICOMWEB_FINALIZE";
+const DICOMWEB_EVENT_TYPES = [DICOMWEB_FINALIZE];
+
+// S3 event notifications (ObjectCreated:*, ObjectRemoved:*) as recorded in info.event
+const S3_OBJ_CREATED = "S3_OBJECT_CREATED";
+const S3_OBJ_REMOVED = "S3_OBJECT_REMOVED";
+const S3_EVENT_TYPES = [S3_OBJ_CREATED, S3_OBJ_REMOVED];
 
 const LOCAL_FINALIZE = "LOCAL_FINALIZE";
 const LOCAL_EVENT_TYPES = [LOCAL_FINALIZE];
 
+// Instances received by `dcm2bq scp` (DIMSE C-STORE)
+const DIMSE_STORE = "DIMSE_STORE";
+
+// Event of the summary row written for each archive (member counts and failures)
+const ARCHIVE_SUMMARY = "ARCHIVE_SUMMARY";
+
 const GCS_PUBSUB_MSG_V1 = "JSON_API_V1";
+// payloadFormat attribute of Pub/Sub messages carrying an S3 event notification
+const S3_PUBSUB_MSG = "S3_EVENT_JSON";
 const GCS_PUBSUB_UNWRAP = "GCS_PUBSUB_UNWRAP";
 const HCAPI_PUBSUB_UNWRAP = "HCAPI_PUBSUB_UNWRAP";
+const DICOMWEB_PUBSUB_UNWRAP = "DICOMWEB_PUBSUB_UNWRAP";
 const LOCAL_PUBSUB_UNWRAP = "LOCAL_PUBSUB_UNWRAP";
+const S3_PUBSUB_UNWRAP = "S3_PUBSUB_UNWRAP";
 const CONFIG_SCHEMA = "CONFIG_SCHEMA";
-// LOCAL must precede HCAPI: the HCAPI schema only requires message.data, so it
-// would otherwise also match local event envelopes.
-const EVENT_HANDLER_NAMES = [GCS_PUBSUB_UNWRAP, LOCAL_PUBSUB_UNWRAP, HCAPI_PUBSUB_UNWRAP];
+// LOCAL, DICOMWEB and S3 must precede HCAPI: the HCAPI schema only requires message.data,
+// so it would otherwise also match their event envelopes.
+const EVENT_HANDLER_NAMES = [GCS_PUBSUB_UNWRAP, LOCAL_PUBSUB_UNWRAP, DICOMWEB_PUBSUB_UNWRAP, S3_PUBSUB_UNWRAP, HCAPI_PUBSUB_UNWRAP];
+
+// Message attribute of archive continuations: the number of members already handled
+const RESUME_AT_ATTRIBUTE = "dcm2bqResumeAt";
 
 const STORAGE_TYPE_GCS = "GCS";
 const STORAGE_TYPE_DICOMWEB = "HCAPI_DICOM";
+// Any other DICOMweb server (Orthanc, dcm4chee, ...)
+const STORAGE_TYPE_DICOMWEB_SERVER = "DICOMWEB";
 const STORAGE_TYPE_LOCAL = "LOCAL";
+const STORAGE_TYPE_DIMSE = "DIMSE";
+const STORAGE_TYPE_S3 = "S3";
 
 module.exports = {
   GCS_OBJ_ARCHIVE,
@@ -48,15 +77,31 @@ module.exports = {
   GCS_EVENT_TYPES,
   GCS_PUBSUB_UNWRAP,
   HCAPI_FINALIZE,
+  HCAPI_DELETE,
   HCAPI_EVENT_TYPES,
+  HCAPI_RECONCILE,
   HCAPI_PUBSUB_UNWRAP,
+  DICOMWEB_FINALIZE,
+  DICOMWEB_EVENT_TYPES,
+  DICOMWEB_PUBSUB_UNWRAP,
+  S3_OBJ_CREATED,
+  S3_OBJ_REMOVED,
+  S3_EVENT_TYPES,
+  S3_PUBSUB_MSG,
+  S3_PUBSUB_UNWRAP,
   LOCAL_FINALIZE,
   LOCAL_EVENT_TYPES,
   LOCAL_PUBSUB_UNWRAP,
+  DIMSE_STORE,
+  ARCHIVE_SUMMARY,
   EVENT_HANDLER_NAMES,
   STORAGE_TYPE_GCS,
   STORAGE_TYPE_DICOMWEB,
+  STORAGE_TYPE_DICOMWEB_SERVER,
   STORAGE_TYPE_LOCAL,
+  STORAGE_TYPE_DIMSE,
+  STORAGE_TYPE_S3,
   GCS_PUBSUB_MSG_V1,
   CONFIG_SCHEMA,
+  RESUME_AT_ATTRIBUTE,
 };
@@ -0,0 +1,453 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * De-identification based on the DICOM PS3.15 Annex E Basic Application Level
+ * Confidentiality Profile, with these options:
+ * - Retain Longitudinal Temporal Information, With Full Dates (`dates: "retain"`)
+ *   or With Modified Dates (`dates: "shift"` + `dateShiftDays`)
+ * - Retain UIDs (`retainUids`)
+ * - Clean Descriptors (`cleanDescriptors`)
+ *
+ * Actions follow the profile's codes: X remove, Z zero-length, D dummy value,
+ * U replace UID (with a keyed HMAC, so references between instances still line
+ * up but the mapping can't be recomputed without the secret), C clean. Operates on the flat (keyword-keyed) JSON produced by dcmnorm.
+ * The action table covers the commonly populated attributes of Table E.1-1;
+ * private elements are always removed.
+ */
+
+const crypto = require("crypto");
+
+const PROFILE_BASIC = "basic";
+
+const SECRET_ENV_VAR = "DCM2BQ_DEID_SECRET";
+// pseudonymize.js requires this module, so its env var is named here rather than imported
+const PSEUDONYM_SECRET_ENV_VAR = "DCM2BQ_PSEUDONYM_SECRET";
+
+// PS3.16 CID 7050 codes recorded in DeidentificationMethodCodeSequence
+const METHOD_CODES = {
+  basic: { CodeValue: "113100", CodingSchemeDesignator: "DCM", CodeMeaning: "Basic Application Confidentiality Profile" },
+  cleanDescriptors: { CodeValue: "113105", CodingSchemeDesignator: "DCM", CodeMeaning: "Clean Descriptors Option" },
+  retainFullDates: { CodeValue: "113106", CodingSchemeDesignator: "DCM", CodeMeaning: "Retain Longitudinal Temporal Information Full Dates Option" },
+  retainModifiedDates: { CodeValue: "113107", CodingSchemeDesignator: "DCM", CodeMeaning: "Retain Longitudinal Temporal Information Modified Dates Option" },
+  retainUids: { CodeValue: "113110", CodingSchemeDesignator: "DCM", CodeMeaning: "Retain UIDs Option" },
+};
+
+// Elements deidentify() adds, with their tags and VRs: they need not be in the source
+// file, so element dictionaries built from it don't know them
+const ADDED_ELEMENTS = {
+  PatientIdentityRemoved: { tag: "00120062", vr: "CS" },
+  DeidentificationMethod: { tag: "00120063", vr: "LO" },
+  DeidentificationMethodCodeSequence: { tag: "00120064", vr: "SQ" },
+  LongitudinalTemporalInformationModified: { tag: "00280303", vr: "CS" },
+  CodeValue: { tag: "00080100", vr: "SH" },
+  CodingSchemeDesignator: { tag: "00080102", vr: "SH" },
+  CodeMeaning: { tag: "00080104", vr: "LO" },
+};
+
+const DUMMY_VALUE = "ANONYMIZED";
+
+// Identifying attributes and their basic profile action.
+const ACTIONS = {
+  AccessionNumber: "Z",
+  AcquisitionComments: "X",
+  AdmissionID: "X",
+  AuthorObserverSequence: "X",
+  BranchOfService: "X",
+  ContentCreatorName: "Z",
+  ContentSequence: "X",
+  CountryOfResidence: "X",
+  CurrentPatientLocation: "X",
+  DigitalSignaturesSequence: "X",
+  DocumentTitle: "X",
+  EthnicGroup: "X",
+  InstitutionAddress: "X",
+  InstitutionalDepartmentName: "X",
+  InstitutionName: "X",
+  IssuerOfPatientID: "X",
+  MedicalRecordLocator: "X",
+  MilitaryRank: "X",
+  ModifiedAttributesSequence: "X",
+  NameOfPhysiciansReadingStudy: "X",
+  Occupation: "X",
+  OperatorsName: "X",
+  OriginalAttributesSequence: "X",
+  OtherPatientIDs: "X",
+  OtherPatientIDsSequence: "X",
+  OtherPatientNames: "X",
+  PatientAddress: "X",
+  PatientAge: "X",
+  PatientBirthDate: "Z",
+  PatientBirthName: "X",
+  PatientBirthTime: "X",
+  PatientComments: "X",
+  PatientID: "Z",
+  PatientInsurancePlanCodeSequence: "X",
+  PatientMotherBirthName: "X",
+  PatientName: "Z",
+  PatientReligiousPreference: "X",
+  PatientSex: "Z",
+  PatientSize: "X",
+  PatientTelephoneNumbers: "X",
+  PatientWeight: "X",
+  PerformedProcedureStepID: "X",
+  PerformingPhysicianName: "X",
+  PersonName: "D",
+  PhysiciansOfRecord: "X",
+  ReferencedPatientSequence: "X",
+  ReferringPhysicianAddress: "X",
+  ReferringPhysicianName: "Z",
+  ReferringPhysicianTelephoneNumbers: "X",
+  RequestAttributesSequence: "X",
+  RequestedProcedureID: "X",
+  RequestingPhysician: "X",
+  ResponsibleOrganization: "X",
+  ResponsiblePerson: "X",
+  ResultsID: "X",
+  StationName: "X",
+  StudyID: "Z",
+  VerifyingObserverName: "D",
+};
+
+// Free-text descriptors: removed by the basic profile, cleaned with the Clean Descriptors Option.
+const DESCRIPTORS = new Set([
+  "AdditionalPatientHistory",
+  "AdmittingDiagnosesDescription",
+  "DerivationDescription",
+  "ImageComments",
+  "PerformedProcedureStepDescription",
+  "ProtocolName",
+  "RequestedProcedureDescription",
+  "ScheduledProcedureStepDescription",
+  "SeriesDescription",
+  "StudyDescription",
+]);
+
+// Dates and times: basic profile action, retained or shifted with the Longitudinal Temporal options.
+const TEMPORAL = {
+  AcquisitionDate: "X",
+  AcquisitionDateTime: "X",
+  AcquisitionTime: "X",
+  AdmittingDate: "X",
+  AdmittingTime: "X",
+  ContentDate: "Z",
+  ContentTime: "Z",
+  Date: "X",
+  DateTime: "X",
+  InstanceCreationDate: "X",
+  InstanceCreationTime: "X",
+  PerformedProcedureStepStartDate: "X",
+  PerformedProcedureStepStartTime: "X",
+  SeriesDate: "X",
+  SeriesTime: "X",
+  StudyDate: "Z",
+  StudyTime: "Z",
+  Time: "X",
+};
+
+// UIDs replaced unless the Retain UIDs Option is set. SOP Class and Transfer Syntax
+// UIDs are not instance identifiers and are always kept.
+const UID_KEYWORDS = new Set([
+  "ConcatenationUID",
+  "DeviceUID",
+  "DimensionOrganizationUID",
+  "FrameOfReferenceUID",
+  "InstanceCreatorUID",
+  "IrradiationEventUID",
+  "MediaStorageSOPInstanceUID",
+  "ReferencedFrameOfReferenceUID",
+  "ReferencedSOPInstanceUID",
+  "RelatedFrameOfReferenceUID",
+  "SeriesInstanceUID",
+  "SOPInstanceUID",
+  "SpecimenUID",
+  "StorageMediaFileSetUID",
+  "StudyInstanceUID",
+  "SynchronizationFrameOfReferenceUID",
+  "TargetUID",
+  "UID",
+]);
+
+// Attributes whose original values are scrubbed out of descriptors and extracted text.
+const IDENTIFIER_KEYWORDS = [
+  "PatientName",
+  "PatientID",
+  "OtherPatientIDs",
+  "OtherPatientNames",
+  "PatientBirthName",
+  "PatientMotherBirthName",
+  "AccessionNumber",
+  "PatientBirthDate",
+  "PatientAddress",
+  "PatientTelephoneNumbers",
+  "ReferringPhysicianName",
+  "PerformingPhysicianName",
+  "NameOfPhysiciansReadingStudy",
+  "InstitutionName",
+  "MedicalRecordLocator",
+  "AdmissionID",
+];
+
+const REDACTED = "[REDACTED]";
+const TEXT_DATE_PATTERNS = [/\b(19|20)\d{2}-\d{2}-\d{2}\b/g, /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g, /\b(19|20)\d{6}\b/g];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isPrivateKey(key) {
+  const match = /^x([0-9a-f]{4})[0-9a-f]{4}$/i.exec(key);
+  return Boolean(match) && parseInt(match[1], 16) % 2 === 1;
+}
+
+function mapValues(value, fn) {
+  return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+/**
+ * Derive a replacement UID under the 2.25 (UUID-derived) root from an HMAC-SHA256 of
+ * the source UID. Deterministic for a secret, so the same source UID maps to the same
+ * replacement in every instance of a study, and the same as pseudonymization's UIDs
+ * with the same secret.
+ * @param {string} uid The source UID
+ * @param {string} secret The HMAC key
+ * @returns {string} The replacement UID
+ */
+function replaceUid(uid, secret) {
+  if (typeof uid !== "string" || uid === "") {
+    return uid;
+  }
+  const digest = crypto.createHmac("sha256", secret).update(`uid:${uid}`).digest("hex").substring(0, 32);
+  return `2.25.${BigInt(`0x${digest}`).toString()}`;
+}
+
+/**
+ * Resolve the HMAC secret for replacement UIDs: deidentification.secret, then
+ * DCM2BQ_DEID_SECRET, then the pseudonymization secret, so one secret can serve both.
+ * @param {Object} [options] The `deidentification` config block
+ * @param {Object} [pseudonymizationOptions] The `pseudonymization` config block
+ * @returns {string} The secret, or "" if none is configured
+ */
+function resolveSecret(options = {}, pseudonymizationOptions = {}) {
+  return options?.secret || process.env[SECRET_ENV_VAR] || pseudonymizationOptions?.secret || process.env[PSEUDONYM_SECRET_ENV_VAR] || "";
+}
+
+/**
+ * Shift a DA (YYYYMMDD) or DT (YYYYMMDDHHMMSS...) value by a number of days,
+ * preserving any time and offset suffix. Values that are not dates pass through.
+ */
+function shiftDate(value, days) {
+  if (typeof value !== "string" || !/^\d{8}/.test(value)) {
+    return value;
+  }
+  const date = new Date(Date.UTC(Number(value.slice(0, 4)), Number(value.slice(4, 6)) - 1, Number(value.slice(6, 8))));
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  date.setUTCDate(date.getUTCDate() + days);
+  const shifted = date.toISOString().slice(0, 10).replace(/-/g, "");
+  return `${shifted}${value.slice(8)}`;
+}
+
+function personNameStrings(value) {
+  if (typeof value === "string") {
+    return [value];
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).filter((v) => typeof v === "string");
+  }
+  return [];
+}
+
+/**
+ * Collect identifying strings from the original dataset for text scrubbing.
+ * Person names contribute each `^`-separated component; dates also contribute
+ * their common formatted spellings.
+ */
+function collectIdentifiers(dataset) {
+  const identifiers = new Set();
+  for (const keyword of IDENTIFIER_KEYWORDS) {
+    const values = Array.isArray(dataset[keyword]) ? dataset[keyword] : [dataset[keyword]];
+    for (const value of values) {
+      for (const str of personNameStrings(value)) {
+        const trimmed = str.trim();
+        if (trimmed.length < 2) continue;
+        identifiers.add(trimmed);
+        for (const part of trimmed.split(/[\^=]/)) {
+          if (part.trim().length >= 2) identifiers.add(part.trim());
+        }
+        if (/^\d{8}$/.test(trimmed)) {
+          identifiers.add(`${trimmed.slice(0, 4)}-${trimmed.slice(4, 6)}-${trimmed.slice(6, 8)}`);
+          identifiers.add(`${trimmed.slice(4, 6)}/${trimmed.slice(6, 8)}/${trimmed.slice(0, 4)}`);
+        }
+      }
+    }
+  }
+  // Longest first, so "Doe^John" is redacted before "Doe".
+  return [...identifiers].sort((a, b) => b.length - a.length);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a scrubber that redacts the dataset's identifying values (and, unless
+ * dates are retained, date-like strings) from free text.
+ * @param {string[]} identifiers Values from collectIdentifiers()
+ * @param {Object} options The deidentification config block
+ * @returns {function(string): string}
+ */
+function createTextScrubber(identifiers, options = {}) {
+  const patterns = identifiers.map((id) => {
+    const escaped = escapeRegExp(id);
+    // Word boundaries only make sense where the identifier starts/ends with a word character.
+    const start = /^\w/.test(id) ? "\\b" : "";
+    const end = /\w$/.test(id) ? "\\b" : "";
+    return new RegExp(`${start}${escaped}${end}`, "gi");
+  });
+  const scrubDates = options.dates !== "retain";
+  return (text) => {
+    if (typeof text !== "string" || text === "") {
+      return text;
+    }
+    let out = text;
+    for (const pattern of patterns) {
+      out = out.replace(pattern, REDACTED);
+    }
+    if (scrubDates) {
+      for (const pattern of TEXT_DATE_PATTERNS) {
+        out = out.replace(pattern, REDACTED);
+      }
+    }
+    return out;
+  };
+}
+
+function applyAction(action, value) {
+  switch (action) {
+    case "X":
+      return undefined;
+    case "Z":
+      return "";
+    case "D":
+      return mapValues(value, () => DUMMY_VALUE);
+    default:
+      return value;
+  }
+}
+
+function deidentifyItem(dataset, options, scrub, preserve) {
+  const out = {};
+  for (const [key, value] of Object.entries(dataset)) {
+    let result = value;
+    if (isPrivateKey(key)) {
+      continue;
+    } else if (preserve.has(key)) {
+      result = value;
+    } else if (ACTIONS[key]) {
+      result = applyAction(ACTIONS[key], value);
+    } else if (DESCRIPTORS.has(key)) {
+      result = options.cleanDescriptors ? mapValues(value, scrub) : undefined;
+    } else if (TEMPORAL[key]) {
+      if (options.dates === "retain") {
+        result = value;
+      } else if (options.dates === "shift") {
+        result = /Time$/.test(key) && !/DateTime$/.test(key) ? value : mapValues(value, (v) => shiftDate(v, options.dateShiftDays || 0));
+      } else {
+        result = applyAction(TEMPORAL[key], value);
+      }
+    } else if (UID_KEYWORDS.has(key)) {
+      result = options.retainUids ? value : mapValues(value, (uid) => replaceUid(uid, options.secret));
+    } else if (Array.isArray(value)) {
+      result = value.map((item) => (isPlainObject(item) && !("BulkDataURI" in item) ? deidentifyItem(item, options, scrub, preserve) : item));
+    } else if (isPlainObject(value) && !("BulkDataURI" in value)) {
+      result = deidentifyItem(value, options, scrub, preserve);
+    }
+    if (result !== undefined) {
+      out[key] = result;
+    }
+  }
+  return out;
+}
+
+/**
+ * Names of the profile options in effect, as recorded in `info.deidentification`.
+ */
+function describeOptions(options) {
+  const names = [];
+  if (options.dates === "retain") names.push("retainLongitudinalFullDates");
+  if (options.dates === "shift") names.push("retainLongitudinalModifiedDates");
+  if (options.retainUids) names.push("retainUids");
+  if (options.cleanDescriptors) names.push("cleanDescriptors");
+  return names;
+}
+
+function methodCodes(options) {
+  const codes = [METHOD_CODES.basic];
+  if (options.dates === "retain") codes.push(METHOD_CODES.retainFullDates);
+  if (options.dates === "shift") codes.push(METHOD_CODES.retainModifiedDates);
+  if (options.retainUids) codes.push(METHOD_CODES.retainUids);
+  if (options.cleanDescriptors) codes.push(METHOD_CODES.cleanDescriptors);
+  return codes;
+}
+
+/**
+ * Whether de-identification is configured on.
+ * @param {Object} [options] The `deidentification` config block
+ */
+function isEnabled(options) {
+  return Boolean(options?.enabled);
+}
+
+/**
+ * De-identify a parsed dataset.
+ * @param {Object} dataset The flat DICOM JSON
+ * @param {Object} options The `deidentification` config block; callers falling back to the
+ *   pseudonymization secret pass resolveSecret's result as its secret
+ * @param {Set<string>} [preserve] Keywords to leave untouched, e.g. values that are
+ *   replaced by pseudonymization
+ * @returns {{dataset: Object, scrubText: function(string): string, info: {profile: string, options: string[]}}}
+ *   The de-identified dataset, a scrubber for text extracted from the same object,
+ *   and a summary for the row's `info.deidentification`.
+ * @throws {Error} If the profile is not supported, or UIDs are replaced and no secret is configured
+ */
+function deidentify(dataset, options = {}, preserve = new Set()) {
+  const profile = options.profile || PROFILE_BASIC;
+  if (profile !== PROFILE_BASIC) {
+    throw new Error(`Unsupported de-identification profile: ${profile}`);
+  }
+  const secret = resolveSecret(options);
+  if (!options.retainUids && !secret) {
+    throw new Error(`De-identification replaces UIDs but no secret is configured (set deidentification.secret, ${SECRET_ENV_VAR} or the pseudonymization secret)`);
+  }
+  const scrubText = createTextScrubber(collectIdentifiers(dataset), options);
+  const out = deidentifyItem(dataset, { ...options, secret }, scrubText, preserve);
+
+  out.PatientIdentityRemoved = "YES";
+  out.DeidentificationMethod = ["PS3.15 Basic Application Level Confidentiality Profile", ...describeOptions(options)].join("; ");
+  out.DeidentificationMethodCodeSequence = methodCodes(options);
+  out.LongitudinalTemporalInformationModified =
+    options.dates === "retain" ? "UNMODIFIED" : options.dates === "shift" ? "MODIFIED" : "REMOVED";
+
+  return {
+    dataset: out,
+    scrubText,
+    info: { profile, options: describeOptions(options) },
+  };
+}
+
+module.exports = { deidentify, isEnabled, replaceUid, resolveSecret, shiftDate, createTextScrubber, collectIdentifiers, ADDED_ELEMENTS, UID_KEYWORDS, SECRET_ENV_VAR };
@@ -0,0 +1,76 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Detect DICOM files by content rather than by name. PACS exports and DICOMDIR media
+ * usually hold extensionless files (IM000001, ...), so archive members and folder scans
+ * are classified by the "DICM" magic after the 128-byte preamble (PS3.10 7.1).
+ * Optionally, preamble-less implicit VR little endian files (older PS3.10-less dumps)
+ * are accepted too, recognized by a plausible first element in group 0008.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { isDicomdirName } = require("./dicomdir");
+
+const PREAMBLE_LENGTH = 128;
+const MAGIC = Buffer.from("DICM", "ascii");
+const HEADER_LENGTH = PREAMBLE_LENGTH + MAGIC.length;
+
+/**
+ * Classify the first bytes of a file.
+ * @param {Buffer} header Up to the first 132 bytes
+ * @param {number} fileSize The file size in bytes
+ * @param {boolean} [acceptPreambleless] Also accept preamble-less implicit VR little endian data
+ * @returns {boolean} Whether the bytes look like DICOM
+ */
+function isDicomHeader(header, fileSize, acceptPreambleless = false) {
+  if (header.length >= HEADER_LENGTH && header.subarray(PREAMBLE_LENGTH, HEADER_LENGTH).equals(MAGIC)) {
+    return true;
+  }
+  if (!acceptPreambleless || header.length < 8) {
+    return false;
+  }
+  // Implicit VR little endian: group (2) element (2) length (4), no VR. A dataset without
+  // meta information starts in group 0008 and values are padded to an even length.
+  const group = header.readUInt16LE(0);
+  const length = header.readUInt32LE(4);
+  return group === 0x0008 && length % 2 === 0 && length <= fileSize - 8;
+}
+
+/**
+ * Whether a file on disk is DICOM, judged by its content.
+ * @param {string} filePath The file path
+ * @param {{acceptPreambleless?: boolean}} [options] Detection options
+ * @returns {Promise<boolean>} True for DICOM files (never for a DICOMDIR)
+ */
+async function isDicomFile(filePath, options = {}) {
+  // The media directory itself is a DICOM file, but not an instance
+  if (isDicomdirName(filePath)) {
+    return false;
+  }
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(Math.min(HEADER_LENGTH, size));
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    return isDicomHeader(header.subarray(0, bytesRead), size, Boolean(options.acceptPreambleless));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { isDicomHeader, isDicomFile };
@@ -0,0 +1,135 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * DICOMDIR (PS3.10 media directory) support for archive ingestion: CD/DVD imports are
+ * zipped or tarred media with a DICOMDIR at the root whose PATIENT/STUDY/SERIES/IMAGE
+ * records reference the instance files by ReferencedFileID. Media file names are
+ * ISO-9660 style (uppercase 8.3, possibly with a ";1" version or a trailing "."), and
+ * extraction can change their case, so references are matched on normalized paths.
+ */
+
+const path = require("path");
+
+// Record types that carry patient, study and series context for the records below them
+const CONTEXT_RECORD_TYPES = ["PATIENT", "STUDY", "SERIES"];
+
+/**
+ * Normalize a media path component (or relative path) for matching: uppercase,
+ * "/" separated, without ISO-9660 ";<version>" suffixes or trailing dots.
+ * @param {string} relativePath The path
+ * @returns {string} The normalized path
+ */
+function normalizeMediaPath(relativePath) {
+  return relativePath
+    .split(/[\\/]+/)
+    .filter(Boolean)
+    .map((component) => component.replace(/;\d*$/, "").replace(/\.+$/, "").toUpperCase())
+    .join("/");
+}
+
+/**
+ * Whether a file name is a DICOMDIR (in any ISO-9660 spelling).
+ * @param {string} filePath The file path
+ */
+function isDicomdirName(filePath) {
+  return normalizeMediaPath(path.basename(filePath)) === "DICOMDIR";
+}
+
+function firstValue(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === "string" ? first.trim() : first ?? null;
+}
+
+function toFileIdComponents(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const components = (Array.isArray(value) ? value : String(value).split("\\"))
+    .map((component) => String(component).trim())
+    .filter(Boolean);
+  return components.length > 0 ? components : null;
+}
+
+/**
+ * Read the directory records of a parsed DICOMDIR (flat JSON). Records are listed
+ * depth first, so the patient, study and series of a record are the latest records of
+ * those types before it.
+ * @param {Object} json The flat JSON of the DICOMDIR
+ * @returns {Array<{recordType: string, fileId: string[]|null, sopInstanceUid: string|null,
+ *   patientId: string|null, studyInstanceUid: string|null, seriesInstanceUid: string|null}>}
+ */
+function readDirectoryRecords(json) {
+  const items = json?.DirectoryRecordSequence;
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  const context = { patientId: null, studyInstanceUid: null, seriesInstanceUid: null };
+  return items.map((item) => {
+    const recordType = String(firstValue(item.DirectoryRecordType) || "").toUpperCase();
+    if (recordType === "PATIENT") {
+      Object.assign(context, { patientId: firstValue(item.PatientID), studyInstanceUid: null, seriesInstanceUid: null });
+    } else if (recordType === "STUDY") {
+      Object.assign(context, { studyInstanceUid: firstValue(item.StudyInstanceUID), seriesInstanceUid: null });
+    } else if (recordType === "SERIES") {
+      context.seriesInstanceUid = firstValue(item.SeriesInstanceUID);
+    }
+    return {
+      recordType,
+      fileId: CONTEXT_RECORD_TYPES.includes(recordType) ? null : toFileIdComponents(item.ReferencedFileID),
+      sopInstanceUid: firstValue(item.ReferencedSOPInstanceUIDInFile),
+      ...context,
+    };
+  });
+}
+
+/**
+ * Match the records of a DICOMDIR to extracted files, and reconcile the two.
+ * @param {string} dicomdirPath Path of the extracted DICOMDIR (references are relative to its directory)
+ * @param {Array<Object>} records From readDirectoryRecords
+ * @param {string[]} extractedFiles Paths of all extracted files
+ * @returns {{referenced: string[], missing: Array<Object>, recordCounts: Object<string, number>}}
+ *   Paths of referenced files that exist, records whose file does not, and records per type
+ */
+function resolveDirectoryRecords(dicomdirPath, records, extractedFiles) {
+  const mediaRoot = path.dirname(dicomdirPath);
+  const byMediaPath = new Map();
+  for (const file of extractedFiles) {
+    const relative = path.relative(mediaRoot, file);
+    if (!relative.startsWith("..")) {
+      byMediaPath.set(normalizeMediaPath(relative), file);
+    }
+  }
+
+  const referenced = [];
+  const missing = [];
+  const recordCounts = {};
+  for (const record of records) {
+    recordCounts[record.recordType] = (recordCounts[record.recordType] || 0) + 1;
+    if (!record.fileId) {
+      continue;
+    }
+    const file = byMediaPath.get(normalizeMediaPath(record.fileId.join("/")));
+    if (file) {
+      referenced.push(file);
+    } else {
+      missing.push({ ...record, fileId: record.fileId.join("\\") });
+    }
+  }
+  return { referenced, missing, recordCounts };
+}
+
+module.exports = { normalizeMediaPath, isDicomdirName, readDirectoryRecords, resolveDirectoryRecords };
@@ -14,8 +14,11 @@
  limitations under the License.
  */
 
+const crypto = require("crypto");
+const fs = require("fs");
 const { fileURLToPath } = require("url");
 const { readJson } = require("@pohcee/dcmnorm-node");
+const { convertToDicomweb } = require("./dicomweb");
 
 const FILE_META_HEADER_KEYS = new Set([
   "FileMetaInformationGroupLength",
@@ -36,6 +39,41 @@ function isPlainObject(value) {
   return value !== null && typeof value === "object" && !Array.isArray(value);
 }
 
+/**
+ * Map the keys of a flat parse to their tags and VRs by pairing it with a DICOMweb parse
+ * of the same file. dcmnorm emits elements in the same order in both formats.
+ * @param {Object} flat The unfiltered flat JSON
+ * @param {Object} dicomweb The unfiltered DICOMweb JSON
+ * @param {Map<string, {tag: string, vr: string}>} [dictionary] Accumulates across sequence items
+ * @returns {Map<string, {tag: string, vr: string}>} Flat key to tag and VR
+ * @throws {Error} If the two parses don't line up
+ */
+function buildElementDictionary(flat, dicomweb, dictionary = new Map()) {
+  const entries = Object.entries(flat || {});
+  const tags = Object.keys(dicomweb || {});
+  if (entries.length !== tags.length) {
+    throw new Error(`Flat and DICOMweb parses differ in element count (${entries.length} vs ${tags.length})`);
+  }
+  entries.forEach(([key, value], i) => {
+    const tag = tags[i].toUpperCase();
+    const match = /^x([0-9a-f]{8})$/i.exec(key);
+    if (match && match[1].toUpperCase() !== tag) {
+      throw new Error(`Flat and DICOMweb parses differ in element order at ${key}`);
+    }
+    const element = dicomweb[tags[i]] || {};
+    dictionary.set(key, { tag, vr: element.vr });
+    if (element.vr === "SQ" && Array.isArray(element.Value)) {
+      const items = Array.isArray(value) ? value : [value];
+      element.Value.forEach((item, j) => {
+        if (isPlainObject(items[j])) {
+          buildElementDictionary(items[j], item, dictionary);
+        }
+      });
+    }
+  });
+  return dictionary;
+}
+
 function getDcmnormVersion() {
   try {
     const pkg = require("@pohcee/dcmnorm-node/package.json");
@@ -45,9 +83,9 @@ function getDcmnormVersion() {
   }
 }
 
-async function parseDicomFileWithDcmnorm(inputPath) {
+async function parseDicomFileWithDcmnorm(inputPath, format = "flat") {
   try {
-    const jsonText = await readJson(inputPath, { format: "flat", bulkData: "uri" });
+    const jsonText = await readJson(inputPath, { format, bulkData: "uri" });
     return typeof jsonText === "string" ? JSON.parse(jsonText) : jsonText;
   } catch (error) {
     const details = [];
@@ -132,6 +170,37 @@ function filterByOutputOptions(json, outputOptions = {}) {
   return out;
 }
 
+// Elements whose bytes make up the content fingerprint (pixels, or the wrapped document)
+const CONTENT_KEYWORDS = ["PixelData", "FloatPixelData", "DoubleFloatPixelData", "EncapsulatedDocument"];
+
+function collectBulkDataUris(value, uris = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectBulkDataUris(item, uris));
+  } else if (isPlainObject(value) && typeof value.BulkDataURI === "string") {
+    uris.push(value.BulkDataURI);
+  }
+  return uris;
+}
+
+function hashStream(hash, stream) {
+  return new Promise((resolve, reject) => {
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("end", resolve);
+    stream.on("error", reject);
+  });
+}
+
+/**
+ * SHA-256 of a file's bytes.
+ * @param {string} inputPath Local file path
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(inputPath) {
+  const hash = crypto.createHash("sha256");
+  await hashStream(hash, fs.createReadStream(inputPath));
+  return hash.digest("hex");
+}
+
 class DicomFile {
   constructor(url, parserOptions = {}) {
     if (!(url instanceof URL)) {
@@ -139,17 +208,72 @@ class DicomFile {
     }
     this.url = url;
     this.parserOptions = parserOptions;
+    this.parsed = new Map();
   }
 
-  async parse() {
-    const inputPath = fileURLToPath(this.url);
-    return parseDicomFileWithDcmnorm(inputPath);
+  /**
+   * Parse the file with dcmnorm; results are cached per format.
+   * @param {('flat'|'dicomweb')} [format] The dcmnorm JSON format
+   */
+  async parse(format = "flat") {
+    if (!this.parsed.has(format)) {
+      const inputPath = fileURLToPath(this.url);
+      this.parsed.set(format, parseDicomFileWithDcmnorm(inputPath, format));
+    }
+    return this.parsed.get(format);
   }
 
   async toJson(outputOptions = {}) {
     const parsed = await this.parse();
     return filterByOutputOptions(parsed, outputOptions);
   }
+
+  /**
+   * Hash the file: SHA-256 of all its bytes, and of the pixel data (or encapsulated
+   * document) bytes alone, read at the offsets of their BulkDataURIs. The second hash
+   * is the same for copies of an object that differ only in header attributes.
+   * @param {string} [fileSha256] The whole-file hash, when already known
+   * @returns {Promise<{sha256: string, pixelDataSha256: string|null}>} Hex digests; pixelDataSha256
+   *   is null when the file has no such element
+   */
+  async hashContent(fileSha256) {
+    const inputPath = fileURLToPath(this.url);
+    const sha256 = fileSha256 || (await hashFile(inputPath));
+
+    const parsed = await this.parse();
+    const keyword = CONTENT_KEYWORDS.find((key) => key in parsed);
+    const ranges = keyword ? collectBulkDataUris(parsed[keyword]).map(parseBulkDataUri) : [];
+    let pixelDataSha256 = null;
+    if (ranges.length > 0 && ranges.every((range) => range !== null)) {
+      const pixelHash = crypto.createHash("sha256");
+      for (const { offset, length } of ranges) {
+        if (length > 0) {
+          await hashStream(pixelHash, fs.createReadStream(inputPath, { start: offset, end: offset + length - 1 }));
+        }
+      }
+      pixelDataSha256 = pixelHash.digest("hex");
+    }
+    return { sha256, pixelDataSha256 };
+  }
+
+  /**
+   * Map the keys of this file's flat JSON to their tags and VRs, from a DICOMweb parse.
+   * @returns {Promise<Map<string, {tag: string, vr: string}>>} Flat key to tag and VR
+   */
+  async elementDictionary() {
+    const [flat, dicomweb] = await Promise.all([this.parse(), this.parse("dicomweb")]);
+    return buildElementDictionary(flat, dicomweb);
+  }
+
+  /**
+   * Convert flat JSON read from this file (and possibly de-identified, pseudonymized or
+   * projected since) to DICOMweb JSON, taking tags and VRs from a DICOMweb parse.
+   * @param {Object} json Flat JSON from toJson()
+   * @returns {Promise<Object>} The DICOMweb JSON
+   */
+  async toDicomweb(json) {
+    return convertToDicomweb(json, await this.elementDictionary());
+  }
 }
 
 function parseBulkDataUri(bulkDataUri) {
@@ -180,4 +304,4 @@ function parseBulkDataUri(bulkDataUri) {
   };
 }
 
-module.exports = { DicomFile, parseBulkDataUri };
+module.exports = { DicomFile, buildElementDictionary, parseBulkDataUri, hashFile };
@@ -0,0 +1,282 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * A DICOMweb (PS3.18) source, such as Orthanc, dcm4chee or a Healthcare API DICOM store:
+ * QIDO-RS lists the series and instances of a study and WADO-RS retrieves each instance
+ * as multipart/related. Single Healthcare API instances keep their simpler path (see
+ * hcapi.js).
+ */
+
+const fs = require("fs").promises;
+const { GoogleAuth } = require("google-auth-library");
+const { createHttpError, createNonRetryableError } = require("./utils");
+
+const AUTH_TYPES = ["none", "basic", "bearer", "google"];
+// Any transfer syntax: the instance is stored as the server has it, with no transcoding
+const WADO_ACCEPT = 'multipart/related; type="application/dicom"; transfer-syntax=*';
+const QIDO_ACCEPT = "application/dicom+json";
+const QIDO_PAGE_SIZE = 1000;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const UID = "[0-9]+(?:\\.[0-9]+)*";
+const PATH_PATTERN = new RegExp(`^studies/(${UID})(?:/series/(${UID})(?:/instances/(${UID}))?)?$`);
+
+let googleAuth = null;
+
+/**
+ * Parse the DICOMweb path of an event: a study, a series or an instance.
+ * @param {string} dicomWebPath studies/{study}[/series/{series}[/instances/{instance}]]
+ * @returns {{studyInstanceUid: string, seriesInstanceUid: string|null, sopInstanceUid: string|null}}
+ * @throws {Error} Non-retryable error for anything else
+ */
+function parseDicomwebPath(dicomWebPath) {
+  const match = PATH_PATTERN.exec(String(dicomWebPath || "").trim().replace(/^\/+|\/+$/g, ""));
+  if (!match) {
+    throw createNonRetryableError(`Not a DICOMweb study, series or instance path: ${dicomWebPath}`);
+  }
+  return { studyInstanceUid: match[1], seriesInstanceUid: match[2] || null, sopInstanceUid: match[3] || null };
+}
+
+function toPath({ studyInstanceUid, seriesInstanceUid, sopInstanceUid }) {
+  let result = `studies/${studyInstanceUid}`;
+  if (seriesInstanceUid) {
+    result += `/series/${seriesInstanceUid}`;
+    if (sopInstanceUid) {
+      result += `/instances/${sopInstanceUid}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * The URL of a study, series or instance, which is also the path of its rows.
+ * @param {{baseUrl: string}} source The DICOMweb source
+ * @param {Object} uids From parseDicomwebPath
+ * @returns {string} The URL
+ */
+function createUriPath(source, uids) {
+  return `${source.baseUrl.replace(/\/+$/, "")}/${toPath(uids)}`;
+}
+
+/**
+ * Headers authenticating a request to the source.
+ * @param {{auth?: {type?: string, username?: string, password?: string, token?: string}}} source The DICOMweb source
+ * @param {string} url The request URL (Google credentials may be scoped to it)
+ * @returns {Promise<Object<string, string>>} The headers
+ */
+async function getAuthHeaders(source, url) {
+  const auth = source.auth || {};
+  switch (auth.type || "none") {
+    case "none":
+      return {};
+    case "basic":
+      return { Authorization: `Basic ${Buffer.from(`${auth.username || ""}:${auth.password || ""}`).toString("base64")}` };
+    case "bearer":
+      if (!auth.token) {
+        throw createNonRetryableError("dicomweb.auth.token is required for bearer authentication");
+      }
+      return { Authorization: `Bearer ${auth.token}` };
+    case "google": {
+      if (!googleAuth) {
+        googleAuth = new GoogleAuth({ scopes: "https://www.googleapis.com/auth/cloud-platform" });
+      }
+      const client = await googleAuth.getClient();
+      return Object.fromEntries(new Headers(await client.getRequestHeaders(url)));
+    }
+    default:
+      throw createNonRetryableError(`Unsupported dicomweb.auth.type: ${auth.type} (expected one of ${AUTH_TYPES.join(", ")})`);
+  }
+}
+
+async function request(source, url, accept) {
+  const headers = { ...(await getAuthHeaders(source, url)), Accept: accept };
+  let res;
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(source.timeoutMs || DEFAULT_TIMEOUT_MS) });
+  } catch (error) {
+    // Connection failures and timeouts: the server may well be back on redelivery
+    const reason = error?.cause?.code || error?.message || String(error);
+    throw createHttpError(503, `DICOMweb request to ${url} failed: ${reason}`);
+  }
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    throw createHttpError(res.status, `DICOMweb request to ${url} failed: ${res.status} ${res.statusText}${body ? `: ${body.slice(0, 200)}` : ""}`);
+  }
+  return res;
+}
+
+function firstValue(element) {
+  const value = element?.Value?.[0];
+  return typeof value === "string" ? value : null;
+}
+
+// QIDO-RS search of a resource, a page at a time
+async function search(source, resourceUrl) {
+  const matches = [];
+  for (let offset = 0; ; offset += QIDO_PAGE_SIZE) {
+    const url = `${resourceUrl}?limit=${QIDO_PAGE_SIZE}&offset=${offset}`;
+    const res = await request(source, url, QIDO_ACCEPT);
+    // 204 No Content: nothing (more) matches
+    const results = res.status === 204 ? [] : await res.json();
+    if (!Array.isArray(results)) {
+      throw createNonRetryableError(`DICOMweb search ${url} did not return a JSON array`);
+    }
+    matches.push(...results);
+    if (results.length < QIDO_PAGE_SIZE) {
+      return matches;
+    }
+  }
+}
+
+/**
+ * QIDO-RS: list the series of a study.
+ * @param {{baseUrl: string, auth?: Object, timeoutMs?: number}} source The DICOMweb source
+ * @param {{studyInstanceUid: string}} uids The study
+ * @returns {Promise<Array<{studyInstanceUid: string, seriesInstanceUid: string, sopInstanceUid: null}>>}
+ */
+async function searchSeries(source, uids) {
+  const results = await search(source, `${createUriPath(source, { studyInstanceUid: uids.studyInstanceUid })}/series`);
+  return results
+    .map((result) => firstValue(result["0020000E"]))
+    .filter(Boolean)
+    .map((seriesInstanceUid) => ({ studyInstanceUid: uids.studyInstanceUid, seriesInstanceUid, sopInstanceUid: null }));
+}
+
+/**
+ * QIDO-RS: list the instances of a study or series.
+ * @param {{baseUrl: string, auth?: Object, timeoutMs?: number}} source The DICOMweb source
+ * @param {{studyInstanceUid: string, seriesInstanceUid?: string|null}} uids The study, and optionally series
+ * @returns {Promise<Array<{studyInstanceUid: string, seriesInstanceUid: string, sopInstanceUid: string}>>}
+ */
+async function searchInstances(source, uids) {
+  const results = await search(source, `${createUriPath(source, { ...uids, sopInstanceUid: null })}/instances`);
+  return results
+    .filter((result) => firstValue(result["00080018"]))
+    .map((result) => ({
+      studyInstanceUid: firstValue(result["0020000D"]) || uids.studyInstanceUid,
+      seriesInstanceUid: firstValue(result["0020000E"]) || uids.seriesInstanceUid,
+      sopInstanceUid: firstValue(result["00080018"]),
+    }));
+}
+
+/**
+ * List the instances of a study, series or instance. Studies are searched series by
+ * series, which keeps each search (and its pages) small.
+ * @param {{baseUrl: string, auth?: Object, timeoutMs?: number}} source The DICOMweb source
+ * @param {Object} uids From parseDicomwebPath
+ * @returns {Promise<Array<{studyInstanceUid: string, seriesInstanceUid: string, sopInstanceUid: string}>>}
+ */
+async function listInstances(source, uids) {
+  if (uids.sopInstanceUid) {
+    return [uids];
+  }
+  const series = uids.seriesInstanceUid ? [uids] : await searchSeries(source, uids);
+  const instances = [];
+  for (const each of series) {
+    instances.push(...(await searchInstances(source, each)));
+  }
+  return instances;
+}
+
+// A delimiter starts a line and is followed by "--", whitespace or the end of the line
+function indexOfDelimiter(buffer, delimiter, from) {
+  const needle = Buffer.from(delimiter);
+  for (let index = buffer.indexOf(needle, from); index >= 0; index = buffer.indexOf(needle, index + 1)) {
+    const next = buffer[index + needle.length];
+    if ((index === 0 || buffer[index - 1] === 0x0a) && [0x2d, 0x20, 0x09, 0x0d, 0x0a, undefined].includes(next)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a multipart/related body (RFC 2387) into its parts.
+ * @param {Buffer} body The response body
+ * @param {string} contentType The response Content-Type, with the boundary
+ * @returns {Array<{headers: Object<string, string>, body: Buffer}>} The parts, header names in lowercase
+ * @throws {Error} Non-retryable error if the body is not multipart or is truncated
+ */
+function parseMultipartRelated(body, contentType) {
+  const boundary = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+  if (!/^multipart\/related/i.test(contentType || "") || !boundary) {
+    throw createNonRetryableError(`Expected a multipart/related response with a boundary, got ${contentType}`);
+  }
+  const delimiter = `--${boundary[1] || boundary[2]}`;
+  const parts = [];
+  let start = indexOfDelimiter(body, delimiter, 0);
+  while (start >= 0) {
+    // The close delimiter ends the body
+    if (body.subarray(start + delimiter.length, start + delimiter.length + 2).toString() === "--") {
+      return parts;
+    }
+    const lineEnd = body.indexOf("\n", start);
+    // From the delimiter line's own CRLF, so a part without headers is found too
+    const headerEnd = lineEnd < 0 ? -1 : body.indexOf("\r\n\r\n", lineEnd - 1);
+    if (headerEnd < 0) {
+      break;
+    }
+    const headers = {};
+    for (const line of body.subarray(lineEnd + 1, headerEnd).toString().split("\r\n")) {
+      const colon = line.indexOf(":");
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    }
+    const next = indexOfDelimiter(body, delimiter, headerEnd + 4);
+    if (next < 0) {
+      break;
+    }
+    // The CRLF before a delimiter belongs to the delimiter
+    const end = body[next - 2] === 0x0d ? next - 2 : next - 1;
+    parts.push({ headers, body: body.subarray(headerEnd + 4, end) });
+    start = next;
+  }
+  throw createNonRetryableError("Truncated multipart/related response: no close delimiter");
+}
+
+/**
+ * WADO-RS: retrieve an instance into a file.
+ * @param {{baseUrl: string, auth?: Object, timeoutMs?: number}} source The DICOMweb source
+ * @param {{studyInstanceUid: string, seriesInstanceUid: string, sopInstanceUid: string}} uids The instance
+ * @param {string} destinationPath Where to write the instance
+ * @returns {Promise<number>} The instance's size in bytes
+ */
+async function retrieveInstance(source, uids, destinationPath) {
+  const url = createUriPath(source, uids);
+  const res = await request(source, url, WADO_ACCEPT);
+  const body = Buffer.from(await res.arrayBuffer());
+  const parts = parseMultipartRelated(body, res.headers.get("content-type"));
+  const part = parts.find((candidate) => /^application\/dicom\b/i.test(candidate.headers["content-type"] || "application/dicom"));
+  if (!part) {
+    throw createNonRetryableError(`DICOMweb retrieve ${url} returned no application/dicom part`);
+  }
+  await fs.writeFile(destinationPath, part.body);
+  return part.body.length;
+}
+
+module.exports = {
+  AUTH_TYPES,
+  parseDicomwebPath,
+  createUriPath,
+  getAuthHeaders,
+  searchSeries,
+  searchInstances,
+  listInstances,
+  parseMultipartRelated,
+  retrieveInstance,
+};
@@ -0,0 +1,82 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * DICOMweb JSON (PS3.18 Annex F) output (`jsonOutput.format: "dicomweb"`).
+ *
+ * Processing always works on the flat (keyword-keyed) JSON: embeddings, de-identification,
+ * pseudonymization and projection all rely on common names. The result is converted at
+ * the end, using the tags and VRs of a DICOMweb-format parse of the same file, so
+ * removed, replaced and projected elements carry over.
+ */
+
+const { ADDED_ELEMENTS } = require("./deidentify");
+
+const TAG_KEY = /^x([0-9a-f]{8})$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isBulkData(value) {
+  return isPlainObject(value) && ("BulkDataURI" in value || "InlineBinary" in value);
+}
+
+function lookupElement(key, dictionary) {
+  const entry = dictionary.get(key) || ADDED_ELEMENTS[key];
+  if (entry) {
+    return entry;
+  }
+  const match = TAG_KEY.exec(key);
+  if (match) {
+    return { tag: match[1].toUpperCase(), vr: "UN" };
+  }
+  throw new Error(`No tag known for element ${key}`);
+}
+
+function toElement(key, value, dictionary) {
+  const { vr } = lookupElement(key, dictionary);
+  const element = { vr: vr || "UN" };
+  const values = Array.isArray(value) ? value : [value];
+  if (value === null || value === undefined || value === "" || values.length === 0) {
+    return element;
+  }
+  if (element.vr === "SQ") {
+    element.Value = values.map((item) => convertToDicomweb(item, dictionary));
+  } else if (isBulkData(values[0])) {
+    Object.assign(element, values[0]);
+  } else {
+    element.Value = values;
+  }
+  return element;
+}
+
+/**
+ * Convert flat JSON to DICOMweb JSON: elements keyed by tag, in tag order, with
+ * `vr` and `Value`, `BulkDataURI` or `InlineBinary`.
+ * @param {Object} json Flat JSON, possibly de-identified, pseudonymized or projected
+ * @param {Map<string, {tag: string, vr: string}>} dictionary From dicomtojson.buildElementDictionary
+ * @returns {Object} The DICOMweb JSON
+ * @throws {Error} If an element has no known tag
+ */
+function convertToDicomweb(json, dictionary) {
+  const elements = Object.entries(json || {})
+    .map(([key, value]) => [lookupElement(key, dictionary).tag, toElement(key, value, dictionary)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return Object.fromEntries(elements);
+}
+
+module.exports = { convertToDicomweb };
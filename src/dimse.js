@@ -0,0 +1,617 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * A DICOM storage SCP: the upper layer protocol (PS3.8) and the DIMSE C-STORE and C-ECHO
+ * services (PS3.7) over TCP. Each received dataset is written to a PS3.10 file, with file
+ * meta information built from the command and the negotiated transfer syntax, and handed
+ * to a callback whose outcome becomes the C-STORE response status. Only what storage needs
+ * is implemented: operations are not asynchronous, and role selection and extended
+ * negotiation are declined by omission.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { DEBUG_MODE } = require("./utils");
+const pkg = require("../package.json");
+
+const PDU_TYPE = { ASSOCIATE_RQ: 0x01, ASSOCIATE_AC: 0x02, ASSOCIATE_RJ: 0x03, P_DATA_TF: 0x04, RELEASE_RQ: 0x05, RELEASE_RP: 0x06, ABORT: 0x07 };
+const COMMAND = { C_STORE_RQ: 0x0001, C_STORE_RSP: 0x8001, C_ECHO_RQ: 0x0030, C_ECHO_RSP: 0x8030, C_CANCEL_RQ: 0x0fff };
+const STATUS = {
+  SUCCESS: 0x0000,
+  PROCESSING_FAILURE: 0x0110,
+  UNRECOGNIZED_OPERATION: 0x0211,
+  OUT_OF_RESOURCES: 0xa700,
+  CANNOT_UNDERSTAND: 0xc000,
+};
+
+const APPLICATION_CONTEXT = "1.2.840.10008.3.1.1.1";
+const VERIFICATION_SOP_CLASS = "1.2.840.10008.1.1";
+// Storage SOP classes accepted when dimse.sopClasses is empty
+const STORAGE_SOP_CLASS_ROOT = "1.2.840.10008.5.1.4.1.1.";
+const IMPLICIT_VR_LITTLE_ENDIAN = "1.2.840.10008.1.2";
+const EXPLICIT_VR_LITTLE_ENDIAN = "1.2.840.10008.1.2.1";
+const IMPLEMENTATION_CLASS_UID = `2.25.${BigInt(`0x${crypto.createHash("sha256").update(pkg.name).digest("hex").substring(0, 32)}`).toString()}`;
+const IMPLEMENTATION_VERSION_NAME = `DCM2BQ_${pkg.version}`.substring(0, 16);
+
+// Largest P-DATA-TF PDU we receive; other PDUs (an association request) are small
+const MAX_PDU_LENGTH = 65536;
+const MAX_OTHER_PDU_LENGTH = 1024 * 1024;
+const NO_DATASET = 0x0101;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// A-ASSOCIATE-RJ (result, source, reason) and presentation context results
+const REJECT_NO_REASON = [1, 1, 1];
+const REJECT_APPLICATION_CONTEXT = [1, 1, 2];
+const REJECT_CALLING_AE = [1, 1, 3];
+const REJECT_CALLED_AE = [1, 1, 7];
+const REJECT_PROTOCOL_VERSION = [1, 2, 2];
+const CONTEXT_ACCEPTED = 0;
+const CONTEXT_ABSTRACT_SYNTAX_NOT_SUPPORTED = 3;
+const CONTEXT_TRANSFER_SYNTAXES_NOT_SUPPORTED = 4;
+
+function readText(buffer) {
+  return buffer.toString("ascii").replace(/\0/g, "").trim();
+}
+
+// UIDs are padded with NUL and other strings with a space, to an even length
+function uidValue(uid) {
+  return Buffer.from(uid.length % 2 ? `${uid}\0` : uid, "ascii");
+}
+
+function textValue(text) {
+  return Buffer.from(text.length % 2 ? `${text} ` : text, "ascii");
+}
+
+function uint16(value, littleEndian = true) {
+  const buffer = Buffer.alloc(2);
+  littleEndian ? buffer.writeUInt16LE(value) : buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function uint32(value, littleEndian = true) {
+  const buffer = Buffer.alloc(4);
+  littleEndian ? buffer.writeUInt32LE(value) : buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function aeTitleField(aeTitle) {
+  const field = Buffer.alloc(16, 0x20);
+  field.write(aeTitle.substring(0, 16), "ascii");
+  return field;
+}
+
+function encodePdu(type, body) {
+  const header = Buffer.alloc(6);
+  header[0] = type;
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+function encodeItem(type, value) {
+  const header = Buffer.alloc(4);
+  header[0] = type;
+  header.writeUInt16BE(value.length, 2);
+  return Buffer.concat([header, value]);
+}
+
+function* readItems(buffer, offset = 0) {
+  while (offset + 4 <= buffer.length) {
+    const length = buffer.readUInt16BE(offset + 2);
+    if (offset + 4 + length > buffer.length) {
+      throw new Error("Truncated association item");
+    }
+    yield { type: buffer[offset], value: buffer.subarray(offset + 4, offset + 4 + length) };
+    offset += 4 + length;
+  }
+}
+
+/**
+ * Parse the body of an A-ASSOCIATE-RQ PDU (PS3.8 9.3.2).
+ * @param {Buffer} body The PDU, without its 6-byte header
+ * @returns {{protocolVersion: number, calledAeTitle: string, callingAeTitle: string, applicationContext: string|null,
+ *   presentationContexts: Array<{id: number, abstractSyntax: string|null, transferSyntaxes: string[]}>, maxPduLength: number}}
+ */
+function parseAssociateRequest(body) {
+  if (body.length < 68) {
+    throw new Error("Truncated A-ASSOCIATE-RQ");
+  }
+  const request = {
+    protocolVersion: body.readUInt16BE(0),
+    calledAeTitle: readText(body.subarray(4, 20)),
+    callingAeTitle: readText(body.subarray(20, 36)),
+    applicationContext: null,
+    presentationContexts: [],
+    maxPduLength: 0,
+  };
+  for (const item of readItems(body, 68)) {
+    if (item.type === 0x10) {
+      request.applicationContext = readText(item.value);
+    } else if (item.type === 0x20 && item.value.length >= 4) {
+      const context = { id: item.value[0], abstractSyntax: null, transferSyntaxes: [] };
+      for (const subItem of readItems(item.value, 4)) {
+        if (subItem.type === 0x30) {
+          context.abstractSyntax = readText(subItem.value);
+        } else if (subItem.type === 0x40) {
+          context.transferSyntaxes.push(readText(subItem.value));
+        }
+      }
+      request.presentationContexts.push(context);
+    } else if (item.type === 0x50) {
+      for (const subItem of readItems(item.value)) {
+        if (subItem.type === 0x51 && subItem.value.length >= 4) {
+          request.maxPduLength = subItem.value.readUInt32BE(0);
+        }
+      }
+    }
+  }
+  return request;
+}
+
+/**
+ * Accept or reject a proposed presentation context. Verification is always accepted;
+ * storage SOP classes are accepted if listed (or, with no list, if standard), in the
+ * first of our transfer syntaxes the requestor proposes.
+ * @param {{abstractSyntax: string|null, transferSyntaxes: string[]}} context The proposed context
+ * @param {{sopClasses: string[], transferSyntaxes: string[]}} options The accepted SOP classes and transfer syntaxes
+ * @returns {{result: number, transferSyntax: string|null}}
+ */
+function negotiateContext(context, options) {
+  const abstractSyntax = context.abstractSyntax || "";
+  const isVerification = abstractSyntax === VERIFICATION_SOP_CLASS;
+  const sopClasses = options.sopClasses || [];
+  const isAccepted = sopClasses.length ? sopClasses.includes(abstractSyntax) : abstractSyntax.startsWith(STORAGE_SOP_CLASS_ROOT);
+  if (!isVerification && !isAccepted) {
+    return { result: CONTEXT_ABSTRACT_SYNTAX_NOT_SUPPORTED, transferSyntax: null };
+  }
+  const accepted = isVerification ? [EXPLICIT_VR_LITTLE_ENDIAN, IMPLICIT_VR_LITTLE_ENDIAN] : options.transferSyntaxes || [];
+  const transferSyntax = accepted.find((uid) => context.transferSyntaxes.includes(uid));
+  return transferSyntax ? { result: CONTEXT_ACCEPTED, transferSyntax } : { result: CONTEXT_TRANSFER_SYNTAXES_NOT_SUPPORTED, transferSyntax: null };
+}
+
+function encodeAssociateAccept(request, results) {
+  const fixed = Buffer.alloc(68);
+  fixed.writeUInt16BE(1, 0);
+  aeTitleField(request.calledAeTitle).copy(fixed, 4);
+  aeTitleField(request.callingAeTitle).copy(fixed, 20);
+  const contexts = request.presentationContexts.map((context, index) => {
+    const { result, transferSyntax } = results[index];
+    // The transfer syntax of a rejected context is not significant, but must be present
+    const transferSyntaxItem = encodeItem(0x40, Buffer.from(transferSyntax || IMPLICIT_VR_LITTLE_ENDIAN, "ascii"));
+    return encodeItem(0x21, Buffer.concat([Buffer.from([context.id, 0, result, 0]), transferSyntaxItem]));
+  });
+  const userInformation = encodeItem(
+    0x50,
+    Buffer.concat([
+      encodeItem(0x51, uint32(MAX_PDU_LENGTH, false)),
+      encodeItem(0x52, Buffer.from(IMPLEMENTATION_CLASS_UID, "ascii")),
+      encodeItem(0x55, Buffer.from(IMPLEMENTATION_VERSION_NAME, "ascii")),
+    ])
+  );
+  return encodePdu(PDU_TYPE.ASSOCIATE_AC, Buffer.concat([fixed, encodeItem(0x10, Buffer.from(APPLICATION_CONTEXT, "ascii")), ...contexts, userInformation]));
+}
+
+function encodeAssociateReject([result, source, reason]) {
+  return encodePdu(PDU_TYPE.ASSOCIATE_RJ, Buffer.from([0, result, source, reason]));
+}
+
+function* readPdvs(body) {
+  for (let offset = 0; offset + 4 <= body.length; ) {
+    const length = body.readUInt32BE(offset);
+    if (length < 2 || offset + 4 + length > body.length) {
+      throw new Error("Malformed presentation data value item");
+    }
+    const header = body[offset + 5];
+    yield { contextId: body[offset + 4], isCommand: (header & 0x01) !== 0, isLast: (header & 0x02) !== 0, data: body.subarray(offset + 6, offset + 4 + length) };
+    offset += 4 + length;
+  }
+}
+
+/**
+ * Parse a request or response command set (group 0000, always implicit VR little endian).
+ * @param {Buffer} buffer The command set
+ * @returns {{commandField: number, messageId: number, messageIdBeingRespondedTo: number, affectedSopClassUid: string|null,
+ *   affectedSopInstanceUid: string|null, moveOriginatorAeTitle: string|null, status: number|null, errorComment: string|null, hasDataset: boolean}}
+ */
+function parseCommand(buffer) {
+  const command = {
+    commandField: null,
+    messageId: null,
+    messageIdBeingRespondedTo: null,
+    affectedSopClassUid: null,
+    affectedSopInstanceUid: null,
+    moveOriginatorAeTitle: null,
+    status: null,
+    errorComment: null,
+    hasDataset: false,
+  };
+  for (let offset = 0; offset + 8 <= buffer.length; ) {
+    const element = buffer.readUInt16LE(offset + 2);
+    const length = buffer.readUInt32LE(offset + 4);
+    const value = buffer.subarray(offset + 8, offset + 8 + length);
+    if (value.length !== length) {
+      throw new Error("Truncated command set");
+    }
+    offset += 8 + length;
+    switch (element) {
+      case 0x0002:
+        command.affectedSopClassUid = readText(value);
+        break;
+      case 0x0100:
+        command.commandField = value.readUInt16LE(0);
+        break;
+      case 0x0110:
+        command.messageId = value.readUInt16LE(0);
+        break;
+      case 0x0120:
+        command.messageIdBeingRespondedTo = value.readUInt16LE(0);
+        break;
+      case 0x0800:
+        command.hasDataset = value.readUInt16LE(0) !== NO_DATASET;
+        break;
+      case 0x0900:
+        command.status = value.readUInt16LE(0);
+        break;
+      case 0x0902:
+        command.errorComment = readText(value);
+        break;
+      case 0x1000:
+        command.affectedSopInstanceUid = readText(value);
+        break;
+      case 0x1030:
+        command.moveOriginatorAeTitle = readText(value) || null;
+        break;
+    }
+  }
+  return command;
+}
+
+function encodeCommandElement(element, value) {
+  return Buffer.concat([uint16(0x0000), uint16(element), uint32(value.length), value]);
+}
+
+/**
+ * Encode a response command set, with its group length.
+ * @param {number} commandField The response's command field
+ * @param {Object} request The request, from parseCommand
+ * @param {number} status The status
+ * @param {string} [errorComment] For failures, why
+ * @returns {Buffer}
+ */
+function encodeResponse(commandField, request, status, errorComment) {
+  const elements = [];
+  if (request.affectedSopClassUid) {
+    elements.push(encodeCommandElement(0x0002, uidValue(request.affectedSopClassUid)));
+  }
+  elements.push(encodeCommandElement(0x0100, uint16(commandField)));
+  elements.push(encodeCommandElement(0x0120, uint16(request.messageId || 0)));
+  elements.push(encodeCommandElement(0x0800, uint16(NO_DATASET)));
+  elements.push(encodeCommandElement(0x0900, uint16(status)));
+  if (errorComment && status !== STATUS.SUCCESS) {
+    elements.push(encodeCommandElement(0x0902, textValue(errorComment.replace(/[^\x20-\x7e]/g, " ").substring(0, 64))));
+  }
+  if (request.affectedSopInstanceUid) {
+    elements.push(encodeCommandElement(0x1000, uidValue(request.affectedSopInstanceUid)));
+  }
+  const body = Buffer.concat(elements);
+  return Buffer.concat([encodeCommandElement(0x0000, uint32(body.length)), body]);
+}
+
+function encodeCommandPdu(contextId, command) {
+  // A single PDV: the command set is far smaller than any PDU length limit
+  return encodePdu(PDU_TYPE.P_DATA_TF, Buffer.concat([uint32(command.length + 2, false), Buffer.from([contextId, 0x03]), command]));
+}
+
+function encodeMetaElement(element, vr, value) {
+  if (vr === "OB") {
+    return Buffer.concat([uint16(0x0002), uint16(element), Buffer.from(vr, "ascii"), uint16(0), uint32(value.length), value]);
+  }
+  return Buffer.concat([uint16(0x0002), uint16(element), Buffer.from(vr, "ascii"), uint16(value.length), value]);
+}
+
+/**
+ * The PS3.10 preamble, "DICM" magic and file meta information (explicit VR little endian)
+ * of a received instance; its dataset follows as received.
+ * @param {{sopClassUid: string, sopInstanceUid: string, transferSyntaxUid: string, sourceAeTitle?: string}} instance The instance
+ * @returns {Buffer}
+ */
+function encodeFileMetaInformation({ sopClassUid, sopInstanceUid, transferSyntaxUid, sourceAeTitle }) {
+  const elements = [
+    encodeMetaElement(0x0001, "OB", Buffer.from([0x00, 0x01])),
+    encodeMetaElement(0x0002, "UI", uidValue(sopClassUid)),
+    encodeMetaElement(0x0003, "UI", uidValue(sopInstanceUid)),
+    encodeMetaElement(0x0010, "UI", uidValue(transferSyntaxUid)),
+    encodeMetaElement(0x0012, "UI", uidValue(IMPLEMENTATION_CLASS_UID)),
+    encodeMetaElement(0x0013, "SH", textValue(IMPLEMENTATION_VERSION_NAME)),
+  ];
+  if (sourceAeTitle) {
+    elements.push(encodeMetaElement(0x0016, "AE", textValue(sourceAeTitle)));
+  }
+  const group = Buffer.concat(elements);
+  return Buffer.concat([Buffer.alloc(128), Buffer.from("DICM", "ascii"), encodeMetaElement(0x0000, "UL", uint32(group.length)), group]);
+}
+
+// Complete PDUs from the socket, read as they are handled so a slow store pauses the sender
+async function* readPdus(socket) {
+  let buffer = Buffer.alloc(0);
+  for await (const chunk of socket) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    while (buffer.length >= 6) {
+      const type = buffer[0];
+      const length = buffer.readUInt32BE(2);
+      if (length > (type === PDU_TYPE.P_DATA_TF ? MAX_PDU_LENGTH : MAX_OTHER_PDU_LENGTH)) {
+        throw new Error(`PDU of type ${type} is too long (${length} bytes)`);
+      }
+      if (buffer.length < 6 + length) {
+        break;
+      }
+      yield { type, body: buffer.subarray(6, 6 + length) };
+      buffer = buffer.subarray(6 + length);
+    }
+  }
+}
+
+async function writeAll(handle, buffer) {
+  for (let offset = 0; offset < buffer.length; ) {
+    const { bytesWritten } = await handle.write(buffer, offset);
+    offset += bytesWritten;
+  }
+}
+
+function write(socket, pdu) {
+  return new Promise((resolve, reject) => socket.write(pdu, (error) => (error ? reject(error) : resolve())));
+}
+
+/**
+ * Serve one association: negotiate it, then answer C-ECHO and C-STORE requests until it
+ * is released or aborted.
+ * @param {net.Socket} socket The connection
+ * @param {Object} options See createStorageScp
+ * @param {string} tempDir Where received instances are written
+ */
+async function serveAssociation(socket, options, tempDir) {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  let association = null;
+  let message = null;
+
+  const abort = () => socket.end(encodePdu(PDU_TYPE.ABORT, Buffer.from([0, 0, 0, 0])), () => socket.destroy());
+
+  const reject = (request, reason, why) => {
+    console.error(`Rejected association from ${request.callingAeTitle || "?"} (${remote}): ${why}`);
+    socket.end(encodeAssociateReject(reason));
+  };
+
+  const respond = async (contextId, commandField, request, status, errorComment) => {
+    await write(socket, encodeCommandPdu(contextId, encodeResponse(commandField, request, status, errorComment)));
+  };
+
+  const discard = async () => {
+    if (message?.file) {
+      await message.file.handle.close().catch(() => {});
+      await fs.rm(message.file.path, { force: true }).catch(() => {});
+    }
+    message = null;
+  };
+
+  const store = async () => {
+    const { command, contextId, file } = message;
+    await file.handle.close();
+    const instance = {
+      filePath: file.path,
+      size: file.size,
+      sopClassUid: command.affectedSopClassUid,
+      sopInstanceUid: command.affectedSopInstanceUid,
+      transferSyntaxUid: association.contexts.get(contextId).transferSyntax,
+      callingAeTitle: association.callingAeTitle,
+      calledAeTitle: association.calledAeTitle,
+      remoteAddress: socket.remoteAddress,
+    };
+    let status = STATUS.SUCCESS;
+    let errorComment;
+    // The sender is idle until the response, however long processing takes
+    socket.setTimeout(0);
+    try {
+      const outcome = (await options.onStore(instance)) || {};
+      status = outcome.status ?? STATUS.SUCCESS;
+      errorComment = outcome.errorComment;
+    } catch (error) {
+      status = STATUS.PROCESSING_FAILURE;
+      errorComment = error instanceof Error ? error.message : String(error);
+    } finally {
+      socket.setTimeout(timeoutMs);
+      await fs.rm(file.path, { force: true }).catch(() => {});
+    }
+    message = null;
+    await respond(contextId, COMMAND.C_STORE_RSP, command, status, errorComment);
+  };
+
+  const handleCommand = async (contextId, command) => {
+    if (command.commandField === COMMAND.C_ECHO_RQ) {
+      await respond(contextId, COMMAND.C_ECHO_RSP, command, STATUS.SUCCESS);
+      return;
+    }
+    if (command.commandField === COMMAND.C_STORE_RQ && command.hasDataset) {
+      const filePath = path.join(tempDir, `${crypto.randomUUID()}.dcm`);
+      const handle = await fs.open(filePath, "w");
+      message.file = { path: filePath, handle, size: 0 };
+      const header = encodeFileMetaInformation({
+        sopClassUid: command.affectedSopClassUid,
+        sopInstanceUid: command.affectedSopInstanceUid,
+        transferSyntaxUid: association.contexts.get(contextId).transferSyntax,
+        sourceAeTitle: association.callingAeTitle,
+      });
+      await writeAll(handle, header);
+      message.file.size = header.length;
+      return;
+    }
+    // A dataset of anything else is read and dropped before the response
+    if (!command.hasDataset && command.commandField !== COMMAND.C_CANCEL_RQ) {
+      await respond(contextId, command.commandField | 0x8000, command, STATUS.UNRECOGNIZED_OPERATION);
+    }
+  };
+
+  const handlePdv = async (pdv) => {
+    if (!association.contexts.has(pdv.contextId)) {
+      throw new Error(`Data on presentation context ${pdv.contextId}, which was not accepted`);
+    }
+    if (pdv.isCommand) {
+      if (message?.command) {
+        throw new Error("Command received before the previous dataset was complete");
+      }
+      message = message || { contextId: pdv.contextId, chunks: [], command: null, file: null };
+      message.chunks.push(pdv.data);
+      if (pdv.isLast) {
+        message.command = parseCommand(Buffer.concat(message.chunks));
+        message.chunks = [];
+        await handleCommand(pdv.contextId, message.command);
+        if (!message.command.hasDataset) {
+          message = null;
+        }
+      }
+      return;
+    }
+    if (!message?.command || pdv.contextId !== message.contextId) {
+      throw new Error("Dataset received without a command");
+    }
+    if (message.file) {
+      await writeAll(message.file.handle, pdv.data);
+      message.file.size += pdv.data.length;
+    }
+    if (pdv.isLast) {
+      if (message.file) {
+        await store();
+      } else {
+        const { command, contextId } = message;
+        message = null;
+        await respond(contextId, command.commandField | 0x8000, command, STATUS.UNRECOGNIZED_OPERATION);
+      }
+    }
+  };
+
+  // An idle timeout: paused while onStore runs (see store)
+  socket.on("timeout", () => {
+    console.error(`Association with ${association?.callingAeTitle || remote} timed out; aborting`);
+    abort();
+  });
+  socket.setTimeout(timeoutMs);
+
+  try {
+    for await (const pdu of readPdus(socket)) {
+      if (pdu.type === PDU_TYPE.ASSOCIATE_RQ && !association) {
+        const request = parseAssociateRequest(pdu.body);
+        if ((request.protocolVersion & 0x0001) === 0) {
+          reject(request, REJECT_PROTOCOL_VERSION, `unsupported protocol version ${request.protocolVersion}`);
+        } else if (request.applicationContext !== APPLICATION_CONTEXT) {
+          reject(request, REJECT_APPLICATION_CONTEXT, `unsupported application context ${request.applicationContext}`);
+        } else if (request.calledAeTitle !== options.aeTitle) {
+          reject(request, REJECT_CALLED_AE, `called AE title ${request.calledAeTitle} is not ${options.aeTitle}`);
+        } else if (options.callingAeTitles?.length && !options.callingAeTitles.includes(request.callingAeTitle)) {
+          reject(request, REJECT_CALLING_AE, `calling AE title ${request.callingAeTitle} is not allowed`);
+        } else {
+          const results = request.presentationContexts.map((context) => negotiateContext(context, options));
+          if (!results.some(({ result }) => result === CONTEXT_ACCEPTED)) {
+            reject(request, REJECT_NO_REASON, "no presentation context was accepted");
+          } else {
+            association = {
+              callingAeTitle: request.callingAeTitle,
+              calledAeTitle: request.calledAeTitle,
+              contexts: new Map(
+                request.presentationContexts
+                  .map((context, index) => [context.id, { abstractSyntax: context.abstractSyntax, transferSyntax: results[index].transferSyntax }])
+                  .filter(([, context]) => context.transferSyntax)
+              ),
+            };
+            if (DEBUG_MODE) {
+              console.log(`Association from ${request.callingAeTitle} (${remote}) accepted ${association.contexts.size} of ${results.length} presentation contexts`);
+            }
+            await write(socket, encodeAssociateAccept(request, results));
+          }
+        }
+      } else if (pdu.type === PDU_TYPE.P_DATA_TF && association) {
+        for (const pdv of readPdvs(pdu.body)) {
+          await handlePdv(pdv);
+        }
+      } else if (pdu.type === PDU_TYPE.RELEASE_RQ && association) {
+        socket.end(encodePdu(PDU_TYPE.RELEASE_RP, Buffer.alloc(4)));
+      } else if (pdu.type === PDU_TYPE.ABORT) {
+        socket.destroy();
+      } else {
+        throw new Error(`Unexpected PDU of type ${pdu.type}`);
+      }
+    }
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    console.error(`Aborting association with ${association?.callingAeTitle || remote}: ${errorMsg}`);
+    abort();
+  } finally {
+    await discard();
+  }
+}
+
+/**
+ * Create a storage SCP. Received instances are written to a temporary PS3.10 file, which
+ * is removed once onStore settles; onStore's status (default success) is the C-STORE
+ * response's, and a thrown error is answered with a processing failure.
+ * @param {{aeTitle: string, sopClasses?: string[], transferSyntaxes: string[], callingAeTitles?: string[], timeoutMs?: number,
+ *   onStore: function(Object): Promise<{status?: number, errorComment?: string}|void>}} options The SCP's AE title, the
+ *   accepted SOP classes (empty for any standard storage class), transfer syntaxes (in order of preference) and calling AE
+ *   titles (empty for any), the idle timeout of an association, and the callback for each received instance
+ * @returns {Promise<{server: net.Server, listen: function(number, string=): Promise<number>, close: function(): Promise<void>}>}
+ */
+async function createStorageScp(options) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dcm2bq-scp-"));
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    serveAssociation(socket, options, tempDir);
+  });
+  return {
+    server,
+    listen: (port, host) =>
+      new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          resolve(server.address().port);
+        });
+      }),
+    close: async () => {
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+        sockets.forEach((socket) => socket.destroy());
+      });
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    },
+  };
+}
+
+module.exports = {
+  STATUS,
+  VERIFICATION_SOP_CLASS,
+  IMPLEMENTATION_CLASS_UID,
+  parseAssociateRequest,
+  negotiateContext,
+  parseCommand,
+  encodeResponse,
+  encodeFileMetaInformation,
+  createStorageScp,
+};
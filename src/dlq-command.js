@@ -100,6 +100,30 @@ function extractRequeueTarget(row) {
     };
   }
 
+  if (attrs.payloadFormat === "S3_EVENT_JSON" && Array.isArray(data?.Records) && data.Records.length > 0) {
+    const paths = data.Records.map((record) => `s3://${record.s3?.bucket?.name}/${record.s3?.object?.key}`);
+    return {
+      key: `s3:${paths.join(",")}`,
+      displayPath: paths.join(", "),
+      publishData: Buffer.from(JSON.stringify(data), "utf8"),
+      publishAttributes: {
+        payloadFormat: "S3_EVENT_JSON",
+      },
+    };
+  }
+
+  if (typeof data === "string" && data.trim() && attrs.eventType === "DICOMWEB_FINALIZE") {
+    const dicomWebPath = data.trim();
+    return {
+      key: `dicomweb:${dicomWebPath}`,
+      displayPath: `dicomweb:${dicomWebPath}`,
+      publishData: Buffer.from(dicomWebPath, "utf8"),
+      publishAttributes: {
+        ...attrs,
+      },
+    };
+  }
+
   if (typeof data === "string" && data.trim() && /\/dicomWeb\//.test(data)) {
     const dicomWebPath = data.trim();
     return {
@@ -156,7 +180,7 @@ async function listDLQ(config, options) {
     return;
   }
 
-  // Extract requeue targets (GCS and HCAPI)
+  // Extract requeue targets (GCS, S3, HCAPI and DICOMweb)
   const files = new Map(); // key: target.key, value: {count, displayPath}
   let parseErrors = 0;
 
@@ -16,6 +16,7 @@
 
 const { Storage } = require("@google-cloud/storage");
 const fs = require("fs/promises");
+const path = require("path");
 const { gcpConfig, jsonOutput } = require("./config").get();
 const { DEBUG_MODE, isRetryableError, createNonRetryableError } = require("./utils");
 const { processImage, renderDicomImage, renderAllDicomFrames, getFrameIndicesToProcess } = require("./processors/image");
@@ -177,16 +178,55 @@ async function saveToGCS(data, fileName, contentType, subDirectory = '') {
   }
 }
 
+/**
+ * Deletes a file written by saveOutput (gs:// or file://). Only files under
+ * embedding.input.gcsBucketPath are deleted, and one that is already gone is not an error.
+ * @param {string} uri The URI saveOutput returned
+ * @returns {Promise<boolean>} False when the URI is not under the output path (nothing deleted)
+ */
+async function deleteOutput(uri) {
+  const outputPath = gcpConfig.embedding?.input?.gcsBucketPath;
+  if (!outputPath || typeof uri !== "string") {
+    return false;
+  }
+  if (localfile.isFileUri(outputPath)) {
+    if (!localfile.isFileUri(uri)) {
+      return false;
+    }
+    const relativePath = path.relative(localfile.uriToPath(outputPath), localfile.uriToPath(uri));
+    if (!relativePath || relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    await fs.rm(localfile.uriToPath(uri), { force: true });
+  } else {
+    const match = uri.match(/^gs:\/\/([^\/]+)\/(.+)$/);
+    if (!match || !uri.startsWith(`${outputPath.replace(/\/+$/, "")}/`)) {
+      return false;
+    }
+    await storage.bucket(match[1]).file(match[2]).delete({ ignoreNotFound: true });
+  }
+  if (DEBUG_MODE) {
+    console.log(`Deleted ${uri}`);
+  }
+  return true;
+}
+
 /**
  * Creates embedding inputs from DICOM metadata and DICOM input.
  * For multi-frame images, renders all frames in a single dcmnorm invocation, then uploads to GCS.
  * Returns an array of embedding inputs (one per frame for images, one for SR/PDF).
  * @param {Object} metadata - DICOM metadata JSON
  * @param {Buffer|string} dicomInput - Raw DICOM file buffer or local DICOM file path
+ * @param {Object} [options] - Optional output controls
+ * @param {{study: string, series: string, instance: string}} [options.outputUids] - UIDs used to name saved files
+ *   (defaults to the UIDs in metadata; set when the persisted UIDs differ, e.g. after de-identification)
+ * @param {function(string): string} [options.textFilter] - Applied to SR/PDF text before it is summarized or saved
+ * @param {{run: function}} [options.pool] - A pool (utils.createPool) that rendering runs in, shared with
+ *   the other work of an archive
  * @returns {Promise<Array<{instance: Object, objectPath: string, objectSize: number, objectMimeType: string, frameNumber: number|null}>|null>}
  * @throws {Error} If embedding input cannot be created or saved to GCS
  */
-async function createEmbeddingInput(metadata, dicomInput) {
+async function createEmbeddingInput(metadata, dicomInput, options = {}) {
   if (!jsonOutput.useCommonNames) {
     throw createNonRetryableError("Embeddings generation code relies on jsonOutput.useCommonNames to be true in the configuration.");
   }
@@ -200,9 +240,9 @@ async function createEmbeddingInput(metadata, dicomInput) {
   const requireEmbeddingCompatible = shouldRequireEmbeddingCompatibleText(gcpConfig);
   const maxFrames = gcpConfig.embedding?.input?.maxFrames || null;
 
-  const studyUid = metadata.StudyInstanceUID || "unknown";
-  const seriesUid = metadata.SeriesInstanceUID || "unknown";
-  const instanceUid = metadata.SOPInstanceUID || "unknown";
+  const studyUid = options.outputUids?.study || metadata.StudyInstanceUID || "unknown";
+  const seriesUid = options.outputUids?.series || metadata.SeriesInstanceUID || "unknown";
+  const instanceUid = options.outputUids?.instance || metadata.SOPInstanceUID || "unknown";
 
   if (isImage(sopClassUid)) {
     const numFrames = parseInt(metadata?.NumberOfFrames, 10);
@@ -210,14 +250,15 @@ async function createEmbeddingInput(metadata, dicomInput) {
     const frameIndices = getFrameIndicesToProcess(frameCount, maxFrames);
     const results = [];
 
-    let rendered;
-    if (frameCount > 1) {
-      // Render all frames in a single dcmnorm invocation
-      rendered = await renderAllDicomFrames(metadata, dicomInput, frameIndices);
-    } else {
+    const render = async () => {
+      if (frameCount > 1) {
+        // Render all frames in a single dcmnorm invocation
+        return renderAllDicomFrames(metadata, dicomInput, frameIndices);
+      }
       const buffer = await renderDicomImage(metadata, dicomInput, null);
-      rendered = buffer ? [{ frameIndex: 0, buffer }] : [];
-    }
+      return buffer ? [{ frameIndex: 0, buffer }] : [];
+    };
+    const rendered = options.pool ? await options.pool.run(render) : await render();
 
     for (const { frameIndex, buffer: imageBuffer } of rendered) {
       const instance = { image: { bytesBase64Encoded: imageBuffer.toString("base64") } };
@@ -245,7 +286,7 @@ async function createEmbeddingInput(metadata, dicomInput) {
     return results;
   } else if (isPdf(sopClassUid)) {
     const dicomBuffer = Buffer.isBuffer(dicomInput) ? dicomInput : await fs.readFile(dicomInput);
-    const instance = await processPdf(metadata, dicomBuffer, requireEmbeddingCompatible);
+    const instance = await processPdf(metadata, dicomBuffer, requireEmbeddingCompatible, options.textFilter);
     if (!instance?.text) {
       throw createNonRetryableError(`Failed to create embedding input: unable to process DICOM content for SOP Class UID ${sopClassUid}.`);
     }
@@ -254,7 +295,7 @@ async function createEmbeddingInput(metadata, dicomInput) {
     const objectPath = await saveOutput(textBuffer, fileName, 'text/plain', '');
     return [{ instance, objectPath, objectSize: textBuffer.length, objectMimeType: 'text/plain', frameNumber: 0 }];
   } else if (isStructuredReport(sopClassUid)) {
-    const instance = await processSR(metadata, requireEmbeddingCompatible);
+    const instance = await processSR(metadata, requireEmbeddingCompatible, options.textFilter);
     if (!instance?.text) {
       throw createNonRetryableError(`Failed to create embedding input: unable to process DICOM content for SOP Class UID ${sopClassUid}.`);
     }
@@ -317,10 +358,13 @@ async function runPool(items, fn, maxConcurrent) {
 
 /**
  * Creates vector embeddings for a DICOM file.
- * For multi-frame images, generates embeddings using a pool of concurrent requests.
+ * For multi-frame images, generates embeddings using a pool of concurrent requests:
+ * `options.pool` when given (shared with the rest of an archive), otherwise one of
+ * embedding.input.maxParallelEmbeddings for this file.
+ * `options` is passed through to createEmbeddingInput.
  * @returns {Promise<Array<{embedding, objectPath, objectSize, objectMimeType, frameNumber}>|null>}
  */
-async function createVectorEmbedding(metadata, dicomInput) {
+async function createVectorEmbedding(metadata, dicomInput, options = {}) {
   if (!gcpConfig.embedding?.input?.vector?.model) {
     throw createNonRetryableError("Vector embedding is not configured. Please set gcpConfig.embedding.input.vector.model in your configuration.");
   }
@@ -329,7 +373,7 @@ async function createVectorEmbedding(metadata, dicomInput) {
     throw createNonRetryableError("GCP project ID is not configured. Please set the GCP_PROJECT environment variable or configure gcpConfig.projectId in your configuration file. Example: export GCP_PROJECT=your-actual-gcp-project");
   }
 
-  const inputResults = await createEmbeddingInput(metadata, dicomInput);
+  const inputResults = await createEmbeddingInput(metadata, dicomInput, options);
   if (!inputResults) {
     return null;
   }
@@ -337,7 +381,9 @@ async function createVectorEmbedding(metadata, dicomInput) {
   const maxParallel = gcpConfig.embedding?.input?.maxParallelEmbeddings || 5;
 
   try {
-    const embeddings = await runPool(inputResults, processEmbeddingRequest, maxParallel);
+    const embeddings = options.pool
+      ? await Promise.all(inputResults.map((inputResult) => options.pool.run(() => processEmbeddingRequest(inputResult))))
+      : await runPool(inputResults, processEmbeddingRequest, maxParallel);
     return embeddings.length > 0 ? embeddings : null;
   } catch (e) {
     const errorMessage = e.message || '';
@@ -369,4 +415,4 @@ async function createVectorEmbedding(metadata, dicomInput) {
   }
 }
 
-module.exports = { createVectorEmbedding, createEmbeddingInput, isImage, isPdf, isStructuredReport, SOP_CLASS_UIDS, doRequest, saveToGCS, saveOutput };
+module.exports = { createVectorEmbedding, createEmbeddingInput, isImage, isPdf, isStructuredReport, SOP_CLASS_UIDS, doRequest, saveToGCS, saveOutput, deleteOutput };
@@ -16,24 +16,66 @@
 
 const consts = require("./consts");
 const config = require("./config");
-const { DicomFile } = require("./dicomtojson");
-const { insert, insertEmbeddings } = require("./bigquery");
+const { DicomFile, hashFile } = require("./dicomtojson");
+const { applyTagProjection, needsElementDictionary } = require("./projection");
+const deidentification = require("./deidentify");
+const pseudonymization = require("./pseudonymize");
+const { resolvePromotedColumns, extractPromotedValues } = require("./promoted");
+const { measureRow, splitOversizedMetadata } = require("./offload");
+const unchanged = require("./unchanged");
+const { insert, insertInstances, insertEmbeddings, insertFailure, findLatestInstance, findInstanceRow, findLatestVersion, findLiveRows, findLiveRowsUnder, findLiveIds, findEmbeddings, deleteEmbeddings } = require("./bigquery");
 const gcs = require("./gcs");
+const s3 = require("./s3");
 const hcapi = require("./hcapi");
+const dicomwebSource = require("./dicomweb-source");
 const localfile = require("./localfile");
-const { createVectorEmbedding, createEmbeddingInput } = require("./embeddings");
-const { deepAssign, createNonRetryableError, isRetryableError, DEBUG_MODE } = require("./utils");
+const { isDicomFile } = require("./dicomdetect");
+const { createFileSource, extractArchiveMembers, getArchiveType } = require("./archives");
+const { isDicomdirName, readDirectoryRecords, resolveDirectoryRecords } = require("./dicomdir");
+const { createVectorEmbedding, createEmbeddingInput, saveOutput, deleteOutput } = require("./embeddings");
+const pubsub = require("./pubsub");
+const { deepAssign, createHttpError, createNonRetryableError, isRetryableError, createPool, createByteBudget, DEBUG_MODE } = require("./utils");
 const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 const os = require("os");
 const url = require("url");
-const AdmZip = require("adm-zip");
-const tar = require("tar");
+const pkg = require("../package.json");
 const { gcpConfig } = config.get();
 const embeddingInputConfig = gcpConfig.embedding?.input;
 
-// TODO: Include the metaHash for all files
+// Resolved on first use so a bad promotedColumns config fails events, not module load
+let promotedColumns = null;
+
+function getPromotedColumns() {
+  if (!promotedColumns) {
+    try {
+      promotedColumns = resolvePromotedColumns(gcpConfig.bigQuery?.promotedColumns);
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      throw createNonRetryableError(`Invalid bigQuery.promotedColumns configuration: ${errorMsg}`);
+    }
+  }
+  return promotedColumns;
+}
+
+// Mark where processing failed, for the failures table; the innermost stage wins
+function atStage(stage, error) {
+  if (error && typeof error === "object" && !error.stage) {
+    error.stage = stage;
+  }
+  return error;
+}
+
+let contentCache = null;
+
+function getContentCache() {
+  if (!contentCache) {
+    const { cacheFile } = config.get().skipUnchanged;
+    contentCache = cacheFile ? unchanged.createFileCache(cacheFile) : unchanged.createTableCache(findLatestInstance);
+  }
+  return contentCache;
+}
 
 /**
  * Process and persist a single DICOM file.
@@ -45,33 +87,104 @@ const embeddingInputConfig = gcpConfig.embedding?.input;
  * @param {number} fileSize The size of the file
  * @param {string} storageType The type of storage (GCS, DICOMWEB, etc)
  * @param {string} storageClass The storage class of the object (e.g., STANDARD, NEARLINE, COLDLINE, ARCHIVE)
+ * @param {{run: function}} [pool] The pool rendering and embedding requests run in (see utils.createPool)
+ * @param {Object} [inputInfo] More info.input fields of the source (e.g. the AE titles of a DIMSE association)
  * @returns {Promise<void>}
  */
-async function processAndPersistDicom(version, timestamp, dicomFilePath, uriPath, eventType, fileSize, storageType, storageClass) {
+async function processAndPersistDicom(version, timestamp, dicomFilePath, uriPath, eventType, fileSize, storageType, storageClass, pool, inputInfo) {
   const resolvedFileSize = fileSize ?? (await fs.stat(dicomFilePath)).size;
   if (DEBUG_MODE) {
     console.log(`Processing DICOM: ${uriPath} (size: ${resolvedFileSize} bytes)`);
   }
 
-  const { metadata, embeddings } = await processDicom(dicomFilePath, uriPath);
-
-  const infoObj = {
-    event: eventType,
-    input: { size: resolvedFileSize, type: storageType, storageClass: storageClass || null },
-  };
-
   const writeObj = {
     timestamp,
     path: uriPath,
     version,
   };
+  const configObject = config.get();
+  const configFingerprint = unchanged.configFingerprint(configObject);
+
+  // Checked before parsing: an unchanged file costs one hash and a lookup, not a
+  // re-render, re-embed and re-summarize of every frame. Forced reprocessing is never skipped.
+  let fileSha256 = null;
+  if (unchanged.isEnabled(configObject.skipUnchanged) && !unchanged.isForcedVersion(version)) {
+    let skip = false;
+    let previousRow = null;
+    try {
+      fileSha256 = await hashFile(dicomFilePath);
+      const previous = await getContentCache().lookup(uriPath);
+      if (unchanged.isUnchanged(previous, { sha256: fileSha256, configFingerprint })) {
+        // A new version of the same content needs a row of its own, or deleting that version
+        // would find nothing to delete; it gets a copy of the previous version's row
+        if (String(previous.version) === String(version)) {
+          skip = true;
+        } else if (previous.version != null) {
+          previousRow = await findInstanceRow(uriPath, previous.version);
+          skip = Boolean(previousRow);
+        }
+      }
+    } catch (error) {
+      throw atStage("lookup", error);
+    }
+    if (skip) {
+      if (DEBUG_MODE) {
+        console.log(`Skipping unchanged DICOM: ${uriPath}`);
+      }
+      const infoObj = {
+        event: eventType,
+        input: { size: resolvedFileSize, type: storageType, storageClass: storageClass || null, sha256: fileSha256, ...inputInfo },
+        configFingerprint,
+        unchanged: true,
+      };
+      try {
+        if (previousRow) {
+          await persistCarriedForwardRow(writeObj, infoObj, previousRow);
+        } else if (configObject.skipUnchanged.writeRow) {
+          await persistRow(writeObj, infoObj, null, null);
+        }
+      } catch (error) {
+        throw atStage("persist", error);
+      }
+      await getContentCache().record(uriPath, { sha256: fileSha256, configFingerprint, version: String(version) });
+      return;
+    }
+  }
+
+  const { metadata, dataset, hashes, embeddings, deidentification: deidInfo } = await processDicom(dicomFilePath, uriPath, fileSha256, pool);
+
+  // The hashes cover the file as received, so byte-identical re-uploads (sha256) and copies
+  // with the same pixels but different headers (pixelDataSha256) group together.
+  const infoObj = {
+    event: eventType,
+    input: {
+      size: resolvedFileSize,
+      type: storageType,
+      storageClass: storageClass || null,
+      sha256: hashes.sha256,
+      pixelDataSha256: hashes.pixelDataSha256,
+      ...inputInfo,
+    },
+    configFingerprint,
+  };
+  if (deidInfo) {
+    infoObj.deidentification = deidInfo;
+  }
 
   if (DEBUG_MODE) {
     const embeddingCount = Array.isArray(embeddings) ? embeddings.length : 0;
     console.log(`Persisting DICOM: ${uriPath}, embeddings: ${embeddingCount}`);
   }
 
-  await persistRow(writeObj, infoObj, metadata, embeddings);
+  try {
+    await persistRow(writeObj, infoObj, metadata, embeddings, dataset);
+  } catch (error) {
+    throw atStage("persist", error);
+  }
+
+  if (unchanged.isEnabled(configObject.skipUnchanged)) {
+    await getContentCache().record(uriPath, { sha256: hashes.sha256, configFingerprint, version: String(version) });
+  }
 }
 
 /**
@@ -81,10 +194,15 @@ async function processAndPersistDicom(version, timestamp, dicomFilePath, uriPath
  * - Non-retryable embedding errors are logged and processing continues without embeddings.
  * @param {string} dicomFilePath The local path to a DICOM file.
  * @param {string} uriPath The URI of the DICOM file.
- * @returns {Promise<{metadata: string, size: number, embeddings?: object}>} An object containing the stringified JSON metadata, buffer size, and optional embeddings.
+ * @param {string} [fileSha256] The whole-file hash, when already computed
+ * @param {{run: function}} [pool] The pool rendering and embedding requests run in
+ * @returns {Promise<{metadata: string, dataset: Object, hashes: {sha256: string, pixelDataSha256: string|null}, size: number,
+ *   embeddings?: object, deidentification?: object}>} An object containing the stringified JSON metadata (in the configured
+ *   jsonOutput.format and projection), the unprojected dataset as flat keyword JSON, the file and pixel data hashes, buffer size, optional
+ *   embeddings, and the de-identification summary when a profile was applied.
  * @throws {Error} For parsing failures and retryable embedding failures
  */
-async function processDicom(dicomFilePath, uriPath) {
+async function processDicom(dicomFilePath, uriPath, fileSha256, pool) {
   const configObject = config.get();
   const configProvidedOptions = configObject.jsonOutput;
   const bulkDataRoot = configProvidedOptions.explicitBulkDataRoot ? uriPath : "";
@@ -99,20 +217,68 @@ async function processDicom(dicomFilePath, uriPath) {
     }
   } catch (statError) {
     const errorMsg = statError instanceof Error ? statError.message : String(statError);
-    throw createNonRetryableError(`Failed to access DICOM file: ${errorMsg}`);
+    throw atStage("read", createNonRetryableError(`Failed to access DICOM file: ${errorMsg}`));
   }
 
+  const reader = new DicomFile(url.pathToFileURL(dicomFilePath));
   let json;
   try {
-    const fileUrl = url.pathToFileURL(dicomFilePath);
-    const reader = new DicomFile(fileUrl);
     json = await reader.toJson(outputOptions);
   } catch (error) {
     // DICOM parsing errors are non-retryable - the file is permanently invalid
     const errorMsg = error instanceof Error ? error.message : String(error);
-    throw createNonRetryableError(`Failed to parse DICOM file (${fileStats.size} bytes): ${errorMsg}`);
+    throw atStage("parse", createNonRetryableError(`Failed to parse DICOM file (${fileStats.size} bytes): ${errorMsg}`));
+  }
+
+  let hashes;
+  try {
+    hashes = await reader.hashContent(fileSha256);
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    throw atStage("hash", createNonRetryableError(`Failed to hash DICOM file: ${errorMsg}`));
   }
   
+  // De-identify and pseudonymize before anything leaves the process: the persisted
+  // metadata, the row id, the saved embedding input names, and extracted SR/PDF text
+  // all use the result.
+  let pseudonymizer = null;
+  if (pseudonymization.isEnabled(configObject.pseudonymization)) {
+    try {
+      pseudonymizer = pseudonymization.createPseudonymizer(configObject.pseudonymization);
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      throw atStage("pseudonymize", createNonRetryableError(`Failed to pseudonymize DICOM file: ${errorMsg}`));
+    }
+  }
+  let deid = null;
+  if (deidentification.isEnabled(configObject.deidentification)) {
+    try {
+      // Attributes the pseudonymizer replaces are left for it, so they stay linkable
+      const secret = deidentification.resolveSecret(configObject.deidentification, configObject.pseudonymization);
+      deid = deidentification.deidentify(json, { ...configObject.deidentification, secret }, pseudonymizer?.keywords);
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      throw atStage("deidentify", createNonRetryableError(`Failed to de-identify DICOM file: ${errorMsg}`));
+    }
+  }
+  let outputJson = deid ? deid.dataset : json;
+  if (pseudonymizer) {
+    outputJson = pseudonymizer.pseudonymize(outputJson);
+  }
+  const embeddingOptions = outputJson !== json
+    ? {
+        outputUids: {
+          study: outputJson.StudyInstanceUID,
+          series: outputJson.SeriesInstanceUID,
+          instance: outputJson.SOPInstanceUID,
+        },
+        textFilter: deid?.scrubText,
+      }
+    : {};
+  if (pool) {
+    embeddingOptions.pool = pool;
+  }
+
   let embeddingsResult = null;
   
   // Check if we should create embedding input (extract and save text/images)
@@ -126,24 +292,49 @@ async function processDicom(dicomFilePath, uriPath) {
   try {
     if (shouldGenerateEmbedding) {
       // Generate full embedding (includes input creation + vector generation)
-      embeddingsResult = await createVectorEmbedding(json, dicomFilePath);
+      embeddingsResult = await createVectorEmbedding(json, dicomFilePath, embeddingOptions);
     } else if (shouldCreateInput) {
       // Only create embedding input (extract and save, but don't generate vector)
-      embeddingsResult = await createEmbeddingInput(json, dicomFilePath);
+      embeddingsResult = await createEmbeddingInput(json, dicomFilePath, embeddingOptions);
     }
   } catch (error) {
     const errorMsg = error instanceof Error ? error.message : String(error);
     if (isRetryableError(error)) {
-      throw error;
+      throw atStage("embedding", error);
     }
     console.error(`Non-retryable embedding error for ${uriPath}; continuing without embedding: ${errorMsg}`);
     embeddingsResult = null;
   }
+
+  // Project after embedding input creation: renderers and SR/PDF extraction need the
+  // full dataset, the include/exclude lists only shape what is persisted.
+  // Tag selectors of standard elements match keyword keys through the file's element dictionary.
+  let persistedJson;
+  try {
+    const dictionary = needsElementDictionary(configProvidedOptions) ? await reader.elementDictionary() : undefined;
+    persistedJson = applyTagProjection(outputJson, configProvidedOptions, dictionary);
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    throw atStage("projection", createNonRetryableError(`Failed to apply jsonOutput include/exclude: ${errorMsg}`));
+  }
+
+  let metadataJson = persistedJson;
+  if (configProvidedOptions.format === "dicomweb") {
+    try {
+      metadataJson = await reader.toDicomweb(persistedJson);
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      throw atStage("format", createNonRetryableError(`Failed to convert DICOM file to DICOMweb JSON: ${errorMsg}`));
+    }
+  }
   
   return {
-    metadata: JSON.stringify(json),
+    metadata: JSON.stringify(metadataJson),
+    dataset: outputJson,
+    hashes,
     size: fileStats.size,
     embeddings: embeddingsResult,
+    deidentification: deid ? deid.info : null,
   };
 }
 
@@ -154,6 +345,9 @@ async function processDicom(dicomFilePath, uriPath) {
  * infoObj is a structured object with event, input, and embedding info.
  * metadata is the JSON string (or null).
  * embeddingsData is an array of { embedding, objectPath, objectSize, objectMimeType, frameNumber } (or null).
+ * dataset is the dataset as flat keyword JSON before jsonOutput.include/exclude, when metadata
+ * is projected or in another format (DICOMweb); the row id and promoted columns are taken from
+ * it, so excluding the UIDs doesn't collapse instances onto one id.
  *
  * BigQuery streaming insertIds are derived from the row identity plus the event's version
  * (the GCS object generation, or its HCAPI equivalent). The version is fixed inside the
@@ -161,15 +355,16 @@ async function processDicom(dicomFilePath, uriPath) {
  * and gets absorbed by BigQuery's best-effort streaming dedup, while a deliberate reprocess
  * or a genuine new upload arrives with a distinct version and always lands as a new row.
  */
-async function persistRow(writeBase, infoObj, metadata, embeddingsData) {
-  let metadataObj = metadata;
+async function persistRow(writeBase, infoObj, metadata, embeddingsData, dataset) {
+  let persistedObj = metadata;
   if (typeof metadata === 'string') {
     try {
-      metadataObj = JSON.parse(metadata);
+      persistedObj = JSON.parse(metadata);
     } catch (e) {
-      metadataObj = null;
+      persistedObj = null;
     }
   }
+  const metadataObj = dataset || persistedObj;
 
   const sopInstanceUid = metadataObj?.SOPInstanceUID || '';
   const seriesInstanceUid = metadataObj?.SeriesInstanceUID || '';
@@ -183,7 +378,7 @@ async function persistRow(writeBase, infoObj, metadata, embeddingsData) {
 
   const info = infoObj || { event: null, input: null, embedding: null };
 
-  const row = Object.assign({}, writeBase, {
+  const row = Object.assign({}, extractPromotedValues(metadataObj, getPromotedColumns()), writeBase, {
     id,
     info,
     metadata: metadata || null,
@@ -196,6 +391,11 @@ async function persistRow(writeBase, infoObj, metadata, embeddingsData) {
   const version = String(writeBase.version);
   const instanceInsertId = `${id}|${version}`;
 
+  const maxRowBytes = gcpConfig.bigQuery?.maxRowBytes;
+  if (maxRowBytes && persistedObj) {
+    await offloadOversizedMetadata(row, persistedObj, metadataObj, maxRowBytes);
+  }
+
   await insert(row, instanceInsertId);
 
   // Write embeddings to separate table
@@ -235,36 +435,102 @@ async function persistRow(writeBase, infoObj, metadata, embeddingsData) {
 }
 
 /**
- * Recursively find all .dcm files in a directory.
- * @param {string} dir The directory to search
- * @returns {Promise<string[]>} Array of absolute paths to .dcm files
+ * Write the row of an unchanged file's new version as a copy of its previous version's row:
+ * same id (so its embeddings and assets stay attached), metadata, promoted columns and
+ * offloaded metadata, with this event's info.
+ * @param {{timestamp: Date, path: string, version: string}} writeBase The new version
+ * @param {Object} infoObj This event's info (marked unchanged)
+ * @param {Object} previousRow The previous version's row (see bigquery.findInstanceRow)
+ * @returns {Promise<void>}
  */
-async function findDcmFiles(dir) {
-  const files = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      const subFiles = await findDcmFiles(fullPath);
-      files.push(...subFiles);
-    } else if (entry.name.toLowerCase().endsWith('.dcm')) {
-      files.push(fullPath);
-    }
-  }
-  
-  return files;
+async function persistCarriedForwardRow(writeBase, infoObj, previousRow) {
+  const version = String(writeBase.version);
+  const previousInfo = previousRow.info || {};
+  const row = Object.assign({}, previousRow, writeBase, {
+    version,
+    info: {
+      ...previousInfo,
+      ...infoObj,
+      input: { ...previousInfo.input, ...infoObj.input },
+    },
+  });
+  await insert(row, `${row.id}|${version}`);
 }
 
-function getArchiveType(objectId) {
-  const lower = objectId.toLowerCase();
-  if (lower.endsWith('.zip')) {
-    return 'zip';
+// Room left for the info.offloadedMetadata reference added to an offloaded row
+const OFFLOAD_REFERENCE_BYTES = 1024;
+
+/**
+ * Keep a row under bigQuery.maxRowBytes by moving the largest metadata sequences to a
+ * sidecar JSON object next to the embedding input (gs:// or file://). The row keeps the
+ * rest of the metadata and a reference in info.offloadedMetadata. Mutates the row.
+ * @param {Object} row The instances row about to be inserted
+ * @param {Object} persistedObj The parsed metadata of the row
+ * @param {Object} metadataObj The same metadata as flat keyword JSON (names the sidecar)
+ * @param {number} maxRowBytes The largest serialized row to insert as is
+ * @returns {Promise<void>}
+ * @throws {Error} Non-retryable if there is nowhere to offload to or the row can't be made small enough
+ */
+async function offloadOversizedMetadata(row, persistedObj, metadataObj, maxRowBytes) {
+  const rowBytes = measureRow(row);
+  if (rowBytes <= maxRowBytes) {
+    return;
+  }
+  const overLimit = `Row for ${row.path} is ${rowBytes} bytes, over bigQuery.maxRowBytes (${maxRowBytes})`;
+  if (!embeddingInputConfig?.gcsBucketPath) {
+    throw createNonRetryableError(`${overLimit}; configure embedding.input.gcsBucketPath to offload large sequences`);
+  }
+  const split = splitOversizedMetadata(persistedObj, rowBytes - maxRowBytes + OFFLOAD_REFERENCE_BYTES);
+  if (!split) {
+    throw createNonRetryableError(`${overLimit}, even without its sequences`);
+  }
+
+  const studyUid = metadataObj.StudyInstanceUID || "unknown";
+  const seriesUid = metadataObj.SeriesInstanceUID || "unknown";
+  const instanceUid = metadataObj.SOPInstanceUID || "unknown";
+  const fileName = `${studyUid}/${seriesUid}/${instanceUid}.metadata.json`;
+  const objectPath = await saveOutput(JSON.stringify(split.offloaded), fileName, "application/json");
+
+  const attributes = Object.keys(split.offloaded);
+  row.metadata = JSON.stringify(split.metadata);
+  row.info = Object.assign({}, row.info, { offloadedMetadata: { path: objectPath, attributes } });
+  if (DEBUG_MODE) {
+    console.log(`Offloaded ${attributes.join(", ")} for ${row.path} to ${objectPath}`);
   }
-  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
-    return 'tar';
+}
+
+// Skipped archive members (and DICOMDIR mismatches) named in the logs; counts are always complete
+const MAX_REPORTED_SKIPPED = 20;
+// Failed archive members named in the summary row; counts are always complete
+const MAX_RECORDED_FAILURES = 100;
+// Levels of archives within archives that are extracted, when archives.maxNestingDepth is unset
+const DEFAULT_MAX_NESTING_DEPTH = 2;
+// Members of an archive processed at once, when archives.concurrency is unset
+const DEFAULT_ARCHIVE_CONCURRENCY = 4;
+// Default archives.maxTempBytes: extracted member bytes on disk at once (8 GiB)
+const DEFAULT_MAX_TEMP_BYTES = 8 * 1024 ** 3;
+
+/**
+ * The instance path of an archive member: the archive URI with the member's path inside
+ * the archive as fragment, each segment URL-encoded, so same-named members in different
+ * folders stay distinct. `archives.memberPaths: "basename"` keeps the fragment of rows
+ * written before, the bare file name.
+ * @param {string} archiveUriPath The URI path of the archive
+ * @param {string} tempDir The extraction directory
+ * @param {string} memberFile Path of the extracted member
+ * @returns {string} The instance path
+ */
+function buildArchiveMemberUri(archiveUriPath, tempDir, memberFile) {
+  if (config.get().archives?.memberPaths === "basename") {
+    return `${archiveUriPath}#${path.basename(memberFile)}`;
   }
-  return null;
+  const segments = path.relative(tempDir, memberFile).split(path.sep);
+  return `${archiveUriPath}#${segments.map(encodeURIComponent).join("/")}`;
+}
+
+// Config sources do not merge with defaults, so dicomDetection may be absent
+function getDetectionOptions() {
+  return { acceptPreambleless: Boolean(config.get().dicomDetection?.acceptPreambleless) };
 }
 
 function isSupportedDicomObjectPath(objectId) {
@@ -272,7 +538,7 @@ function isSupportedDicomObjectPath(objectId) {
     return false;
   }
   const lower = objectId.toLowerCase();
-  return lower.endsWith(".dcm") || lower.endsWith(".dicom") || lower.endsWith(".zip") || lower.endsWith(".tar.gz") || lower.endsWith(".tgz");
+  return lower.endsWith(".dcm") || lower.endsWith(".dicom") || getArchiveType(lower) !== null;
 }
 
 function isParallelCompositeUploadObject(objectId) {
@@ -283,102 +549,550 @@ function isParallelCompositeUploadObject(objectId) {
 }
 
 /**
- * Extract supported archive to a temporary directory.
- * @param {('zip'|'tar')} archiveType The archive format
- * @param {string} archiveFilePath Path to archive file on disk
- * @param {string} tempDir Path to extract into
+ * Read a DICOMDIR extracted from an archive.
+ * @param {string} tempDir The extraction directory
+ * @param {string} dicomdirFile Path of the extracted DICOMDIR
+ * @returns {Promise<{file: string, path: string, records: Array<Object>, error?: string}>} Its
+ *   records; a DICOMDIR that can't be parsed has none and an error instead
+ */
+async function readArchiveDicomdir(tempDir, dicomdirFile) {
+  const dicomdir = { file: dicomdirFile, path: toArchiveRelativePath(tempDir, dicomdirFile), records: [] };
+  try {
+    dicomdir.records = readDirectoryRecords(await new DicomFile(url.pathToFileURL(dicomdirFile)).parse());
+  } catch (error) {
+    dicomdir.error = error instanceof Error ? error.message : String(error);
+  }
+  return dicomdir;
+}
+
+function isReferencedByDicomdirs(dicomdirs, memberFile) {
+  return dicomdirs.some((dicomdir) => resolveDirectoryRecords(dicomdir.file, dicomdir.records, [memberFile]).referenced.length > 0);
+}
+
+function toArchiveRelativePath(tempDir, file) {
+  return path.relative(tempDir, file).split(path.sep).join("/");
+}
+
+/**
+ * Reconcile the records of an archive's DICOMDIRs with its members.
+ * @param {string} tempDir The extraction directory
+ * @param {Array<Object>} dicomdirs From readArchiveDicomdir
+ * @param {string[]} memberFiles Paths (under tempDir) of all other members, extracted or not
+ * @returns {Object} The reconciliation report (paths relative to the archive root)
  */
-async function extractArchiveToTempDir(archiveType, archiveFilePath, tempDir) {
-  if (archiveType === 'zip') {
-    const zip = new AdmZip(archiveFilePath);
-    zip.extractAllTo(tempDir, true);
+function reconcileDicomdirs(tempDir, dicomdirs, memberFiles) {
+  const referenced = new Set();
+  const report = { dicomdirs: [], missing: [], unreferenced: [] };
+  for (const dicomdir of dicomdirs) {
+    const entry = { path: dicomdir.path };
+    if (dicomdir.error) {
+      entry.error = dicomdir.error;
+    } else {
+      const resolved = resolveDirectoryRecords(dicomdir.file, dicomdir.records, memberFiles);
+      resolved.referenced.forEach((file) => referenced.add(file));
+      report.missing.push(...resolved.missing.map((record) => ({ dicomdir: entry.path, ...record })));
+      Object.assign(entry, { recordCounts: resolved.recordCounts, referencedFiles: resolved.referenced.length });
+    }
+    report.dicomdirs.push(entry);
+  }
+  report.unreferenced = memberFiles.filter((file) => !referenced.has(file)).map((file) => toArchiveRelativePath(tempDir, file));
+  return report;
+}
+
+/**
+ * Log the DICOMDIR reconciliation of an archive and, when an output path is configured,
+ * save the full report as JSON next to the embedding inputs. Never fails the archive.
+ * @param {Object} report From reconcileDicomdirs
+ * @param {string} archiveUriPath The URI path of the archive
+ * @param {string} version The archive version
+ */
+async function reportDicomdirReconciliation(report, archiveUriPath, version) {
+  const fullReport = { archive: archiveUriPath, version: version ?? null, ...report };
+  let reportPath = null;
+  if (embeddingInputConfig?.gcsBucketPath) {
+    const fileName = `dicomdir-reports/${archiveUriPath.replace(/^[a-z]+:\/+/i, "")}/${version || "latest"}.json`;
+    try {
+      reportPath = await saveOutput(JSON.stringify(fullReport), fileName, "application/json");
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      console.error(`Error saving DICOMDIR report for ${archiveUriPath}: ${errorMsg}`);
+    }
+  }
+  const isClean = report.missing.length === 0 && report.unreferenced.length === 0 && report.dicomdirs.every((entry) => !entry.error);
+  if (isClean && !DEBUG_MODE) {
     return;
   }
+  const log = isClean ? console.log : console.warn;
+  log(JSON.stringify({
+    message: `DICOMDIR reconciliation for ${archiveUriPath}: ${report.missing.length} record(s) with missing files, ${report.unreferenced.length} unreferenced file(s)`,
+    reportPath,
+    dicomdirs: report.dicomdirs,
+    missing: report.missing.slice(0, MAX_REPORTED_SKIPPED).map((record) => record.fileId),
+    unreferenced: report.unreferenced.slice(0, MAX_REPORTED_SKIPPED),
+  }));
+}
+
+/**
+ * Republish an archive event so another delivery picks up where this one stopped.
+ * @param {string} topicName The topic the service is subscribed to (archives.continuationTopic)
+ * @param {{data: string, attributes: Object}} message The Pub/Sub message being handled
+ * @param {number} resumeAt The number of members already handled
+ */
+async function publishContinuation(topicName, message, resumeAt) {
+  try {
+    await pubsub.publishMessage(topicName, Buffer.from(message.data, "base64"), {
+      ...message.attributes,
+      [consts.RESUME_AT_ATTRIBUTE]: String(resumeAt),
+    });
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    // Retryable, so the message is redelivered rather than the remaining members lost
+    throw createHttpError(503, `Failed to publish the archive continuation to ${topicName}: ${errorMsg}`);
+  }
+}
+
+/**
+ * Write the summary row of an archive (one per delivery): its member counts, the failed
+ * members with their errors, and the error that stopped the archive, if any. The row has
+ * the archive's path and no metadata; instancesView neither lists it nor treats it as a
+ * deletion.
+ * @param {{timestamp: Date, path: string, version: string}} writeBase The archive's event
+ * @param {Object} input The info.input of the row (size, type, storageClass)
+ * @param {Object} archive The info.archive of the row
+ */
+async function persistArchiveSummary(writeBase, input, archive) {
+  const version = String(writeBase.version);
+  const id = crypto.createHash("sha256").update(`${writeBase.path}|${version}`).digest("hex").substring(0, 16);
+  const row = { ...writeBase, id, version, info: { event: consts.ARCHIVE_SUMMARY, input, archive }, metadata: null };
+  // Each continuation writes its own row, so the insertId must not dedupe them
+  await insert(row, `${id}|${version}|${archive.resumedAt}`);
+}
 
-  if (archiveType === 'tar') {
-    await tar.x({ file: archiveFilePath, cwd: tempDir });
+/**
+ * Fail an archive event when too many of its members failed (archives.maxFailureRatio),
+ * so Pub/Sub redelivers it, and dead-letters it after the subscription's max delivery
+ * attempts. An archive that could not be read counts as all failed.
+ * @param {string} archiveUriPath The URI path of the archive
+ * @param {number} succeeded Members processed
+ * @param {number} failed Members that failed
+ * @param {Error|null} archiveError The error that stopped the archive
+ * @param {number} maxFailureRatio Failed members to processed ones (1 = never fail)
+ * @throws {Error} Retryable when the ratio is over the limit
+ */
+function checkArchiveFailureRatio(archiveUriPath, succeeded, failed, archiveError, maxFailureRatio) {
+  if (archiveError) {
+    if (maxFailureRatio < 1) {
+      throw createHttpError(500, `Archive failed: ${archiveUriPath} could not be processed: ${archiveError.message}`);
+    }
     return;
   }
+  const processed = succeeded + failed;
+  if (processed > 0 && failed / processed > maxFailureRatio) {
+    throw createHttpError(500, `Archive failed: ${failed} of ${processed} member(s) of ${archiveUriPath} failed, over archives.maxFailureRatio (${maxFailureRatio})`);
+  }
+}
+
+// Asset deletions in flight at once
+const ASSET_DELETE_CONCURRENCY = 8;
+
+/**
+ * Delete the assets of deleted instances (deletion.assets). Every asset is tried; a
+ * retryable failure fails the event, so it is redelivered and all deletions retried.
+ * @param {string[]} uris Rendered images, extracted text and offloaded metadata
+ * @returns {Promise<Error|null>} A non-retryable error listing permanent failures, if any
+ */
+async function deleteAssets(uris) {
+  const pool = createPool(ASSET_DELETE_CONCURRENCY);
+  const unique = Array.from(new Set(uris));
+  const failures = [];
+  await Promise.all(unique.map((uri) => pool.run(async () => {
+    try {
+      await deleteOutput(uri);
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      console.error(`Error deleting ${uri}: ${errorMsg}`);
+      failures.push({ uri, error });
+    }
+  })));
+  if (failures.length === 0) {
+    return null;
+  }
+  const message = `Failed to delete ${failures.length} of ${unique.length} asset(s): ` +
+    failures.slice(0, 10).map(({ uri, error }) => `${uri} (${error.message})`).join("; ");
+  if (failures.some(({ error }) => isRetryableError(error))) {
+    throw atStage("delete", createHttpError(503, message));
+  }
+  return atStage("delete", createNonRetryableError(message));
+}
+
+/**
+ * Delete the embeddings of deleted instances (tombstoned or deleted, deletion.embeddings)
+ * and their assets under embedding.input.gcsBucketPath (deletion.assets). Both are keyed
+ * by instance id, so instances still live under another path or version (a copy of the
+ * file, or an archive holding it) keep theirs. The caller writes the deletion rows after
+ * this, so a redelivery after a partial failure still finds everything.
+ * @param {{timestamp: Date, version: string}} writeBase The deletion event
+ * @param {string} event The event of the deletion rows
+ * @param {Array<{id: string, path: string, version: string, offloadedMetadataPath: string|null}>} liveRows The rows of the deleted instances
+ * @returns {Promise<Error|null>} The permanent asset deletion failures, to report once the deletion is recorded
+ */
+async function deleteInstanceData(writeBase, event, liveRows) {
+  const deletion = config.get().deletion || {};
+  const ids = Array.from(new Set(liveRows.map((row) => row.id)));
+  let instanceIds;
+  let embeddings;
+  try {
+    const stillLive = new Set(await findLiveIds(ids, liveRows));
+    instanceIds = ids.filter((id) => !stillLive.has(id));
+    embeddings = await findEmbeddings(instanceIds);
+  } catch (error) {
+    throw atStage("lookup", error);
+  }
+
+  let assetError = null;
+  if (deletion.assets) {
+    const offloaded = liveRows.filter((row) => instanceIds.includes(row.id)).map((row) => row.offloadedMetadataPath);
+    const uris = [...embeddings.map((embedding) => embedding.inputPath), ...offloaded];
+    assetError = await deleteAssets(uris.filter(Boolean));
+  }
+
+  if (embeddings.length === 0) {
+    return assetError;
+  }
+  try {
+    if (deletion.embeddings === "delete") {
+      await deleteEmbeddings(instanceIds);
+    } else {
+      const embeddingRows = embeddings.map(({ id, instanceId, frameNumber }) => ({
+        id,
+        instanceId,
+        frameNumber,
+        timestamp: writeBase.timestamp,
+        embeddingVector: [],
+        info: null,
+        deleted: true,
+      }));
+      // The event type keeps these insertIds apart from the rows being deleted
+      await insertEmbeddings(embeddingRows, embeddingRows.map((row) => `${row.id}|${writeBase.version}|${event}`));
+    }
+  } catch (error) {
+    throw atStage("persist", error);
+  }
+  return assetError;
+}
+
+/**
+ * Delete what an object version leaves behind when it is deleted or stops being current:
+ * the embeddings and assets of its instances (see deleteInstanceData) and, for an
+ * archive, the member rows (a deletion row each, with the member's id and version, which
+ * is what instancesView matches on). The caller writes the object's own deletion row
+ * after this, so a redelivery after a partial failure still finds everything.
+ * @param {{timestamp: Date, path: string, version: string}} writeBase The object's event
+ * @param {Object} infoObj The info of the object's deletion row
+ * @returns {Promise<{instances: number, assetError: Error|null}>} The instances deleted,
+ *   and the permanent asset deletion failures to report once the deletion is recorded
+ */
+async function deleteObjectData(writeBase, infoObj) {
+  const liveRows = await findLiveRows(writeBase.path, writeBase.version).catch((error) => {
+    throw atStage("lookup", error);
+  });
+  if (liveRows.length === 0) {
+    return { instances: 0, assetError: null };
+  }
+  const assetError = await deleteInstanceData(writeBase, infoObj.event, liveRows);
+
+  // The event type keeps these insertIds apart from the rows being deleted
+  const suffix = `${writeBase.version}|${infoObj.event}`;
+  try {
+    const rows = liveRows
+      .filter((row) => row.path !== writeBase.path)
+      .map((member) => ({
+        timestamp: writeBase.timestamp,
+        id: member.id,
+        path: member.path,
+        version: String(member.version),
+        info: infoObj,
+        metadata: null,
+      }));
+    if (rows.length > 0) {
+      await insertInstances(rows, rows.map((row) => `${row.id}|${row.version}|${suffix}`));
+    }
+  } catch (error) {
+    throw atStage("persist", error);
+  }
+  return { instances: liveRows.length, assetError };
+}
+
+/**
+ * Write the row of a GCS metadata update: no download, rendering or embedding, only the
+ * object's custom metadata (x-goog-meta-*, without the prefix), contentType and storage
+ * class from the event payload, in info.objectMetadata. The row has no metadata and is
+ * not a deletion; instancesView exposes the latest one of each object version on its
+ * rows (archive members included) as object_metadata.
+ * @param {{timestamp: Date, path: string, version: string}} writeBase The object's event
+ * @param {Object} msgData The GCS object resource of the event
+ * @param {number|null} fileSize The object size
+ * @param {string} [messageId] The Pub/Sub message id
+ */
+async function persistObjectMetadata(writeBase, msgData, fileSize, messageId) {
+  const version = String(writeBase.version);
+  const id = crypto.createHash("sha256").update(`${writeBase.path}|${version}`).digest("hex").substring(0, 16);
+  const storageClass = msgData.storageClass || null;
+  const metageneration = msgData.metageneration === undefined || msgData.metageneration === null ? null : String(msgData.metageneration);
+  const info = {
+    event: consts.GCS_OBJ_METADATA_UPDATE,
+    input: { size: fileSize, type: consts.STORAGE_TYPE_GCS, storageClass },
+    objectMetadata: {
+      contentType: msgData.contentType || null,
+      storageClass,
+      metageneration,
+      custom: JSON.stringify(msgData.metadata || {}),
+    },
+  };
+  const row = { ...writeBase, id, version, info, metadata: null };
+  // Every update of a version is a row of its own, so the metageneration is in the insertId
+  await insert(row, `${id}|${version}|${metageneration ?? messageId}`);
+}
 
-  throw new Error(`Unsupported archive type: ${archiveType}`);
+// The members a continuation message says were handled already (0 for a first delivery)
+function getResumeAt(attributes) {
+  const resumeAt = Number.parseInt(attributes?.[consts.RESUME_AT_ATTRIBUTE], 10);
+  return Number.isInteger(resumeAt) && resumeAt > 0 ? resumeAt : 0;
 }
 
 /**
- * Handle a supported archive file containing DICOM files.
- * @param {string} archiveFilePath The local path to the archive file
+ * Handle a supported archive file containing DICOM files. Members are extracted in order
+ * and up to archives.concurrency of them are processed at once, each deleted once done.
+ * No more members are extracted while those on disk, nested archives' included, add up to
+ * archives.maxTempBytes; a member larger than that on its own is skipped.
+ * Rendering and embedding requests of all members share one pool of the same size.
+ * Members that are archives themselves (per-series zips, ...) are handled the same way,
+ * up to archives.maxNestingDepth levels, with instance paths chaining the member paths
+ * (outer.zip#S1.zip#IM1).
+ *
+ * With archives.timeBudgetMs and archives.continuationTopic set, an archive still going
+ * when the budget runs out stops taking members, lets those in flight finish, and
+ * republishes its event with the number of members handled, so the next delivery
+ * resumes there instead of the whole archive being redelivered after the ack deadline.
+ *
+ * Each delivery writes an ARCHIVE_SUMMARY row with its member counts and failures; the
+ * counts include the members of nested archives. Member failures don't fail the event
+ * unless their share, over all members at any depth, is over archives.maxFailureRatio,
+ * which the stored archive checks once.
+ * @param {Object} source The archive bytes (see archives.createFileSource and gcs.createObjectSource)
  * @param {string} archiveUriPath The URI path of the archive (gs://, file://, etc)
  * @param {Date} timestamp The timestamp of the event
  * @param {number} version The version identifier
  * @param {string} eventType The event type
- * @param {('zip'|'tar')} archiveType The archive format
+ * @param {string} archiveType The archive type (see archives.getArchiveType)
  * @param {string} storageClass The storage class of the archive object
  * @param {string} storageType The type of storage (GCS, LOCAL, etc)
+ * @param {{message?: Object, resumeAt?: number, depth?: number, pool?: Object, tempBudget?: Object}} [options]
+ *   The Pub/Sub message to republish as continuation and the members already handled (stored archives
+ *   only); the nesting depth, the pool and the temp byte budget of the outer archive (nested archives)
+ * @returns {Promise<{succeeded: number, failed: number, error: Error|null}>} The member counts, and the
+ *   error that stopped the archive, for the archive a nested one is in
+ * @throws {Error} Non-retryable when the archive (or one nested in it) violates the archives.* safety limits;
+ *   retryable when it can't be read for a transient reason, when too many members failed, or when its
+ *   continuation can't be published
  */
-async function handleArchiveFile(archiveFilePath, archiveUriPath, timestamp, version, eventType, archiveType, storageClass, storageType) {
+async function handleArchiveFile(source, archiveUriPath, timestamp, version, eventType, archiveType, storageClass, storageType, options = {}) {
+  const { message = null, resumeAt = 0, depth = 0 } = options;
+  const startTime = Date.now();
+  // Config sources do not merge with defaults, so archives may be absent
+  const archivesConfig = config.get().archives || {};
   let tempDir = null;
+  let continueAt = null;
+  // Member outcomes, for the logs and the summary row
+  let successCount = 0;
+  const failures = [];
+  // Failed members of nested archives, whose failures their own summary rows list
+  let nestedFailedCount = 0;
+  const skipped = [];
+  // A limit violation here or in a nested archive, which rejects this archive, or another error that stopped it
+  let rejection = null;
+  let archiveError = null;
   try {
-    // Extract archive to temporary directory
     tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dcm2bq-'));
-    await extractArchiveToTempDir(archiveType, archiveFilePath, tempDir);
-    
-    // Find all .dcm files
-    const dcmFiles = await findDcmFiles(tempDir);
-    
-    if (DEBUG_MODE) {
-      console.log(`Found ${dcmFiles.length} DICOM files in ${archiveType} archive: ${archiveUriPath}`);
-    }
-    
-    // Process each DICOM file; continue on per-file failure
-    let successCount = 0;
-    let errorCount = 0;
-    
-    for (const dcmFile of dcmFiles) {
+    // Members on disk at once, nested archives' included, are kept to about maxTempBytes;
+    // a member larger than that on its own is skipped
+    const maxTempBytes = archivesConfig.maxTempBytes ?? DEFAULT_MAX_TEMP_BYTES;
+    const tempBudget = options.tempBudget || createByteBudget(maxTempBytes);
+    const maxNestingDepth = archivesConfig.maxNestingDepth ?? DEFAULT_MAX_NESTING_DEPTH;
+    const concurrency = Math.max(1, archivesConfig.concurrency ?? DEFAULT_ARCHIVE_CONCURRENCY);
+    const pool = options.pool || createPool(concurrency);
+    // Nested archives are handled within one member of the stored archive
+    const timeBudgetMs = depth === 0 && message && archivesConfig.continuationTopic ? archivesConfig.timeBudgetMs || 0 : 0;
+    const limits = {
+      maxEntries: archivesConfig.maxEntries,
+      maxTotalBytes: archivesConfig.maxTotalBytes,
+      maxCompressionRatio: archivesConfig.maxCompressionRatio,
+      maxDepth: archivesConfig.maxDepth,
+    };
+    const detectionOptions = getDetectionOptions();
+
+    // Process each DICOM member; continue on per-file failure
+    const memberFiles = [];
+    // Media imports: DICOMDIR records locate instances and are reconciled against the members
+    const dicomdirs = [];
+
+    const processMember = async (member) => {
+      const nestedType = getArchiveType(member.path);
       try {
-        const fileStats = await fs.stat(dcmFile);
-        const fileName = path.basename(dcmFile);
-        const uriPath = `${archiveUriPath}#${fileName}`;
-        
+        if (nestedType) {
+          if (depth >= maxNestingDepth) {
+            skipped.push({ path: member.path, reason: `nested archive deeper than ${maxNestingDepth} level(s)` });
+            return;
+          }
+          const nestedUriPath = buildArchiveMemberUri(archiveUriPath, tempDir, member.filePath);
+          const nested = await handleArchiveFile(await createFileSource(member.filePath), nestedUriPath, timestamp, version, eventType, nestedType, storageClass, storageType, { depth: depth + 1, pool, tempBudget });
+          // Its members count toward this archive's failure ratio, not the nested archive as one member
+          successCount += nested.succeeded;
+          nestedFailedCount += nested.failed;
+          if (nested.error) {
+            failures.push({ path: member.path, error: nested.error.message });
+          }
+          return;
+        }
+        // Classify by content (names are often extensionless: IM000001, ...) or DICOMDIR reference
+        const isDicom = (await isDicomFile(member.filePath, detectionOptions)) || isReferencedByDicomdirs(dicomdirs, member.filePath);
+        if (!isDicom) {
+          skipped.push({ path: member.path, reason: "not DICOM" });
+          return;
+        }
         await processAndPersistDicom(
           version,
           timestamp,
-          dcmFile,
-          uriPath,
+          member.filePath,
+          buildArchiveMemberUri(archiveUriPath, tempDir, member.filePath),
           eventType,
-          fileStats.size,
+          member.size,
           storageType,
-          storageClass
+          storageClass,
+          pool
         );
         successCount++;
       } catch (error) {
-        errorCount++;
+        if (nestedType && error?.retryable === false) {
+          rejection = rejection || error;
+          return;
+        }
         const errorMsg = error instanceof Error ? error.message : String(error);
         const errorStack = error instanceof Error ? error.stack : '';
+        failures.push({ path: member.path, error: errorMsg });
         console.error(JSON.stringify({
-          message: `Error processing DICOM ${path.basename(dcmFile)}`,
+          message: `Error processing DICOM ${member.path}`,
           error: errorMsg,
           stack: errorStack || null,
         }));
       } finally {
-        // Delete processed file to free disk space
+        // Delete the member once done to bound disk usage
         try {
-          await fs.unlink(dcmFile);
+          await fs.unlink(member.filePath);
         } catch (e) {
           // Ignore cleanup errors
         }
       }
+    };
+
+    const members = extractArchiveMembers(archiveType, source, tempDir, { maxMemberBytes: maxTempBytes, limits, first: isDicomdirName, resumeAt });
+    const inFlight = new Set();
+    // Members taken from the archive so far, in archive order, resumed ones included
+    let taken = 0;
+    let takenThisRun = 0;
+    try {
+      while (!rejection) {
+        // Checked between members; each delivery handles at least one, so continuations progress
+        if (timeBudgetMs > 0 && takenThisRun > 0 && Date.now() - startTime > timeBudgetMs) {
+          continueAt = taken;
+          break;
+        }
+        // Extract more only while there is room; with nothing in flight this archive always
+        // takes its next member, so a nested archive progresses while the outer one waits
+        await tempBudget.waitForRoom(() => inFlight.size > 0);
+        const { value: member, done } = await members.next();
+        if (done) {
+          break;
+        }
+        taken++;
+        const memberFile = member.filePath || path.join(tempDir, ...member.path.split("/"));
+        if (member.resumed) {
+          // Handled by an earlier delivery; still counts for DICOMDIR reconciliation
+          memberFiles.push(memberFile);
+          continue;
+        }
+        if (isDicomdirName(memberFile) && member.filePath) {
+          // Kept on disk until the archive is done; directories are small. Read before the
+          // members after it are dispatched, so they can be matched to its records.
+          dicomdirs.push(await readArchiveDicomdir(tempDir, member.filePath));
+          continue;
+        }
+        takenThisRun++;
+        memberFiles.push(memberFile);
+        if (!member.filePath) {
+          skipped.push({ path: member.path, reason: member.skipped });
+          continue;
+        }
+        tempBudget.take(member.size);
+        // Released once out of inFlight, so a waiting loop sees both
+        const task = processMember(member).finally(() => {
+          inFlight.delete(task);
+          tempBudget.release(member.size);
+        });
+        inFlight.add(task);
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
+      }
+    } finally {
+      // Members in flight finish before the archive is closed and the temp dir removed
+      await Promise.all(inFlight);
+      await members.return();
     }
-    
-    if (DEBUG_MODE) {
-      console.log(`${archiveType} processing complete for ${archiveUriPath}: ${successCount} succeeded, ${errorCount} failed out of ${dcmFiles.length} total`);
+    if (rejection) {
+      throw rejection;
+    }
+
+    const failedCount = failures.length + nestedFailedCount;
+    const summary = `${archiveType} processing complete for ${archiveUriPath}: ${successCount} succeeded, ${failedCount} failed out of ${successCount + failedCount} total`;
+    if (continueAt !== null) {
+      // Reconciled by the delivery that finishes the archive
+      console.log(JSON.stringify({
+        message: `${summary}; time budget of ${timeBudgetMs} ms reached, continuing from member ${continueAt} in a new message`,
+        skipped: skipped.slice(0, MAX_REPORTED_SKIPPED),
+        skippedTruncated: skipped.length > MAX_REPORTED_SKIPPED,
+      }));
+    } else {
+      if (dicomdirs.length > 0) {
+        await reportDicomdirReconciliation(reconcileDicomdirs(tempDir, dicomdirs, memberFiles), archiveUriPath, version);
+      }
+      if (skipped.length > 0) {
+        // Always report skipped members, so a misclassified export doesn't go unnoticed
+        console.warn(JSON.stringify({
+          message: `${summary}; ${skipped.length} member(s) skipped`,
+          skipped: skipped.slice(0, MAX_REPORTED_SKIPPED),
+          skippedTruncated: skipped.length > MAX_REPORTED_SKIPPED,
+        }));
+      } else if (DEBUG_MODE) {
+        console.log(summary);
+      }
     }
   } catch (error) {
-    const errorMsg = error instanceof Error ? error.message : String(error);
-    const errorStack = error instanceof Error ? error.stack : '';
-    console.error(JSON.stringify({
-      message: `Error processing ${archiveType} file ${archiveUriPath}`,
-      error: errorMsg,
-      stack: errorStack || null,
-    }));
+    continueAt = null;
+    // Limit violations (zip bombs, path traversal) reject the archive for good
+    if (error?.retryable === false) {
+      rejection = error;
+    } else if (isRetryableError(error)) {
+      // Reading the archive failed transiently; the redelivery starts it over
+      throw error;
+    } else {
+      archiveError = error instanceof Error ? error : new Error(String(error));
+      console.error(JSON.stringify({
+        message: `Error processing ${archiveType} file ${archiveUriPath}`,
+        error: archiveError.message,
+        stack: archiveError.stack || null,
+      }));
+    }
   } finally {
     // Clean up temporary directory
     if (tempDir) {
@@ -390,6 +1104,95 @@ async function handleArchiveFile(archiveFilePath, archiveUriPath, timestamp, ver
       }
     }
   }
+
+  await persistArchiveSummary({ timestamp, path: archiveUriPath, version }, { size: source.size ?? null, type: storageType, storageClass: storageClass || null }, {
+    type: archiveType,
+    total: successCount + failures.length + nestedFailedCount + skipped.length,
+    succeeded: successCount,
+    failed: failures.length + nestedFailedCount,
+    skipped: skipped.length,
+    failures: failures.slice(0, MAX_RECORDED_FAILURES),
+    failuresTruncated: failures.length > MAX_RECORDED_FAILURES,
+    error: (rejection || archiveError)?.message ?? null,
+    resumedAt: resumeAt,
+    continuedAt: continueAt,
+  });
+  if (rejection) {
+    throw atStage("archive", rejection);
+  }
+  const result = { succeeded: successCount, failed: failures.length + nestedFailedCount, error: archiveError };
+  if (depth > 0) {
+    return result;
+  }
+  checkArchiveFailureRatio(archiveUriPath, result.succeeded, result.failed, archiveError, archivesConfig.maxFailureRatio ?? 1);
+  if (continueAt !== null) {
+    await publishContinuation(archivesConfig.continuationTopic, message, continueAt);
+  }
+  return result;
+}
+
+/**
+ * Record an event acknowledged without retry in the failures table, so it is still
+ * accounted for although it never reaches the dead letter topic. Never throws: the event
+ * is acknowledged either way.
+ * @param {{path: string, version: *, event: string, messageId?: string}} event The failed event
+ * @param {Error} error The non-retryable error (with the stage it failed at, see atStage)
+ */
+async function recordFailure(event, error) {
+  const record = {
+    timestamp: new Date(),
+    path: event.path,
+    version: event.version === undefined || event.version === null ? null : String(event.version),
+    event: event.event || null,
+    messageId: event.messageId || null,
+    stage: error?.stage || "process",
+    errorClass: error?.name || "Error",
+    message: error instanceof Error ? error.message : String(error),
+    dcm2bqVersion: pkg.version,
+  };
+  // Stable across redeliveries of the same message
+  const insertId = crypto.createHash("sha256").update(`${record.path}|${record.version}|${record.messageId}`).digest("hex");
+  try {
+    await insertFailure(record, insertId);
+  } catch (insertError) {
+    const errorMsg = insertError instanceof Error ? insertError.message : String(insertError);
+    console.error(`Error recording the failure of ${record.path}: ${errorMsg}`);
+  }
+}
+
+/**
+ * Delete the data of a removed object version and record the deletion row that hides it
+ * from instancesView. A non-retryable cleanup failure is recorded, not thrown: retrying
+ * won't fix it, so the deletion is still recorded.
+ * @param {{timestamp: Date, path: string, version: *}} writeObj The deleted object version
+ * @param {string} eventType The event recorded in info.event
+ * @param {string} storageType The storage type recorded in info.input
+ * @param {string|null} storageClass The storage class recorded in info.input
+ * @param {string} [messageId] The Pub/Sub message ID, for the failure record
+ */
+async function handleObjectDeletion(writeObj, eventType, storageType, storageClass, messageId) {
+  const infoObj = {
+    event: eventType,
+    input: { type: storageType, storageClass },
+  };
+  let cleanupError = null;
+  try {
+    const { instances, assetError } = await deleteObjectData(writeObj, infoObj);
+    cleanupError = assetError;
+    if (DEBUG_MODE) {
+      console.log(`Deleted ${instances} instance(s) of ${writeObj.path} (${eventType})`);
+    }
+  } catch (error) {
+    if (isRetryableError(error)) {
+      throw error;
+    }
+    cleanupError = error;
+  }
+  await persistRow(writeObj, infoObj, null, null);
+  if (cleanupError) {
+    console.error(`Non-retryable deletion error for ${writeObj.path}; acknowledging without retry: ${cleanupError.message}`);
+    await recordFailure({ path: writeObj.path, version: writeObj.version, event: eventType, messageId }, cleanupError);
+  }
 }
 
 async function handleGcsPubSubUnwrap(ctx, perfCtx) {
@@ -422,17 +1225,17 @@ async function handleGcsPubSubUnwrap(ctx, perfCtx) {
     // The object has been removed
     case consts.GCS_OBJ_DELETE: {
       const uriPath = gcs.createUriPath(bucketId, objectId);
-      const infoObj = {
-        event: eventType,
-        input: { type: consts.STORAGE_TYPE_GCS, storageClass },
-      };
-      const writeObj = { timestamp, path: uriPath, version };
-      await persistRow(writeObj, infoObj, null, null);
+      await handleObjectDeletion({ timestamp, path: uriPath, version }, eventType, consts.STORAGE_TYPE_GCS, storageClass, ctx.message.messageId);
+      perfCtx.addRef("afterBqInsert");
+      break;
+    }
+    // Metadata has been updated on the object; its content is the same
+    case consts.GCS_OBJ_METADATA_UPDATE: {
+      const uriPath = gcs.createUriPath(bucketId, objectId);
+      await persistObjectMetadata({ timestamp, path: uriPath, version }, msgData, fileSize, ctx.message.messageId);
       perfCtx.addRef("afterBqInsert");
       break;
     }
-    // Metadata has been updated on the object (HACK: treat same as finalize)
-    case consts.GCS_OBJ_METADATA_UPDATE:
     // The object has been replaced with a new version
     case consts.GCS_OBJ_FINALIZE: {
       const uriPath = gcs.createUriPath(bucketId, objectId);
@@ -444,22 +1247,33 @@ async function handleGcsPubSubUnwrap(ctx, perfCtx) {
       }
       let tempDir = null;
       try {
-        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dcm2bq-'));
-        const localFilePath = path.join(tempDir, path.basename(objectId || 'downloaded-object'));
-        await gcs.downloadToFile(bucketId, objectId, localFilePath);
-        perfCtx.addRef("afterGcsDownloadToFile");
-
-        // Validate downloaded file size matches expected size
-        const downloadedStats = await fs.stat(localFilePath);
-        if (fileSize && downloadedStats.size !== fileSize) {
-          throw createNonRetryableError(`Downloaded file size mismatch: expected ${fileSize} bytes, got ${downloadedStats.size} bytes`);
-        }
-
         const archiveType = getArchiveType(objectId);
         if (archiveType) {
-          await handleArchiveFile(localFilePath, uriPath, timestamp, version, eventType, archiveType, storageClass, consts.STORAGE_TYPE_GCS);
+          // Archives are read by range and never downloaded whole
+          const source = await gcs.createObjectSource(bucketId, objectId, version, fileSize).catch((error) => {
+            throw atStage("download", error);
+          });
+          await handleArchiveFile(source, uriPath, timestamp, version, eventType, archiveType, storageClass, consts.STORAGE_TYPE_GCS, {
+            message: ctx.message,
+            resumeAt: getResumeAt(ctx.message.attributes),
+          });
         } else {
-          const effectiveFileSize = fileSize ?? (await fs.stat(localFilePath)).size;
+          tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dcm2bq-'));
+          const localFilePath = path.join(tempDir, path.basename(objectId || 'downloaded-object'));
+          try {
+            await gcs.downloadToFile(bucketId, objectId, localFilePath);
+          } catch (error) {
+            throw atStage("download", error);
+          }
+          perfCtx.addRef("afterGcsDownloadToFile");
+
+          // Validate downloaded file size matches expected size
+          const downloadedStats = await fs.stat(localFilePath);
+          if (fileSize && downloadedStats.size !== fileSize) {
+            throw atStage("download", createNonRetryableError(`Downloaded file size mismatch: expected ${fileSize} bytes, got ${downloadedStats.size} bytes`));
+          }
+
+          const effectiveFileSize = fileSize ?? downloadedStats.size;
           await processAndPersistDicom(version, timestamp, localFilePath, uriPath, eventType, effectiveFileSize, consts.STORAGE_TYPE_GCS, storageClass);
         }
       } catch (error) {
@@ -468,6 +1282,7 @@ async function handleGcsPubSubUnwrap(ctx, perfCtx) {
           throw error;
         }
         console.error(`Non-retryable processing error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+        await recordFailure({ path: uriPath, version, event: eventType, messageId: ctx.message.messageId }, error);
       } finally {
         if (tempDir) {
           await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
@@ -500,14 +1315,15 @@ async function handleLocalPubSubUnwrap(ctx, perfCtx) {
   // honor the DCM2BQ_LOCAL_ROOT env var in that case.
   const rootPath = config.get().localConfig?.rootPath || process.env.DCM2BQ_LOCAL_ROOT;
 
-  if (!isSupportedDicomObjectPath(msgData.name)) {
+  const localFilePath = await localfile.resolveUnderRoot(rootPath, msgData.name);
+
+  // Local files can be sniffed in place, so extensionless DICOM files are accepted too
+  if (!isSupportedDicomObjectPath(msgData.name) && !(await isDicomFile(localFilePath, getDetectionOptions()).catch(() => false))) {
     if (DEBUG_MODE) {
       console.log(`Ignoring unsupported local file event: ${msgData.name} (${eventType})`);
     }
     return;
   }
-
-  const localFilePath = await localfile.resolveUnderRoot(rootPath, msgData.name);
   const uriPath = localfile.createUriPath(localFilePath);
 
   try {
@@ -519,12 +1335,15 @@ async function handleLocalPubSubUnwrap(ctx, perfCtx) {
       return;
     }
     if (msgData.size && fileSize !== Number(msgData.size)) {
-      throw createNonRetryableError(`Local file size mismatch: expected ${msgData.size} bytes, got ${fileSize} bytes (file changed since indexing?)`);
+      throw atStage("read", createNonRetryableError(`Local file size mismatch: expected ${msgData.size} bytes, got ${fileSize} bytes (file changed since indexing?)`));
     }
 
     const archiveType = getArchiveType(localFilePath);
     if (archiveType) {
-      await handleArchiveFile(localFilePath, uriPath, timestamp, version, eventType, archiveType, null, consts.STORAGE_TYPE_LOCAL);
+      await handleArchiveFile(await createFileSource(localFilePath), uriPath, timestamp, version, eventType, archiveType, null, consts.STORAGE_TYPE_LOCAL, {
+        message: ctx.message,
+        resumeAt: getResumeAt(ctx.message.attributes),
+      });
     } else {
       await processAndPersistDicom(version, timestamp, localFilePath, uriPath, eventType, fileSize, consts.STORAGE_TYPE_LOCAL, null);
     }
@@ -534,6 +1353,7 @@ async function handleLocalPubSubUnwrap(ctx, perfCtx) {
       throw error;
     }
     console.error(`Non-retryable local processing error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+    await recordFailure({ path: uriPath, version, event: eventType, messageId: ctx.message.messageId }, error);
   }
   perfCtx.addRef("afterProcessDicom");
   perfCtx.addRef("afterBqInsert");
@@ -542,22 +1362,441 @@ async function handleLocalPubSubUnwrap(ctx, perfCtx) {
   }
 }
 
+function getS3Settings(region) {
+  // Config sources do not merge with defaults, so fall back to the env vars the defaults read
+  const s3Config = config.get().s3 || {};
+  return {
+    endpoint: s3Config.endpoint || process.env.DCM2BQ_S3_ENDPOINT || "",
+    region: s3Config.region || process.env.AWS_REGION || region || "",
+    forcePathStyle: s3Config.forcePathStyle === true,
+    accessKeyId: s3Config.accessKeyId || process.env.AWS_ACCESS_KEY_ID || "",
+    secretAccessKey: s3Config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY || "",
+    sessionToken: s3Config.sessionToken || process.env.AWS_SESSION_TOKEN || "",
+    timeoutMs: s3Config.timeoutMs,
+  };
+}
+
+// S3 notifications have no generation: a version ID on versioned buckets ("null" on
+// unversioned ones), otherwise the sequencer, which orders the events of a key
+function getS3ObjectVersion(object) {
+  if (object.versionId && object.versionId !== "null") {
+    return String(object.versionId);
+  }
+  return object.sequencer || object.eTag || null;
+}
+
+// The version an S3 removal deleted, or null if none was ingested: permanent deletes of
+// a versioned bucket name it; deletes of unversioned buckets and delete markers don't,
+// so the latest ingested version of the key is the one removed
+async function resolveS3RemovedVersion(eventName, object, uriPath) {
+  if (/:Delete$/.test(eventName) && object.versionId && object.versionId !== "null") {
+    return String(object.versionId);
+  }
+  try {
+    return await findLatestVersion(uriPath);
+  } catch (error) {
+    throw atStage("lookup", error);
+  }
+}
+
+// One S3 event record, as GCS finalize and delete events are handled
+async function handleS3Record(record, message, perfCtx) {
+  const eventName = String(record.eventName).replace(/^s3:/, "");
+  const bucket = record.s3.bucket.name;
+  const key = s3.decodeEventKey(record.s3.object.key);
+  const uriPath = s3.createUriPath(bucket, key);
+  const timestamp = new Date();
+  const rawFileSize = Number(record.s3.object.size);
+  const fileSize = record.s3.object.size !== undefined && Number.isFinite(rawFileSize) ? rawFileSize : null;
+
+  if (!isSupportedDicomObjectPath(key)) {
+    if (DEBUG_MODE) {
+      console.log(`Ignoring unsupported S3 object event: ${uriPath} (${eventName})`);
+    }
+    return;
+  }
+
+  if (/^(ObjectRemoved|LifecycleExpiration):/.test(eventName)) {
+    const eventType = consts.S3_OBJ_REMOVED;
+    let version;
+    try {
+      version = await resolveS3RemovedVersion(eventName, record.s3.object, uriPath);
+    } catch (error) {
+      if (isRetryableError(error)) {
+        throw error;
+      }
+      console.error(`Non-retryable deletion error for ${uriPath}; acknowledging without retry: ${error.message}`);
+      await recordFailure({ path: uriPath, version: record.s3.object.versionId, event: eventType, messageId: message.messageId }, error);
+      return;
+    }
+    if (!version) {
+      if (DEBUG_MODE) {
+        console.log(`Ignoring removal of an S3 object that was never ingested: ${uriPath} (${eventName})`);
+      }
+      return;
+    }
+    await handleObjectDeletion({ timestamp, path: uriPath, version }, eventType, consts.STORAGE_TYPE_S3, null, message.messageId);
+    perfCtx.addRef("afterBqInsert");
+    return;
+  }
+
+  if (!/^ObjectCreated:/.test(eventName)) {
+    if (DEBUG_MODE) {
+      console.log(`Ignoring S3 event: ${uriPath} (${eventName})`);
+    }
+    return;
+  }
+
+  const eventType = consts.S3_OBJ_CREATED;
+  const version = getS3ObjectVersion(record.s3.object);
+  const versionId = record.s3.object.versionId !== "null" ? record.s3.object.versionId : undefined;
+  if (fileSize === 0) {
+    if (DEBUG_MODE) {
+      console.log(`Ignoring zero-size S3 object event: ${uriPath}`);
+    }
+    return;
+  }
+  const settings = getS3Settings(record.awsRegion);
+  let tempDir = null;
+  try {
+    const archiveType = getArchiveType(key);
+    if (archiveType) {
+      // Archives are read by range and never downloaded whole
+      const source = await s3.createObjectSource(settings, bucket, key, versionId, fileSize ?? undefined).catch((error) => {
+        throw atStage("download", error);
+      });
+      await handleArchiveFile(source, uriPath, timestamp, version, eventType, archiveType, null, consts.STORAGE_TYPE_S3, {
+        message,
+        resumeAt: getResumeAt(message.attributes),
+      });
+    } else {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dcm2bq-"));
+      const localFilePath = path.join(tempDir, path.basename(key) || "downloaded-object");
+      try {
+        await s3.downloadToFile(settings, bucket, key, localFilePath, versionId);
+      } catch (error) {
+        throw atStage("download", error);
+      }
+      perfCtx.addRef("afterS3DownloadToFile");
+
+      const downloadedStats = await fs.stat(localFilePath);
+      if (fileSize && downloadedStats.size !== fileSize) {
+        throw atStage("download", createNonRetryableError(`Downloaded file size mismatch: expected ${fileSize} bytes, got ${downloadedStats.size} bytes`));
+      }
+
+      await processAndPersistDicom(version, timestamp, localFilePath, uriPath, eventType, fileSize ?? downloadedStats.size, consts.STORAGE_TYPE_S3, null);
+    }
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    if (isRetryableError(error)) {
+      throw error;
+    }
+    console.error(`Non-retryable S3 processing error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+    await recordFailure({ path: uriPath, version, event: eventType, messageId: message.messageId }, error);
+  } finally {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+  perfCtx.addRef("afterProcessDicom");
+  perfCtx.addRef("afterBqInsert");
+}
+
+/**
+ * Handle an S3 event notification (AWS S3 or an S3-compatible store such as MinIO),
+ * posted as is or as the data of a Pub/Sub message with a payloadFormat attribute of
+ * S3_EVENT_JSON. Objects are read through the S3 API (see config s3) and rows are keyed
+ * by s3://bucket/key; created objects, archives and removals are handled as their GCS
+ * counterparts in handleGcsPubSubUnwrap.
+ */
+async function handleS3PubSubUnwrap(ctx, perfCtx) {
+  // Directly posted notifications are wrapped, so archive continuations can republish them
+  const message = ctx.message || {
+    data: Buffer.from(JSON.stringify(ctx)).toString("base64"),
+    attributes: { payloadFormat: consts.S3_PUBSUB_MSG },
+  };
+  const notification = ctx.message ? JSON.parse(Buffer.from(ctx.message.data, "base64").toString()) : ctx;
+  const records = Array.isArray(notification.Records) ? notification.Records : [];
+  for (const record of records) {
+    // A continuation resumes one archive, so each record of a notification gets its own message
+    const recordMessage = records.length > 1
+      ? { ...message, data: Buffer.from(JSON.stringify({ Records: [record] })).toString("base64") }
+      : message;
+    await handleS3Record(record, recordMessage, perfCtx);
+  }
+  if (DEBUG_MODE) {
+    console.log(JSON.stringify({ paths: records.map((record) => s3.createUriPath(record.s3.bucket.name, s3.decodeEventKey(record.s3.object.key))) }));
+  }
+}
+
+// Instances of a study or series event retrieved and processed at once, when dicomweb.concurrency is unset
+const DEFAULT_DICOMWEB_CONCURRENCY = 4;
+
+function getDicomwebSource() {
+  // Config sources do not merge with defaults, so fall back to the env vars the defaults read
+  const dicomweb = config.get().dicomweb || {};
+  const auth = dicomweb.auth || {};
+  return {
+    baseUrl: dicomweb.baseUrl || process.env.DCM2BQ_DICOMWEB_URL || "",
+    auth: {
+      ...auth,
+      password: auth.password || process.env.DCM2BQ_DICOMWEB_PASSWORD || "",
+      token: auth.token || process.env.DCM2BQ_DICOMWEB_TOKEN || "",
+    },
+    timeoutMs: dicomweb.timeoutMs,
+  };
+}
+
+// Retrieve an instance with WADO-RS and process it; errors are thrown as processAndPersistDicom's
+async function processDicomwebInstance(source, uids, version, eventType, storageType) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dcm2bq-"));
+  try {
+    const localFilePath = path.join(tempDir, "dicomweb-retrieve.dcm");
+    let fileSize;
+    try {
+      fileSize = await dicomwebSource.retrieveInstance(source, uids, localFilePath);
+    } catch (error) {
+      throw atStage("download", error);
+    }
+    await processAndPersistDicom(version, new Date(), localFilePath, dicomwebSource.createUriPath(source, uids), eventType, fileSize, storageType, null);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Ingest the instances of a study or series: QIDO-RS lists them (a study series by
+ * series) and each is retrieved with WADO-RS and processed, dicomweb.concurrency at a
+ * time. As with archive members, instances fail on their own and the event writes an
+ * ARCHIVE_SUMMARY row for the study or series with the instance counts and failures.
+ * A transient failure, of the search or of any instance, fails the event once the other
+ * instances are done, and the redelivery ingests the study or series again.
+ * @param {Object} source The DICOMweb source (see dicomweb-source.js)
+ * @param {Object} uids The study or series (see dicomweb-source.parseDicomwebPath)
+ * @param {{timestamp: Date, path: string, version: string}} writeBase The event, with the study or series URL as path
+ * @param {string} eventType The event type
+ * @param {string} storageType The type of storage (HCAPI_DICOM or DICOMWEB)
+ * @param {Object} perfCtx The performance context
+ */
+async function handleDicomwebCollection(source, uids, writeBase, eventType, storageType, perfCtx) {
+  const level = uids.seriesInstanceUid ? "series" : "study";
+  let instances = [];
+  let searchError = null;
+  try {
+    instances = await dicomwebSource.listInstances(source, uids);
+  } catch (error) {
+    if (isRetryableError(error)) {
+      throw atStage("lookup", error);
+    }
+    searchError = error instanceof Error ? error : new Error(String(error));
+    console.error(`Error listing the instances of ${level} ${writeBase.path}: ${searchError.message}`);
+  }
+  perfCtx.addRef("afterDicomwebSearch");
+
+  let succeeded = 0;
+  const failures = [];
+  let retryableError = null;
+  const pool = createPool(config.get().dicomweb?.concurrency || DEFAULT_DICOMWEB_CONCURRENCY);
+  await Promise.all(
+    instances.map((instance) =>
+      pool.run(async () => {
+        try {
+          await processDicomwebInstance(source, instance, writeBase.version, eventType, storageType);
+          succeeded++;
+        } catch (error) {
+          const instancePath = dicomwebSource.createUriPath(source, instance);
+          const errorMsg = error instanceof Error ? error.message : String(error);
+          failures.push({ path: instancePath, error: errorMsg });
+          if (!retryableError && isRetryableError(error)) {
+            retryableError = error;
+          }
+          console.error(JSON.stringify({
+            message: `Error processing DICOM ${instancePath}`,
+            error: errorMsg,
+            stack: error instanceof Error ? error.stack : null,
+          }));
+        }
+      })
+    )
+  );
+  perfCtx.addRef("afterProcessDicom");
+
+  await persistArchiveSummary(writeBase, { size: null, type: storageType, storageClass: null }, {
+    type: level,
+    total: instances.length,
+    succeeded,
+    failed: failures.length,
+    skipped: 0,
+    failures: failures.slice(0, MAX_RECORDED_FAILURES),
+    failuresTruncated: failures.length > MAX_RECORDED_FAILURES,
+    error: searchError?.message ?? null,
+    resumedAt: 0,
+    continuedAt: null,
+  });
+  perfCtx.addRef("afterBqInsert");
+  if (retryableError) {
+    throw retryableError;
+  }
+  if (DEBUG_MODE) {
+    console.log(`DICOMweb ${level} processing complete for ${writeBase.path}: ${succeeded} succeeded, ${failures.length} failed out of ${instances.length} total`);
+  }
+}
+
+// Series searched at once by a reconciliation
+const RECONCILE_CONCURRENCY = 4;
+
+/**
+ * Reconcile the rows of a DICOMweb source with its QIDO-RS listing, for servers that
+ * don't notify deletions (the Healthcare API only notifies stored instances). The rows
+ * under the prefix that instancesView still lists are looked up in their series; those
+ * the server no longer has lose their embeddings and assets (see deleteInstanceData) and
+ * get a deletion row each through persistRow, with the row's path and version, as GCS
+ * deletions do. A series the server doesn't find (404) has no instances left: that is
+ * how a deleted series or study shows (Healthcare API, Orthanc). Otherwise only a
+ * successful search deletes: a series whose search fails keeps its rows, and a transient
+ * failure fails the event once the other series are done.
+ * @param {Object} source The DICOMweb source (see dicomweb-source.js)
+ * @param {string} prefix The URL, with a trailing "/", of the store, study or series to reconcile
+ * @param {{timestamp: Date, version: string}} writeBase The reconciliation event
+ * @param {Object} infoObj The info of the deletion rows
+ * @returns {Promise<{checked: number, deleted: number, error: Error|null}>} The rows checked
+ *   and deleted, and the permanent failures to report
+ */
+async function reconcileDicomwebDeletions(source, prefix, writeBase, infoObj) {
+  const liveRows = await findLiveRowsUnder(prefix).catch((error) => {
+    throw atStage("lookup", error);
+  });
+  const baseUrl = `${source.baseUrl.replace(/\/+$/, "")}/`;
+  const bySeries = new Map();
+  for (const row of liveRows) {
+    let uids;
+    try {
+      uids = dicomwebSource.parseDicomwebPath(row.path.slice(baseUrl.length));
+    } catch (error) {
+      continue;
+    }
+    if (!uids.sopInstanceUid) {
+      continue;
+    }
+    const key = `${uids.studyInstanceUid}/${uids.seriesInstanceUid}`;
+    if (!bySeries.has(key)) {
+      bySeries.set(key, { series: { ...uids, sopInstanceUid: null }, rows: [] });
+    }
+    bySeries.get(key).rows.push(row);
+  }
+
+  const pool = createPool(RECONCILE_CONCURRENCY);
+  const stale = [];
+  const searchErrors = [];
+  await Promise.all(
+    Array.from(bySeries.values(), ({ series, rows }) =>
+      pool.run(async () => {
+        try {
+          const instances = await dicomwebSource.searchInstances(source, series).catch((error) => {
+            if (error?.code === 404) {
+              return [];
+            }
+            throw error;
+          });
+          const present = new Set(instances.map((instance) => dicomwebSource.createUriPath(source, instance)));
+          stale.push(...rows.filter((row) => !present.has(row.path)));
+        } catch (error) {
+          searchErrors.push(atStage("lookup", error));
+        }
+      })
+    )
+  );
+
+  let assetError = null;
+  if (stale.length > 0) {
+    assetError = await deleteInstanceData(writeBase, infoObj.event, stale);
+    await Promise.all(
+      stale.map((row) => pool.run(() => persistRow({ timestamp: writeBase.timestamp, path: row.path, version: row.version }, infoObj, null, null)))
+    );
+  }
+  const retryableError = searchErrors.find((error) => isRetryableError(error));
+  if (retryableError) {
+    throw retryableError;
+  }
+  let error = assetError;
+  if (searchErrors.length > 0) {
+    const message = `Failed to search ${searchErrors.length} of ${bySeries.size} series: ` +
+      searchErrors.slice(0, 10).map((searchError) => searchError.message).join("; ");
+    error = atStage("lookup", createNonRetryableError(message));
+  }
+  return { checked: liveRows.length, deleted: stale.length, error };
+}
+
+/**
+ * Handle a reconciliation message of a DICOM store (eventType HCAPI_RECONCILE, e.g. sent on
+ * a schedule): the data is the DICOMweb path of the store, a study or a series (an
+ * instance reconciles its series). See reconcileDicomwebDeletions.
+ */
+async function handleHcapiReconcile(ctx, dicomWebPath, perfCtx) {
+  const uriPath = hcapi.createUriPath(dicomWebPath);
+  const version = ctx.message.messageId || Date.now();
+  try {
+    const { source, resourcePath } = hcapi.splitDicomwebPath(dicomWebPath);
+    let prefix = `${source.baseUrl}/studies/`;
+    if (resourcePath) {
+      const uids = { ...dicomwebSource.parseDicomwebPath(resourcePath), sopInstanceUid: null };
+      prefix = `${dicomwebSource.createUriPath(source, uids)}/`;
+    }
+    const infoObj = { event: consts.HCAPI_DELETE, input: { type: consts.STORAGE_TYPE_DICOMWEB, storageClass: null } };
+    const { checked, deleted, error } = await reconcileDicomwebDeletions(source, prefix, { timestamp: new Date(), version: String(version) }, infoObj);
+    perfCtx.addRef("afterBqInsert");
+    if (deleted > 0 || DEBUG_MODE) {
+      console.log(`Reconciled ${uriPath}: deleted ${deleted} of ${checked} instance row(s) no longer in the store`);
+    }
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    if (isRetryableError(error)) {
+      throw error;
+    }
+    console.error(`Non-retryable HCAPI reconciliation error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+    await recordFailure({ path: uriPath, version, event: consts.HCAPI_RECONCILE, messageId: ctx.message.messageId }, error);
+  }
+}
+
+/**
+ * Handle a Healthcare API event. The message data is the DICOMweb path of an instance or,
+ * to ingest a whole study or series in one message, of a study or series (see
+ * handleDicomwebCollection). Messages with the eventType attribute HCAPI_RECONCILE
+ * reconcile deletions instead (see handleHcapiReconcile).
+ */
 async function handleHcapiPubSubUnwrap(ctx, perfCtx) {
-  const dicomWebPath = Buffer.from(ctx.message.data, "base64").toString();
+  const dicomWebPath = Buffer.from(ctx.message.data, "base64").toString().trim();
+  if (ctx.message.attributes?.eventType === consts.HCAPI_RECONCILE) {
+    await handleHcapiReconcile(ctx, dicomWebPath, perfCtx);
+    return;
+  }
   const uriPath = hcapi.createUriPath(dicomWebPath);
+  // Fall back to the Pub/Sub messageId rather than Date.now(): the messageId is
+  // stable across redeliveries of the same message, so the derived insertId still
+  // dedupes retries. Nothing reads content back by version, so any opaque
+  // per-event value works here.
+  const version = ctx.message.attributes?.versionId || ctx.message.messageId || Date.now();
   let tempDir = null;
   try {
+    const { source, resourcePath } = hcapi.splitDicomwebPath(dicomWebPath);
+    const uids = dicomwebSource.parseDicomwebPath(resourcePath);
+    if (!uids.sopInstanceUid) {
+      await handleDicomwebCollection(source, uids, { timestamp: new Date(), path: uriPath, version: String(version) }, consts.HCAPI_FINALIZE, consts.STORAGE_TYPE_DICOMWEB, perfCtx);
+      return;
+    }
     tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dcm2bq-'));
     const localFilePath = path.join(tempDir, 'hcapi-download.dcm');
-    await hcapi.downloadToFile(uriPath, localFilePath);
+    try {
+      await hcapi.downloadToFile(uriPath, localFilePath);
+    } catch (error) {
+      throw atStage("download", error);
+    }
     perfCtx.addRef("afterHcapiDownloadToFile");
 
     const timestamp = new Date();
-    // Fall back to the Pub/Sub messageId rather than Date.now(): the messageId is
-    // stable across redeliveries of the same message, so the derived insertId still
-    // dedupes retries. Nothing reads content back by version, so any opaque
-    // per-event value works here.
-    const version = ctx.message.attributes?.versionId || ctx.message.messageId || Date.now();
     const storageClass = ctx.message.attributes?.storageClass || null;
     const fileSize = (await fs.stat(localFilePath)).size;
 
@@ -565,12 +1804,12 @@ async function handleHcapiPubSubUnwrap(ctx, perfCtx) {
     perfCtx.addRef("afterProcessDicom");
     perfCtx.addRef("afterBqInsert");
   } catch (error) {
-    const timestamp = new Date();
     const errorMsg = error instanceof Error ? error.message : String(error);
     if (isRetryableError(error)) {
       throw error;
     }
     console.error(`Non-retryable HCAPI processing error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+    await recordFailure({ path: uriPath, version, event: consts.HCAPI_FINALIZE, messageId: ctx.message.messageId }, error);
   } finally {
     if (tempDir) {
       await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
@@ -581,6 +1820,74 @@ async function handleHcapiPubSubUnwrap(ctx, perfCtx) {
   }
 }
 
+/**
+ * Handle an event of a generic DICOMweb server (see `dicomweb`). The message data is the
+ * DICOMweb path of an instance, series or study, relative to dicomweb.baseUrl; instances
+ * are retrieved with WADO-RS, studies and series are ingested as a whole (see
+ * handleDicomwebCollection).
+ */
+async function handleDicomwebPubSubUnwrap(ctx, perfCtx) {
+  const dicomWebPath = Buffer.from(ctx.message.data, "base64").toString().trim();
+  const source = getDicomwebSource();
+  // As for HCAPI events, the messageId is stable across redeliveries
+  const version = ctx.message.attributes.versionId || ctx.message.messageId || Date.now();
+  const uriPath = source.baseUrl ? `${source.baseUrl.replace(/\/+$/, "")}/${dicomWebPath}` : dicomWebPath;
+  try {
+    if (!source.baseUrl) {
+      throw createNonRetryableError("dicomweb.baseUrl is not configured");
+    }
+    const uids = dicomwebSource.parseDicomwebPath(dicomWebPath);
+    if (uids.sopInstanceUid) {
+      await processDicomwebInstance(source, uids, version, consts.DICOMWEB_FINALIZE, consts.STORAGE_TYPE_DICOMWEB_SERVER);
+      perfCtx.addRef("afterProcessDicom");
+      perfCtx.addRef("afterBqInsert");
+    } else {
+      await handleDicomwebCollection(source, uids, { timestamp: new Date(), path: uriPath, version: String(version) }, consts.DICOMWEB_FINALIZE, consts.STORAGE_TYPE_DICOMWEB_SERVER, perfCtx);
+    }
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    if (isRetryableError(error)) {
+      throw error;
+    }
+    console.error(`Non-retryable DICOMweb processing error for ${uriPath}; acknowledging without retry: ${errorMsg}`);
+    await recordFailure({ path: uriPath, version, event: consts.DICOMWEB_FINALIZE, messageId: ctx.message.messageId }, error);
+  }
+  if (DEBUG_MODE) {
+    console.log(JSON.stringify({ path: uriPath }));
+  }
+}
+
+/**
+ * Handle an instance received by the DIMSE storage SCP (see scp-command.js). Rows are
+ * keyed by the SCP's AE title and the SOP Instance UID; the association's AE titles are
+ * recorded in info.input. Unlike Pub/Sub events, a non-retryable failure is recorded and
+ * then rethrown, so the sender gets a failure status rather than a silent success.
+ * @param {{filePath: string, size: number, sopInstanceUid: string, callingAeTitle: string, calledAeTitle: string}} instance
+ *   The received instance, from dimse.createStorageScp
+ * @returns {Promise<void>}
+ * @throws {Error} Any processing error, retryable or not
+ */
+async function handleDimseInstance(instance) {
+  const timestamp = new Date();
+  // Microseconds, like a GCS generation: every C-STORE is a new version
+  const version = String(timestamp.getTime() * 1000);
+  const uriPath = `dimse://${encodeURIComponent(instance.calledAeTitle)}/${instance.sopInstanceUid}`;
+  const inputInfo = { callingAeTitle: instance.callingAeTitle, calledAeTitle: instance.calledAeTitle };
+  try {
+    await processAndPersistDicom(version, timestamp, instance.filePath, uriPath, consts.DIMSE_STORE, instance.size, consts.STORAGE_TYPE_DIMSE, null, undefined, inputInfo);
+  } catch (error) {
+    if (!isRetryableError(error)) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      console.error(`Non-retryable DIMSE processing error for ${uriPath} from ${instance.callingAeTitle}; answering with a failure status: ${errorMsg}`);
+      await recordFailure({ path: uriPath, version, event: consts.DIMSE_STORE }, error);
+    }
+    throw error;
+  }
+  if (DEBUG_MODE) {
+    console.log(JSON.stringify({ path: uriPath, callingAeTitle: instance.callingAeTitle }));
+  }
+}
+
 async function handleEvent(name, req, res) {
   switch (name) {
     case consts.GCS_PUBSUB_UNWRAP: {
@@ -595,7 +1902,24 @@ async function handleEvent(name, req, res) {
       await handleLocalPubSubUnwrap(req.body, res.perfCtx);
       break;
     }
+    case consts.DICOMWEB_PUBSUB_UNWRAP: {
+      await handleDicomwebPubSubUnwrap(req.body, res.perfCtx);
+      break;
+    }
+    case consts.S3_PUBSUB_UNWRAP: {
+      await handleS3PubSubUnwrap(req.body, res.perfCtx);
+      break;
+    }
   }
 }
 
-module.exports = { handleEvent, handleGcsPubSubUnwrap, handleLocalPubSubUnwrap, isSupportedDicomObjectPath };
+module.exports = {
+  handleEvent,
+  handleGcsPubSubUnwrap,
+  handleLocalPubSubUnwrap,
+  handleDicomwebPubSubUnwrap,
+  handleS3PubSubUnwrap,
+  handleDimseInstance,
+  isSupportedDicomObjectPath,
+  buildArchiveMemberUri,
+};
@@ -14,6 +14,7 @@
  limitations under the License.
  */
 
+const path = require("path");
 const { Storage } = require("@google-cloud/storage");
 
 const storage = new Storage();
@@ -33,8 +34,33 @@ async function downloadToFile(bucketId, objectId, destinationPath) {
   return destinationPath;
 }
 
+/**
+ * A source of object bytes read by range, without downloading the object. Reads are
+ * pinned to a numeric generation, so an object overwritten mid-read fails instead of mixing versions.
+ * @param {string} bucketId The bucket
+ * @param {string} objectId The object
+ * @param {string} [generation] The object generation
+ * @param {number} [size] The object size, if known (otherwise looked up)
+ * @returns {Promise<{name: string, size: number, createReadStream: function({start?: number, end?: number}=): NodeJS.ReadableStream}>}
+ */
+async function createObjectSource(bucketId, objectId, generation, size) {
+  const fileOptions = /^\d+$/.test(String(generation || "")) ? { generation } : {};
+  const file = storage.bucket(bucketId).file(objectId, fileOptions);
+  let objectSize = Number.isFinite(size) ? size : null;
+  if (objectSize === null) {
+    const [metadata] = await file.getMetadata();
+    objectSize = Number(metadata.size);
+  }
+  return {
+    name: path.posix.basename(objectId),
+    size: objectSize,
+    createReadStream: (range = {}) => file.createReadStream(range),
+  };
+}
+
 module.exports = {
   createUriPath,
   downloadToMemory,
   downloadToFile,
+  createObjectSource,
 };
@@ -17,9 +17,31 @@
 const { GoogleAuth } = require("google-auth-library");
 const { createWriteStream } = require("fs");
 const { pipeline } = require("stream/promises");
+const { createNonRetryableError } = require("./utils");
+
+const HCAPI_BASE_URL = "https://healthcare.googleapis.com/v1";
 
 function createUriPath(dicomWebPath) {
-  return `https://healthcare.googleapis.com/v1/${dicomWebPath}`;
+  return `${HCAPI_BASE_URL}/${dicomWebPath}`;
+}
+
+/**
+ * Split the DICOMweb path of a Healthcare API event into its DICOM store, as a DICOMweb
+ * source (see dicomweb-source.js), and the study, series or instance path within it.
+ * @param {string} dicomWebPath projects/.../dicomStores/{store}/dicomWeb[/studies/...]
+ * @returns {{source: {baseUrl: string, auth: {type: string}}, resourcePath: string}} The
+ *   resource path is empty for the store itself
+ * @throws {Error} Non-retryable error if the path is not a DICOM store's dicomWeb path
+ */
+function splitDicomwebPath(dicomWebPath) {
+  const match = /^(.+?\/dicomWeb)(?:\/(.*))?$/.exec(String(dicomWebPath || "").trim());
+  if (!match) {
+    throw createNonRetryableError(`Not a Healthcare API DICOMweb path: ${dicomWebPath}`);
+  }
+  return {
+    source: { baseUrl: createUriPath(match[1]), auth: { type: "google" } },
+    resourcePath: match[2] || "",
+  };
 }
 
 async function downloadToMemory(url) {
@@ -44,6 +66,7 @@ async function downloadToFile(url, destinationPath) {
 
 module.exports = {
   createUriPath,
+  splitDicomwebPath,
   downloadToMemory,
   downloadToFile,
 };
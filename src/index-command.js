@@ -28,24 +28,49 @@ const fsp = require("fs").promises;
 const path = require("path");
 const crypto = require("crypto");
 const consts = require("./consts");
+const config = require("./config");
 
-const SUPPORTED_EXTENSIONS = [".dcm", ".dicom", ".zip", ".tar.gz", ".tgz"];
+const { isDicomFile } = require("./dicomdetect");
+const { ARCHIVE_EXTENSIONS } = require("./archives");
+
+const SUPPORTED_EXTENSIONS = [".dcm", ".dicom", ...ARCHIVE_EXTENSIONS];
 
 function isSupportedFile(filePath) {
   const lower = filePath.toLowerCase();
   return SUPPORTED_EXTENSIONS.some((ext) => lower.endsWith(ext));
 }
 
+function isArchiveFile(filePath) {
+  const lower = filePath.toLowerCase();
+  return ARCHIVE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+/**
+ * Whether a file should be indexed: archives and .dcm/.dicom files by extension, as the
+ * service accepts them, everything else by content (the DICM magic), so extensionless
+ * PACS exports are found too.
+ * @param {string} filePath The file path
+ * @param {{acceptPreambleless?: boolean}} [options] Detection options
+ */
+async function isIndexableFile(filePath, options = {}) {
+  if (isSupportedFile(filePath)) {
+    return true;
+  }
+  return isDicomFile(filePath, options).catch(() => false);
+}
+
 /**
- * Recursively collect supported DICOM/archive files under a path.
+ * Recursively collect DICOM/archive files under a path.
  * @param {string} inputPath File or directory path
+ * @param {{acceptPreambleless?: boolean}} [options] Detection options
  * @returns {Promise<string[]>} Absolute paths of supported files
  */
-async function collectFiles(inputPath) {
+async function collectFiles(inputPath, options = {}) {
   const stats = await fsp.stat(inputPath);
   if (stats.isFile()) {
-    if (!isSupportedFile(inputPath)) {
-      throw new Error(`Unsupported file type: ${inputPath} (expected one of: ${SUPPORTED_EXTENSIONS.join(", ")})`);
+    // The service reports a file it can't parse
+    if (!(await isIndexableFile(inputPath, options))) {
+      throw new Error(`Unsupported file type: ${inputPath} (expected DICOM content or one of: ${SUPPORTED_EXTENSIONS.join(", ")})`);
     }
     return [path.resolve(inputPath)];
   }
@@ -55,8 +80,8 @@ async function collectFiles(inputPath) {
   for (const entry of entries) {
     const fullPath = path.join(inputPath, entry.name);
     if (entry.isDirectory()) {
-      files.push(...(await collectFiles(fullPath)));
-    } else if (entry.isFile() && isSupportedFile(entry.name)) {
+      files.push(...(await collectFiles(fullPath, options)));
+    } else if (entry.isFile() && (await isIndexableFile(fullPath, options))) {
       files.push(path.resolve(fullPath));
     }
   }
@@ -177,7 +202,7 @@ async function indexFiles(serviceUrl, files, force) {
  * supported files. Events are debounced per path so a file is only posted
  * once its writes have settled.
  */
-function watchAndIndex(serviceUrl, inputPath, isDirectory, force) {
+function watchAndIndex(serviceUrl, inputPath, isDirectory, force, detectionOptions) {
   const watchDir = isDirectory ? inputPath : path.dirname(inputPath);
   const pendingTimers = new Map();
   const postedGenerations = new Map();
@@ -188,7 +213,6 @@ function watchAndIndex(serviceUrl, inputPath, isDirectory, force) {
   const watcher = fs.watch(watchDir, { recursive: true }, (eventType, relativePath) => {
     if (!relativePath) return;
     const fullPath = path.resolve(watchDir, relativePath);
-    if (!isSupportedFile(fullPath)) return;
     if (!isDirectory && fullPath !== path.resolve(inputPath)) return;
 
     // Debounce: restart the timer on every event for this path
@@ -204,6 +228,7 @@ function watchAndIndex(serviceUrl, inputPath, isDirectory, force) {
           return; // Deleted or unreadable; nothing to index
         }
         if (!stats.isFile() || stats.size === 0) return;
+        if (!(await isIndexableFile(fullPath, detectionOptions))) return;
         const generation = buildGeneration(stats, false);
         if (postedGenerations.get(fullPath) === generation) return;
         try {
@@ -230,6 +255,9 @@ function watchAndIndex(serviceUrl, inputPath, isDirectory, force) {
 async function execute(inputPath, options) {
   const serviceUrl = options.serviceUrl || process.env.DCM2BQ_SERVICE_URL || "http://localhost:8080";
   const force = !!options.force;
+  // The service's dicomDetection setting unless overridden, so both classify files alike
+  const acceptPreambleless = options.acceptPreambleless ?? config.get().dicomDetection?.acceptPreambleless;
+  const detectionOptions = { acceptPreambleless: Boolean(acceptPreambleless) };
 
   const resolvedPath = path.resolve(inputPath);
   const stats = await fsp.stat(resolvedPath).catch(() => {
@@ -238,9 +266,9 @@ async function execute(inputPath, options) {
 
   await checkService(serviceUrl);
 
-  const files = await collectFiles(resolvedPath);
+  const files = await collectFiles(resolvedPath, detectionOptions);
   if (files.length === 0 && !options.watch) {
-    throw new Error(`No supported DICOM files found under ${resolvedPath} (looked for: ${SUPPORTED_EXTENSIONS.join(", ")})`);
+    throw new Error(`No DICOM files or archives found under ${resolvedPath} (looked for DICOM content and: ${ARCHIVE_EXTENSIONS.join(", ")})`);
   }
 
   if (files.length > 0) {
@@ -253,7 +281,7 @@ async function execute(inputPath, options) {
   }
 
   if (options.watch) {
-    watchAndIndex(serviceUrl, resolvedPath, stats.isDirectory(), force);
+    watchAndIndex(serviceUrl, resolvedPath, stats.isDirectory(), force, detectionOptions);
   }
 }
 
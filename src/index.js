@@ -20,8 +20,13 @@
 
 const url = require("url");
 const fs = require("fs");
+const path = require("path");
 const { Command } = require("commander");
 const { DicomFile } = require("./dicomtojson");
+const { applyTagProjection, needsElementDictionary } = require("./projection");
+const deidentification = require("./deidentify");
+const pseudonymization = require("./pseudonymize");
+const { resolvePromotedColumns, buildInstancesSchema, validateClustering } = require("./promoted");
 const config = require("./config");
 const { HttpServer } = require("./server");
 const package = require("../package.json");
@@ -136,9 +141,21 @@ program
   .argument("<inputFile>", "file to parse")
   .action(async (fileName) => {
     const fileUrl = new URL(url.pathToFileURL(fileName));
-    const { jsonOutput } = config.get();
+    const { jsonOutput, deidentification: deidConfig, pseudonymization: pseudoConfig } = config.get();
     const reader = new DicomFile(fileUrl);
-    const json = await reader.toJson(jsonOutput);
+    let json = await reader.toJson(jsonOutput);
+    const pseudonymizer = pseudonymization.isEnabled(pseudoConfig) ? pseudonymization.createPseudonymizer(pseudoConfig) : null;
+    if (deidentification.isEnabled(deidConfig)) {
+      const secret = deidentification.resolveSecret(deidConfig, pseudoConfig);
+      json = deidentification.deidentify(json, { ...deidConfig, secret }, pseudonymizer?.keywords).dataset;
+    }
+    if (pseudonymizer) {
+      json = pseudonymizer.pseudonymize(json);
+    }
+    json = applyTagProjection(json, jsonOutput, needsElementDictionary(jsonOutput) ? await reader.elementDictionary() : undefined);
+    if (jsonOutput.format === "dicomweb") {
+      json = await reader.toDicomweb(json);
+    }
     console.log(JSON.stringify(json));
   });
 
@@ -161,6 +178,33 @@ program
     console.log(JSON.stringify(embeddings));
   });
 
+program
+  .command("schema")
+  .description("print the instances table schema (tf/init.schema.json plus the configured promoted columns)")
+  .option("-o, --output <output>", "write the schema to a file instead of stdout")
+  .option("--tfvars <file>", "also write the Terraform variables for the instances table (clustering fields, and the schema file with -o), e.g. tf/instances.auto.tfvars.json")
+  .action((options) => {
+    const { bigQuery } = config.get().gcpConfig;
+    const columns = resolvePromotedColumns(bigQuery.promotedColumns);
+    const clusteringFields = bigQuery.clusteringFields || [];
+    validateClustering(clusteringFields, columns);
+    const baseSchema = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "tf", "init.schema.json"), "utf8"));
+    const schema = JSON.stringify(buildInstancesSchema(baseSchema, columns), null, 2);
+    if (options.output) {
+      fs.writeFileSync(options.output, `${schema}\n`);
+    } else {
+      console.log(schema);
+    }
+    if (options.tfvars) {
+      // clusteringFields is the one place clustering is configured; Terraform reads it from here
+      const tfvars = {
+        ...(options.output ? { bq_instances_schema_file: path.resolve(options.output) } : {}),
+        bq_instances_clustering_fields: clusteringFields,
+      };
+      fs.writeFileSync(options.tfvars, `${JSON.stringify(tfvars, null, 2)}\n`);
+    }
+  });
+
 program
   .command("service")
   .description("run in HTTP service mode")
@@ -173,10 +217,11 @@ program
 program
   .command("index")
   .description("index a local DICOM file or folder by posting synthetic events to a locally running dcm2bq service")
-  .argument("<inputPath>", "DICOM file or folder to index (.dcm, .dicom, .zip, .tar.gz, .tgz)")
+  .argument("<inputPath>", "DICOM file or folder to index (DICOM files by content, plus .zip, .tar[.gz|.bz2|.xz], .dcm.gz archives)")
   .option("--service-url <url>", "URL of the running dcm2bq service (default: $DCM2BQ_SERVICE_URL or http://localhost:8080)")
   .option("--force", "synthesize a fresh generation so unchanged files are reprocessed as new rows", false)
   .option("--watch", "keep watching the folder and index new or changed files", false)
+  .option("--accept-preambleless", "also index implicit VR files without the 128-byte preamble and DICM magic (default: dicomDetection.acceptPreambleless)")
   .action(async (inputPath, options) => {
     const indexCommand = require("./index-command");
     try {
@@ -187,6 +232,23 @@ program
     }
   });
 
+program
+  .command("scp")
+  .description("receive DICOM instances over DIMSE (C-STORE, C-ECHO) and process them like service events")
+  .option("--ae-title <aeTitle>", "AE title to answer to (default: dimse.aeTitle or DCM2BQ)")
+  .option("--port <port>", "port to listen on (default: dimse.port or 11112)")
+  .option("--sop-classes <uids>", "comma-separated SOP class UIDs to accept (default: dimse.sopClasses, or any standard storage class)")
+  .option("--transfer-syntaxes <uids>", "comma-separated transfer syntax UIDs to accept, in order of preference (default: dimse.transferSyntaxes)")
+  .action(async (options) => {
+    const scpCommand = require("./scp-command");
+    try {
+      await scpCommand.execute(options);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program
   .command("process")
   .description("upload a DICOM file to GCS, process via deployed CloudRun, and retrieve results from BigQuery")
@@ -0,0 +1,105 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Metadata offload: BigQuery rejects streaming rows over its size limit, which some
+ * enhanced multi-frame and WSI objects exceed. The largest top-level sequences are moved
+ * to a sidecar JSON object and the row keeps only a reference to it (info.offloadedMetadata).
+ */
+
+// Keys of the values of flat JSON that are objects but not sequence items
+const NON_ITEM_KEYS = new Set(["BulkDataURI", "InlineBinary", "Alphabetic", "Ideographic", "Phonetic"]);
+
+function isItem(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value) && !Object.keys(value).some((key) => NON_ITEM_KEYS.has(key));
+}
+
+function isSequence(value) {
+  if (value && value.vr === "SQ") {
+    // DICOMweb JSON element
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(isItem);
+  }
+  // Flat JSON unwraps a single item (jsonOutput.useArrayWithSingleValue: false), e.g.
+  // SharedFunctionalGroupsSequence; bulk data references and person names are objects too
+  return isItem(value) && Object.keys(value).length > 0;
+}
+
+/**
+ * The number of bytes an attribute contributes to a row, where metadata is a JSON string
+ * inside the row JSON (so its quotes and backslashes are escaped a second time).
+ * @param {string} keyword The attribute keyword
+ * @param {*} value The attribute value
+ * @returns {number} Bytes
+ */
+function rowBytesOf(keyword, value) {
+  return Buffer.byteLength(JSON.stringify(`${JSON.stringify(keyword)}:${JSON.stringify(value)},`)) - 2;
+}
+
+/**
+ * Measure the serialized size of a row as sent to BigQuery.
+ * @param {Object} row The row
+ * @returns {number} Bytes
+ */
+function measureRow(row) {
+  return Buffer.byteLength(JSON.stringify(row));
+}
+
+/**
+ * Split the largest top-level sequences out of the metadata until at least `excessBytes`
+ * have been removed from the row.
+ * @param {Object} metadata The parsed metadata (flat or DICOMweb JSON)
+ * @param {number} excessBytes How many bytes the row is over its limit
+ * @returns {{metadata: Object, offloaded: Object}|null} The remaining metadata and the moved
+ *   attributes, or null if moving every sequence would still not remove enough
+ */
+function splitOversizedMetadata(metadata, excessBytes) {
+  const candidates = Object.entries(metadata)
+    .filter(([, value]) => isSequence(value))
+    .map(([keyword, value]) => ({ keyword, bytes: rowBytesOf(keyword, value) }))
+    .sort((a, b) => b.bytes - a.bytes);
+
+  const moved = new Set();
+  let removed = 0;
+  for (const { keyword, bytes } of candidates) {
+    if (removed >= excessBytes) {
+      break;
+    }
+    moved.add(keyword);
+    removed += bytes;
+  }
+  if (removed < excessBytes) {
+    return null;
+  }
+
+  const remaining = {};
+  const offloaded = {};
+  for (const [keyword, value] of Object.entries(metadata)) {
+    if (moved.has(keyword)) {
+      offloaded[keyword] = value;
+    } else {
+      remaining[keyword] = value;
+    }
+  }
+  return { metadata: remaining, offloaded };
+}
+
+module.exports = {
+  measureRow,
+  splitOversizedMetadata,
+};
@@ -19,21 +19,18 @@ const path = require("path");
 const { Storage } = require("@google-cloud/storage");
 const { BigQuery } = require("@google-cloud/bigquery");
 const crypto = require("crypto");
+const { getArchiveType } = require("./archives");
 
 const storage = new Storage();
 const bigquery = new BigQuery();
 
 /**
- * Detect if a file is an archive (zip, tgz, tar.gz)
+ * Detect if a file is an archive (zip, tar, tar.gz/tgz, tar.bz2, tar.xz, dcm.gz)
  * @param {string} filePath Path to the file
  * @returns {boolean} True if file is an archive
  */
 function isArchiveFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const basename = path.basename(filePath).toLowerCase();
-  return ext === '.zip' || 
-         ext === '.tgz' || 
-         basename.endsWith('.tar.gz');
+  return getArchiveType(path.basename(filePath)) !== null;
 }
 
 /**
@@ -42,10 +39,14 @@ function isArchiveFile(filePath) {
  * @returns {Promise<number>} Number of .dcm files in the archive
  */
 async function countDicomFilesInArchive(archivePath) {
-  const ext = path.extname(archivePath).toLowerCase();
+  const archiveType = getArchiveType(archivePath);
   let count = 0;
   
-  if (ext === '.zip') {
+  if (archiveType === 'gz') {
+    // A gzipped single instance
+    return 1;
+  }
+  if (archiveType === 'zip') {
     // Use unzip to list files
     const { execSync } = require('child_process');
     try {
@@ -66,11 +67,11 @@ async function countDicomFilesInArchive(archivePath) {
       console.warn(`Warning: Could not count files in archive: ${error.message}`);
       return 0;
     }
-  } else if (ext === '.tgz' || archivePath.toLowerCase().endsWith('.tar.gz')) {
-    // Use tar to list files
+  } else if (archiveType) {
+    // Use tar to list files (it detects the compression)
     const { execSync } = require('child_process');
     try {
-      const output = execSync(`tar -tzf "${archivePath}"`, { encoding: 'utf8' });
+      const output = execSync(`tar -tf "${archivePath}"`, { encoding: 'utf8' });
       const lines = output.split('\n');
       for (const line of lines) {
         const filename = line.trim();
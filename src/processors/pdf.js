@@ -30,7 +30,7 @@ async function parsePdf(pdfBuffer) {
   return await pdfParseModule(pdfBuffer);
 }
 
-async function processPdf(metadata, dicomBuffer, requireEmbeddingCompatible = false) {
+async function processPdf(metadata, dicomBuffer, requireEmbeddingCompatible = false, textFilter = null) {
   if (!metadata.EncapsulatedDocument) {
     console.warn("Encapsulated PDF SOP Class UID found, but no (0042,0011) tag present.");
     return null;
@@ -47,7 +47,7 @@ async function processPdf(metadata, dicomBuffer, requireEmbeddingCompatible = fa
 
   const pdfBuffer = Buffer.from(dicomBuffer, offset, length);
   const data = await parsePdf(pdfBuffer);
-  return await createTextInstance(data.text, requireEmbeddingCompatible);
+  return await createTextInstance(textFilter ? textFilter(data.text) : data.text, requireEmbeddingCompatible);
 }
 
 module.exports = { processPdf };
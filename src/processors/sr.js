@@ -141,9 +141,9 @@ function getTextFromSR(metadata, options = {}) {
   return result || null;
 }
 
-async function processSR(metadata, requireEmbeddingCompatible = false) {
+async function processSR(metadata, requireEmbeddingCompatible = false, textFilter = null) {
   const text = getTextFromSR(metadata);
-  return await createTextInstance(text, requireEmbeddingCompatible);
+  return await createTextInstance(textFilter ? textFilter(text) : text, requireEmbeddingCompatible);
 }
 
 module.exports = { processSR, getTextFromSR };
@@ -0,0 +1,210 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Tag projection for persisted metadata (`jsonOutput.include` / `jsonOutput.exclude`).
+ *
+ * A selector is one of:
+ * - a keyword, e.g. `PatientName`
+ * - a tag, e.g. `(0010,0010)`, `00100010` or `x00100010`
+ * - a tag with `x` wildcard nibbles, e.g. `(0009,xxxx)` (whole group) or `(60xx,3000)`
+ * - a sequence path of the above joined with `.`, e.g.
+ *   `SharedFunctionalGroupsSequence.PixelMeasuresSequence`
+ *
+ * Tag selectors match elements keyed by tag (private and unknown elements in the
+ * flat format, which dcmnorm emits as `xGGGGEEEE`) directly. Standard elements in the
+ * flat format are keyed by keyword; tag selectors that can select them (even groups)
+ * match them through the file's element dictionary (see DicomFile.elementDictionary), and
+ * the elements de-identification adds through their known tags.
+ *
+ * Exclude selectors without a path apply at every nesting level; path selectors
+ * apply at the exact path from the dataset root. Include selectors restrict the
+ * top level; an include path keeps the sequence but only the named children of
+ * its items. Excludes always win over includes.
+ */
+
+const { ADDED_ELEMENTS } = require("./deidentify");
+
+const KEYWORD_RE = /^[A-Za-z][A-Za-z0-9]*$/;
+const TAG_RE = /^\(?x?([0-9a-fx]{4}),?([0-9a-fx]{4})\)?$/i;
+
+const compiledCache = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parseSegment(segment, selector) {
+  const trimmed = segment.trim();
+  const tagMatch = trimmed.match(TAG_RE);
+  // Bare 8-hex-digit keys are tags; anything else alphanumeric is a keyword.
+  if (tagMatch && (trimmed.startsWith("(") || /^x?[0-9a-f]{8}$/i.test(trimmed))) {
+    const group = tagMatch[1].toLowerCase();
+    const pattern = `${group}${tagMatch[2]}`.toLowerCase().replace(/x/g, "[0-9a-f]");
+    // Standard elements are in even groups; odd groups are private
+    return { tag: new RegExp(`^${pattern}$`), standard: /[02468acex]$/.test(group) };
+  }
+  if (KEYWORD_RE.test(trimmed)) {
+    return { keyword: trimmed };
+  }
+  throw new Error(`Invalid tag selector '${selector}': '${segment}' is not a keyword or (gggg,eeee) tag`);
+}
+
+/**
+ * Parse a selector string into its path segments.
+ * @param {string} selector The selector (see module docs)
+ * @returns {Array<{keyword?: string, tag?: RegExp}>} Path segments, root first
+ * @throws {Error} If the selector is malformed
+ */
+function parseSelector(selector) {
+  if (typeof selector !== "string" || selector.trim() === "") {
+    throw new Error(`Invalid tag selector '${selector}': expected a non-empty string`);
+  }
+  return selector.split(".").map((segment) => parseSegment(segment, selector));
+}
+
+/**
+ * Resolve the tag (lowercase 8 hex digits) of an element key, or null when unknown.
+ * Accepts flat-format `xGGGGEEEE` keys, DICOMweb `GGGGEEEE` keys and, given the
+ * file's element dictionary, keywords.
+ */
+function tagOfKey(key, dictionary) {
+  const match = /^x?([0-9a-f]{8})$/i.exec(key);
+  if (match) {
+    return match[1].toLowerCase();
+  }
+  const entry = dictionary ? dictionary.get(key) || ADDED_ELEMENTS[key] : null;
+  return entry ? entry.tag.toLowerCase() : null;
+}
+
+function segmentMatches(segment, key, dictionary) {
+  if (segment.keyword) {
+    return segment.keyword === key;
+  }
+  const tag = tagOfKey(key, dictionary);
+  return tag !== null && segment.tag.test(tag);
+}
+
+function compile(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return null;
+  }
+  const cacheKey = JSON.stringify(list);
+  if (!compiledCache.has(cacheKey)) {
+    compiledCache.set(cacheKey, list.map(parseSelector));
+  }
+  return compiledCache.get(cacheKey);
+}
+
+// Sequence items are plain objects; binary values ({ BulkDataURI } / { InlineBinary })
+// are plain objects too but have no children to project.
+function isSequenceItem(value) {
+  return isPlainObject(value) && !("BulkDataURI" in value) && !("InlineBinary" in value);
+}
+
+function projectValue(value, include, excludePaths, excludeAnywhere, dictionary) {
+  if (Array.isArray(value)) {
+    return value.map((item) => (isSequenceItem(item) ? projectDataset(item, include, excludePaths, excludeAnywhere, dictionary) : item));
+  }
+  if (isSequenceItem(value)) {
+    return projectDataset(value, include, excludePaths, excludeAnywhere, dictionary);
+  }
+  return value;
+}
+
+/**
+ * @param {Object} dataset A parsed dataset (or sequence item)
+ * @param {Array[]|null} include Remaining include paths at this level (null = keep all)
+ * @param {Array[]} excludePaths Remaining exclude paths at this level
+ * @param {Object[]} excludeAnywhere Single-segment excludes applied at every level
+ * @param {Map} [dictionary] The file's element dictionary, to match tag selectors to keywords
+ */
+function projectDataset(dataset, include, excludePaths, excludeAnywhere, dictionary) {
+  const out = {};
+  for (const [key, value] of Object.entries(dataset)) {
+    if (excludeAnywhere.some((segment) => segmentMatches(segment, key, dictionary))) {
+      continue;
+    }
+    const matchingExcludes = excludePaths.filter((p) => segmentMatches(p[0], key, dictionary));
+    if (matchingExcludes.some((p) => p.length === 1)) {
+      continue;
+    }
+
+    let childInclude = null;
+    if (include) {
+      const matchingIncludes = include.filter((p) => segmentMatches(p[0], key, dictionary));
+      if (matchingIncludes.length === 0) {
+        continue;
+      }
+      if (!matchingIncludes.some((p) => p.length === 1)) {
+        childInclude = matchingIncludes.map((p) => p.slice(1));
+      }
+    }
+
+    const childExcludes = matchingExcludes.map((p) => p.slice(1));
+    out[key] = projectValue(value, childInclude, childExcludes, excludeAnywhere, dictionary);
+  }
+  return out;
+}
+
+/**
+ * Whether the selector lists have tag selectors that can select standard elements, which
+ * are keyed by keyword in the flat format: projecting then needs the file's element dictionary.
+ * @param {{include?: string[], exclude?: string[]}} [options] Usually the jsonOutput config block
+ * @returns {boolean}
+ * @throws {Error} If a selector is malformed
+ */
+function needsElementDictionary(options = {}) {
+  const selectors = [...(compile(options.include) || []), ...(compile(options.exclude) || [])];
+  return selectors.some((p) => p.some((segment) => segment.standard));
+}
+
+/**
+ * Whether a selector is well-formed, for config validation.
+ * @param {string} selector The selector (see module docs)
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    parseSelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply `include` / `exclude` selector lists to a parsed DICOM JSON object.
+ * Returns the input unchanged when neither list is configured.
+ * @param {Object} json The parsed DICOM JSON
+ * @param {{include?: string[], exclude?: string[]}} [options] Usually the jsonOutput config block
+ * @param {Map<string, {tag: string}>} [dictionary] The file's element dictionary (DicomFile.elementDictionary),
+ *   without which tag selectors only match elements keyed by tag
+ * @returns {Object} The projected JSON (a new object when a projection applies)
+ * @throws {Error} If a selector is malformed
+ */
+function applyTagProjection(json, options = {}, dictionary) {
+  const include = compile(options.include);
+  const exclude = compile(options.exclude) || [];
+  if (!include && exclude.length === 0) {
+    return json;
+  }
+  const excludeAnywhere = exclude.filter((p) => p.length === 1).map((p) => p[0]);
+  const excludePaths = exclude.filter((p) => p.length > 1);
+  return projectDataset(json, include, excludePaths, excludeAnywhere, dictionary);
+}
+
+module.exports = { applyTagProjection, needsElementDictionary, isValidSelector, parseSelector };
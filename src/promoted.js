@@ -0,0 +1,222 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Promoted columns: selected DICOM attributes written as typed top-level columns next
+ * to `metadata`, so common filters don't need JSON_VALUE and the table can be clustered
+ * on them. The same column list drives the row values and the generated table schema.
+ */
+
+const PROMOTED_TYPES = ["STRING", "INT64", "FLOAT64", "BOOL", "DATE", "TIME", "DATETIME"];
+
+// BigQuery cannot cluster on FLOAT64 columns.
+const CLUSTERABLE_TYPES = new Set(["STRING", "INT64", "BOOL", "DATE", "TIME", "DATETIME"]);
+
+// Columns the instances table already has.
+const RESERVED_COLUMNS = new Set(["id", "timestamp", "path", "version", "info", "metadata"]);
+
+const COLUMN_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,299}$/;
+
+/**
+ * Normalize and validate the `promotedColumns` config.
+ * @param {Array<string|{attribute: string, column?: string, type?: string}>} [entries] A keyword
+ *   (promoted as STRING under its own name) or an object naming the column and type
+ * @returns {Array<{attribute: string, column: string, type: string}>} The resolved columns
+ * @throws {Error} On unknown types, invalid or reserved column names, or duplicates
+ */
+function resolvePromotedColumns(entries = []) {
+  const seen = new Set();
+  return entries.map((entry) => {
+    const spec = typeof entry === "string" ? { attribute: entry } : entry || {};
+    if (!spec.attribute || typeof spec.attribute !== "string") {
+      throw new Error(`Promoted column is missing an attribute: ${JSON.stringify(entry)}`);
+    }
+    const column = spec.column || spec.attribute;
+    const type = (spec.type || "STRING").toUpperCase();
+    if (!PROMOTED_TYPES.includes(type)) {
+      throw new Error(`Unsupported type '${spec.type}' for promoted column ${column} (expected one of ${PROMOTED_TYPES.join(", ")})`);
+    }
+    if (!COLUMN_NAME.test(column)) {
+      throw new Error(`Invalid promoted column name: ${column}`);
+    }
+    // BigQuery column names are case-insensitive
+    const key = column.toLowerCase();
+    if (RESERVED_COLUMNS.has(key)) {
+      throw new Error(`Promoted column ${column} collides with a built-in column`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Duplicate promoted column: ${column}`);
+    }
+    seen.add(key);
+    return { attribute: spec.attribute, column, type };
+  });
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function toStringValue(value) {
+  if (Array.isArray(value)) {
+    // Multi-valued strings keep DICOM's backslash delimiter
+    const parts = value.map(toStringValue).filter((v) => v !== null);
+    return parts.length ? parts.join("\\") : null;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "object") {
+    // Person names are objects with component groups
+    return value.Alphabetic ?? null;
+  }
+  return String(value);
+}
+
+function toDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value ?? "").trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function toTime(value) {
+  const match = /^(\d{2})(\d{2})?(\d{2})?(\.\d{1,6})?/.exec(String(value ?? "").trim());
+  if (!match) {
+    return null;
+  }
+  return `${match[1]}:${match[2] || "00"}:${match[3] || "00"}${match[4] || ""}`;
+}
+
+function toDateTime(value) {
+  const text = String(value ?? "").trim();
+  const date = toDate(text);
+  if (!date) {
+    return null;
+  }
+  // Drop any UTC offset suffix; DATETIME has no zone
+  const time = toTime(text.substring(8).replace(/[+-]\d{4}$/, ""));
+  return time ? `${date}T${time}` : `${date}T00:00:00`;
+}
+
+function toNumber(value, parse) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = parse(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+function toBool(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  const text = String(value ?? "").trim().toUpperCase();
+  if (["Y", "YES", "TRUE", "1"].includes(text)) return true;
+  if (["N", "NO", "FALSE", "0"].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Convert a DICOM JSON value to the BigQuery type of its promoted column. Values that
+ * don't convert become null rather than failing the row.
+ * @param {*} value The attribute value from the flat DICOM JSON
+ * @param {string} type One of PROMOTED_TYPES
+ * @returns {*} The typed value, or null
+ */
+function convertValue(value, type) {
+  switch (type) {
+    case "STRING":
+      return toStringValue(value);
+    case "INT64":
+      return toNumber(firstValue(value), (text) => (/^[+-]?\d+$/.test(text) ? Number.parseInt(text, 10) : NaN));
+    case "FLOAT64":
+      return toNumber(firstValue(value), Number);
+    case "BOOL":
+      return toBool(firstValue(value));
+    case "DATE":
+      return toDate(firstValue(value));
+    case "TIME":
+      return toTime(firstValue(value));
+    case "DATETIME":
+      return toDateTime(firstValue(value));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extract the promoted column values for a row.
+ * @param {Object|null} metadata The dataset as flat keyword JSON, before jsonOutput include/exclude
+ * @param {Array<{attribute: string, column: string, type: string}>} columns Resolved columns
+ * @returns {Object} Column name to typed value (null when absent)
+ */
+function extractPromotedValues(metadata, columns) {
+  const values = {};
+  for (const { attribute, column, type } of columns) {
+    const value = metadata ? metadata[attribute] : undefined;
+    values[column] = value === undefined ? null : convertValue(value, type);
+  }
+  return values;
+}
+
+/**
+ * Build the instances table schema: the base schema followed by the promoted columns.
+ * @param {Array<Object>} baseSchema The base schema (tf/init.schema.json)
+ * @param {Array<{attribute: string, column: string, type: string}>} columns Resolved columns
+ * @returns {Array<Object>} The extended schema
+ */
+function buildInstancesSchema(baseSchema, columns) {
+  return [
+    ...baseSchema,
+    ...columns.map(({ attribute, column, type }) => ({
+      name: column,
+      type,
+      mode: "NULLABLE",
+      description: `Promoted from metadata.${attribute}`,
+    })),
+  ];
+}
+
+/**
+ * Validate clustering fields against the promoted columns. BigQuery allows up to four
+ * clustering columns and does not cluster on FLOAT64.
+ * @param {string[]} fields Column names to cluster on
+ * @param {Array<{column: string, type: string}>} columns Resolved columns
+ * @returns {string[]} The fields
+ * @throws {Error} If a field is not a clusterable promoted column
+ */
+function validateClustering(fields, columns) {
+  if (fields.length > 4) {
+    throw new Error(`BigQuery supports at most 4 clustering columns, got ${fields.length}`);
+  }
+  for (const field of fields) {
+    const column = columns.find((c) => c.column.toLowerCase() === field.toLowerCase());
+    if (!column) {
+      throw new Error(`Clustering column ${field} is not a promoted column`);
+    }
+    if (!CLUSTERABLE_TYPES.has(column.type)) {
+      throw new Error(`Cannot cluster on ${field}: ${column.type} columns are not clusterable`);
+    }
+  }
+  return fields;
+}
+
+module.exports = {
+  PROMOTED_TYPES,
+  resolvePromotedColumns,
+  convertValue,
+  extractPromotedValues,
+  buildInstancesSchema,
+  validateClustering,
+};
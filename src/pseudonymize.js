@@ -0,0 +1,128 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Keyed pseudonymization: replaces patient identifiers (and optionally UIDs) with
+ * HMAC-SHA256 values derived from a configured secret. The same input always maps
+ * to the same pseudonym, so instances of one patient stay linkable across uploads,
+ * while the original value cannot be recovered without the secret.
+ */
+
+const crypto = require("crypto");
+const { UID_KEYWORDS } = require("./deidentify");
+
+const SECRET_ENV_VAR = "DCM2BQ_PSEUDONYM_SECRET";
+
+// Keyword -> pseudonym domain. Each domain is hashed separately so equal strings in
+// different roles (an ID that happens to equal an accession) do not collide.
+const IDENTIFIER_DOMAINS = {
+  PatientID: "patient",
+  OtherPatientIDs: "patient",
+  AccessionNumber: "accession",
+};
+
+// SH (AccessionNumber) allows 16 characters, LO (PatientID) 64.
+const MAX_LENGTHS = {
+  patient: 64,
+  accession: 16,
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Whether pseudonymization is configured on.
+ * @param {Object} [options] The `pseudonymization` config block
+ */
+function isEnabled(options) {
+  return Boolean(options?.enabled);
+}
+
+/**
+ * Resolve the HMAC secret from the config block, falling back to DCM2BQ_PSEUDONYM_SECRET
+ * (config sources do not merge with defaults, and the secret is better kept out of files).
+ * @param {Object} options The `pseudonymization` config block
+ * @returns {string} The secret
+ * @throws {Error} If no secret is configured
+ */
+function resolveSecret(options = {}) {
+  const secret = options.secret || process.env[SECRET_ENV_VAR];
+  if (!secret) {
+    throw new Error(`Pseudonymization is enabled but no secret is configured (set pseudonymization.secret or ${SECRET_ENV_VAR})`);
+  }
+  return secret;
+}
+
+/**
+ * Create a pseudonymizer bound to a secret.
+ * @param {Object} options The `pseudonymization` config block
+ * @returns {{pseudonym: function(string, string): string, uid: function(string): string,
+ *   pseudonymize: function(Object): Object, keywords: Set<string>}}
+ */
+function createPseudonymizer(options = {}) {
+  const secret = resolveSecret(options);
+  const includeUids = Boolean(options.uids);
+
+  function digest(domain, value) {
+    return crypto.createHmac("sha256", secret).update(`${domain}:${value}`).digest("hex");
+  }
+
+  function pseudonym(domain, value) {
+    if (typeof value !== "string" || value === "") {
+      return value;
+    }
+    return digest(domain, value).substring(0, MAX_LENGTHS[domain] || 64).toUpperCase();
+  }
+
+  function uid(value) {
+    if (typeof value !== "string" || value === "") {
+      return value;
+    }
+    return `2.25.${BigInt(`0x${digest("uid", value).substring(0, 32)}`).toString()}`;
+  }
+
+  function mapValue(value, fn) {
+    return Array.isArray(value) ? value.map(fn) : fn(value);
+  }
+
+  function pseudonymize(dataset) {
+    const out = {};
+    for (const [key, value] of Object.entries(dataset)) {
+      if (IDENTIFIER_DOMAINS[key]) {
+        out[key] = mapValue(value, (v) => pseudonym(IDENTIFIER_DOMAINS[key], v));
+      } else if (includeUids && UID_KEYWORDS.has(key)) {
+        out[key] = mapValue(value, uid);
+      } else if (Array.isArray(value)) {
+        out[key] = value.map((item) => (isPlainObject(item) && !("BulkDataURI" in item) ? pseudonymize(item) : item));
+      } else if (isPlainObject(value) && !("BulkDataURI" in value)) {
+        out[key] = pseudonymize(value);
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  }
+
+  const keywords = new Set(Object.keys(IDENTIFIER_DOMAINS));
+  if (includeUids) {
+    for (const keyword of UID_KEYWORDS) keywords.add(keyword);
+  }
+
+  return { pseudonym, uid, pseudonymize, keywords };
+}
+
+module.exports = { createPseudonymizer, isEnabled, resolveSecret, SECRET_ENV_VAR };
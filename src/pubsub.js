@@ -0,0 +1,41 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const { PubSub } = require("@google-cloud/pubsub");
+const config = require("./config");
+
+let pubsub = null;
+
+function getClient() {
+  if (!pubsub) {
+    const projectId = config.get().gcpConfig?.projectId;
+    pubsub = new PubSub(projectId ? { projectId } : {});
+  }
+  return pubsub;
+}
+
+/**
+ * Publish a message to a topic.
+ * @param {string} topicName The topic name (or projects/<project>/topics/<name>)
+ * @param {Buffer} data The message data
+ * @param {Object<string, string>} attributes The message attributes
+ * @returns {Promise<string>} The message id
+ */
+async function publishMessage(topicName, data, attributes) {
+  return getClient().topic(topicName).publishMessage({ data, attributes });
+}
+
+module.exports = { publishMessage };
@@ -0,0 +1,216 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...): objects named by S3 event
+ * notifications are read with GetObject, signed with AWS Signature Version 4, either
+ * whole into a file or by range for archives (the counterpart of gcs.js).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { createHttpError } = require("./utils");
+
+const DEFAULT_REGION = "us-east-1";
+const DEFAULT_TIMEOUT_MS = 300000;
+// GetObject and HeadObject have no body
+const EMPTY_PAYLOAD_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function createUriPath(bucket, key) {
+  return `s3://${bucket}/${key}`;
+}
+
+/**
+ * Decode the object key of an event notification record: keys are URL-encoded, with "+"
+ * for spaces.
+ * @param {string} key The record's s3.object.key
+ * @returns {string} The object key
+ */
+function decodeEventKey(key) {
+  const value = String(key || "").replace(/\+/g, " ");
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// RFC 3986 unreserved characters are kept, everything else is percent-encoded
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * The URL of an object: virtual-hosted style on AWS, path style with forcePathStyle
+ * (e.g. MinIO without MINIO_DOMAIN).
+ * @param {{endpoint?: string, region?: string, forcePathStyle?: boolean}} settings The storage settings
+ * @param {string} bucket The bucket
+ * @param {string} key The object key
+ * @param {string} [versionId] The object version, for versioned buckets
+ * @returns {URL}
+ */
+function createObjectUrl(settings, bucket, key, versionId) {
+  const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+  const endpoint = new URL(settings.endpoint || `https://s3.${settings.region || DEFAULT_REGION}.amazonaws.com`);
+  const basePath = endpoint.pathname.replace(/\/+$/, "");
+  const url = new URL(endpoint.origin);
+  if (settings.forcePathStyle) {
+    url.pathname = `${basePath}/${bucket}/${encodedKey}`;
+  } else {
+    url.host = `${bucket}.${endpoint.host}`;
+    url.pathname = `${basePath}/${encodedKey}`;
+  }
+  if (versionId) {
+    // Encoded as it is signed; searchParams would use form encoding
+    url.search = `versionId=${encodeRfc3986(versionId)}`;
+  }
+  return url;
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * Sign a request without a body with AWS Signature Version 4.
+ * @param {{method: string, url: URL, headers?: Object<string, string>, region: string,
+ *   credentials: {accessKeyId: string, secretAccessKey: string, sessionToken?: string}, date?: Date}} request The request
+ * @returns {Object<string, string>} The headers to send, Authorization included (Host is left to fetch)
+ */
+function signRequest({ method, url, headers = {}, region, credentials, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const signed = { host: url.host, "x-amz-content-sha256": EMPTY_PAYLOAD_SHA256, "x-amz-date": amzDate };
+  for (const [name, value] of Object.entries(headers)) {
+    signed[name.toLowerCase()] = value;
+  }
+  if (credentials.sessionToken) {
+    signed["x-amz-security-token"] = credentials.sessionToken;
+  }
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(";");
+  const canonicalQuery = Array.from(url.searchParams)
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join("&");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map((name) => `${name}:${String(signed[name]).trim().replace(/\s+/g, " ")}\n`).join(""),
+    signedHeaders,
+    EMPTY_PAYLOAD_SHA256,
+  ].join("\n");
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, crypto.createHash("sha256").update(canonicalRequest).digest("hex")].join("\n");
+  let signingKey = hmac(`AWS4${credentials.secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, "s3", "aws4_request"]) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  const { host, ...sent } = signed;
+  return { ...sent, authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` };
+}
+
+async function request(settings, method, url, headers = {}) {
+  const credentials = { accessKeyId: settings.accessKeyId, secretAccessKey: settings.secretAccessKey, sessionToken: settings.sessionToken };
+  // Without credentials, requests are anonymous (public buckets)
+  const sent = credentials.accessKeyId ? signRequest({ method, url, headers, region: settings.region || DEFAULT_REGION, credentials }) : headers;
+  let res;
+  try {
+    res = await fetch(url, { method, headers: sent, signal: AbortSignal.timeout(settings.timeoutMs || DEFAULT_TIMEOUT_MS) });
+  } catch (error) {
+    // Connection failures and timeouts: the storage may well be back on redelivery
+    const reason = error?.cause?.code || error?.message || String(error);
+    throw createHttpError(503, `S3 ${method} ${url.origin}${url.pathname} failed: ${reason}`);
+  }
+  if (!res.ok) {
+    const body = method === "HEAD" ? "" : await res.text().catch(() => "");
+    // S3 errors are XML: <Error><Code>NoSuchKey</Code><Message>...</Message></Error>
+    const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1];
+    const message = /<Message>([^<]+)<\/Message>/.exec(body)?.[1];
+    const detail = [code, message].filter(Boolean).join(": ");
+    throw createHttpError(res.status, `S3 ${method} ${url.origin}${url.pathname} failed: ${res.status} ${res.statusText}${detail ? `: ${detail}` : ""}`);
+  }
+  return res;
+}
+
+// Buffers rather than Uint8Arrays, like the streams of gcs.js and fs
+async function* readBody(res) {
+  for await (const chunk of res.body) {
+    yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+}
+
+/**
+ * GetObject into a file.
+ * @param {Object} settings The storage settings (see createObjectUrl and config s3)
+ * @param {string} bucket The bucket
+ * @param {string} key The object key
+ * @param {string} destinationPath Where to write the object
+ * @param {string} [versionId] The object version, for versioned buckets
+ * @returns {Promise<string>} The destination path
+ */
+async function downloadToFile(settings, bucket, key, destinationPath, versionId) {
+  const res = await request(settings, "GET", createObjectUrl(settings, bucket, key, versionId));
+  await pipeline(Readable.from(readBody(res), { objectMode: false }), fs.createWriteStream(destinationPath));
+  return destinationPath;
+}
+
+/**
+ * A source of object bytes read by range (GetObject with Range), without downloading
+ * the object. Reads of a versioned object are pinned to its version.
+ * @param {Object} settings The storage settings
+ * @param {string} bucket The bucket
+ * @param {string} key The object key
+ * @param {string} [versionId] The object version
+ * @param {number} [size] The object size, if known (otherwise looked up with HeadObject)
+ * @returns {Promise<{name: string, size: number, createReadStream: function({start?: number, end?: number}=): NodeJS.ReadableStream}>}
+ */
+async function createObjectSource(settings, bucket, key, versionId, size) {
+  const url = createObjectUrl(settings, bucket, key, versionId);
+  let objectSize = Number.isFinite(size) ? size : null;
+  if (objectSize === null) {
+    const res = await request(settings, "HEAD", url);
+    objectSize = Number(res.headers.get("content-length"));
+  }
+  return {
+    name: path.posix.basename(key),
+    size: objectSize,
+    createReadStream: (range = {}) => {
+      const { start, end } = range;
+      // HTTP ranges are inclusive, like fs and GCS read stream ranges
+      const headers = start !== undefined || end !== undefined ? { range: `bytes=${start || 0}-${end === undefined ? "" : end}` } : {};
+      return Readable.from(
+        (async function* () {
+          yield* readBody(await request(settings, "GET", url, headers));
+        })(),
+        { objectMode: false }
+      );
+    },
+  };
+}
+
+module.exports = {
+  createUriPath,
+  decodeEventKey,
+  createObjectUrl,
+  signRequest,
+  downloadToFile,
+  createObjectSource,
+};
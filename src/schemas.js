@@ -18,6 +18,10 @@ const Ajv = require("ajv");
 const ajv = new Ajv();
 const consts = require("./consts");
 const utils = require("./utils");
+const { isValidSelector } = require("./projection");
+
+// jsonOutput.include/exclude entries, rejected when the config is loaded rather than per file
+ajv.addFormat("tagSelector", isValidSelector);
 
 const schemaKeys = [];
 
@@ -39,7 +43,27 @@ addSchema(
             properties: {
               datasetId: { type: "string" },
               instancesTableId: { type: "string" },
-              embeddingsTableId: { type: "string" }
+              embeddingsTableId: { type: "string" },
+              failuresTableId: { type: "string" },
+              maxRowBytes: { type: "integer", minimum: 0 },
+              promotedColumns: {
+                type: "array",
+                items: {
+                  oneOf: [
+                    { type: "string" },
+                    {
+                      type: "object",
+                      required: ["attribute"],
+                      properties: {
+                        attribute: { type: "string" },
+                        column: { type: "string" },
+                        type: { type: "string" }
+                      }
+                    }
+                  ]
+                }
+              },
+              clusteringFields: { type: "array", items: { type: "string" }, maxItems: 4 }
             }
           },
           embedding: {
@@ -80,6 +104,103 @@ addSchema(
           rootPath: { type: "string" },
         },
       },
+      dicomweb: {
+        type: "object",
+        properties: {
+          baseUrl: { type: "string" },
+          auth: {
+            type: "object",
+            properties: {
+              type: { type: "string", enum: ["none", "basic", "bearer", "google"] },
+              username: { type: "string" },
+              password: { type: "string" },
+              token: { type: "string" },
+            },
+          },
+          timeoutMs: { type: "integer", minimum: 1 },
+          concurrency: { type: "integer", minimum: 1 },
+        },
+      },
+      s3: {
+        type: "object",
+        properties: {
+          endpoint: { type: "string" },
+          region: { type: "string" },
+          forcePathStyle: { type: "boolean" },
+          accessKeyId: { type: "string" },
+          secretAccessKey: { type: "string" },
+          sessionToken: { type: "string" },
+          timeoutMs: { type: "integer", minimum: 1 },
+        },
+      },
+      dimse: {
+        type: "object",
+        properties: {
+          aeTitle: { type: "string", minLength: 1, maxLength: 16 },
+          port: { type: "integer", minimum: 0, maximum: 65535 },
+          sopClasses: { type: "array", items: { type: "string" } },
+          transferSyntaxes: { type: "array", items: { type: "string" } },
+          callingAeTitles: { type: "array", items: { type: "string" } },
+          timeoutMs: { type: "integer", minimum: 1 },
+        },
+      },
+      deidentification: {
+        type: "object",
+        properties: {
+          enabled: { type: "boolean" },
+          profile: { enum: ["basic"] },
+          dates: { enum: ["remove", "retain", "shift"] },
+          dateShiftDays: { type: "integer" },
+          retainUids: { type: "boolean" },
+          secret: { type: "string" },
+          cleanDescriptors: { type: "boolean" },
+        },
+      },
+      pseudonymization: {
+        type: "object",
+        properties: {
+          enabled: { type: "boolean" },
+          secret: { type: "string" },
+          uids: { type: "boolean" },
+        },
+      },
+      skipUnchanged: {
+        type: "object",
+        properties: {
+          enabled: { type: "boolean" },
+          writeRow: { type: "boolean" },
+          cacheFile: { type: "string" },
+        },
+      },
+      dicomDetection: {
+        type: "object",
+        properties: {
+          acceptPreambleless: { type: "boolean" },
+        },
+      },
+      archives: {
+        type: "object",
+        properties: {
+          memberPaths: { type: "string", enum: ["relative", "basename"] },
+          maxTempBytes: { type: "integer", minimum: 0 },
+          maxEntries: { type: "integer", minimum: 0 },
+          maxTotalBytes: { type: "integer", minimum: 0 },
+          maxCompressionRatio: { type: "number", minimum: 0 },
+          maxDepth: { type: "integer", minimum: 0 },
+          maxNestingDepth: { type: "integer", minimum: 0 },
+          concurrency: { type: "integer", minimum: 1 },
+          timeBudgetMs: { type: "integer", minimum: 0 },
+          continuationTopic: { type: "string" },
+          maxFailureRatio: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+      deletion: {
+        type: "object",
+        properties: {
+          embeddings: { type: "string", enum: ["tombstone", "delete"] },
+          assets: { type: "boolean" },
+        },
+      },
       jsonOutput: {
         type: "object",
         properties: {
@@ -89,7 +210,10 @@ addSchema(
           ignorePrivate: { type: "boolean" },
           ignoreBinary: { type: "boolean" },
           useCommonNames: { type: "boolean" },
-          explicitBulkDataRoot: { type: "boolean" }
+          explicitBulkDataRoot: { type: "boolean" },
+          format: { type: "string", enum: ["flat", "dicomweb"] },
+          include: { type: "array", items: { type: "string", format: "tagSelector" } },
+          exclude: { type: "array", items: { type: "string", format: "tagSelector" } }
         }
       },
       src: { type: "string" }
@@ -156,6 +280,94 @@ addSchema(
   consts.LOCAL_PUBSUB_UNWRAP
 );
 
+// Event of a generic DICOMweb server (see `dicomweb`), published by whatever watches it
+// (e.g. an Orthanc plugin on stable studies). The data payload is the DICOMweb path of a
+// study, series or instance relative to dicomweb.baseUrl.
+addSchema(
+  {
+    type: "object",
+    required: ["message"],
+    properties: {
+      message: {
+        type: "object",
+        required: ["attributes", "data"],
+        properties: {
+          attributes: {
+            type: "object",
+            required: ["eventType"],
+            properties: {
+              eventType: { enum: consts.DICOMWEB_EVENT_TYPES },
+              versionId: { type: "string" },
+            },
+          },
+          data: {
+            type: "string",
+          },
+        },
+      },
+    },
+  },
+  consts.DICOMWEB_PUBSUB_UNWRAP
+);
+
+// S3 event notification (https://docs.aws.amazon.com/AmazonS3/latest/userguide/notification-content-structure.html),
+// as sent by AWS or MinIO: posted as is (e.g. a MinIO webhook target) or as the data of a
+// Pub/Sub message with a payloadFormat attribute of S3_EVENT_JSON.
+addSchema(
+  {
+    anyOf: [
+      {
+        type: "object",
+        required: ["Records"],
+        properties: {
+          Records: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["eventName", "s3"],
+              properties: {
+                eventName: { type: "string" },
+                s3: {
+                  type: "object",
+                  required: ["bucket", "object"],
+                  properties: {
+                    bucket: { type: "object", required: ["name"], properties: { name: { type: "string" } } },
+                    object: { type: "object", required: ["key"], properties: { key: { type: "string" } } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      {
+        type: "object",
+        required: ["message"],
+        properties: {
+          message: {
+            type: "object",
+            required: ["attributes", "data"],
+            properties: {
+              attributes: {
+                type: "object",
+                required: ["payloadFormat"],
+                properties: {
+                  payloadFormat: { const: consts.S3_PUBSUB_MSG },
+                },
+              },
+              data: {
+                type: "string",
+              },
+            },
+          },
+        },
+      },
+    ],
+  },
+  consts.S3_PUBSUB_UNWRAP
+);
+
 // Conforms to https://cloud.google.com/healthcare-api/docs/concepts/pubsub
 addSchema(
   {
@@ -0,0 +1,108 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * `dcm2bq scp` — receive instances from modalities and PACS over DIMSE. Starts a C-STORE
+ * SCP (see dimse.js) that processes each received instance in this process, through the
+ * same pipeline as the service's events, and answers the C-STORE with the outcome:
+ * success, a retryable failure (Out of Resources, so the sender may try again) or a
+ * permanent one (Cannot Understand). C-ECHO is answered too.
+ */
+
+const config = require("./config");
+const dimse = require("./dimse");
+const { isRetryableError } = require("./utils");
+
+const DEFAULT_AE_TITLE = "DCM2BQ";
+const DEFAULT_PORT = 11112;
+// Used when a config source lacks dimse.transferSyntaxes: the uncompressed ones
+const DEFAULT_TRANSFER_SYNTAXES = ["1.2.840.10008.1.2.1", "1.2.840.10008.1.2"];
+
+function parseList(value) {
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * The SCP settings: command line options over dimse config.
+ * @param {{aeTitle?: string, port?: string, sopClasses?: string, transferSyntaxes?: string}} options Command options
+ * @returns {{aeTitle: string, port: number, sopClasses: string[], transferSyntaxes: string[], callingAeTitles: string[], timeoutMs?: number}}
+ */
+function resolveSettings(options = {}) {
+  // Config sources do not merge with defaults, so dimse may be missing entirely
+  const dimseConfig = config.get().dimse || {};
+  const settings = {
+    aeTitle: options.aeTitle || dimseConfig.aeTitle || DEFAULT_AE_TITLE,
+    port: Number(options.port ?? dimseConfig.port ?? DEFAULT_PORT),
+    sopClasses: options.sopClasses ? parseList(options.sopClasses) : dimseConfig.sopClasses || [],
+    transferSyntaxes: options.transferSyntaxes ? parseList(options.transferSyntaxes) : dimseConfig.transferSyntaxes || DEFAULT_TRANSFER_SYNTAXES,
+    callingAeTitles: dimseConfig.callingAeTitles || [],
+    timeoutMs: dimseConfig.timeoutMs,
+  };
+  if (settings.aeTitle.length > 16) {
+    throw new Error(`AE title ${settings.aeTitle} is longer than 16 characters`);
+  }
+  if (!Number.isInteger(settings.port) || settings.port < 0 || settings.port > 65535) {
+    throw new Error(`Invalid port: ${options.port ?? dimseConfig.port}`);
+  }
+  if (settings.transferSyntaxes.length === 0) {
+    throw new Error("At least one transfer syntax must be accepted");
+  }
+  return settings;
+}
+
+/**
+ * Process a received instance and map the outcome to a C-STORE status.
+ * @param {Object} instance From dimse.createStorageScp
+ * @returns {Promise<{status: number, errorComment?: string}>}
+ */
+async function storeInstance(instance) {
+  const { handleDimseInstance } = require("./eventhandlers");
+  try {
+    await handleDimseInstance(instance);
+    return { status: dimse.STATUS.SUCCESS };
+  } catch (error) {
+    const errorMsg = error instanceof Error ? error.message : String(error);
+    if (isRetryableError(error)) {
+      console.error(`Retryable error storing ${instance.sopInstanceUid} from ${instance.callingAeTitle}: ${errorMsg}`);
+      return { status: dimse.STATUS.OUT_OF_RESOURCES, errorComment: errorMsg };
+    }
+    return { status: dimse.STATUS.CANNOT_UNDERSTAND, errorComment: errorMsg };
+  }
+}
+
+/**
+ * Execute the scp command: listen until interrupted.
+ * @param {object} options Command options
+ */
+async function execute(options) {
+  const settings = resolveSettings(options);
+  const scp = await dimse.createStorageScp({ ...settings, onStore: storeInstance });
+  const port = await scp.listen(settings.port);
+  console.log(`C-STORE SCP ${settings.aeTitle} listening on port ${port}`);
+
+  const shutdown = async () => {
+    console.log("Stopping C-STORE SCP...");
+    await scp.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+module.exports = { execute, resolveSettings, storeInstance };
@@ -0,0 +1,160 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Skipping unchanged files (`skipUnchanged`): a file whose bytes (sha256) and processing
+ * config (configFingerprint) match what was last processed for the same path is not
+ * rendered, embedded or summarized again. What was last processed comes from the
+ * instances table, or from a local JSON cache file (`skipUnchanged.cacheFile`).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { resolveSecret } = require("./pseudonymize");
+const deidentify = require("./deidentify");
+
+/**
+ * Whether skipping unchanged files is configured on.
+ * @param {Object} [options] The `skipUnchanged` config block
+ */
+function isEnabled(options) {
+  return Boolean(options?.enabled);
+}
+
+// Versions synthesized for deliberate reprocessing: `dcm2bq index --force` and the admin
+// console's reprocess action (see index-command.buildGeneration and buildReprocessGeneration)
+const FORCED_VERSION_PREFIXES = ["index-", "reprocess-"];
+
+/**
+ * Whether a version asks for reprocessing, so it is never skipped as unchanged.
+ * @param {string} version The event's version (generation)
+ */
+function isForcedVersion(version) {
+  return FORCED_VERSION_PREFIXES.some((prefix) => String(version ?? "").startsWith(prefix));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint the config that shapes a row and its embeddings, so a config change
+ * reprocesses files even when their bytes are unchanged. The pseudonymization and
+ * de-identification secrets only enter as an HMAC, never as is.
+ * @param {Object} configObject The full config
+ * @returns {string} Hex SHA-256
+ */
+function configFingerprint(configObject) {
+  const { gcpConfig = {}, jsonOutput, deidentification, pseudonymization } = configObject;
+  let pseudonymKey = null;
+  if (pseudonymization?.enabled) {
+    try {
+      pseudonymKey = crypto.createHmac("sha256", resolveSecret(pseudonymization)).update("dcm2bq-config").digest("hex");
+    } catch (error) {
+      // A missing secret fails processing itself; fingerprint it as absent
+    }
+  }
+  let deidentificationKey = null;
+  if (deidentification?.enabled) {
+    const secret = deidentify.resolveSecret(deidentification, pseudonymization);
+    deidentificationKey = secret ? crypto.createHmac("sha256", secret).update("dcm2bq-config").digest("hex") : null;
+  }
+  const relevant = {
+    jsonOutput,
+    deidentification: deidentification ? { ...deidentification, secret: deidentificationKey } : null,
+    pseudonymization: pseudonymization ? { ...pseudonymization, secret: pseudonymKey } : null,
+    embedding: gcpConfig.embedding,
+    promotedColumns: gcpConfig.bigQuery?.promotedColumns,
+  };
+  return crypto.createHash("sha256").update(stableStringify(relevant)).digest("hex");
+}
+
+/**
+ * A cache of what was last processed per path, kept in a local JSON file.
+ * @param {string} cacheFile Path of the JSON file (created on first record)
+ * @returns {{lookup: function(string): Promise<Object|null>, record: function(string, Object): Promise<void>}}
+ */
+function createFileCache(cacheFile) {
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = fs.readFile(cacheFile, "utf8").then(
+        (text) => JSON.parse(text),
+        (error) => {
+          if (error.code === "ENOENT") {
+            return {};
+          }
+          throw error;
+        }
+      );
+    }
+    return loading;
+  }
+
+  async function save(entries) {
+    // Write a temp file and rename, so a crash never leaves a truncated cache
+    const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(entries));
+    await fs.rename(tmpFile, cacheFile);
+  }
+
+  return {
+    async lookup(uriPath) {
+      const entries = await load();
+      return entries[uriPath] || null;
+    },
+    async record(uriPath, entry) {
+      const entries = await load();
+      entries[uriPath] = entry;
+      writing = writing.catch(() => {}).then(() => save(entries));
+      await writing;
+    },
+  };
+}
+
+/**
+ * A cache backed by the instances table: the latest row for a path records its hash
+ * and config fingerprint, so recording is a no-op.
+ * @param {function(string): Promise<Object|null>} findLatest Looks up the latest row for a path
+ */
+function createTableCache(findLatest) {
+  return {
+    lookup: findLatest,
+    async record() {},
+  };
+}
+
+/**
+ * Whether a file matches what was last processed for its path.
+ * @param {Object|null} previous The cached entry ({sha256, configFingerprint, version})
+ * @param {{sha256: string, configFingerprint: string}} current This file's entry
+ */
+function isUnchanged(previous, current) {
+  return Boolean(previous && previous.sha256 === current.sha256 && previous.configFingerprint === current.configFingerprint);
+}
+
+module.exports = { isEnabled, isForcedVersion, configFingerprint, createFileCache, createTableCache, isUnchanged };
@@ -112,4 +112,71 @@ function isRetryableError(error) {
   return isRetryableMessage || isRetryableStatus;
 }
 
-module.exports = { createHttpError, createNonRetryableError, isRetryableError, deepAssign, deepClone, DEBUG_MODE };
+/**
+ * A concurrency limit shared by independent callers: at most maxConcurrent of the
+ * functions passed to run() execute at once, the rest wait their turn. Only leaf work
+ * should go through a pool; a task that waits on the same pool while holding a slot
+ * can deadlock it.
+ * @param {number} maxConcurrent The number of slots (at least 1)
+ * @returns {{run: function(function(): Promise<*>): Promise<*>, size: number}}
+ */
+function createPool(maxConcurrent) {
+  const size = Math.max(1, Math.floor(maxConcurrent) || 1);
+  const waiting = [];
+  let active = 0;
+
+  async function run(fn) {
+    while (active >= size) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    active++;
+    try {
+      return await fn();
+    } finally {
+      active--;
+      const next = waiting.shift();
+      if (next) {
+        next();
+      }
+    }
+  }
+
+  return { run, size };
+}
+
+/**
+ * A cap on bytes held by independent callers, e.g. extracted archive members on disk.
+ * Callers wait for room before taking more, take what they got, and release it when
+ * done. The sizes are only known once taken, so the bytes held can exceed the cap by
+ * what the callers that found room took last.
+ * @param {number} maxBytes The cap (0 = no limit)
+ * @returns {{waitForRoom: function(function(): boolean): Promise<void>, take: function(number): void,
+ *   release: function(number): void, used: function(): number}}
+ */
+function createByteBudget(maxBytes) {
+  const waiting = [];
+  let used = 0;
+
+  // Waits while the cap is reached and mayWait() holds: a caller holding nothing must not
+  // wait, or callers that are nested in each other could wait on each other for good
+  async function waitForRoom(mayWait) {
+    while (maxBytes > 0 && used >= maxBytes && mayWait()) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+  }
+
+  function take(bytes) {
+    used += bytes || 0;
+  }
+
+  function release(bytes) {
+    used -= bytes || 0;
+    for (const resolve of waiting.splice(0)) {
+      resolve();
+    }
+  }
+
+  return { waitForRoom, take, release, used: () => used };
+}
+
+module.exports = { createHttpError, createNonRetryableError, isRetryableError, createPool, createByteBudget, deepAssign, deepClone, DEBUG_MODE };
@@ -0,0 +1,324 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { execFileSync, spawnSync } = require("child_process");
+const AdmZip = require("adm-zip");
+const tar = require("tar");
+const { createFileSource, extractArchiveMembers, getArchiveType, toMemberPath } = require("../src/archives");
+
+// bzip2 and xz archives are read through the system commands
+function hasCommand(command) {
+  return !spawnSync(command, ["--version"]).error;
+}
+
+describe("archives", () => {
+  let dir;
+  let outDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dcm2bq-archives-"));
+    outDir = path.join(dir, "out");
+    fs.mkdirSync(outDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeZip(files) {
+    const zip = new AdmZip();
+    for (const [name, data] of Object.entries(files)) {
+      zip.addFile(name, data);
+    }
+    const zipPath = path.join(dir, "test.zip");
+    zip.writeZip(zipPath);
+    return zipPath;
+  }
+
+  async function writeTar(files, fileName, tarOptions = {}) {
+    const srcDir = path.join(dir, "src");
+    for (const [name, data] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(srcDir, name)), { recursive: true });
+      fs.writeFileSync(path.join(srcDir, name), data);
+    }
+    const tarPath = path.join(dir, fileName);
+    await tar.c({ ...tarOptions, file: tarPath, cwd: srcDir }, Object.keys(files));
+    return tarPath;
+  }
+
+  function writeTgz(files) {
+    return writeTar(files, "test.tgz", { gzip: true });
+  }
+
+  // Extract all members, recording which extracted files are on disk at each step
+  async function extractAll(archiveType, archivePath, options) {
+    const members = [];
+    for await (const member of extractArchiveMembers(archiveType, await createFileSource(archivePath), outDir, options)) {
+      const onDisk = fs.readdirSync(outDir, { recursive: true }).filter((name) => fs.statSync(path.join(outDir, name)).isFile());
+      members.push({ ...member, data: member.filePath ? fs.readFileSync(member.filePath).toString() : null, onDisk });
+      if (member.filePath) {
+        fs.unlinkSync(member.filePath);
+      }
+    }
+    return members;
+  }
+
+  const files = {
+    "A/IM1": "first",
+    "B/IM1": "second",
+    "big.bin": "x".repeat(200000),
+    DICOMDIR: "directory",
+  };
+
+  it("detects archive types by name", () => {
+    const expected = {
+      "a.zip": "zip",
+      "a.TAR": "tar",
+      "a.tar.gz": "tar.gz",
+      "a.tgz": "tar.gz",
+      "a.tar.bz2": "tar.bz2",
+      "a.tbz2": "tar.bz2",
+      "a.tar.xz": "tar.xz",
+      "a.txz": "tar.xz",
+      "IM1.dcm.gz": "gz",
+      "IM1.DICOM.GZ": "gz",
+      "notes.txt.gz": null,
+      "IM1.dcm": null,
+    };
+    for (const [name, type] of Object.entries(expected)) {
+      assert.strictEqual(getArchiveType(name), type, name);
+    }
+  });
+
+  it("normalizes member paths and rejects escaping ones", () => {
+    assert.strictEqual(toMemberPath("./A//IM1"), "A/IM1");
+    assert.strictEqual(toMemberPath("A\\IM1"), "A/IM1");
+    assert.strictEqual(toMemberPath("../etc/passwd"), null);
+    assert.strictEqual(toMemberPath("/"), null);
+  });
+
+  it("extracts zip members one at a time, keeping their paths", async () => {
+    const members = await extractAll("zip", writeZip(files));
+    assert.deepStrictEqual(members.map((member) => [member.path, member.data?.length]), [
+      ["A/IM1", 5],
+      ["B/IM1", 6],
+      ["big.bin", 200000],
+      ["DICOMDIR", 9],
+    ]);
+    for (const member of members) {
+      assert.deepStrictEqual(member.onDisk, [member.path.split("/").join(path.sep)]);
+    }
+  });
+
+  it("extracts zip members matching `first` before the others", async () => {
+    const members = await extractAll("zip", writeZip(files), { first: (name) => name === "DICOMDIR" });
+    assert.deepStrictEqual(members.map((member) => member.path), ["DICOMDIR", "A/IM1", "B/IM1", "big.bin"]);
+  });
+
+  it("skips members over the size limit without extracting them", async () => {
+    for (const [archiveType, archivePath] of [["zip", writeZip(files)], ["tar.gz", await writeTgz(files)]]) {
+      const members = await extractAll(archiveType, archivePath, { maxMemberBytes: 1000 });
+      const big = members.find((member) => member.path === "big.bin");
+      assert.strictEqual(big.skipped, "too large", archiveType);
+      assert.strictEqual(big.filePath, undefined);
+      assert.strictEqual(members.filter((member) => member.filePath).length, 3, archiveType);
+    }
+  });
+
+  it("reports corrupt zip members instead of extracting them", async () => {
+    const zipPath = writeZip({ "A/IM1": "first member data" });
+    const data = fs.readFileSync(zipPath);
+    // Flip a byte of the (stored or deflated) member data right after its local header
+    const dataStart = 30 + data.readUInt16LE(26) + data.readUInt16LE(28);
+    data[dataStart] ^= 0xff;
+    fs.writeFileSync(zipPath, data);
+    const [member] = await extractAll("zip", zipPath);
+    assert.match(member.skipped, /unreadable/);
+    assert.deepStrictEqual(fs.readdirSync(outDir, { recursive: true }).filter((name) => name.includes("IM1")), []);
+  });
+
+  it("streams tar.gz members in archive order", async () => {
+    const members = await extractAll("tar.gz", await writeTgz(files));
+    assert.deepStrictEqual(members.map((member) => [member.path, member.data.length]), [
+      ["A/IM1", 5],
+      ["B/IM1", 6],
+      ["big.bin", 200000],
+      ["DICOMDIR", 9],
+    ]);
+  });
+
+  for (const [archiveType, command] of [["tar", null], ["tar.bz2", "bzip2"], ["tar.xz", "xz"]]) {
+    it(`streams ${archiveType} members in archive order`, async function () {
+      if (command && !hasCommand(command)) {
+        this.skip();
+      }
+      const tarPath = await writeTar(files, "test.tar");
+      // Compresses to test.tar.bz2 or test.tar.xz
+      if (command) {
+        execFileSync(command, [tarPath]);
+      }
+      const members = await extractAll(archiveType, path.join(dir, `test.${archiveType}`));
+      assert.deepStrictEqual(members.map((member) => [member.path, member.data.length]), [
+        ["A/IM1", 5],
+        ["B/IM1", 6],
+        ["big.bin", 200000],
+        ["DICOMDIR", 9],
+      ]);
+    });
+  }
+
+  it("reports failures of external decompressors", async function () {
+    if (!hasCommand("bzip2")) {
+      this.skip();
+    }
+    const badPath = path.join(dir, "bad.tar.bz2");
+    fs.writeFileSync(badPath, "not bzip2 data");
+    await assert.rejects(extractAll("tar.bz2", badPath), /bzip2 failed/);
+  });
+
+  it("resumes after the members handled by an earlier pass", async () => {
+    const first = (name) => name === "DICOMDIR";
+    for (const [archiveType, archivePath] of [["zip", writeZip(files)], ["tar.gz", await writeTgz(files)]]) {
+      const members = await extractAll(archiveType, archivePath, { first, resumeAt: 2 });
+      // Zip extracts the DICOMDIR first; either way it is extracted again, for its records
+      const expected = archiveType === "zip"
+        ? [["DICOMDIR", false], ["A/IM1", true], ["B/IM1", false], ["big.bin", false]]
+        : [["A/IM1", true], ["B/IM1", true], ["big.bin", false], ["DICOMDIR", false]];
+      assert.deepStrictEqual(members.map((member) => [member.path, Boolean(member.resumed)]), expected, archiveType);
+      for (const member of members) {
+        assert.strictEqual(Boolean(member.filePath), !member.resumed, `${archiveType} ${member.path}`);
+      }
+    }
+  });
+
+  it("extracts a gzipped single file as one member", async () => {
+    const gzPath = path.join(dir, "IM1.dcm.gz");
+    fs.writeFileSync(gzPath, zlib.gzipSync("instance data"));
+    assert.deepStrictEqual(
+      (await extractAll("gz", gzPath)).map((member) => [member.path, member.size, member.data]),
+      [["IM1.dcm", 13, "instance data"]]
+    );
+    const [tooLarge] = await extractAll("gz", gzPath, { maxMemberBytes: 5 });
+    assert.strictEqual(tooLarge.skipped, "too large");
+    assert.deepStrictEqual(tooLarge.onDisk, []);
+  });
+
+  describe("safety limits", () => {
+    // Resolves to the rejection, checking it is a non-retryable limit violation
+    async function rejection(archiveType, archivePath, options) {
+      let rejected = null;
+      await extractAll(archiveType, archivePath, options).catch((error) => {
+        rejected = error;
+      });
+      assert.ok(rejected, "expected the archive to be rejected");
+      assert.strictEqual(rejected.retryable, false);
+      assert.match(rejected.message, /^Archive rejected: /);
+      return rejected;
+    }
+
+    const bomb = { "IM1": "small", "zeros.bin": Buffer.alloc(4 * 1024 * 1024) };
+
+    it("rejects zip bombs before extracting anything", async () => {
+      const error = await rejection("zip", writeZip(bomb));
+      assert.match(error.message, /entry "zeros.bin" expands \d+:1 \(limit 100:1\)/);
+      assert.deepStrictEqual(fs.readdirSync(outDir), []);
+    });
+
+    it("rejects gzipped tar bombs while streaming", async () => {
+      const error = await rejection("tar.gz", await writeTgz(bomb));
+      assert.match(error.message, /archive expands \d+:1/);
+    });
+
+    it("rejects gzipped single-file bombs while streaming", async () => {
+      const gzPath = path.join(dir, "IM1.dcm.gz");
+      fs.writeFileSync(gzPath, zlib.gzipSync(Buffer.alloc(4 * 1024 * 1024)));
+      const error = await rejection("gz", gzPath);
+      assert.match(error.message, /archive expands \d+:1/);
+      assert.deepStrictEqual(fs.readdirSync(outDir), []);
+    });
+
+    it("allows highly compressible archives when the ratio limit is off", async () => {
+      const members = await extractAll("zip", writeZip(bomb), { limits: { maxCompressionRatio: 0 } });
+      assert.strictEqual(members.filter((member) => member.filePath).length, 2);
+    });
+
+    it("limits the number of entries and the total size", async () => {
+      for (const [archiveType, archivePath] of [["zip", writeZip(files)], ["tar.gz", await writeTgz(files)]]) {
+        const tooMany = await rejection(archiveType, archivePath, { limits: { maxEntries: 2 } });
+        assert.match(tooMany.message, /more than 2 entries/, archiveType);
+        const tooBig = await rejection(archiveType, archivePath, { limits: { maxTotalBytes: 100000 } });
+        assert.match(tooBig.message, /more than 100000 uncompressed bytes/, archiveType);
+      }
+    });
+
+    it("limits the directory depth", async () => {
+      const deep = { "A/B/C/IM1": "deep" };
+      for (const [archiveType, archivePath] of [["zip", writeZip(deep)], ["tar.gz", await writeTgz(deep)]]) {
+        const error = await rejection(archiveType, archivePath, { limits: { maxDepth: 2 } });
+        assert.match(error.message, /nested 3 directories deep \(limit 2\)/, archiveType);
+        assert.strictEqual((await extractAll(archiveType, archivePath, { limits: { maxDepth: 3 } })).length, 1);
+      }
+    });
+
+    it("rejects zip entries with '..' or absolute paths", async () => {
+      for (const [name, reason] of [["../IM1", /"\.\.\/IM1" has a "\.\." path component/], ["/tmp/IM1", /"\/tmp\/IM1" has an absolute path/]]) {
+        // Written under a placeholder of the same length, then renamed in place
+        const placeholder = "x".repeat(name.length);
+        const zipPath = writeZip({ [placeholder]: "escape" });
+        const data = fs.readFileSync(zipPath).toString("latin1").split(placeholder).join(name);
+        fs.writeFileSync(zipPath, Buffer.from(data, "latin1"));
+        const error = await rejection("zip", zipPath);
+        assert.match(error.message, reason);
+      }
+    });
+
+    it("rejects symbolic links that point out of the archive", async () => {
+      const zip = new AdmZip();
+      zip.addFile("A/link", Buffer.from("../../etc/passwd"));
+      zip.getEntry("A/link").header.made = 0x0314; // Unix
+      zip.getEntry("A/link").header.attr = (0o120777 << 16) >>> 0;
+      const zipPath = path.join(dir, "link.zip");
+      zip.writeZip(zipPath);
+      assert.match((await rejection("zip", zipPath)).message, /link "A\/link" points outside the archive/);
+
+      const srcDir = path.join(dir, "links");
+      fs.mkdirSync(path.join(srcDir, "A"), { recursive: true });
+      fs.writeFileSync(path.join(srcDir, "A/IM1"), "first");
+      fs.symlinkSync("IM1", path.join(srcDir, "A/inside"));
+      const insidePath = path.join(dir, "inside.tgz");
+      await tar.c({ gzip: true, file: insidePath, cwd: srcDir }, ["A"]);
+      // Links inside the archive are harmless and are not extracted
+      assert.deepStrictEqual((await extractAll("tar.gz", insidePath)).map((member) => member.path), ["A/IM1"]);
+
+      fs.symlinkSync("../../etc/passwd", path.join(srcDir, "A/outside"));
+      const outsidePath = path.join(dir, "outside.tgz");
+      await tar.c({ gzip: true, file: outsidePath, cwd: srcDir }, ["A"]);
+      assert.match((await rejection("tar.gz", outsidePath)).message, /link "A\/outside" points outside the archive/);
+    });
+  });
+
+  it("fails on data that is not an archive", async () => {
+    const badPath = path.join(dir, "bad.zip");
+    fs.writeFileSync(badPath, "not a zip file");
+    await assert.rejects(extractAll("zip", badPath), /end of central directory not found/);
+    await assert.rejects(extractAll("tar.gz", badPath), /incorrect header check|unexpected end of file/);
+  });
+});
@@ -64,3 +64,70 @@ describe("bigquery module - insertEmbeddings batching", () => {
     assert.strictEqual(call3Args[0][19].insertId, "id_119|1");
   });
 });
+
+describe("bigquery module - deletions", () => {
+  let tableInsertStub;
+  let datasetStub;
+  let queryStub;
+
+  beforeEach(() => {
+    tableInsertStub = sinon.stub().resolves();
+    datasetStub = sinon.stub(BigQuery.prototype, "dataset").returns({ table: sinon.stub().returns({ insert: tableInsertStub }) });
+    queryStub = sinon.stub(BigQuery.prototype, "query");
+  });
+
+  afterEach(() => {
+    datasetStub.restore();
+    queryStub.restore();
+  });
+
+  it("should insert instance rows in batches with their insertIds", async () => {
+    const rows = Array.from({ length: 60 }, (_, i) => ({ id: `id_${i}`, path: `gs://b/a.zip#m${i}`, metadata: null }));
+
+    await bqModule.insertInstances(rows, rows.map((r) => `${r.id}|1|OBJECT_DELETE`));
+
+    assert.strictEqual(tableInsertStub.callCount, 2);
+    assert.strictEqual(tableInsertStub.getCall(1).args[0].length, 10);
+    assert.deepStrictEqual(tableInsertStub.getCall(1).args[0][0], { insertId: "id_50|1|OBJECT_DELETE", json: rows[50] });
+    assert.deepStrictEqual(tableInsertStub.getCall(0).args[1], { raw: true });
+  });
+
+  it("should look up the live rows of an object version and its members", async () => {
+    queryStub.resolves([[{ id: "aaaa", path: "gs://b/a.zip#m1", version: "7", offloadedMetadataPath: null }]]);
+
+    const rows = await bqModule.findLiveRows("gs://b/a.zip", 7);
+
+    assert.deepStrictEqual(rows, [{ id: "aaaa", path: "gs://b/a.zip#m1", version: "7", offloadedMetadataPath: null }]);
+    assert.deepStrictEqual(queryStub.getCall(0).args[0].params, { path: "gs://b/a.zip", prefix: "gs://b/a.zip#", version: "7" });
+  });
+
+  it("should look up every live row version under a path prefix", async () => {
+    const prefix = "https://healthcare.googleapis.com/v1/projects/p/locations/l/datasets/d/dicomStores/s/dicomWeb/studies/";
+    queryStub.resolves([[{ id: "bbbb", path: `${prefix}1.2/series/1.2.1/instances/1.2.1.1`, version: "42", offloadedMetadataPath: "gs://b/offload.json" }]]);
+
+    const rows = await bqModule.findLiveRowsUnder(prefix);
+
+    assert.deepStrictEqual(rows, [{ id: "bbbb", path: `${prefix}1.2/series/1.2.1/instances/1.2.1.1`, version: "42", offloadedMetadataPath: "gs://b/offload.json" }]);
+    assert.deepStrictEqual(queryStub.getCall(0).args[0].params, { prefix });
+    assert.match(queryStub.getCall(0).args[0].query, /GROUP BY active\.id, active\.path, active\.version/);
+  });
+
+  it("should look up the latest version of an object with metadata", async () => {
+    queryStub.resolves([[{ version: "0006123ABC" }]]);
+
+    assert.strictEqual(await bqModule.findLatestVersion("s3://b/a.zip"), "0006123ABC");
+    assert.deepStrictEqual(queryStub.getCall(0).args[0].params, { path: "s3://b/a.zip", prefix: "s3://b/a.zip#" });
+
+    queryStub.resolves([[]]);
+    assert.strictEqual(await bqModule.findLatestVersion("s3://b/gone.dcm"), null);
+  });
+
+  it("should report a DELETE blocked by the streaming buffer as retryable", async () => {
+    queryStub.rejects(new Error("UPDATE or DELETE statement over table dicom.embeddings would affect rows in the streaming buffer, which is not supported"));
+
+    await assert.rejects(bqModule.deleteEmbeddings(["aaaa"]), (error) => error.code === 503);
+
+    queryStub.rejects(Object.assign(new Error("Access Denied: Table dicom.embeddings"), { code: 403 }));
+    await assert.rejects(bqModule.deleteEmbeddings(["aaaa"]), (error) => error.code === 403);
+  });
+});
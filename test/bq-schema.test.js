@@ -82,7 +82,7 @@ describe("BigQuery insert payload matches schema", () => {
       return Promise.resolve();
     });
     require.cache[bigqueryPath] = {
-      exports: { insert: insertStub, insertEmbeddings: sinon.stub().resolves() },
+      exports: { insert: insertStub, insertEmbeddings: sinon.stub().resolves(), findLiveRows: sinon.stub().resolves([]) },
     };
 
     const dicomToJsonPath = require.resolve("../src/dicomtojson");
@@ -90,9 +90,10 @@ describe("BigQuery insert payload matches schema", () => {
     class FakeDicomFile {
       constructor(fileUrl) { this.fileUrl = fileUrl; }
       toJson() { return { SOPInstanceUID: "1.2.3", PatientID: "P1" }; }
+      hashContent(fileSha256) { return { sha256: fileSha256, pixelDataSha256: null }; }
     }
     require.cache[dicomToJsonPath] = {
-      exports: { DicomFile: FakeDicomFile },
+      exports: { DicomFile: FakeDicomFile, hashFile: async () => "0".repeat(64) },
     };
 
     const embeddingsPath = require.resolve("../src/embeddings");
@@ -0,0 +1,181 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const { deidentify, isEnabled, replaceUid, resolveSecret, shiftDate, createTextScrubber, collectIdentifiers } = require("../src/deidentify");
+
+describe("deidentify", () => {
+  const SECRET = "s3cret";
+
+  function sampleDataset() {
+    return {
+      PatientName: "Doe^John",
+      PatientID: "MRN12345",
+      PatientBirthDate: "19700102",
+      PatientAddress: "1 Main St",
+      AccessionNumber: "ACC999",
+      StudyDate: "20240115",
+      StudyTime: "101500",
+      SeriesDate: "20240115",
+      AcquisitionDateTime: "20240115101600.000000",
+      StudyDescription: "CT Chest for John Doe",
+      Modality: "CT",
+      SOPClassUID: "1.2.840.10008.5.1.4.1.1.2",
+      StudyInstanceUID: "1.2.3.4",
+      SeriesInstanceUID: "1.2.3.4.5",
+      SOPInstanceUID: "1.2.3.4.5.6",
+      x00091001: "vendor private",
+      ReferencedImageSequence: [{ ReferencedSOPClassUID: "1.2.840.10008.5.1.4.1.1.2", ReferencedSOPInstanceUID: "1.2.3.4.5.7" }],
+    };
+  }
+
+  it("isEnabled reflects the enabled flag", () => {
+    assert.strictEqual(isEnabled(undefined), false);
+    assert.strictEqual(isEnabled({ enabled: false }), false);
+    assert.strictEqual(isEnabled({ enabled: true }), true);
+  });
+
+  describe("basic profile", () => {
+    it("removes, blanks and replaces identifying attributes", () => {
+      const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: SECRET });
+      assert.strictEqual(dataset.PatientName, "");
+      assert.strictEqual(dataset.PatientID, "");
+      assert.strictEqual(dataset.PatientBirthDate, "");
+      assert.strictEqual(dataset.AccessionNumber, "");
+      assert.ok(!("PatientAddress" in dataset));
+      assert.ok(!("StudyDescription" in dataset));
+      assert.ok(!("x00091001" in dataset));
+      assert.strictEqual(dataset.Modality, "CT");
+      assert.strictEqual(dataset.SOPClassUID, "1.2.840.10008.5.1.4.1.1.2");
+    });
+
+    it("removes or blanks dates by default", () => {
+      const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: SECRET });
+      assert.strictEqual(dataset.StudyDate, "");
+      assert.ok(!("SeriesDate" in dataset));
+      assert.ok(!("AcquisitionDateTime" in dataset));
+      assert.strictEqual(dataset.LongitudinalTemporalInformationModified, "REMOVED");
+    });
+
+    it("replaces UIDs consistently, including in sequences", () => {
+      const first = deidentify(sampleDataset(), { enabled: true, secret: SECRET }).dataset;
+      const second = deidentify(sampleDataset(), { enabled: true, secret: SECRET }).dataset;
+      assert.notStrictEqual(first.StudyInstanceUID, "1.2.3.4");
+      assert.ok(first.StudyInstanceUID.startsWith("2.25."));
+      assert.strictEqual(first.StudyInstanceUID, second.StudyInstanceUID);
+      assert.strictEqual(first.ReferencedImageSequence[0].ReferencedSOPInstanceUID, replaceUid("1.2.3.4.5.7", SECRET));
+      assert.strictEqual(first.ReferencedImageSequence[0].ReferencedSOPClassUID, "1.2.840.10008.5.1.4.1.1.2");
+    });
+
+    it("keys replacement UIDs with the secret", () => {
+      const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: SECRET });
+      // An unkeyed hash of a known UID would let anyone holding it re-link the row
+      const unkeyed = `2.25.${BigInt(`0x${crypto.createHash("sha256").update("1.2.3.4").digest("hex").substring(0, 32)}`)}`;
+      assert.notStrictEqual(dataset.StudyInstanceUID, unkeyed);
+      assert.notStrictEqual(deidentify(sampleDataset(), { enabled: true, secret: "other" }).dataset.StudyInstanceUID, dataset.StudyInstanceUID);
+    });
+
+    it("requires a secret unless UIDs are retained", () => {
+      const saved = [process.env.DCM2BQ_DEID_SECRET, process.env.DCM2BQ_PSEUDONYM_SECRET];
+      delete process.env.DCM2BQ_DEID_SECRET;
+      delete process.env.DCM2BQ_PSEUDONYM_SECRET;
+      try {
+        assert.throws(() => deidentify(sampleDataset(), { enabled: true }), /no secret is configured/);
+        assert.ok(deidentify(sampleDataset(), { enabled: true, retainUids: true }).dataset);
+        // The pseudonymization secret serves when de-identification has none
+        assert.strictEqual(resolveSecret({ enabled: true }, { secret: "pseudo" }), "pseudo");
+        assert.strictEqual(resolveSecret({ enabled: true, secret: SECRET }, { secret: "pseudo" }), SECRET);
+      } finally {
+        if (saved[0] !== undefined) process.env.DCM2BQ_DEID_SECRET = saved[0];
+        if (saved[1] !== undefined) process.env.DCM2BQ_PSEUDONYM_SECRET = saved[1];
+      }
+    });
+
+    it("records the method in the dataset and the info summary", () => {
+      const { dataset, info } = deidentify(sampleDataset(), { enabled: true, secret: SECRET });
+      assert.strictEqual(dataset.PatientIdentityRemoved, "YES");
+      assert.strictEqual(dataset.DeidentificationMethodCodeSequence[0].CodeValue, "113100");
+      assert.deepStrictEqual(info, { profile: "basic", options: [] });
+    });
+
+    it("rejects unsupported profiles", () => {
+      assert.throws(() => deidentify(sampleDataset(), { enabled: true, secret: SECRET, profile: "full" }), /Unsupported de-identification profile/);
+    });
+  });
+
+  describe("options", () => {
+    it("retains full dates", () => {
+      const { dataset, info } = deidentify(sampleDataset(), { enabled: true, secret: SECRET, dates: "retain" });
+      assert.strictEqual(dataset.StudyDate, "20240115");
+      assert.strictEqual(dataset.StudyTime, "101500");
+      assert.strictEqual(dataset.PatientBirthDate, "", "Birth date is not covered by the longitudinal option");
+      assert.deepStrictEqual(info.options, ["retainLongitudinalFullDates"]);
+    });
+
+    it("shifts dates and date-times, leaving times alone", () => {
+      const { dataset, info } = deidentify(sampleDataset(), { enabled: true, secret: SECRET, dates: "shift", dateShiftDays: -20 });
+      assert.strictEqual(dataset.StudyDate, "20231226");
+      assert.strictEqual(dataset.AcquisitionDateTime, "20231226101600.000000");
+      assert.strictEqual(dataset.StudyTime, "101500");
+      assert.strictEqual(dataset.LongitudinalTemporalInformationModified, "MODIFIED");
+      assert.deepStrictEqual(info.options, ["retainLongitudinalModifiedDates"]);
+    });
+
+    it("retains UIDs", () => {
+      const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: SECRET, retainUids: true });
+      assert.strictEqual(dataset.StudyInstanceUID, "1.2.3.4");
+      assert.strictEqual(dataset.DeidentificationMethodCodeSequence[1].CodeValue, "113110");
+    });
+
+    it("cleans descriptors instead of removing them", () => {
+      const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: SECRET, cleanDescriptors: true });
+      assert.strictEqual(dataset.StudyDescription, "CT Chest for [REDACTED] [REDACTED]");
+    });
+  });
+
+  describe("text scrubbing", () => {
+    it("collects name components, IDs and formatted birth dates", () => {
+      const identifiers = collectIdentifiers(sampleDataset());
+      for (const expected of ["Doe^John", "Doe", "John", "MRN12345", "ACC999", "1970-01-02", "01/02/1970"]) {
+        assert.ok(identifiers.includes(expected), `Expected ${expected} in identifiers`);
+      }
+    });
+
+    it("redacts identifiers and dates from extracted text", () => {
+      const { scrubText } = deidentify(sampleDataset(), { enabled: true, secret: SECRET });
+      const text = "Patient John DOE (MRN12345), accession ACC999, seen 2024-01-15. No acute findings.";
+      assert.strictEqual(scrubText(text), "Patient [REDACTED] [REDACTED] ([REDACTED]), accession [REDACTED], seen [REDACTED]. No acute findings.");
+    });
+
+    it("keeps dates in text when dates are retained", () => {
+      const scrub = createTextScrubber(["MRN12345"], { dates: "retain" });
+      assert.strictEqual(scrub("MRN12345 on 2024-01-15"), "[REDACTED] on 2024-01-15");
+    });
+  });
+
+  describe("shiftDate", () => {
+    it("shifts across month and year boundaries", () => {
+      assert.strictEqual(shiftDate("20240101", -1), "20231231");
+      assert.strictEqual(shiftDate("20240228", 1), "20240229");
+    });
+
+    it("passes through non-date values", () => {
+      assert.strictEqual(shiftDate("", 5), "");
+      assert.strictEqual(shiftDate("unknown", 5), "unknown");
+    });
+  });
+});
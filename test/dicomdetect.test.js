@@ -0,0 +1,80 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isDicomHeader, isDicomFile } = require("../src/dicomdetect");
+
+function part10() {
+  return Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.alloc(64)]);
+}
+
+function implicitVr() {
+  // (0008,0005) SpecificCharacterSet, length 10, "ISO_IR 100"
+  const element = Buffer.alloc(8);
+  element.writeUInt16LE(0x0008, 0);
+  element.writeUInt16LE(0x0005, 2);
+  element.writeUInt32LE(10, 4);
+  return Buffer.concat([element, Buffer.from("ISO_IR 100"), Buffer.alloc(64)]);
+}
+
+describe("dicomdetect", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dcm2bq-detect-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("recognizes the DICM magic after the preamble", () => {
+    assert.ok(isDicomHeader(part10(), 196));
+    assert.ok(!isDicomHeader(Buffer.from("DICM"), 4));
+    assert.ok(!isDicomHeader(Buffer.alloc(132), 132));
+  });
+
+  it("accepts preamble-less implicit VR data only when asked", () => {
+    const header = implicitVr();
+    assert.ok(!isDicomHeader(header, header.length));
+    assert.ok(isDicomHeader(header, header.length, true));
+    // Odd or overlong first element lengths are not DICOM
+    const odd = Buffer.from(header);
+    odd.writeUInt32LE(9, 4);
+    assert.ok(!isDicomHeader(odd, odd.length, true));
+    assert.ok(!isDicomHeader(header, 12, true));
+    assert.ok(!isDicomHeader(Buffer.from("PK\u0003\u0004 not dicom"), 20, true));
+  });
+
+  it("classifies files by content regardless of name", async () => {
+    fs.writeFileSync(path.join(dir, "IM000001"), part10());
+    fs.writeFileSync(path.join(dir, "SCAN.DCM"), part10());
+    fs.writeFileSync(path.join(dir, "misnamed.dcm"), "not dicom");
+    fs.writeFileSync(path.join(dir, "empty"), "");
+    assert.strictEqual(await isDicomFile(path.join(dir, "IM000001")), true);
+    assert.strictEqual(await isDicomFile(path.join(dir, "SCAN.DCM")), true);
+    assert.strictEqual(await isDicomFile(path.join(dir, "misnamed.dcm")), false);
+    assert.strictEqual(await isDicomFile(path.join(dir, "empty")), false);
+  });
+
+  it("never treats a DICOMDIR as an instance", async () => {
+    fs.writeFileSync(path.join(dir, "DICOMDIR"), part10());
+    assert.strictEqual(await isDicomFile(path.join(dir, "DICOMDIR")), false);
+  });
+});
@@ -0,0 +1,85 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const path = require("path");
+const { normalizeMediaPath, isDicomdirName, readDirectoryRecords, resolveDirectoryRecords } = require("../src/dicomdir");
+
+describe("dicomdir", () => {
+  const dicomdirJson = {
+    FileSetID: "CD001",
+    DirectoryRecordSequence: [
+      { DirectoryRecordType: "PATIENT", PatientID: "P1", PatientName: "Doe^Jane" },
+      { DirectoryRecordType: "STUDY", StudyInstanceUID: "1.2.1" },
+      { DirectoryRecordType: "SERIES", SeriesInstanceUID: "1.2.1.1", Modality: "CT" },
+      { DirectoryRecordType: "IMAGE", ReferencedFileID: ["DICOM", "S0001", "IM000001"], ReferencedSOPInstanceUIDInFile: "1.2.1.1.1" },
+      { DirectoryRecordType: "IMAGE", ReferencedFileID: "DICOM\\S0001\\IM000002", ReferencedSOPInstanceUIDInFile: "1.2.1.1.2" },
+      { DirectoryRecordType: "SERIES", SeriesInstanceUID: "1.2.1.2", Modality: "SR" },
+      { DirectoryRecordType: "SR DOCUMENT", ReferencedFileID: ["DICOM", "S0002", "SR000001"], ReferencedSOPInstanceUIDInFile: "1.2.1.2.1" },
+    ],
+  };
+
+  it("normalizes ISO-9660 style media paths", () => {
+    assert.strictEqual(normalizeMediaPath("dicom/s0001/im000001"), "DICOM/S0001/IM000001");
+    assert.strictEqual(normalizeMediaPath("DICOM\\S0001\\IM000001;1"), "DICOM/S0001/IM000001");
+    assert.strictEqual(normalizeMediaPath("DICOM/S0001/IM000001."), "DICOM/S0001/IM000001");
+  });
+
+  it("recognizes DICOMDIR names in any spelling", () => {
+    assert.ok(isDicomdirName("/tmp/x/DICOMDIR"));
+    assert.ok(isDicomdirName("/tmp/x/dicomdir;1"));
+    assert.ok(!isDicomdirName("/tmp/x/DICOMDIR.txt"));
+  });
+
+  it("reads records with their patient, study and series context", () => {
+    const records = readDirectoryRecords(dicomdirJson);
+    assert.strictEqual(records.length, 7);
+    assert.strictEqual(records[0].fileId, null);
+    assert.deepStrictEqual(records[4], {
+      recordType: "IMAGE",
+      fileId: ["DICOM", "S0001", "IM000002"],
+      sopInstanceUid: "1.2.1.1.2",
+      patientId: "P1",
+      studyInstanceUid: "1.2.1",
+      seriesInstanceUid: "1.2.1.1",
+    });
+    assert.strictEqual(records[6].seriesInstanceUid, "1.2.1.2");
+    assert.deepStrictEqual(readDirectoryRecords({}), []);
+  });
+
+  it("resolves references case-insensitively and reports missing files", () => {
+    const root = path.join("/tmp", "media");
+    const extracted = [
+      path.join(root, "dicom", "s0001", "im000001"),
+      path.join(root, "DICOM", "S0002", "SR000001;1"),
+      path.join(root, "README.TXT"),
+    ];
+    const resolved = resolveDirectoryRecords(path.join(root, "DICOMDIR"), readDirectoryRecords(dicomdirJson), extracted);
+    assert.deepStrictEqual(resolved.referenced, [extracted[0], extracted[1]]);
+    assert.strictEqual(resolved.missing.length, 1);
+    assert.strictEqual(resolved.missing[0].fileId, "DICOM\\S0001\\IM000002");
+    assert.strictEqual(resolved.missing[0].sopInstanceUid, "1.2.1.1.2");
+    assert.deepStrictEqual(resolved.recordCounts, { PATIENT: 1, STUDY: 1, SERIES: 2, IMAGE: 2, "SR DOCUMENT": 1 });
+  });
+
+  it("resolves references relative to a nested DICOMDIR", () => {
+    const root = path.join("/tmp", "media");
+    const extracted = [path.join(root, "CD1", "DICOM", "S0001", "IM000001"), path.join(root, "DICOM", "S0001", "IM000002")];
+    const resolved = resolveDirectoryRecords(path.join(root, "CD1", "DICOMDIR"), readDirectoryRecords(dicomdirJson), extracted);
+    assert.deepStrictEqual(resolved.referenced, [extracted[0]]);
+    assert.strictEqual(resolved.missing.length, 2);
+  });
+});
@@ -54,6 +54,45 @@ describe("dicomtojson", () => {
       });
   });
 
+  describe("hashContent", () => {
+    const crypto = require("crypto");
+    const os = require("os");
+    const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+    let tmpFile;
+
+    beforeEach(() => {
+      tmpFile = path.join(os.tmpdir(), `dcm2bq-hash-${process.pid}.dcm`);
+      fs.writeFileSync(tmpFile, "HEADER-PIXELS-TRAILER");
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpFile, { force: true });
+    });
+
+    it("should hash the whole file and the pixel data range", async () => {
+      const dicom = new DicomFile(pathToFileURL(tmpFile));
+      dicom.parse = async () => ({ Modality: "CT", PixelData: { BulkDataURI: "?offset=7&length=6" } });
+      const hashes = await dicom.hashContent();
+      assert.strictEqual(hashes.sha256, sha256("HEADER-PIXELS-TRAILER"));
+      assert.strictEqual(hashes.pixelDataSha256, sha256("PIXELS"));
+    });
+
+    it("should hash encapsulated document bytes and fragments in order", async () => {
+      const dicom = new DicomFile(pathToFileURL(tmpFile));
+      dicom.parse = async () => ({ EncapsulatedDocument: [{ BulkDataURI: "?offset=0&length=6" }, { BulkDataURI: "?offset=14&length=7" }] });
+      const hashes = await dicom.hashContent();
+      assert.strictEqual(hashes.pixelDataSha256, sha256("HEADERTRAILER"));
+    });
+
+    it("should return a null pixel data hash without bulk data", async () => {
+      const dicom = new DicomFile(pathToFileURL(tmpFile));
+      dicom.parse = async () => ({ Modality: "SR" });
+      const hashes = await dicom.hashContent();
+      assert.strictEqual(hashes.pixelDataSha256, null);
+      assert.strictEqual(hashes.sha256, sha256("HEADER-PIXELS-TRAILER"));
+    });
+  });
+
   describe("parseBulkDataUri", () => {
     it("should parse offset and length from bulkDataUri", () => {
       const uri = "?offset=123&length=456";
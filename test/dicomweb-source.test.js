@@ -0,0 +1,195 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { isRetryableError } = require("../src/utils");
+const dicomwebSource = require("../src/dicomweb-source");
+
+const STUDY = "1.2.840.1";
+const SERIES = "1.2.840.1.2";
+const BOUNDARY = "dcm2bq-test-boundary";
+
+function multipart(parts) {
+  const chunks = parts.map((body) => Buffer.concat([Buffer.from(`--${BOUNDARY}\r\nContent-Type: application/dicom\r\n\r\n`), body, Buffer.from("\r\n")]));
+  return Buffer.concat([...chunks, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+function instanceResult(sopInstanceUid) {
+  return {
+    "0020000D": { vr: "UI", Value: [STUDY] },
+    "0020000E": { vr: "UI", Value: [SERIES] },
+    "00080018": { vr: "UI", Value: [sopInstanceUid] },
+  };
+}
+
+// A minimal DICOMweb server, in the way Orthanc answers QIDO-RS and WADO-RS
+describe("dicomweb-source", () => {
+  let server;
+  let source;
+  let requests;
+  let instanceBytes;
+  let tempDir;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      const url = new URL(req.url, "http://localhost");
+      const instance = /\/instances\/([0-9.]+)$/.exec(url.pathname);
+      if (url.pathname.endsWith("/series")) {
+        const results = [SERIES, `${SERIES}.9`].map((seriesInstanceUid) => ({ "0020000E": { vr: "UI", Value: [seriesInstanceUid] } }));
+        res.writeHead(200, { "Content-Type": "application/dicom+json" }).end(JSON.stringify(results));
+      } else if (url.pathname.endsWith("/instances")) {
+        const offset = Number(url.searchParams.get("offset"));
+        // One full page, then nothing more
+        if (offset > 0) {
+          res.writeHead(204).end();
+          return;
+        }
+        const results = Array.from({ length: 1000 }, (_, i) => instanceResult(`${SERIES}.${i + 1}`));
+        res.writeHead(200, { "Content-Type": "application/dicom+json" }).end(JSON.stringify(results));
+      } else if (instance && instance[1] === `${SERIES}.404`) {
+        res.writeHead(404, { "Content-Type": "text/plain" }).end("Unknown resource");
+      } else if (instance && instance[1] === `${SERIES}.503`) {
+        res.writeHead(503).end();
+      } else if (instance) {
+        res.writeHead(200, { "Content-Type": `multipart/related; type="application/dicom"; boundary="${BOUNDARY}"` }).end(multipart([instanceBytes]));
+      } else {
+        res.writeHead(400).end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    source = { baseUrl: `http://127.0.0.1:${server.address().port}/dicom-web/`, auth: { type: "basic", username: "orthanc", password: "secret" } };
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dcm2bq-dicomweb-"));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    requests = [];
+    // Bytes that look like a delimiter inside the instance must not split it
+    instanceBytes = Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.from(`\r\n--${BOUNDARY}x\r\n`), Buffer.from([0, 1, 2, 0x0d, 0x0a])]);
+  });
+
+  describe("parseDicomwebPath", () => {
+    it("should parse study, series and instance paths", () => {
+      assert.deepStrictEqual(dicomwebSource.parseDicomwebPath(`studies/${STUDY}`), { studyInstanceUid: STUDY, seriesInstanceUid: null, sopInstanceUid: null });
+      assert.deepStrictEqual(dicomwebSource.parseDicomwebPath(`/studies/${STUDY}/series/${SERIES}/instances/${SERIES}.1/`), {
+        studyInstanceUid: STUDY,
+        seriesInstanceUid: SERIES,
+        sopInstanceUid: `${SERIES}.1`,
+      });
+    });
+
+    it("should reject anything else as non-retryable", () => {
+      for (const value of ["", "studies/", `studies/${STUDY}/frames/1`, "studies/../series/.."]) {
+        assert.throws(() => dicomwebSource.parseDicomwebPath(value), (error) => error.retryable === false);
+      }
+    });
+  });
+
+  describe("parseMultipartRelated", () => {
+    it("should split parts, with and without headers", () => {
+      const body = Buffer.from(`preamble\r\n--b\r\nContent-Type: application/dicom\r\nContent-Location: /x\r\n\r\nfirst\r\n--b\r\n\r\nsecond\r\n--b--\r\nepilogue`);
+      const parts = dicomwebSource.parseMultipartRelated(body, "multipart/related; type=application/dicom; boundary=b");
+      assert.strictEqual(parts.length, 2);
+      assert.deepStrictEqual(parts[0].headers, { "content-type": "application/dicom", "content-location": "/x" });
+      assert.strictEqual(parts[0].body.toString(), "first");
+      assert.deepStrictEqual(parts[1].headers, {});
+      assert.strictEqual(parts[1].body.toString(), "second");
+    });
+
+    it("should reject other content types and truncated bodies", () => {
+      assert.throws(() => dicomwebSource.parseMultipartRelated(Buffer.from("DICM"), "application/dicom"), /multipart\/related/);
+      assert.throws(() => dicomwebSource.parseMultipartRelated(Buffer.from("--b\r\n\r\npartial"), "multipart/related; boundary=b"), /Truncated/);
+    });
+  });
+
+  describe("retrieveInstance", () => {
+    it("should retrieve an instance with WADO-RS", async () => {
+      const destination = path.join(tempDir, "instance.dcm");
+      const uids = { studyInstanceUid: STUDY, seriesInstanceUid: SERIES, sopInstanceUid: `${SERIES}.1` };
+
+      const size = await dicomwebSource.retrieveInstance(source, uids, destination);
+
+      assert.strictEqual(size, instanceBytes.length);
+      assert.ok((await fs.promises.readFile(destination)).equals(instanceBytes));
+      assert.strictEqual(requests[0].url, `/dicom-web/studies/${STUDY}/series/${SERIES}/instances/${SERIES}.1`);
+      assert.match(requests[0].headers.accept, /^multipart\/related; type="application\/dicom"; transfer-syntax=\*/);
+      assert.strictEqual(requests[0].headers.authorization, `Basic ${Buffer.from("orthanc:secret").toString("base64")}`);
+    });
+
+    it("should classify failures by status", async () => {
+      const destination = path.join(tempDir, "failed.dcm");
+      const retrieve = (sopInstanceUid) => dicomwebSource.retrieveInstance(source, { studyInstanceUid: STUDY, seriesInstanceUid: SERIES, sopInstanceUid }, destination);
+
+      await assert.rejects(retrieve(`${SERIES}.404`), (error) => error.code === 404 && /Unknown resource/.test(error.message) && !isRetryableError(error));
+      await assert.rejects(retrieve(`${SERIES}.503`), (error) => error.code === 503 && isRetryableError(error));
+      const unreachable = { ...source, baseUrl: "http://127.0.0.1:1/dicom-web" };
+      await assert.rejects(dicomwebSource.retrieveInstance(unreachable, { studyInstanceUid: STUDY, seriesInstanceUid: SERIES, sopInstanceUid: `${SERIES}.1` }, destination), (error) => isRetryableError(error));
+    });
+  });
+
+  describe("searchInstances", () => {
+    it("should page through the instances of a series with QIDO-RS", async () => {
+      const instances = await dicomwebSource.searchInstances(source, { studyInstanceUid: STUDY, seriesInstanceUid: SERIES });
+
+      assert.strictEqual(instances.length, 1000);
+      assert.deepStrictEqual(instances[0], { studyInstanceUid: STUDY, seriesInstanceUid: SERIES, sopInstanceUid: `${SERIES}.1` });
+      assert.deepStrictEqual(requests.map((req) => req.url), [
+        `/dicom-web/studies/${STUDY}/series/${SERIES}/instances?limit=1000&offset=0`,
+        `/dicom-web/studies/${STUDY}/series/${SERIES}/instances?limit=1000&offset=1000`,
+      ]);
+      assert.strictEqual(requests[0].headers.accept, "application/dicom+json");
+    });
+  });
+
+  describe("listInstances", () => {
+    it("should list the instances of a study series by series", async () => {
+      const instances = await dicomwebSource.listInstances(source, { studyInstanceUid: STUDY, seriesInstanceUid: null, sopInstanceUid: null });
+
+      assert.strictEqual(instances.length, 2000);
+      assert.deepStrictEqual(requests.map((req) => req.url.split("?")[0]), [
+        `/dicom-web/studies/${STUDY}/series`,
+        `/dicom-web/studies/${STUDY}/series/${SERIES}/instances`,
+        `/dicom-web/studies/${STUDY}/series/${SERIES}/instances`,
+        `/dicom-web/studies/${STUDY}/series/${SERIES}.9/instances`,
+        `/dicom-web/studies/${STUDY}/series/${SERIES}.9/instances`,
+      ]);
+    });
+
+    it("should not search for an instance", async () => {
+      const uids = { studyInstanceUid: STUDY, seriesInstanceUid: SERIES, sopInstanceUid: `${SERIES}.1` };
+      assert.deepStrictEqual(await dicomwebSource.listInstances(source, uids), [uids]);
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+
+  describe("getAuthHeaders", () => {
+    it("should build bearer headers and reject unknown types", async () => {
+      assert.deepStrictEqual(await dicomwebSource.getAuthHeaders({ auth: { type: "bearer", token: "t0k" } }, "http://x"), { Authorization: "Bearer t0k" });
+      assert.deepStrictEqual(await dicomwebSource.getAuthHeaders({}, "http://x"), {});
+      await assert.rejects(dicomwebSource.getAuthHeaders({ auth: { type: "bearer" } }, "http://x"), /token is required/);
+      await assert.rejects(dicomwebSource.getAuthHeaders({ auth: { type: "digest" } }, "http://x"), /Unsupported/);
+    });
+  });
+});
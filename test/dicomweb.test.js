@@ -0,0 +1,80 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const { convertToDicomweb } = require("../src/dicomweb");
+const { buildElementDictionary } = require("../src/dicomtojson");
+const { deidentify } = require("../src/deidentify");
+
+describe("dicomweb", () => {
+  // The same dataset as dcmnorm's flat and dicomweb formats
+  const flat = {
+    SOPClassUID: "1.2.840.10008.5.1.4.1.1.2",
+    PatientName: { Alphabetic: "Doe^John" },
+    PatientID: "MRN12345",
+    ImageType: ["ORIGINAL", "PRIMARY"],
+    ReferencedImageSequence: [{ ReferencedSOPInstanceUID: "1.2.3.4.5.7" }],
+    x00091001: "private",
+    PixelData: { BulkDataURI: "?offset=100&length=512" },
+  };
+  const dicomweb = {
+    "00080016": { vr: "UI", Value: ["1.2.840.10008.5.1.4.1.1.2"] },
+    "00100010": { vr: "PN", Value: [{ Alphabetic: "Doe^John" }] },
+    "00100020": { vr: "LO", Value: ["MRN12345"] },
+    "00080008": { vr: "CS", Value: ["ORIGINAL", "PRIMARY"] },
+    "00081140": { vr: "SQ", Value: [{ "00081155": { vr: "UI", Value: ["1.2.3.4.5.7"] } }] },
+    "00091001": { vr: "LO", Value: ["private"] },
+    "7FE00010": { vr: "OW", BulkDataURI: "?offset=100&length=512" },
+  };
+
+  it("maps flat keys to tags and VRs, including inside sequences", () => {
+    const dictionary = buildElementDictionary(flat, dicomweb);
+    assert.deepStrictEqual(dictionary.get("PatientName"), { tag: "00100010", vr: "PN" });
+    assert.deepStrictEqual(dictionary.get("ReferencedSOPInstanceUID"), { tag: "00081155", vr: "UI" });
+    assert.deepStrictEqual(dictionary.get("x00091001"), { tag: "00091001", vr: "LO" });
+  });
+
+  it("round-trips an unmodified dataset in tag order", () => {
+    const converted = convertToDicomweb(flat, buildElementDictionary(flat, dicomweb));
+    assert.deepStrictEqual(converted, dicomweb);
+    assert.deepStrictEqual(Object.keys(converted), Object.keys(dicomweb).sort());
+  });
+
+  it("wraps single values that the flat format unwrapped", () => {
+    const dictionary = buildElementDictionary(flat, dicomweb);
+    const converted = convertToDicomweb({ ImageType: "DERIVED", ReferencedImageSequence: { ReferencedSOPInstanceUID: "9.9" } }, dictionary);
+    assert.deepStrictEqual(converted["00080008"], { vr: "CS", Value: ["DERIVED"] });
+    assert.deepStrictEqual(converted["00081140"].Value, [{ "00081155": { vr: "UI", Value: ["9.9"] } }]);
+  });
+
+  it("carries de-identification changes over, including added elements", () => {
+    const dictionary = buildElementDictionary(flat, dicomweb);
+    const converted = convertToDicomweb(deidentify(flat, { enabled: true, secret: "s3cret" }).dataset, dictionary);
+    assert.strictEqual(converted["00091001"], undefined);
+    assert.deepStrictEqual(converted["00100010"], { vr: "PN" });
+    assert.deepStrictEqual(converted["00120062"], { vr: "CS", Value: ["YES"] });
+    assert.deepStrictEqual(converted["00120064"].Value[0]["00080100"], { vr: "SH", Value: ["113100"] });
+  });
+
+  it("rejects parses that don't line up", () => {
+    assert.throws(() => buildElementDictionary({ PatientID: "1" }, {}), /element count/);
+    assert.throws(() => buildElementDictionary({ x00091001: "a" }, { "00091002": { vr: "LO" } }), /element order/);
+  });
+
+  it("rejects keywords with no known tag", () => {
+    assert.throws(() => convertToDicomweb({ Unknown: "x" }, new Map()), /No tag known/);
+  });
+});
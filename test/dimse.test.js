@@ -0,0 +1,318 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const net = require("net");
+const sinon = require("sinon");
+const dimse = require("../src/dimse");
+
+const CT_IMAGE_STORAGE = "1.2.840.10008.5.1.4.1.1.2";
+const IMPLICIT_VR_LITTLE_ENDIAN = "1.2.840.10008.1.2";
+const EXPLICIT_VR_LITTLE_ENDIAN = "1.2.840.10008.1.2.1";
+const JPEG_BASELINE = "1.2.840.10008.1.2.4.50";
+const SOP_INSTANCE_UID = "1.2.840.1.2.3";
+
+function pad(value, padding = "\0") {
+  return value.length % 2 ? `${value}${padding}` : value;
+}
+
+function item(type, value) {
+  const header = Buffer.alloc(4);
+  header[0] = type;
+  header.writeUInt16BE(value.length, 2);
+  return Buffer.concat([header, value]);
+}
+
+function pdu(type, body) {
+  const header = Buffer.alloc(6);
+  header[0] = type;
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+// Implicit VR little endian element, as in command sets and the test dataset
+function element(group, elementNumber, value) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(group, 0);
+  header.writeUInt16LE(elementNumber, 2);
+  header.writeUInt32LE(value.length, 4);
+  return Buffer.concat([header, value]);
+}
+
+function us(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value);
+  return buffer;
+}
+
+function command(elements) {
+  const body = Buffer.concat(elements.map(([elementNumber, value]) => element(0x0000, elementNumber, value)));
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(body.length);
+  return Buffer.concat([element(0x0000, 0x0000, length), body]);
+}
+
+function pdv(contextId, header, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length + 2);
+  return Buffer.concat([length, Buffer.from([contextId, header]), data]);
+}
+
+function aeTitle(value) {
+  const field = Buffer.alloc(16, 0x20);
+  field.write(value);
+  return field;
+}
+
+// A storescu-style requestor: just enough of PS3.8 to drive the SCP
+class Requestor {
+  constructor(port) {
+    this.socket = net.connect(port, "127.0.0.1");
+    this.buffer = Buffer.alloc(0);
+    this.waiting = [];
+    this.socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.waiting.length && this.buffer.length >= 6 && this.buffer.length >= 6 + this.buffer.readUInt32BE(2)) {
+      const length = this.buffer.readUInt32BE(2);
+      const received = { type: this.buffer[0], body: this.buffer.subarray(6, 6 + length) };
+      this.buffer = this.buffer.subarray(6 + length);
+      this.waiting.shift()(received);
+    }
+  }
+
+  receive() {
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      this.drain();
+    });
+  }
+
+  async associate(calledAeTitle, contexts) {
+    const fixed = Buffer.alloc(68);
+    fixed.writeUInt16BE(1, 0);
+    aeTitle(calledAeTitle).copy(fixed, 4);
+    aeTitle("STORESCU").copy(fixed, 20);
+    const presentationContexts = contexts.map(([id, abstractSyntax, transferSyntaxes]) =>
+      item(0x20, Buffer.concat([Buffer.from([id, 0, 0, 0]), item(0x30, Buffer.from(abstractSyntax)), ...transferSyntaxes.map((uid) => item(0x40, Buffer.from(uid)))]))
+    );
+    const maxLength = Buffer.alloc(4);
+    maxLength.writeUInt32BE(16384);
+    this.socket.write(pdu(0x01, Buffer.concat([fixed, item(0x10, Buffer.from("1.2.840.10008.3.1.1.1")), ...presentationContexts, item(0x50, item(0x51, maxLength))])));
+    const response = await this.receive();
+    if (response.type !== 0x02) {
+      return { type: response.type, result: response.body[1], source: response.body[2], reason: response.body[3] };
+    }
+    const results = {};
+    for (let offset = 68; offset < response.body.length; offset += 4 + response.body.readUInt16BE(offset + 2)) {
+      if (response.body[offset] === 0x21) {
+        const value = response.body.subarray(offset + 4, offset + 4 + response.body.readUInt16BE(offset + 2));
+        results[value[0]] = { result: value[2], transferSyntax: value.subarray(8).toString().replace(/\0/g, "") };
+      }
+    }
+    return { type: response.type, results };
+  }
+
+  // Send the command, then the dataset in fragments, and return the parsed response
+  async send(contextId, commandSet, dataset, fragmentSize = 7) {
+    this.socket.write(pdu(0x04, pdv(contextId, 0x03, commandSet)));
+    if (dataset) {
+      for (let offset = 0; offset < dataset.length; offset += fragmentSize) {
+        const isLast = offset + fragmentSize >= dataset.length;
+        this.socket.write(pdu(0x04, pdv(contextId, isLast ? 0x02 : 0x00, dataset.subarray(offset, offset + fragmentSize))));
+      }
+    }
+    const response = await this.receive();
+    assert.strictEqual(response.type, 0x04);
+    return dimse.parseCommand(response.body.subarray(6));
+  }
+
+  async release() {
+    this.socket.write(pdu(0x05, Buffer.alloc(4)));
+    const response = await this.receive();
+    this.socket.end();
+    return response.type;
+  }
+}
+
+function echoCommand(messageId) {
+  return command([
+    [0x0002, Buffer.from(pad(dimse.VERIFICATION_SOP_CLASS))],
+    [0x0100, us(0x0030)],
+    [0x0110, us(messageId)],
+    [0x0800, us(0x0101)],
+  ]);
+}
+
+function storeCommand(messageId) {
+  return command([
+    [0x0002, Buffer.from(pad(CT_IMAGE_STORAGE))],
+    [0x0100, us(0x0001)],
+    [0x0110, us(messageId)],
+    [0x0700, us(0)],
+    [0x0800, us(0x0000)],
+    [0x1000, Buffer.from(pad(SOP_INSTANCE_UID))],
+  ]);
+}
+
+const DATASET = Buffer.concat([
+  element(0x0008, 0x0016, Buffer.from(pad(CT_IMAGE_STORAGE))),
+  element(0x0008, 0x0018, Buffer.from(pad(SOP_INSTANCE_UID))),
+  element(0x0010, 0x0010, Buffer.from("DOE^JANE")),
+]);
+
+describe("dimse", () => {
+  let scp;
+  let port;
+  let onStore;
+  let received;
+
+  before(async () => {
+    onStore = sinon.stub();
+    scp = await dimse.createStorageScp({
+      aeTitle: "DCM2BQ",
+      sopClasses: [],
+      transferSyntaxes: [EXPLICIT_VR_LITTLE_ENDIAN, IMPLICIT_VR_LITTLE_ENDIAN],
+      onStore: async (instance) => {
+        // The file is removed once onStore settles, so read it here
+        received.push({ ...instance, content: await fs.promises.readFile(instance.filePath) });
+        return onStore(instance);
+      },
+    });
+    port = await scp.listen(0, "127.0.0.1");
+  });
+
+  after(async () => {
+    await scp.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    onStore.reset();
+    onStore.resolves();
+  });
+
+  it("should answer C-ECHO", async () => {
+    const requestor = new Requestor(port);
+    const association = await requestor.associate("DCM2BQ", [[1, dimse.VERIFICATION_SOP_CLASS, [IMPLICIT_VR_LITTLE_ENDIAN]]]);
+    assert.deepStrictEqual(association.results, { 1: { result: 0, transferSyntax: IMPLICIT_VR_LITTLE_ENDIAN } });
+
+    const response = await requestor.send(1, echoCommand(7));
+
+    assert.strictEqual(response.commandField, 0x8030);
+    assert.strictEqual(response.messageIdBeingRespondedTo, 7);
+    assert.strictEqual(response.status, dimse.STATUS.SUCCESS);
+    assert.strictEqual(await requestor.release(), 0x06);
+  });
+
+  it("should write a C-STORE dataset to a PS3.10 file for onStore", async () => {
+    const requestor = new Requestor(port);
+    const association = await requestor.associate("DCM2BQ", [
+      [1, CT_IMAGE_STORAGE, [IMPLICIT_VR_LITTLE_ENDIAN]],
+      [3, "1.2.840.10008.5.1.4.1.2.2.1", [IMPLICIT_VR_LITTLE_ENDIAN]],
+      [5, CT_IMAGE_STORAGE, [JPEG_BASELINE]],
+    ]);
+    // Study Root Query/Retrieve - FIND is not storage; JPEG was not configured
+    assert.deepStrictEqual(association.results, {
+      1: { result: 0, transferSyntax: IMPLICIT_VR_LITTLE_ENDIAN },
+      3: { result: 3, transferSyntax: IMPLICIT_VR_LITTLE_ENDIAN },
+      5: { result: 4, transferSyntax: IMPLICIT_VR_LITTLE_ENDIAN },
+    });
+
+    const response = await requestor.send(1, storeCommand(9), DATASET);
+    await requestor.release();
+
+    assert.strictEqual(response.commandField, 0x8001);
+    assert.strictEqual(response.status, dimse.STATUS.SUCCESS);
+    assert.strictEqual(response.affectedSopInstanceUid, SOP_INSTANCE_UID);
+    assert.strictEqual(received.length, 1);
+    const [instance] = received;
+    assert.strictEqual(instance.callingAeTitle, "STORESCU");
+    assert.strictEqual(instance.calledAeTitle, "DCM2BQ");
+    assert.strictEqual(instance.sopInstanceUid, SOP_INSTANCE_UID);
+    assert.strictEqual(instance.transferSyntaxUid, IMPLICIT_VR_LITTLE_ENDIAN);
+    assert.strictEqual(instance.size, instance.content.length);
+    assert.strictEqual(instance.content.subarray(128, 132).toString(), "DICM");
+    const meta = dimse.encodeFileMetaInformation({ sopClassUid: CT_IMAGE_STORAGE, sopInstanceUid: SOP_INSTANCE_UID, transferSyntaxUid: IMPLICIT_VR_LITTLE_ENDIAN, sourceAeTitle: "STORESCU" });
+    assert.ok(instance.content.equals(Buffer.concat([meta, DATASET])));
+    assert.strictEqual(fs.existsSync(instance.filePath), false);
+  });
+
+  it("should answer C-STORE with the status of onStore", async () => {
+    onStore.onFirstCall().resolves({ status: dimse.STATUS.OUT_OF_RESOURCES, errorComment: "BigQuery unavailable" });
+    onStore.onSecondCall().rejects(new Error("boom"));
+    const requestor = new Requestor(port);
+    await requestor.associate("DCM2BQ", [[1, CT_IMAGE_STORAGE, [EXPLICIT_VR_LITTLE_ENDIAN]]]);
+
+    const retryable = await requestor.send(1, storeCommand(1), DATASET, 1024);
+    const failed = await requestor.send(1, storeCommand(2), DATASET, 1024);
+    await requestor.release();
+
+    assert.strictEqual(retryable.status, dimse.STATUS.OUT_OF_RESOURCES);
+    assert.strictEqual(retryable.errorComment, "BigQuery unavailable");
+    assert.strictEqual(failed.status, dimse.STATUS.PROCESSING_FAILURE);
+    assert.strictEqual(failed.errorComment, "boom");
+    assert.strictEqual(received[0].transferSyntaxUid, EXPLICIT_VR_LITTLE_ENDIAN);
+  });
+
+  it("should not time out while onStore is processing an instance", async () => {
+    const slowScp = await dimse.createStorageScp({
+      aeTitle: "DCM2BQ",
+      transferSyntaxes: [IMPLICIT_VR_LITTLE_ENDIAN],
+      timeoutMs: 100,
+      onStore: () => new Promise((resolve) => setTimeout(resolve, 300)),
+    });
+    try {
+      const requestor = new Requestor(await slowScp.listen(0, "127.0.0.1"));
+      await requestor.associate("DCM2BQ", [[1, CT_IMAGE_STORAGE, [IMPLICIT_VR_LITTLE_ENDIAN]]]);
+
+      const response = await requestor.send(1, storeCommand(3), DATASET, 1024);
+
+      assert.strictEqual(response.status, dimse.STATUS.SUCCESS);
+      // The idle timeout applies again once the response is sent
+      const closed = new Promise((resolve) => requestor.socket.on("close", resolve));
+      assert.strictEqual((await requestor.receive()).type, 0x07);
+      await closed;
+    } finally {
+      await slowScp.close();
+    }
+  });
+
+  it("should reject associations to another AE title", async () => {
+    const requestor = new Requestor(port);
+    const rejection = await requestor.associate("PACS", [[1, CT_IMAGE_STORAGE, [IMPLICIT_VR_LITTLE_ENDIAN]]]);
+    requestor.socket.destroy();
+
+    assert.deepStrictEqual(rejection, { type: 0x03, result: 1, source: 1, reason: 7 });
+  });
+
+  it("should accept only the configured SOP classes and transfer syntaxes", () => {
+    const options = { sopClasses: [CT_IMAGE_STORAGE], transferSyntaxes: [EXPLICIT_VR_LITTLE_ENDIAN, IMPLICIT_VR_LITTLE_ENDIAN] };
+    const negotiate = (abstractSyntax, transferSyntaxes) => dimse.negotiateContext({ abstractSyntax, transferSyntaxes }, options);
+
+    // Our order of preference, not the requestor's
+    assert.deepStrictEqual(negotiate(CT_IMAGE_STORAGE, [IMPLICIT_VR_LITTLE_ENDIAN, EXPLICIT_VR_LITTLE_ENDIAN]), { result: 0, transferSyntax: EXPLICIT_VR_LITTLE_ENDIAN });
+    assert.deepStrictEqual(negotiate("1.2.840.10008.5.1.4.1.1.4", [IMPLICIT_VR_LITTLE_ENDIAN]), { result: 3, transferSyntax: null });
+    assert.deepStrictEqual(negotiate(CT_IMAGE_STORAGE, [JPEG_BASELINE]), { result: 4, transferSyntax: null });
+    // Verification does not need to be listed
+    assert.deepStrictEqual(negotiate(dimse.VERIFICATION_SOP_CLASS, [IMPLICIT_VR_LITTLE_ENDIAN]), { result: 0, transferSyntax: IMPLICIT_VR_LITTLE_ENDIAN });
+  });
+});
@@ -16,18 +16,31 @@
 
 const assert = require("assert");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const sinon = require("sinon");
+const { Readable } = require("stream");
 
 // We need to require these before stubbing
 const bq = require("../src/bigquery");
 const consts = require("../src/consts");
 const { Storage } = require("@google-cloud/storage");
-const { createNonRetryableError } = require("../src/utils");
+const { createHttpError, createNonRetryableError } = require("../src/utils");
 
 describe("eventhandlers", () => {
   let bqInsertStub;
   let bqInsertEmbeddingsStub;
+  let bqInsertFailureStub;
+  let bqInsertInstancesStub;
+  let bqFindLiveRowsStub;
+  let bqFindLiveRowsUnderStub;
+  let bqFindLiveIdsStub;
+  let bqFindLatestVersionStub;
+  let bqFindLatestInstanceStub;
+  let bqFindInstanceRowStub;
+  let bqFindEmbeddingsStub;
+  let bqDeleteEmbeddingsStub;
+  let deleteOutputStub;
   let doRequestStub;
   let storageStub;
   let createVectorEmbeddingStub;
@@ -50,6 +63,16 @@ describe("eventhandlers", () => {
     // Stub BigQuery insert methods to avoid actual database operations
     bqInsertStub = sinon.stub(bq, "insert").resolves();
     bqInsertEmbeddingsStub = sinon.stub(bq, "insertEmbeddings").resolves();
+    bqInsertFailureStub = sinon.stub(bq, "insertFailure").resolves(true);
+    bqInsertInstancesStub = sinon.stub(bq, "insertInstances").resolves();
+    bqFindLiveRowsStub = sinon.stub(bq, "findLiveRows").resolves([]);
+    bqFindLiveRowsUnderStub = sinon.stub(bq, "findLiveRowsUnder").resolves([]);
+    bqFindLiveIdsStub = sinon.stub(bq, "findLiveIds").resolves([]);
+    bqFindLatestVersionStub = sinon.stub(bq, "findLatestVersion").resolves(null);
+    bqFindLatestInstanceStub = sinon.stub(bq, "findLatestInstance").resolves(null);
+    bqFindInstanceRowStub = sinon.stub(bq, "findInstanceRow").resolves(null);
+    bqFindEmbeddingsStub = sinon.stub(bq, "findEmbeddings").resolves([]);
+    bqDeleteEmbeddingsStub = sinon.stub(bq, "deleteEmbeddings").resolves();
     
     // Stub http-retry's doRequest to prevent real API calls to Vertex AI embeddings
     const mockVec = Array.from({ length: 1408 }, (_, i) => Math.sin(i) * 0.001);
@@ -68,6 +91,12 @@ describe("eventhandlers", () => {
         return [currentDownloadBuffer];
       }),
       save: sinon.stub().resolves(),
+      // Archives are read by range rather than downloaded
+      createReadStream: sinon.stub().callsFake((options = {}) => {
+        const end = options.end === undefined ? undefined : options.end + 1;
+        return Readable.from([currentDownloadBuffer.subarray(options.start || 0, end)]);
+      }),
+      getMetadata: sinon.stub().callsFake(async () => [{ size: currentDownloadBuffer.length }]),
       getSignedUrl: sinon.stub().resolves(["gs://mock-bucket/path/to/file"])
     };
     mockBucket = {
@@ -90,6 +119,7 @@ describe("eventhandlers", () => {
       objectMimeType: "image/jpeg",
       frameNumber: 0,
     }]);
+    deleteOutputStub = sinon.stub(embeddingsModule, "deleteOutput").resolves(true);
     eventhandlers = require("../src/eventhandlers");
   });
 
@@ -97,6 +127,17 @@ describe("eventhandlers", () => {
     // Restore stubs
     bqInsertStub.restore();
     bqInsertEmbeddingsStub.restore();
+    bqInsertFailureStub.restore();
+    bqInsertInstancesStub.restore();
+    bqFindLiveRowsStub.restore();
+    bqFindLiveRowsUnderStub.restore();
+    bqFindLiveIdsStub.restore();
+    bqFindLatestVersionStub.restore();
+    bqFindLatestInstanceStub.restore();
+    bqFindInstanceRowStub.restore();
+    bqFindEmbeddingsStub.restore();
+    bqDeleteEmbeddingsStub.restore();
+    deleteOutputStub.restore();
     doRequestStub.restore();
     storageStub.restore();
     createVectorEmbeddingStub.restore();
@@ -106,6 +147,17 @@ describe("eventhandlers", () => {
     // Reset call history before each test
     bqInsertStub.resetHistory();
     bqInsertEmbeddingsStub.resetHistory();
+    bqInsertFailureStub.resetHistory();
+    bqInsertInstancesStub.resetHistory();
+    bqFindLiveRowsStub.resetHistory();
+    bqFindLiveRowsUnderStub.resetHistory();
+    bqFindLiveIdsStub.resetHistory();
+    bqFindLatestVersionStub.resetHistory();
+    bqFindLatestInstanceStub.resetHistory();
+    bqFindInstanceRowStub.resetHistory();
+    bqFindEmbeddingsStub.resetHistory();
+    bqDeleteEmbeddingsStub.resetHistory();
+    deleteOutputStub.resetHistory();
     createVectorEmbeddingStub.resetHistory();
     createVectorEmbeddingStub.resetBehavior();
     createVectorEmbeddingStub.resolves([{
@@ -154,19 +206,14 @@ describe("eventhandlers", () => {
 
       await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx });
 
-      // Verify that BigQuery insert was called for each DICOM file in the zip
-      assert(bqInsertStub.called, 
-        `insert should be called. Actual calls: ${bqInsertStub.callCount}`);
-      
-      // Get the number of times insert was called (one for each DICOM file)
-      const callCount = bqInsertStub.callCount;
-      assert(callCount > 0, "Should process at least one DICOM file from zip");
-
-      // Check that each call has the correct path format (basePath#fileName.dcm)
-      for (let i = 0; i < callCount; i++) {
-        const call = bqInsertStub.getCall(i);
-        const row = call.args[0];
-        
+      // Verify that BigQuery insert was called for each DICOM file in the zip, and for the archive summary
+      const rows = bqInsertStub.getCalls().map((call) => call.args[0]);
+      const memberRows = rows.filter((row) => row.info.event !== consts.ARCHIVE_SUMMARY);
+      assert(memberRows.length > 0, "Should process at least one DICOM file from zip");
+      assert.strictEqual(rows.length - memberRows.length, 1, "Should write one archive summary row");
+
+      // Check that each member row has the correct path format (basePath#fileName.dcm)
+      for (const row of memberRows) {
         assert.ok(row.path, "Should have path");
         assert.ok(row.id, "Should have id");
         assert.ok(row.timestamp, "Should have timestamp");
@@ -211,18 +258,46 @@ describe("eventhandlers", () => {
 
       await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx });
 
-      assert(bqInsertStub.called, 
-        `insert should be called for tar.gz archive. Actual calls: ${bqInsertStub.callCount}`);
-      const callCount = bqInsertStub.callCount;
-      assert(callCount > 0, "Should process at least one DICOM file from tar.gz archive");
+      const memberRows = bqInsertStub.getCalls().map((call) => call.args[0]).filter((row) => row.info.event !== consts.ARCHIVE_SUMMARY);
+      assert(memberRows.length > 0, "Should process at least one DICOM file from tar.gz archive");
 
-      for (let i = 0; i < callCount; i++) {
-        const call = bqInsertStub.getCall(i);
-        const row = call.args[0];
+      for (const row of memberRows) {
         assert.ok(row.path.includes("#"), `Path should include # separator for archive files. Got: ${row.path}`);
       }
     });
 
+    it("should keep the URL-encoded relative path of archive members", () => {
+      const tempDir = path.join("/tmp", "dcm2bq-x");
+      const archive = "gs://test-bucket/cd.zip";
+      assert.strictEqual(
+        eventhandlers.buildArchiveMemberUri(archive, tempDir, path.join(tempDir, "A", "IM1.dcm")),
+        "gs://test-bucket/cd.zip#A/IM1.dcm"
+      );
+      assert.notStrictEqual(
+        eventhandlers.buildArchiveMemberUri(archive, tempDir, path.join(tempDir, "A", "IM1.dcm")),
+        eventhandlers.buildArchiveMemberUri(archive, tempDir, path.join(tempDir, "B", "IM1.dcm"))
+      );
+      assert.strictEqual(
+        eventhandlers.buildArchiveMemberUri(archive, tempDir, path.join(tempDir, "Series #1", "IM 1;1")),
+        "gs://test-bucket/cd.zip#Series%20%231/IM%201%3B1"
+      );
+    });
+
+    it("should keep basename member paths in compatibility mode", () => {
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      cfg.archives = { memberPaths: "basename" };
+      try {
+        const tempDir = path.join("/tmp", "dcm2bq-x");
+        assert.strictEqual(
+          eventhandlers.buildArchiveMemberUri("gs://test-bucket/cd.zip", tempDir, path.join(tempDir, "A", "IM1.dcm")),
+          "gs://test-bucket/cd.zip#IM1.dcm"
+        );
+      } finally {
+        cfg.archives = saved;
+      }
+    });
+
     it("should handle errors when processing invalid zip files", async function() {
       this.timeout(5000);
 
@@ -255,9 +330,872 @@ describe("eventhandlers", () => {
       // Should not throw, but should log error
       await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx });
 
-      // Should not have called insert since zip extraction failed
-      assert.strictEqual(bqInsertStub.callCount, 0, 
+      // Only the archive summary is written, with the extraction error
+      assert.strictEqual(bqInsertStub.callCount, 1,
         "Should not process any files when zip extraction fails");
+      const row = bqInsertStub.getCall(0).args[0];
+      assert.strictEqual(row.path, "gs://test-bucket/invalid.zip");
+      assert.strictEqual(row.metadata, null);
+      assert.strictEqual(row.info.event, consts.ARCHIVE_SUMMARY);
+      assert.strictEqual(row.info.archive.total, 0);
+      assert.ok(row.info.archive.error, "Should record the extraction error");
+    });
+
+    it("should acknowledge archives over the safety limits without retry", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const zip = new AdmZip();
+      zip.addFile("zeros.bin", Buffer.alloc(4 * 1024 * 1024));
+      currentDownloadBuffer = zip.toBuffer();
+
+      const ctx = {
+        message: {
+          attributes: {
+            eventType: "OBJECT_FINALIZE",
+            bucketId: "test-bucket",
+            objectId: "bomb.zip"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "bomb.zip",
+            generation: "123456",
+            size: String(currentDownloadBuffer.length)
+          })).toString("base64")
+        }
+      };
+
+      const consoleErrorStub = sinon.stub(console, "error");
+      try {
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        const logged = consoleErrorStub.getCalls().map((call) => String(call.args[0]));
+        assert.ok(
+          logged.some((line) => line.includes("Non-retryable processing error for gs://test-bucket/bomb.zip") && line.includes("Archive rejected")),
+          logged.join("\n")
+        );
+      } finally {
+        consoleErrorStub.restore();
+      }
+      assert.strictEqual(bqInsertStub.callCount, 1);
+      const { info } = bqInsertStub.getCall(0).args[0];
+      assert.strictEqual(info.event, consts.ARCHIVE_SUMMARY);
+      assert.match(info.archive.error, /^Archive rejected/);
+      assert.strictEqual(bqInsertFailureStub.callCount, 1);
+      assert.strictEqual(bqInsertFailureStub.getCall(0).args[0].stage, "archive");
+    });
+
+    it("should record non-retryable failures before acknowledging", async function() {
+      this.timeout(5000);
+
+      currentDownloadBuffer = Buffer.from("not DICOM");
+      const ctx = {
+        message: {
+          messageId: "42",
+          attributes: {
+            eventType: "OBJECT_FINALIZE",
+            bucketId: "test-bucket",
+            objectId: "broken.dcm"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "broken.dcm",
+            generation: "123456",
+            size: String(currentDownloadBuffer.length + 1)
+          })).toString("base64")
+        }
+      };
+
+      const consoleErrorStub = sinon.stub(console, "error");
+      try {
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        assert.strictEqual(bqInsertFailureStub.callCount, 1);
+        const [failure, insertId] = bqInsertFailureStub.getCall(0).args;
+        const { timestamp, message, ...fields } = failure;
+        assert.ok(timestamp instanceof Date);
+        assert.match(message, /^Downloaded file size mismatch/);
+        assert.deepStrictEqual(fields, {
+          path: "gs://test-bucket/broken.dcm",
+          version: "123456",
+          event: "OBJECT_FINALIZE",
+          messageId: "42",
+          stage: "download",
+          errorClass: "Error",
+          dcm2bqVersion: require("../package.json").version,
+        });
+        assert.ok(insertId);
+
+        // Recording is best effort; the event is still acknowledged
+        bqInsertFailureStub.rejects(new Error("BigQuery unavailable"));
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        assert.ok(consoleErrorStub.getCalls().some((call) => String(call.args[0]).startsWith("Error recording the failure of gs://test-bucket/broken.dcm")));
+      } finally {
+        bqInsertFailureStub.resolves(true);
+        consoleErrorStub.restore();
+      }
+    });
+
+    it("should delete the members and their embeddings when an archive is deleted", async function() {
+      this.timeout(5000);
+
+      bqFindLiveRowsStub.resolves([
+        { id: "aaaa", path: "gs://test-bucket/study.zip#IM1.dcm", version: "111" },
+        { id: "bbbb", path: "gs://test-bucket/study.zip#S1.zip#IM2.dcm", version: "111" },
+      ]);
+      bqFindEmbeddingsStub.resolves([{ id: "aaaa_0", instanceId: "aaaa", frameNumber: 0 }]);
+
+      const ctx = {
+        message: {
+          attributes: {
+            eventType: "OBJECT_DELETE",
+            bucketId: "test-bucket",
+            objectId: "study.zip"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "study.zip",
+            generation: "111"
+          })).toString("base64")
+        }
+      };
+
+      try {
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+        // The archive's own deletion row, written last
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        assert.ok(bqInsertInstancesStub.calledBefore(bqInsertStub));
+        assert.strictEqual(bqInsertStub.getCall(0).args[0].path, "gs://test-bucket/study.zip");
+        assert.deepStrictEqual(bqFindLiveRowsStub.getCall(0).args, ["gs://test-bucket/study.zip", "111"]);
+
+        assert.deepStrictEqual(bqFindEmbeddingsStub.getCall(0).args[0], ["aaaa", "bbbb"]);
+        const [embeddingRows, embeddingInsertIds] = bqInsertEmbeddingsStub.getCall(0).args;
+        assert.strictEqual(embeddingRows.length, 1);
+        assert.strictEqual(embeddingRows[0].id, "aaaa_0");
+        assert.strictEqual(embeddingRows[0].deleted, true);
+        assert.deepStrictEqual(embeddingRows[0].embeddingVector, []);
+        assert.deepStrictEqual(embeddingInsertIds, ["aaaa_0|111|OBJECT_DELETE"]);
+
+        const [rows, insertIds] = bqInsertInstancesStub.getCall(0).args;
+        assert.deepStrictEqual(rows.map((row) => row.path), [
+          "gs://test-bucket/study.zip#IM1.dcm",
+          "gs://test-bucket/study.zip#S1.zip#IM2.dcm",
+        ]);
+        assert.ok(rows.every((row) => row.metadata === null && row.info.event === "OBJECT_DELETE"));
+        assert.deepStrictEqual(rows.map((row) => row.id), ["aaaa", "bbbb"]);
+        // Distinct from the insertIds of the member rows being deleted (id|version)
+        assert.deepStrictEqual(insertIds, ["aaaa|111|111|OBJECT_DELETE", "bbbb|111|111|OBJECT_DELETE"]);
+        // Embeddings are deleted before the members, so a redelivery still finds them
+        assert.ok(bqInsertEmbeddingsStub.calledBefore(bqInsertInstancesStub));
+      } finally {
+        bqFindLiveRowsStub.resolves([]);
+        bqFindEmbeddingsStub.resolves([]);
+      }
+    });
+
+    it("should apply the deletion policy to a deleted file's embeddings and assets", async function() {
+      this.timeout(5000);
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.deletion;
+      cfg.deletion = { embeddings: "delete", assets: true };
+      bqFindLiveRowsStub.resolves([
+        { id: "cccc", path: "gs://test-bucket/ct.dcm", version: "111", offloadedMetadataPath: "gs://test-bucket/extract/1/2/3.metadata.json" },
+      ]);
+      bqFindEmbeddingsStub.resolves([
+        { id: "cccc_0", instanceId: "cccc", frameNumber: 0, inputPath: "gs://test-bucket/extract/1/2/3_0.jpg" },
+        { id: "cccc_1", instanceId: "cccc", frameNumber: 1, inputPath: "gs://test-bucket/extract/1/2/3_1.jpg" },
+      ]);
+
+      const ctx = {
+        message: {
+          messageId: "7",
+          attributes: {
+            eventType: "OBJECT_DELETE",
+            bucketId: "test-bucket",
+            objectId: "ct.dcm"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "ct.dcm",
+            generation: "111"
+          })).toString("base64")
+        }
+      };
+      const handle = () => eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+      const consoleErrorStub = sinon.stub(console, "error");
+      try {
+        await handle();
+
+        assert.deepStrictEqual(deleteOutputStub.getCalls().map((call) => call.args[0]).sort(), [
+          "gs://test-bucket/extract/1/2/3.metadata.json",
+          "gs://test-bucket/extract/1/2/3_0.jpg",
+          "gs://test-bucket/extract/1/2/3_1.jpg",
+        ]);
+        assert.deepStrictEqual(bqDeleteEmbeddingsStub.getCall(0).args[0], ["cccc"]);
+        assert.strictEqual(bqInsertEmbeddingsStub.callCount, 0);
+        // A plain file has no members; its own deletion row is the usual one
+        assert.strictEqual(bqInsertInstancesStub.callCount, 0);
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        assert.strictEqual(bqInsertStub.getCall(0).args[0].path, "gs://test-bucket/ct.dcm");
+
+        // A transient failure fails the event before anything is recorded as deleted
+        bqInsertStub.resetHistory();
+        deleteOutputStub.resetHistory();
+        deleteOutputStub.onFirstCall().rejects(Object.assign(new Error("Service Unavailable"), { code: 503 }));
+        await assert.rejects(handle(), (error) => error.code === 503 && /Failed to delete 1 of 3 asset\(s\)/.test(error.message));
+        assert.strictEqual(bqInsertStub.callCount, 0);
+
+        // A permanent one is reported, and the deletion still recorded
+        deleteOutputStub.resetBehavior();
+        deleteOutputStub.resolves(true);
+        deleteOutputStub.resetHistory();
+        deleteOutputStub.onFirstCall().rejects(Object.assign(new Error("Forbidden"), { code: 403 }));
+        await handle();
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        const failure = bqInsertFailureStub.getCall(0).args[0];
+        assert.strictEqual(failure.stage, "delete");
+        assert.strictEqual(failure.path, "gs://test-bucket/ct.dcm");
+        assert.match(failure.message, /Failed to delete 1 of 3 asset\(s\)/);
+      } finally {
+        consoleErrorStub.restore();
+        deleteOutputStub.resetBehavior();
+        deleteOutputStub.resolves(true);
+        bqFindLiveRowsStub.resolves([]);
+        bqFindEmbeddingsStub.resolves([]);
+        cfg.deletion = saved;
+      }
+    });
+
+    it("should keep the embeddings and assets of instances still live under another path or version", async function() {
+      this.timeout(5000);
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.deletion;
+      cfg.deletion = { embeddings: "delete", assets: true };
+      const liveRows = [
+        { id: "aaaa", path: "gs://test-bucket/study.zip#IM1.dcm", version: "111", offloadedMetadataPath: "gs://test-bucket/extract/1/2/a.metadata.json" },
+        { id: "bbbb", path: "gs://test-bucket/study.zip#IM2.dcm", version: "111", offloadedMetadataPath: "gs://test-bucket/extract/1/2/b.metadata.json" },
+      ];
+      bqFindLiveRowsStub.resolves(liveRows);
+      // IM2.dcm was also uploaded on its own
+      bqFindLiveIdsStub.resolves(["bbbb"]);
+      bqFindEmbeddingsStub.resolves([{ id: "aaaa_0", instanceId: "aaaa", frameNumber: 0, inputPath: "gs://test-bucket/extract/1/2/a_0.jpg" }]);
+
+      const ctx = {
+        message: {
+          attributes: { eventType: "OBJECT_DELETE", bucketId: "test-bucket", objectId: "study.zip" },
+          data: Buffer.from(JSON.stringify({ bucket: "test-bucket", name: "study.zip", generation: "111" })).toString("base64"),
+        },
+      };
+
+      try {
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+        assert.deepStrictEqual(bqFindLiveIdsStub.getCall(0).args, [["aaaa", "bbbb"], liveRows]);
+        assert.deepStrictEqual(bqFindEmbeddingsStub.getCall(0).args[0], ["aaaa"]);
+        assert.deepStrictEqual(bqDeleteEmbeddingsStub.getCall(0).args[0], ["aaaa"]);
+        assert.deepStrictEqual(deleteOutputStub.getCalls().map((call) => call.args[0]).sort(), [
+          "gs://test-bucket/extract/1/2/a.metadata.json",
+          "gs://test-bucket/extract/1/2/a_0.jpg",
+        ]);
+        // Both members of the deleted archive still get their deletion rows
+        assert.deepStrictEqual(bqInsertInstancesStub.getCall(0).args[0].map((row) => row.id), ["aaaa", "bbbb"]);
+      } finally {
+        bqFindLiveRowsStub.resolves([]);
+        bqFindLiveIdsStub.resolves([]);
+        bqFindEmbeddingsStub.resolves([]);
+        cfg.deletion = saved;
+      }
+    });
+
+    it("should write a metadata-only row for OBJECT_METADATA_UPDATE without downloading", async function() {
+      mockFile.download.resetHistory();
+      const ctx = JSON.parse(fs.readFileSync(path.join(__dirname, "files", "json", "gcs_pubsub_unwrap_meta.json"), "utf8"));
+
+      await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+      assert.strictEqual(mockFile.download.callCount, 0);
+      assert.strictEqual(createVectorEmbeddingStub.callCount, 0);
+      assert.strictEqual(bqInsertEmbeddingsStub.callCount, 0);
+      assert.strictEqual(bqInsertStub.callCount, 1);
+      const [row, insertId] = bqInsertStub.getCall(0).args;
+      assert.strictEqual(row.path, "gs://dicom-bucket/ct.dcm");
+      assert.strictEqual(row.version, "1734472960465773");
+      assert.strictEqual(row.metadata, null);
+      assert.strictEqual(row.info.event, "OBJECT_METADATA_UPDATE");
+      assert.deepStrictEqual(row.info.input, { size: 91660, type: consts.STORAGE_TYPE_GCS, storageClass: "STANDARD" });
+      assert.deepStrictEqual(row.info.objectMetadata, {
+        contentType: "application/dicom",
+        storageClass: "STANDARD",
+        metageneration: "6",
+        custom: JSON.stringify({ "dcm2bq-reindex": "true", "dcm2bq-index": "true" }),
+      });
+      // Later updates of the same version are not deduplicated away
+      assert.strictEqual(insertId, `${row.id}|1734472960465773|6`);
+    });
+
+    it("should copy the previous row for a new version of unchanged content", async function() {
+      const cfg = require("../src/config").get();
+      const saved = cfg.skipUnchanged;
+      cfg.skipUnchanged = { enabled: true, writeRow: false };
+      try {
+        currentDownloadBuffer = fs.readFileSync(path.join(__dirname, "files/dcm/ct.dcm"));
+        const sha256 = require("crypto").createHash("sha256").update(currentDownloadBuffer).digest("hex");
+        const configFingerprint = require("../src/unchanged").configFingerprint(cfg);
+        bqFindLatestInstanceStub.resolves({ sha256, configFingerprint, version: "111" });
+        bqFindInstanceRowStub.resolves({
+          id: "abc",
+          timestamp: "2025-01-01T00:00:00Z",
+          path: "gs://test-bucket/ct.dcm",
+          version: "111",
+          metadata: JSON.stringify({ Modality: "CT" }),
+          info: { event: "OBJECT_FINALIZE", input: { size: 1, type: consts.STORAGE_TYPE_GCS, sha256, pixelDataSha256: "p" }, configFingerprint },
+        });
+        const finalize = (generation) => ({
+          message: {
+            attributes: { eventType: "OBJECT_FINALIZE", bucketId: "test-bucket", objectId: "ct.dcm" },
+            data: Buffer.from(JSON.stringify({ bucket: "test-bucket", name: "ct.dcm", generation, storageClass: "STANDARD" })).toString("base64"),
+          },
+        });
+
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: finalize("222") }, { perfCtx: { addRef: sinon.stub() } });
+
+        assert.deepStrictEqual(bqFindInstanceRowStub.getCall(0).args, ["gs://test-bucket/ct.dcm", "111"]);
+        assert.strictEqual(createVectorEmbeddingStub.callCount, 0);
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        const [row, insertId] = bqInsertStub.getCall(0).args;
+        assert.strictEqual(row.id, "abc");
+        assert.strictEqual(row.version, "222");
+        assert.strictEqual(row.metadata, JSON.stringify({ Modality: "CT" }));
+        assert.strictEqual(row.info.unchanged, true);
+        assert.strictEqual(row.info.input.storageClass, "STANDARD");
+        assert.strictEqual(row.info.input.pixelDataSha256, "p");
+        assert.strictEqual(insertId, "abc|222");
+
+        // A redelivery of the version already processed writes nothing without writeRow
+        bqInsertStub.resetHistory();
+        bqFindInstanceRowStub.resetHistory();
+        bqFindLatestInstanceStub.resolves({ sha256, configFingerprint, version: "222" });
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: finalize("222") }, { perfCtx: { addRef: sinon.stub() } });
+        assert.strictEqual(bqFindInstanceRowStub.callCount, 0);
+        assert.strictEqual(bqInsertStub.callCount, 0);
+      } finally {
+        cfg.skipUnchanged = saved;
+        bqFindLatestInstanceStub.resolves(null);
+        bqFindInstanceRowStub.resolves(null);
+      }
+    });
+
+    it("should process each instance of a DICOMweb series event on its own", async function() {
+      const dicomwebSource = require("../src/dicomweb-source");
+      const series = { studyInstanceUid: "1.2.840.1", seriesInstanceUid: "1.2.840.1.2" };
+      const listStub = sinon.stub(dicomwebSource, "listInstances").resolves([
+        { ...series, sopInstanceUid: "1.2.840.1.2.1" },
+        { ...series, sopInstanceUid: "1.2.840.1.2.2" },
+      ]);
+      const retrieveStub = sinon.stub(dicomwebSource, "retrieveInstance");
+      retrieveStub.onFirstCall().rejects(Object.assign(new Error("DICOMweb request failed: 404 Not Found"), { code: 404 }));
+      retrieveStub.onSecondCall().rejects(Object.assign(new Error("DICOMweb request failed: 503 Service Unavailable"), { code: 503 }));
+      process.env.DCM2BQ_DICOMWEB_URL = "http://orthanc:8042/dicom-web";
+      const ctx = {
+        message: {
+          messageId: "42",
+          attributes: { eventType: consts.DICOMWEB_FINALIZE },
+          data: Buffer.from("studies/1.2.840.1/series/1.2.840.1.2").toString("base64"),
+        },
+      };
+
+      try {
+        // The transient failure fails the event, but only after the other instance is done
+        await assert.rejects(
+          eventhandlers.handleEvent(consts.DICOMWEB_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } }),
+          (error) => error.code === 503
+        );
+        assert.deepStrictEqual(listStub.getCall(0).args[1], { ...series, sopInstanceUid: null });
+        assert.strictEqual(retrieveStub.callCount, 2);
+        // Reported like archive members: in the summary row, not the failures table
+        assert.strictEqual(bqInsertFailureStub.callCount, 0);
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        const [row] = bqInsertStub.getCall(0).args;
+        assert.strictEqual(row.path, "http://orthanc:8042/dicom-web/studies/1.2.840.1/series/1.2.840.1.2");
+        assert.strictEqual(row.version, "42");
+        assert.strictEqual(row.info.event, consts.ARCHIVE_SUMMARY);
+        assert.deepStrictEqual(row.info.input, { size: null, type: consts.STORAGE_TYPE_DICOMWEB_SERVER, storageClass: null });
+        assert.strictEqual(row.info.archive.type, "series");
+        assert.strictEqual(row.info.archive.total, 2);
+        assert.strictEqual(row.info.archive.failed, 2);
+        assert.strictEqual(row.info.archive.failures[0].path, "http://orthanc:8042/dicom-web/studies/1.2.840.1/series/1.2.840.1.2/instances/1.2.840.1.2.1");
+      } finally {
+        delete process.env.DCM2BQ_DICOMWEB_URL;
+        listStub.restore();
+        retrieveStub.restore();
+      }
+    });
+
+    it("should ingest a whole Healthcare API study from one event", async function() {
+      const dicomwebSource = require("../src/dicomweb-source");
+      const listStub = sinon.stub(dicomwebSource, "listInstances").resolves([]);
+      const storePath = "projects/p/locations/us-central1/datasets/ds/dicomStores/store/dicomWeb";
+      const ctx = {
+        message: {
+          messageId: "43",
+          data: Buffer.from(`${storePath}/studies/1.2.840.1`).toString("base64"),
+        },
+      };
+
+      try {
+        await eventhandlers.handleEvent(consts.HCAPI_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+        const [source, uids] = listStub.getCall(0).args;
+        assert.deepStrictEqual(source, { baseUrl: `https://healthcare.googleapis.com/v1/${storePath}`, auth: { type: "google" } });
+        assert.deepStrictEqual(uids, { studyInstanceUid: "1.2.840.1", seriesInstanceUid: null, sopInstanceUid: null });
+        const [row] = bqInsertStub.getCall(0).args;
+        assert.strictEqual(row.path, `https://healthcare.googleapis.com/v1/${storePath}/studies/1.2.840.1`);
+        assert.strictEqual(row.info.archive.type, "study");
+        assert.strictEqual(row.info.archive.total, 0);
+        assert.strictEqual(row.info.input.type, consts.STORAGE_TYPE_DICOMWEB);
+      } finally {
+        listStub.restore();
+      }
+    });
+
+    it("should delete the rows of instances a reconciliation no longer finds in their DICOM store", async function() {
+      const dicomwebSource = require("../src/dicomweb-source");
+      const storePath = "projects/p/locations/us-central1/datasets/ds/dicomStores/store/dicomWeb";
+      const storeUrl = `https://healthcare.googleapis.com/v1/${storePath}`;
+      const instanceUrl = (series, instance) => `${storeUrl}/studies/1.2/series/${series}/instances/${instance}`;
+      bqFindLiveRowsUnderStub.resolves([
+        { id: "a", path: instanceUrl("1.2.1", "1.2.1.1"), version: "10", offloadedMetadataPath: null },
+        { id: "b", path: instanceUrl("1.2.1", "1.2.1.2"), version: "10", offloadedMetadataPath: null },
+        // Ingested twice: both versions are deleted
+        { id: "b", path: instanceUrl("1.2.1", "1.2.1.2"), version: "11", offloadedMetadataPath: null },
+        { id: "c", path: instanceUrl("1.2.2", "1.2.2.1"), version: "10", offloadedMetadataPath: null },
+        { id: "d", path: instanceUrl("1.2.3", "1.2.3.1"), version: "10", offloadedMetadataPath: null },
+      ]);
+      const searchStub = sinon.stub(dicomwebSource, "searchInstances").callsFake(async (source, series) => {
+        // A deleted series is not found rather than empty
+        if (series.seriesInstanceUid === "1.2.2") {
+          throw Object.assign(new Error("DICOMweb request failed: 404 Not Found"), { code: 404 });
+        }
+        if (series.seriesInstanceUid === "1.2.3") {
+          throw Object.assign(new Error("DICOMweb request failed: 403 Forbidden"), { code: 403 });
+        }
+        return [{ studyInstanceUid: "1.2", seriesInstanceUid: "1.2.1", sopInstanceUid: "1.2.1.1" }];
+      });
+      const ctx = {
+        message: {
+          messageId: "44",
+          attributes: { eventType: consts.HCAPI_RECONCILE },
+          data: Buffer.from(storePath).toString("base64"),
+        },
+      };
+
+      try {
+        await eventhandlers.handleEvent(consts.HCAPI_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+        assert.deepStrictEqual(bqFindLiveRowsUnderStub.getCall(0).args, [`${storeUrl}/studies/`]);
+        assert.strictEqual(searchStub.callCount, 3);
+        assert.deepStrictEqual(bqFindEmbeddingsStub.getCall(0).args[0].sort(), ["b", "c"]);
+        const rows = bqInsertStub.getCalls().map((call) => call.args[0]);
+        assert.deepStrictEqual(rows.map((row) => [row.path, row.version]).sort(), [
+          [instanceUrl("1.2.1", "1.2.1.2"), "10"],
+          [instanceUrl("1.2.1", "1.2.1.2"), "11"],
+          [instanceUrl("1.2.2", "1.2.2.1"), "10"],
+        ]);
+        assert.strictEqual(rows[0].metadata, null);
+        assert.deepStrictEqual(rows[0].info, { event: consts.HCAPI_DELETE, input: { type: consts.STORAGE_TYPE_DICOMWEB, storageClass: null } });
+        // A series that can't be searched keeps its rows, and is reported
+        assert.strictEqual(bqInsertFailureStub.callCount, 1);
+        const [failure] = bqInsertFailureStub.getCall(0).args;
+        assert.strictEqual(failure.event, consts.HCAPI_RECONCILE);
+        assert.strictEqual(failure.stage, "lookup");
+      } finally {
+        bqFindLiveRowsUnderStub.resolves([]);
+        searchStub.restore();
+      }
+    });
+
+    it("should only record the deletion when the deleted version has no live rows", async function() {
+      const ctx = {
+        message: {
+          attributes: {
+            eventType: "OBJECT_ARCHIVE",
+            bucketId: "test-bucket",
+            objectId: "ct.dcm"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "ct.dcm",
+            generation: "111"
+          })).toString("base64")
+        }
+      };
+
+      await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+      // e.g. an overwrite whose new version was processed first: its rows are left alone
+      assert.deepStrictEqual(bqFindLiveRowsStub.getCall(0).args, ["gs://test-bucket/ct.dcm", "111"]);
+      assert.strictEqual(bqFindEmbeddingsStub.callCount, 0);
+      assert.strictEqual(bqInsertInstancesStub.callCount, 0);
+      assert.strictEqual(bqInsertStub.callCount, 1);
+    });
+
+    it("should delete the latest ingested version of an object removed from an unversioned S3 bucket", async function() {
+      // Posted as is, the way a MinIO webhook target sends it
+      const notification = {
+        Records: [{
+          eventName: "s3:ObjectRemoved:Delete",
+          awsRegion: "us-east-1",
+          s3: { bucket: { name: "dicom" }, object: { key: "study+1/ct.dcm", sequencer: "0055AED6DCD90281E6" } },
+        }],
+      };
+      bqFindLatestVersionStub.resolves("0055AED6DCD90281E5");
+
+      try {
+        await eventhandlers.handleEvent(consts.S3_PUBSUB_UNWRAP, { body: notification }, { perfCtx: { addRef: sinon.stub() } });
+
+        assert.deepStrictEqual(bqFindLatestVersionStub.getCall(0).args, ["s3://dicom/study 1/ct.dcm"]);
+        assert.deepStrictEqual(bqFindLiveRowsStub.getCall(0).args, ["s3://dicom/study 1/ct.dcm", "0055AED6DCD90281E5"]);
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        const [row] = bqInsertStub.getCall(0).args;
+        assert.strictEqual(row.version, "0055AED6DCD90281E5");
+        assert.strictEqual(row.metadata, null);
+        assert.strictEqual(row.info.event, consts.S3_OBJ_REMOVED);
+        assert.strictEqual(row.info.input.type, consts.STORAGE_TYPE_S3);
+
+        // Nothing was ingested under the key: nothing to delete
+        bqFindLatestVersionStub.resolves(null);
+        bqInsertStub.resetHistory();
+        await eventhandlers.handleEvent(consts.S3_PUBSUB_UNWRAP, { body: notification }, { perfCtx: { addRef: sinon.stub() } });
+        assert.strictEqual(bqInsertStub.callCount, 0);
+      } finally {
+        bqFindLatestVersionStub.resolves(null);
+      }
+    });
+
+    it("should record non-retryable download failures of S3 objects", async function() {
+      const s3 = require("../src/s3");
+      const downloadStub = sinon.stub(s3, "downloadToFile").rejects(createHttpError(404, "S3 GET failed: 404 Not Found: NoSuchKey"));
+      const ctx = {
+        message: {
+          messageId: "s3-123",
+          attributes: { payloadFormat: consts.S3_PUBSUB_MSG },
+          data: Buffer.from(JSON.stringify({
+            Records: [{
+              eventName: "ObjectCreated:Put",
+              awsRegion: "eu-west-1",
+              s3: { bucket: { name: "dicom" }, object: { key: "ct.dcm", size: 1234, versionId: "null", sequencer: "0055AED6DCD90281E5" } },
+            }],
+          })).toString("base64"),
+        },
+      };
+
+      try {
+        await eventhandlers.handleEvent(consts.S3_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+        const [settings, bucket, key, , versionId] = downloadStub.getCall(0).args;
+        assert.strictEqual(settings.region, "eu-west-1");
+        assert.deepStrictEqual([bucket, key, versionId], ["dicom", "ct.dcm", undefined]);
+        assert.strictEqual(bqInsertStub.callCount, 0);
+        const [record] = bqInsertFailureStub.getCall(0).args;
+        assert.strictEqual(record.path, "s3://dicom/ct.dcm");
+        assert.strictEqual(record.version, "0055AED6DCD90281E5");
+        assert.strictEqual(record.event, consts.S3_OBJ_CREATED);
+        assert.strictEqual(record.stage, "download");
+        assert.strictEqual(record.messageId, "s3-123");
+      } finally {
+        downloadStub.restore();
+      }
+    });
+
+    it("should record and rethrow non-retryable failures of DIMSE instances", async function() {
+      const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dcm2bq-dimse-"));
+      const filePath = path.join(tempDir, "empty.dcm");
+      await fs.promises.writeFile(filePath, "");
+      const instance = { filePath, size: 0, sopInstanceUid: "1.2.840.1.2.3", callingAeTitle: "MODALITY", calledAeTitle: "DCM2BQ" };
+
+      try {
+        // The sender gets a failure status, so the error is not swallowed as for Pub/Sub events
+        await assert.rejects(eventhandlers.handleDimseInstance(instance), (error) => error.retryable === false && error.stage === "read");
+        assert.strictEqual(bqInsertStub.callCount, 0);
+        assert.strictEqual(bqInsertFailureStub.callCount, 1);
+        const [record] = bqInsertFailureStub.getCall(0).args;
+        assert.strictEqual(record.path, "dimse://DCM2BQ/1.2.840.1.2.3");
+        assert.strictEqual(record.event, consts.DIMSE_STORE);
+        assert.match(record.version, /^[0-9]+$/);
+      } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it("should recurse into nested archives up to archives.maxNestingDepth", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const inner = new AdmZip();
+      inner.addFile("notes.txt", Buffer.from("not DICOM"));
+      const outer = new AdmZip();
+      outer.addFile("S1/series 1.zip", inner.toBuffer());
+      currentDownloadBuffer = outer.toBuffer();
+
+      const ctx = {
+        message: {
+          attributes: {
+            eventType: "OBJECT_FINALIZE",
+            bucketId: "test-bucket",
+            objectId: "outer.zip"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "outer.zip",
+            generation: "123456",
+            size: String(currentDownloadBuffer.length)
+          })).toString("base64")
+        }
+      };
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      const consoleWarnStub = sinon.stub(console, "warn");
+      try {
+        // Members of the nested archive are reported under the chained URI
+        cfg.archives = { ...saved, maxNestingDepth: 1 };
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        let warnings = consoleWarnStub.getCalls().map((call) => JSON.parse(call.args[0]));
+        assert.strictEqual(warnings.length, 1);
+        assert.match(warnings[0].message, /^zip processing complete for gs:\/\/test-bucket\/outer\.zip#S1\/series%201\.zip:/);
+        assert.deepStrictEqual(warnings[0].skipped, [{ path: "notes.txt", reason: "not DICOM" }]);
+
+        consoleWarnStub.resetHistory();
+        cfg.archives = { ...saved, maxNestingDepth: 0 };
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        warnings = consoleWarnStub.getCalls().map((call) => JSON.parse(call.args[0]));
+        assert.strictEqual(warnings.length, 1);
+        assert.deepStrictEqual(warnings[0].skipped, [{ path: "S1/series 1.zip", reason: "nested archive deeper than 0 level(s)" }]);
+      } finally {
+        consoleWarnStub.restore();
+        cfg.archives = saved;
+      }
+    });
+
+    it("should republish the rest of an archive once its time budget is spent", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const zip = new AdmZip();
+      for (const name of ["a.txt", "b.txt", "c.txt"]) {
+        zip.addFile(name, Buffer.from(`not DICOM ${name}`));
+      }
+      currentDownloadBuffer = zip.toBuffer();
+      const message = {
+        attributes: {
+          eventType: "OBJECT_FINALIZE",
+          bucketId: "test-bucket",
+          objectId: "budget.zip"
+        },
+        data: Buffer.from(JSON.stringify({
+          bucket: "test-bucket",
+          name: "budget.zip",
+          generation: "123456",
+          size: String(currentDownloadBuffer.length)
+        })).toString("base64")
+      };
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      const publishStub = sinon.stub(require("../src/pubsub"), "publishMessage").resolves("message-id");
+      const consoleWarnStub = sinon.stub(console, "warn");
+      const consoleLogStub = sinon.stub(console, "log");
+      // Each clock reading is a second later, so the 1.5 s budget is spent after two members
+      let now = 0;
+      const nowStub = sinon.stub(Date, "now").callsFake(() => (now += 1000));
+      try {
+        cfg.archives = { ...saved, concurrency: 1, timeBudgetMs: 1500, continuationTopic: "dcm2bq-gcs-events" };
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: { message } }, { perfCtx: { addRef: sinon.stub() } });
+        nowStub.restore();
+
+        assert.strictEqual(publishStub.callCount, 1);
+        const [topic, data, attributes] = publishStub.getCall(0).args;
+        assert.strictEqual(topic, "dcm2bq-gcs-events");
+        assert.strictEqual(data.toString("base64"), message.data);
+        assert.deepStrictEqual(attributes, { ...message.attributes, [consts.RESUME_AT_ATTRIBUTE]: "2" });
+        const progress = consoleLogStub.getCalls().map((call) => String(call.args[0])).find((line) => line.includes("time budget"));
+        assert.deepStrictEqual(JSON.parse(progress).skipped.map((member) => member.path), ["a.txt", "b.txt"]);
+        assert.strictEqual(consoleWarnStub.callCount, 0);
+        const { archive } = bqInsertStub.getCall(0).args[0].info;
+        assert.strictEqual(archive.resumedAt, 0);
+        assert.strictEqual(archive.continuedAt, 2);
+        assert.strictEqual(archive.skipped, 2);
+
+        // The continuation handles the remaining member and finishes the archive
+        publishStub.resetHistory();
+        bqInsertStub.resetHistory();
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: { message: { ...message, attributes } } }, { perfCtx: { addRef: sinon.stub() } });
+        assert.strictEqual(publishStub.callCount, 0);
+        const summary = JSON.parse(consoleWarnStub.getCall(0).args[0]);
+        assert.deepStrictEqual(summary.skipped, [{ path: "c.txt", reason: "not DICOM" }]);
+        const [row, insertId] = bqInsertStub.getCall(0).args;
+        assert.strictEqual(row.info.archive.resumedAt, 2);
+        assert.strictEqual(row.info.archive.continuedAt, null);
+        assert.ok(insertId.endsWith("|2"), "Continuation summaries should not dedupe each other");
+      } finally {
+        nowStub.restore();
+        consoleLogStub.restore();
+        consoleWarnStub.restore();
+        publishStub.restore();
+        cfg.archives = saved;
+      }
+    });
+
+    it("should record failed members in the archive summary and fail the event over archives.maxFailureRatio", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const zip = new AdmZip();
+      // DICM magic without a parseable dataset
+      zip.addFile("S1/IM1", Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.from("garbage")]));
+      zip.addFile("notes.txt", Buffer.from("not DICOM"));
+      currentDownloadBuffer = zip.toBuffer();
+      const ctx = {
+        message: {
+          attributes: {
+            eventType: "OBJECT_FINALIZE",
+            bucketId: "test-bucket",
+            objectId: "broken.zip"
+          },
+          data: Buffer.from(JSON.stringify({
+            bucket: "test-bucket",
+            name: "broken.zip",
+            generation: "123456",
+            size: String(currentDownloadBuffer.length)
+          })).toString("base64")
+        }
+      };
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      const consoleErrorStub = sinon.stub(console, "error");
+      const consoleWarnStub = sinon.stub(console, "warn");
+      try {
+        // By default member failures are recorded and the event acknowledged
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        assert.strictEqual(bqInsertStub.callCount, 1);
+        const row = bqInsertStub.getCall(0).args[0];
+        assert.strictEqual(row.path, "gs://test-bucket/broken.zip");
+        assert.strictEqual(row.version, "123456");
+        assert.deepStrictEqual(row.info.input, { size: currentDownloadBuffer.length, type: consts.STORAGE_TYPE_GCS, storageClass: null });
+        const { failures, ...counts } = row.info.archive;
+        assert.deepStrictEqual(counts, {
+          type: "zip",
+          total: 2,
+          succeeded: 0,
+          failed: 1,
+          skipped: 1,
+          failuresTruncated: false,
+          error: null,
+          resumedAt: 0,
+          continuedAt: null,
+        });
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(failures[0].path, "S1/IM1");
+        assert.ok(failures[0].error);
+
+        bqInsertStub.resetHistory();
+        cfg.archives = { ...saved, maxFailureRatio: 0.5 };
+        await assert.rejects(
+          eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } }),
+          (error) => error.code === 500 && /1 of 1 member\(s\) of gs:\/\/test-bucket\/broken\.zip failed/.test(error.message)
+        );
+        // The summary is written before the event fails
+        assert.strictEqual(bqInsertStub.callCount, 1);
+      } finally {
+        consoleWarnStub.restore();
+        consoleErrorStub.restore();
+        cfg.archives = saved;
+      }
+    });
+
+    it("should apply archives.maxFailureRatio once, to the members of nested archives too", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const inner = new AdmZip();
+      // DICM magic without a parseable dataset
+      for (const name of ["IM1", "IM2", "IM3"]) {
+        inner.addFile(name, Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.from("garbage")]));
+      }
+      const outer = new AdmZip();
+      outer.addFile("S1.zip", inner.toBuffer());
+      currentDownloadBuffer = outer.toBuffer();
+      const ctx = {
+        message: {
+          attributes: { eventType: "OBJECT_FINALIZE", bucketId: "test-bucket", objectId: "outer.zip" },
+          data: Buffer.from(JSON.stringify({ bucket: "test-bucket", name: "outer.zip", generation: "123456", size: String(currentDownloadBuffer.length) })).toString("base64"),
+        },
+      };
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      const consoleErrorStub = sinon.stub(console, "error");
+      try {
+        cfg.archives = { ...saved, maxFailureRatio: 0.5 };
+        await assert.rejects(
+          eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } }),
+          (error) => error.code === 500 && /3 of 3 member\(s\) of gs:\/\/test-bucket\/outer\.zip failed/.test(error.message)
+        );
+        const rows = bqInsertStub.getCalls().map((call) => call.args[0]);
+        assert.deepStrictEqual(rows.map((row) => row.path), ["gs://test-bucket/outer.zip#S1.zip", "gs://test-bucket/outer.zip"]);
+        const [nested, stored] = rows.map((row) => row.info.archive);
+        assert.strictEqual(nested.failed, 3);
+        assert.strictEqual(nested.error, null);
+        assert.deepStrictEqual(nested.failures.map((failure) => failure.path), ["IM1", "IM2", "IM3"]);
+        // The nested members count in the stored archive's totals; their failures are listed in the nested row
+        assert.strictEqual(stored.succeeded, 0);
+        assert.strictEqual(stored.failed, 3);
+        assert.deepStrictEqual(stored.failures, []);
+      } finally {
+        consoleErrorStub.restore();
+        cfg.archives = saved;
+      }
+    });
+
+    it("should keep taking nested archive members while the outer ones hold archives.maxTempBytes", async function() {
+      this.timeout(5000);
+
+      const AdmZip = require("adm-zip");
+      const inner = new AdmZip();
+      for (const name of ["IM1", "IM2", "IM3"]) {
+        inner.addFile(name, Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.from("garbage")]));
+      }
+      const innerBuffer = inner.toBuffer();
+      const outer = new AdmZip();
+      outer.addFile("S1.zip", innerBuffer);
+      outer.addFile("S2.zip", innerBuffer);
+      currentDownloadBuffer = outer.toBuffer();
+      const ctx = {
+        message: {
+          attributes: { eventType: "OBJECT_FINALIZE", bucketId: "test-bucket", objectId: "outer.zip" },
+          data: Buffer.from(JSON.stringify({ bucket: "test-bucket", name: "outer.zip", generation: "123456", size: String(currentDownloadBuffer.length) })).toString("base64"),
+        },
+      };
+
+      const cfg = require("../src/config").get();
+      const saved = cfg.archives;
+      const consoleErrorStub = sinon.stub(console, "error");
+      try {
+        // S1.zip alone fills the cap, so S2.zip waits for it while S1.zip's members go on
+        cfg.archives = { ...saved, maxTempBytes: innerBuffer.length, maxFailureRatio: 1 };
+        await eventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+        const rows = bqInsertStub.getCalls().map((call) => call.args[0]);
+        assert.deepStrictEqual(rows.map((row) => row.path), ["gs://test-bucket/outer.zip#S1.zip", "gs://test-bucket/outer.zip#S2.zip", "gs://test-bucket/outer.zip"]);
+        const stored = rows[2].info.archive;
+        assert.strictEqual(stored.failed, 6);
+        assert.strictEqual(stored.skipped, 0);
+      } finally {
+        consoleErrorStub.restore();
+        cfg.archives = saved;
+      }
     });
 
     it("should process regular DICOM files (not zip)", async function() {
@@ -627,4 +1565,68 @@ describe("eventhandlers", () => {
         "Generated id should match hash of actual DICOM UIDs");
     });
   });
+
+  describe("Promoted Columns", () => {
+    let promotedEventhandlers;
+    let saved;
+    let toJsonStub;
+    let hashContentStub;
+
+    before(() => {
+      // The class the reloaded module below gets
+      const { DicomFile } = require("../src/dicomtojson");
+      const cfg = require("../src/config").get();
+      saved = { bigQuery: cfg.gcpConfig.bigQuery, jsonOutput: cfg.jsonOutput, deidentification: cfg.deidentification, pseudonymization: cfg.pseudonymization };
+      cfg.gcpConfig.bigQuery = { ...saved.bigQuery, promotedColumns: ["PatientID", "Modality", { attribute: "StudyDate", type: "DATE" }] };
+      cfg.jsonOutput = { ...saved.jsonOutput, exclude: ["PatientID", "Modality", "StudyDate"] };
+      cfg.deidentification = { enabled: true, dates: "shift", dateShiftDays: 1, retainUids: true };
+      cfg.pseudonymization = { enabled: true, secret: "s3cret" };
+      toJsonStub = sinon.stub(DicomFile.prototype, "toJson").resolves({
+        SOPInstanceUID: "1.2.3.4",
+        SeriesInstanceUID: "1.2.3",
+        StudyInstanceUID: "1.2",
+        PatientID: "12345",
+        Modality: "CT",
+        StudyDate: "20240131",
+      });
+      hashContentStub = sinon.stub(DicomFile.prototype, "hashContent").callsFake(async (sha256) => ({ sha256, pixelDataSha256: null }));
+      // The promoted columns are resolved once per module load
+      delete require.cache[require.resolve("../src/eventhandlers")];
+      promotedEventhandlers = require("../src/eventhandlers");
+    });
+
+    after(() => {
+      const cfg = require("../src/config").get();
+      cfg.gcpConfig.bigQuery = saved.bigQuery;
+      cfg.jsonOutput = saved.jsonOutput;
+      cfg.deidentification = saved.deidentification;
+      cfg.pseudonymization = saved.pseudonymization;
+      toJsonStub.restore();
+      hashContentStub.restore();
+      delete require.cache[require.resolve("../src/eventhandlers")];
+    });
+
+    it("should take promoted values from the de-identified, pseudonymized dataset before include/exclude", async function() {
+      this.timeout(5000);
+
+      currentDownloadBuffer = Buffer.from("mock-dicom");
+      const ctx = {
+        message: {
+          attributes: { eventType: "OBJECT_FINALIZE", bucketId: "test-bucket", objectId: "ct.dcm" },
+          data: Buffer.from(JSON.stringify({ bucket: "test-bucket", name: "ct.dcm", generation: "123456" })).toString("base64"),
+        },
+      };
+
+      await promotedEventhandlers.handleEvent(consts.GCS_PUBSUB_UNWRAP, { body: ctx }, { perfCtx: { addRef: sinon.stub() } });
+
+      const row = bqInsertStub.getCall(0).args[0];
+      const metadata = JSON.parse(row.metadata);
+      // Excluded from the persisted metadata, still promoted
+      assert.ok(!("PatientID" in metadata) && !("Modality" in metadata) && !("StudyDate" in metadata));
+      assert.strictEqual(row.Modality, "CT");
+      // Pseudonymized and date-shifted, as they would have been persisted
+      assert.ok(row.PatientID && row.PatientID !== "12345");
+      assert.strictEqual(row.StudyDate, "2024-02-01");
+    });
+  });
 });
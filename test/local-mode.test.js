@@ -86,6 +86,32 @@ describe("local mode", () => {
         /escapes the configured output root/
       );
     });
+
+    it("deleteOutput deletes files under a file:// output root only", async () => {
+      const cfg = require("../src/config").get();
+      const input = cfg.gcpConfig.embedding.input;
+      const savedPath = input.gcsBucketPath;
+      const baseUri = localfile.createUriPath(path.join(rootDir, "extract"));
+      input.gcsBucketPath = baseUri;
+      delete require.cache[require.resolve("../src/embeddings")];
+      try {
+        const { deleteOutput } = require("../src/embeddings");
+        const uri = await localfile.saveToLocalPath(baseUri, Buffer.from("x"), "study/series/gone.jpg");
+        assert.strictEqual(await deleteOutput(uri), true);
+        assert.ok(!fs.existsSync(localfile.uriToPath(uri)));
+        // Already gone is fine (redeliveries)
+        assert.strictEqual(await deleteOutput(uri), true);
+
+        const outside = path.join(rootDir, "outside.jpg");
+        fs.writeFileSync(outside, "x");
+        assert.strictEqual(await deleteOutput(localfile.createUriPath(outside)), false);
+        assert.strictEqual(await deleteOutput("gs://other-bucket/study/series/instance.jpg"), false);
+        assert.ok(fs.existsSync(outside));
+      } finally {
+        input.gcsBucketPath = savedPath;
+        delete require.cache[require.resolve("../src/embeddings")];
+      }
+    });
   });
 
   describe("index command", () => {
@@ -99,12 +125,16 @@ describe("local mode", () => {
     it("collects supported files recursively", async () => {
       const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dcm2bq-collect-"));
       try {
+        const dicom = Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), Buffer.alloc(16)]);
         fs.mkdirSync(path.join(dir, "nested"));
-        fs.writeFileSync(path.join(dir, "a.dcm"), "x");
+        fs.writeFileSync(path.join(dir, "a.dcm"), dicom);
+        fs.writeFileSync(path.join(dir, "nested", "IM000001"), dicom);
         fs.writeFileSync(path.join(dir, "nested", "b.zip"), "x");
         fs.writeFileSync(path.join(dir, "ignored.txt"), "x");
+        fs.writeFileSync(path.join(dir, "misnamed.dcm"), "x");
         const files = await collectFiles(dir);
-        assert.deepEqual(files.map((f) => path.basename(f)).sort(), ["a.dcm", "b.zip"]);
+        // .dcm files are trusted by extension, as the service trusts them
+        assert.deepEqual(files.map((f) => path.basename(f)).sort(), ["IM000001", "a.dcm", "b.zip", "misnamed.dcm"]);
       } finally {
         fs.rmSync(dir, { recursive: true, force: true });
       }
@@ -128,6 +158,7 @@ describe("local mode", () => {
   describe("handleLocalPubSubUnwrap", () => {
     let bqInsertStub;
     let bqInsertEmbeddingsStub;
+    let bqInsertFailureStub;
     let createVectorEmbeddingStub;
     let eventhandlers;
     let savedLocalConfig;
@@ -153,6 +184,7 @@ describe("local mode", () => {
       const bq = require("../src/bigquery");
       bqInsertStub = sinon.stub(bq, "insert").resolves();
       bqInsertEmbeddingsStub = sinon.stub(bq, "insertEmbeddings").resolves();
+      bqInsertFailureStub = sinon.stub(bq, "insertFailure").resolves(true);
 
       const embeddingsModule = require("../src/embeddings");
       createVectorEmbeddingStub = sinon.stub(embeddingsModule, "createVectorEmbedding").resolves([
@@ -177,12 +209,14 @@ describe("local mode", () => {
       configModule.get().localConfig = savedLocalConfig;
       bqInsertStub.restore();
       bqInsertEmbeddingsStub.restore();
+      bqInsertFailureStub.restore();
       createVectorEmbeddingStub.restore();
     });
 
     beforeEach(() => {
       bqInsertStub.resetHistory();
       bqInsertEmbeddingsStub.resetHistory();
+      bqInsertFailureStub.resetHistory();
       createVectorEmbeddingStub.resetHistory();
     });
 
@@ -218,7 +252,8 @@ describe("local mode", () => {
       assert.ok(bqInsertStub.callCount > 0, "insert should be called for archive contents");
       for (let i = 0; i < bqInsertStub.callCount; i++) {
         const row = bqInsertStub.getCall(i).args[0];
-        assert.ok(row.path.startsWith("file://") && row.path.includes("#"), `Expected file://...#name path, got ${row.path}`);
+        const isSummary = row.info.event === consts.ARCHIVE_SUMMARY;
+        assert.ok(row.path.startsWith("file://") && (isSummary || row.path.includes("#")), `Expected file://...#name path, got ${row.path}`);
         assert.equal(row.info.input.type, consts.STORAGE_TYPE_LOCAL);
       }
       assert.ok(fs.existsSync(zipPath), "Source archive must not be deleted");
@@ -276,9 +311,14 @@ describe("local mode", () => {
       fs.writeFileSync(badPath, "definitely not dicom");
       const envelope = localEvent(badPath);
       const perfCtx = { addRef: sinon.stub() };
-      // Non-retryable parse errors are logged and swallowed, like the GCS handler
+      // Non-retryable parse errors are logged and recorded as failures, like the GCS handler
       await eventhandlers.handleEvent(consts.LOCAL_PUBSUB_UNWRAP, { body: envelope }, { perfCtx });
       assert.equal(bqInsertStub.callCount, 0);
+      assert.equal(bqInsertFailureStub.callCount, 1);
+      const failure = bqInsertFailureStub.getCall(0).args[0];
+      assert.ok(failure.path.startsWith("file://") && failure.path.endsWith("/bad.dcm"), failure.path);
+      assert.equal(failure.event, consts.LOCAL_FINALIZE);
+      assert.equal(failure.stage, "parse");
     });
   });
 });
@@ -0,0 +1,85 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const { measureRow, splitOversizedMetadata } = require("../src/offload");
+
+describe("offload", () => {
+  function sampleMetadata() {
+    return {
+      SOPInstanceUID: "1.2.3",
+      Modality: "SM",
+      ImageType: ["DERIVED", "PRIMARY"],
+      PerFrameFunctionalGroupsSequence: Array.from({ length: 200 }, (_, i) => ({ FrameContentSequence: [{ DimensionIndexValues: [i, 1] }] })),
+      SharedFunctionalGroupsSequence: [{ PixelMeasuresSequence: [{ PixelSpacing: [0.5, 0.5] }] }],
+      ReferencedSeriesSequence: [{ SeriesInstanceUID: "1.2.3.4" }],
+    };
+  }
+
+  function rowFor(metadata) {
+    return { id: "abc", path: "gs://bucket/file.dcm", info: { event: "OBJECT_FINALIZE" }, metadata: JSON.stringify(metadata) };
+  }
+
+  it("moves only the largest sequence when that is enough", () => {
+    const metadata = sampleMetadata();
+    const split = splitOversizedMetadata(metadata, 100);
+    assert.deepStrictEqual(Object.keys(split.offloaded), ["PerFrameFunctionalGroupsSequence"]);
+    assert.strictEqual(split.metadata.PerFrameFunctionalGroupsSequence, undefined);
+    assert.deepStrictEqual(split.metadata.SharedFunctionalGroupsSequence, metadata.SharedFunctionalGroupsSequence);
+  });
+
+  it("moves sequences largest first until the excess is removed", () => {
+    const metadata = sampleMetadata();
+    const perFrameBytes = measureRow(rowFor(metadata)) - measureRow(rowFor({ ...metadata, PerFrameFunctionalGroupsSequence: undefined }));
+    const split = splitOversizedMetadata(metadata, perFrameBytes + 1);
+    assert.deepStrictEqual(Object.keys(split.offloaded).sort(), ["PerFrameFunctionalGroupsSequence", "SharedFunctionalGroupsSequence"]);
+  });
+
+  it("estimates the row bytes removed", () => {
+    const metadata = sampleMetadata();
+    const before = measureRow(rowFor(metadata));
+    const split = splitOversizedMetadata(metadata, 1);
+    const after = measureRow(rowFor(split.metadata));
+    assert.ok(before - after >= 1000, "the row should shrink by the moved sequence");
+  });
+
+  it("never moves non-sequence values", () => {
+    const split = splitOversizedMetadata(sampleMetadata(), Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(split, null);
+    const all = splitOversizedMetadata({ Modality: "CT", ImageType: ["A", "B"] }, 1);
+    assert.strictEqual(all, null);
+  });
+
+  it("moves a single item sequence unwrapped to an object", () => {
+    const metadata = {
+      Modality: "SM",
+      PatientName: { Alphabetic: "Doe^Jane" },
+      PixelData: { BulkDataURI: "gs://bucket/file.dcm#pixeldata" },
+      SharedFunctionalGroupsSequence: { PlaneOrientationSequence: { ImageOrientationSlide: Array.from({ length: 200 }, (_, i) => i) } },
+    };
+    const split = splitOversizedMetadata(metadata, 1);
+    assert.deepStrictEqual(Object.keys(split.offloaded), ["SharedFunctionalGroupsSequence"]);
+    assert.deepStrictEqual(split.metadata.PatientName, metadata.PatientName);
+    assert.deepStrictEqual(split.metadata.PixelData, metadata.PixelData);
+  });
+
+  it("keeps the metadata unchanged when nothing needs to move", () => {
+    const metadata = sampleMetadata();
+    const split = splitOversizedMetadata(metadata, 0);
+    assert.deepStrictEqual(split.offloaded, {});
+    assert.deepStrictEqual(split.metadata, metadata);
+  });
+});
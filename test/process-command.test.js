@@ -44,6 +44,12 @@ describe("process-command", () => {
       assert.strictEqual(processCommand.isArchiveFile("/path/to/study.tar.gz"), true);
     });
 
+    it("should detect plain, bzip2 and xz tar files and gzipped instances", () => {
+      for (const name of ["study.tar", "study.tar.bz2", "study.tbz2", "study.tar.xz", "study.txz", "IM1.dcm.gz"]) {
+        assert.strictEqual(processCommand.isArchiveFile(`/path/to/${name}`), true, name);
+      }
+    });
+
     it("should not detect .dcm files as archives", () => {
       assert.strictEqual(processCommand.isArchiveFile("file.dcm"), false);
       assert.strictEqual(processCommand.isArchiveFile("/path/to/file.dcm"), false);
@@ -51,8 +57,8 @@ describe("process-command", () => {
 
     it("should not detect other file types as archives", () => {
       assert.strictEqual(processCommand.isArchiveFile("file.txt"), false);
-      assert.strictEqual(processCommand.isArchiveFile("file.tar"), false);
       assert.strictEqual(processCommand.isArchiveFile("file.gz"), false);
+      assert.strictEqual(processCommand.isArchiveFile("file.txt.gz"), false);
     });
 
     it("should be case-insensitive", () => {
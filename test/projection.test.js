@@ -0,0 +1,163 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const { applyTagProjection, isValidSelector, needsElementDictionary, parseSelector } = require("../src/projection");
+
+describe("projection", () => {
+  const sample = {
+    PatientName: "Doe^John",
+    PatientID: "12345",
+    Modality: "MR",
+    x00090010: "ACME 1.0",
+    x00091001: "vendor noise",
+    x00191002: "other vendor",
+    SharedFunctionalGroupsSequence: {
+      PixelMeasuresSequence: { PixelSpacing: [0.5, 0.5], SliceThickness: 1 },
+      x00091001: "nested vendor noise",
+    },
+    PerFrameFunctionalGroupsSequence: [
+      { FrameContentSequence: { FrameAcquisitionNumber: 1 }, PlanePositionSequence: { ImagePositionPatient: [0, 0, 0] } },
+      { FrameContentSequence: { FrameAcquisitionNumber: 2 }, PlanePositionSequence: { ImagePositionPatient: [0, 0, 1] } },
+    ],
+    PixelData: { BulkDataURI: "?offset=100&length=200" },
+  };
+
+  describe("parseSelector", () => {
+    it("parses keywords, tags and paths", () => {
+      assert.deepStrictEqual(parseSelector("PatientName"), [{ keyword: "PatientName" }]);
+      assert.ok(parseSelector("(0009,1001)")[0].tag.test("00091001"));
+      assert.ok(parseSelector("00091001")[0].tag.test("00091001"));
+      assert.ok(parseSelector("x00091001")[0].tag.test("00091001"));
+      assert.strictEqual(parseSelector("SharedFunctionalGroupsSequence.PixelMeasuresSequence").length, 2);
+    });
+
+    it("supports x wildcard nibbles", () => {
+      const [segment] = parseSelector("(0009,xxxx)");
+      assert.ok(segment.tag.test("00090010"));
+      assert.ok(segment.tag.test("00091001"));
+      assert.ok(!segment.tag.test("00191002"));
+      assert.ok(parseSelector("(60xx,3000)")[0].tag.test("60023000"));
+    });
+
+    it("rejects malformed selectors", () => {
+      assert.throws(() => parseSelector(""), /Invalid tag selector/);
+      assert.throws(() => parseSelector("(0009,10)"), /Invalid tag selector/);
+      assert.throws(() => parseSelector("Shared..Pixel"), /Invalid tag selector/);
+      assert.strictEqual(isValidSelector("(0009,10)"), false);
+      assert.strictEqual(isValidSelector("(0010,0010)"), true);
+    });
+
+    it("needs the element dictionary only for tag selectors of even groups", () => {
+      assert.strictEqual(needsElementDictionary({ exclude: ["PatientName", "(0009,xxxx)", "x00191002"] }), false);
+      assert.strictEqual(needsElementDictionary({ exclude: ["(0010,0010)"] }), true);
+      assert.strictEqual(needsElementDictionary({ include: ["SharedFunctionalGroupsSequence.(0028,9110)"] }), true);
+      assert.strictEqual(needsElementDictionary({ exclude: ["(60xx,3000)"] }), true);
+      assert.strictEqual(needsElementDictionary({}), false);
+    });
+  });
+
+  describe("applyTagProjection", () => {
+    it("returns the input unchanged when no lists are configured", () => {
+      assert.strictEqual(applyTagProjection(sample, {}), sample);
+      assert.strictEqual(applyTagProjection(sample, { include: [], exclude: [] }), sample);
+    });
+
+    it("excludes a private group at every nesting level", () => {
+      const out = applyTagProjection(sample, { exclude: ["(0009,xxxx)"] });
+      assert.ok(!("x00090010" in out));
+      assert.ok(!("x00091001" in out));
+      assert.strictEqual(out.x00191002, "other vendor");
+      assert.ok(!("x00091001" in out.SharedFunctionalGroupsSequence));
+      assert.ok(out.SharedFunctionalGroupsSequence.PixelMeasuresSequence);
+    });
+
+    it("excludes whole sequences by keyword", () => {
+      const out = applyTagProjection(sample, { exclude: ["PerFrameFunctionalGroupsSequence"] });
+      assert.ok(!("PerFrameFunctionalGroupsSequence" in out));
+      assert.strictEqual(out.Modality, "MR");
+    });
+
+    it("excludes by sequence path only at that path", () => {
+      const out = applyTagProjection(sample, { exclude: ["PerFrameFunctionalGroupsSequence.PlanePositionSequence"] });
+      assert.strictEqual(out.PerFrameFunctionalGroupsSequence.length, 2);
+      for (const item of out.PerFrameFunctionalGroupsSequence) {
+        assert.ok(item.FrameContentSequence);
+        assert.ok(!("PlanePositionSequence" in item));
+      }
+    });
+
+    it("includes only the listed top-level elements", () => {
+      const out = applyTagProjection(sample, { include: ["PatientID", "Modality", "(0019,1002)"] });
+      assert.deepStrictEqual(out, { PatientID: "12345", Modality: "MR", x00191002: "other vendor" });
+    });
+
+    it("includes a sequence path and projects its items", () => {
+      const out = applyTagProjection(sample, { include: ["Modality", "SharedFunctionalGroupsSequence.PixelMeasuresSequence"] });
+      assert.deepStrictEqual(out, {
+        Modality: "MR",
+        SharedFunctionalGroupsSequence: {
+          PixelMeasuresSequence: { PixelSpacing: [0.5, 0.5], SliceThickness: 1 },
+        },
+      });
+    });
+
+    it("lets excludes win over includes", () => {
+      const out = applyTagProjection(sample, { include: ["PatientName", "PatientID"], exclude: ["PatientName"] });
+      assert.deepStrictEqual(out, { PatientID: "12345" });
+    });
+
+    describe("with the element dictionary", () => {
+      const dictionary = new Map([
+        ["PatientName", { tag: "00100010", vr: "PN" }],
+        ["PatientID", { tag: "00100020", vr: "LO" }],
+        ["Modality", { tag: "00080060", vr: "CS" }],
+        ["SharedFunctionalGroupsSequence", { tag: "52009229", vr: "SQ" }],
+        ["PixelMeasuresSequence", { tag: "00289110", vr: "SQ" }],
+      ]);
+
+      it("matches tag selectors to keyword keys", () => {
+        const out = applyTagProjection(sample, { exclude: ["(0010,xxxx)", "(0028,9110)"] }, dictionary);
+        assert.ok(!("PatientName" in out));
+        assert.ok(!("PatientID" in out));
+        assert.strictEqual(out.Modality, "MR");
+        assert.ok(!("PixelMeasuresSequence" in out.SharedFunctionalGroupsSequence));
+        // Without it, tag selectors only match elements keyed by tag
+        assert.strictEqual(applyTagProjection(sample, { exclude: ["(0010,0010)"] }).PatientName, "Doe^John");
+      });
+
+      it("includes by tag, and by paths mixing tags and keywords", () => {
+        const out = applyTagProjection(sample, { include: ["(0008,0060)", "(5200,9229).PixelMeasuresSequence"] }, dictionary);
+        assert.deepStrictEqual(out, {
+          Modality: "MR",
+          SharedFunctionalGroupsSequence: {
+            PixelMeasuresSequence: { PixelSpacing: [0.5, 0.5], SliceThickness: 1 },
+          },
+        });
+      });
+
+      it("matches elements de-identification adds", () => {
+        const out = applyTagProjection({ Modality: "MR", PatientIdentityRemoved: "YES" }, { exclude: ["(0012,0062)"] }, dictionary);
+        assert.deepStrictEqual(out, { Modality: "MR" });
+      });
+    });
+
+    it("leaves binary values intact", () => {
+      const out = applyTagProjection(sample, { exclude: ["(0009,xxxx)"] });
+      assert.deepStrictEqual(out.PixelData, sample.PixelData);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const baseSchema = require("../tf/init.schema.json");
+const {
+  resolvePromotedColumns,
+  convertValue,
+  extractPromotedValues,
+  buildInstancesSchema,
+  validateClustering,
+} = require("../src/promoted");
+
+describe("promoted columns", () => {
+  const columns = resolvePromotedColumns([
+    "StudyInstanceUID",
+    "Modality",
+    { attribute: "StudyDate", type: "date" },
+    { attribute: "NumberOfFrames", column: "frames", type: "INT64" },
+    { attribute: "SliceThickness", type: "FLOAT64" },
+  ]);
+
+  it("resolves keywords as STRING columns and normalizes types", () => {
+    assert.deepStrictEqual(columns.slice(0, 3), [
+      { attribute: "StudyInstanceUID", column: "StudyInstanceUID", type: "STRING" },
+      { attribute: "Modality", column: "Modality", type: "STRING" },
+      { attribute: "StudyDate", column: "StudyDate", type: "DATE" },
+    ]);
+    assert.strictEqual(columns[3].column, "frames");
+  });
+
+  it("rejects unknown types, reserved and duplicate columns", () => {
+    assert.throws(() => resolvePromotedColumns([{ attribute: "Modality", type: "BYTES" }]), /Unsupported type/);
+    assert.throws(() => resolvePromotedColumns([{ attribute: "PatientID", column: "Metadata" }]), /built-in column/);
+    assert.throws(() => resolvePromotedColumns(["Modality", { attribute: "Modality", column: "modality" }]), /Duplicate/);
+    assert.throws(() => resolvePromotedColumns([{ attribute: "Modality", column: "bad-name" }]), /Invalid promoted column name/);
+    assert.throws(() => resolvePromotedColumns([{ column: "x" }]), /missing an attribute/);
+  });
+
+  it("converts DICOM values to BigQuery types", () => {
+    assert.strictEqual(convertValue("20240131", "DATE"), "2024-01-31");
+    assert.strictEqual(convertValue("1530", "TIME"), "15:30:00");
+    assert.strictEqual(convertValue("153045.123", "TIME"), "15:30:45.123");
+    assert.strictEqual(convertValue("20240131153045+0100", "DATETIME"), "2024-01-31T15:30:45");
+    assert.strictEqual(convertValue(["12", "14"], "INT64"), 12);
+    assert.strictEqual(convertValue("2.5", "INT64"), null);
+    assert.strictEqual(convertValue("2.5", "FLOAT64"), 2.5);
+    assert.strictEqual(convertValue("Y", "BOOL"), true);
+    assert.strictEqual(convertValue(["ORIGINAL", "PRIMARY"], "STRING"), "ORIGINAL\\PRIMARY");
+    assert.strictEqual(convertValue({ Alphabetic: "Doe^John" }, "STRING"), "Doe^John");
+    assert.strictEqual(convertValue("not a date", "DATE"), null);
+  });
+
+  it("extracts values for every column, null when absent", () => {
+    const values = extractPromotedValues(
+      { StudyInstanceUID: "1.2.3", Modality: "CT", StudyDate: "20240131", NumberOfFrames: "3" },
+      columns
+    );
+    assert.deepStrictEqual(values, {
+      StudyInstanceUID: "1.2.3",
+      Modality: "CT",
+      StudyDate: "2024-01-31",
+      frames: 3,
+      SliceThickness: null,
+    });
+    assert.strictEqual(extractPromotedValues(null, columns).Modality, null);
+  });
+
+  it("extends the base schema with nullable promoted columns", () => {
+    const schema = buildInstancesSchema(baseSchema, columns);
+    assert.strictEqual(schema.length, baseSchema.length + columns.length);
+    assert.deepStrictEqual(schema[schema.length - 1], {
+      name: "SliceThickness",
+      type: "FLOAT64",
+      mode: "NULLABLE",
+      description: "Promoted from metadata.SliceThickness",
+    });
+  });
+
+  it("validates clustering fields", () => {
+    assert.deepStrictEqual(validateClustering(["StudyInstanceUID", "modality"], columns), ["StudyInstanceUID", "modality"]);
+    assert.throws(() => validateClustering(["PatientID"], columns), /not a promoted column/);
+    assert.throws(() => validateClustering(["SliceThickness"], columns), /not clusterable/);
+    assert.throws(() => validateClustering(["a", "b", "c", "d", "e"], columns), /at most 4/);
+  });
+});
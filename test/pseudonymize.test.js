@@ -0,0 +1,104 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const { createPseudonymizer, isEnabled, SECRET_ENV_VAR } = require("../src/pseudonymize");
+const { deidentify } = require("../src/deidentify");
+
+describe("pseudonymize", () => {
+  function sampleDataset() {
+    return {
+      PatientName: "Doe^John",
+      PatientID: "MRN12345",
+      AccessionNumber: "ACC999",
+      Modality: "CT",
+      SOPClassUID: "1.2.840.10008.5.1.4.1.1.2",
+      StudyInstanceUID: "1.2.3.4",
+      SeriesInstanceUID: "1.2.3.4.5",
+      SOPInstanceUID: "1.2.3.4.5.6",
+      OtherPatientIDsSequence: [{ PatientID: "OTHER1" }],
+      ReferencedImageSequence: [{ ReferencedSOPInstanceUID: "1.2.3.4.5.7" }],
+    };
+  }
+
+  it("isEnabled reflects the enabled flag", () => {
+    assert.strictEqual(isEnabled(undefined), false);
+    assert.strictEqual(isEnabled({ enabled: true }), true);
+  });
+
+  it("requires a secret", () => {
+    const saved = process.env[SECRET_ENV_VAR];
+    delete process.env[SECRET_ENV_VAR];
+    try {
+      assert.throws(() => createPseudonymizer({ enabled: true }), /no secret is configured/);
+    } finally {
+      if (saved !== undefined) process.env[SECRET_ENV_VAR] = saved;
+    }
+  });
+
+  it("falls back to the secret environment variable", () => {
+    const saved = process.env[SECRET_ENV_VAR];
+    process.env[SECRET_ENV_VAR] = "from-env";
+    try {
+      const fromEnv = createPseudonymizer({ enabled: true }).pseudonym("patient", "MRN12345");
+      const fromConfig = createPseudonymizer({ enabled: true, secret: "from-env" }).pseudonym("patient", "MRN12345");
+      assert.strictEqual(fromEnv, fromConfig);
+    } finally {
+      if (saved === undefined) delete process.env[SECRET_ENV_VAR];
+      else process.env[SECRET_ENV_VAR] = saved;
+    }
+  });
+
+  it("replaces patient identifiers consistently across uploads", () => {
+    const first = createPseudonymizer({ secret: "s3cret" }).pseudonymize(sampleDataset());
+    const second = createPseudonymizer({ secret: "s3cret" }).pseudonymize(sampleDataset());
+    assert.notStrictEqual(first.PatientID, "MRN12345");
+    assert.match(first.PatientID, /^[0-9A-F]{64}$/);
+    assert.match(first.AccessionNumber, /^[0-9A-F]{16}$/);
+    assert.strictEqual(first.PatientID, second.PatientID);
+    assert.strictEqual(first.AccessionNumber, second.AccessionNumber);
+    assert.match(first.OtherPatientIDsSequence[0].PatientID, /^[0-9A-F]{64}$/);
+    assert.strictEqual(first.PatientName, "Doe^John");
+  });
+
+  it("depends on the secret", () => {
+    const a = createPseudonymizer({ secret: "a" }).pseudonym("patient", "MRN12345");
+    const b = createPseudonymizer({ secret: "b" }).pseudonym("patient", "MRN12345");
+    assert.notStrictEqual(a, b);
+  });
+
+  it("keeps UIDs unless uids is set", () => {
+    const kept = createPseudonymizer({ secret: "s3cret" }).pseudonymize(sampleDataset());
+    assert.strictEqual(kept.StudyInstanceUID, "1.2.3.4");
+
+    const pseudonymizer = createPseudonymizer({ secret: "s3cret", uids: true });
+    const replaced = pseudonymizer.pseudonymize(sampleDataset());
+    assert.match(replaced.StudyInstanceUID, /^2\.25\.\d+$/);
+    assert.ok(replaced.StudyInstanceUID.length <= 64);
+    assert.strictEqual(replaced.ReferencedImageSequence[0].ReferencedSOPInstanceUID, pseudonymizer.uid("1.2.3.4.5.7"));
+    assert.strictEqual(replaced.SOPClassUID, "1.2.840.10008.5.1.4.1.1.2");
+  });
+
+  it("combines with de-identification without blanking pseudonymized attributes", () => {
+    const pseudonymizer = createPseudonymizer({ secret: "s3cret" });
+    const { dataset } = deidentify(sampleDataset(), { enabled: true, secret: "s3cret" }, pseudonymizer.keywords);
+    const out = pseudonymizer.pseudonymize(dataset);
+    assert.strictEqual(out.PatientID, pseudonymizer.pseudonym("patient", "MRN12345"));
+    assert.strictEqual(out.AccessionNumber, pseudonymizer.pseudonym("accession", "ACC999"));
+    assert.strictEqual(out.PatientName, "");
+    assert.strictEqual(out.PatientIdentityRemoved, "YES");
+  });
+});
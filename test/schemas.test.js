@@ -25,12 +25,21 @@ const hcapiPubSubUnwrapExample = require("./files/json/hcapi_pubsub.json");
 describe("schemas", () => {
   it("getSchema", () => {
     const eventHandlerSchemas = consts.EVENT_HANDLER_NAMES;
-    assert.ok(eventHandlerSchemas.length == 3);
+    assert.ok(eventHandlerSchemas.length == 5);
     for (const name of eventHandlerSchemas) {
       assert.ok(getSchema(name));
     }
   });
 
+  it("rejects malformed jsonOutput selectors in the config", () => {
+    const validate = getSchema(consts.CONFIG_SCHEMA);
+    const base = require("./test-config.js");
+    assert.ok(validate({ ...base, jsonOutput: { ...base.jsonOutput, exclude: ["(0009,xxxx)", "(0010,0010)", "PatientName"] } }));
+    assert.ok(!validate({ ...base, jsonOutput: { ...base.jsonOutput, exclude: ["(0009,10)"] } }));
+    assert.strictEqual(validate.errors[0].instancePath, "/jsonOutput/exclude/0");
+    assert.ok(!validate({ ...base, jsonOutput: { ...base.jsonOutput, include: ["Shared..Pixel"] } }));
+  });
+
   it("matchEventSchema (GCS Pub/Sub unwrap)", () => {
     const data = gcsPubSubUnwrapExample;
     const result = matchEventSchema(data);
@@ -56,6 +65,34 @@ describe("schemas", () => {
     assert.equal(result, consts.LOCAL_PUBSUB_UNWRAP);
   });
 
+  it("matchEventSchema (DICOMweb Pub/Sub unwrap)", () => {
+    const data = {
+      message: {
+        messageId: "dicomweb-123",
+        attributes: { eventType: consts.DICOMWEB_FINALIZE },
+        data: Buffer.from("studies/1.2.840.1/series/1.2.840.1.2").toString("base64"),
+      },
+    };
+    const result = matchEventSchema(data);
+    assert.equal(result, consts.DICOMWEB_PUBSUB_UNWRAP);
+  });
+
+  it("matchEventSchema (S3 event notification)", () => {
+    const notification = {
+      Records: [{ eventName: "s3:ObjectCreated:Put", awsRegion: "us-east-1", s3: { bucket: { name: "dicom" }, object: { key: "ct.dcm", size: 1234 } } }],
+    };
+    // Posted as is (e.g. a MinIO webhook target) or wrapped in a Pub/Sub message
+    assert.equal(matchEventSchema(notification), consts.S3_PUBSUB_UNWRAP);
+    const envelope = {
+      message: {
+        messageId: "s3-123",
+        attributes: { payloadFormat: consts.S3_PUBSUB_MSG },
+        data: Buffer.from(JSON.stringify(notification)).toString("base64"),
+      },
+    };
+    assert.equal(matchEventSchema(envelope), consts.S3_PUBSUB_UNWRAP);
+  });
+
   it("matchEventSchema (HCAPI not shadowed by local schema)", () => {
     // HCAPI messages have no eventType attribute and must still route to HCAPI.
     const result = matchEventSchema(hcapiPubSubUnwrapExample);
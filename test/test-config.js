@@ -28,6 +28,7 @@ module.exports = {
       datasetId: "dicom",
       instancesTableId: "instances",
       embeddingsTableId: "embeddings",
+      failuresTableId: "failures",
     },
     embedding: {
       input: {
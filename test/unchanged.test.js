@@ -0,0 +1,116 @@
+/*
+ Copyright 2025 Google LLC
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+      https://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isEnabled, isForcedVersion, configFingerprint, createFileCache, createTableCache, isUnchanged } = require("../src/unchanged");
+
+describe("unchanged", () => {
+  function sampleConfig() {
+    return {
+      gcpConfig: {
+        projectId: "p",
+        bigQuery: { datasetId: "d", instancesTableId: "i", insertBatchSize: 50 },
+        embedding: { input: { gcsBucketPath: "gs://b/x", vector: { model: "multimodalembedding@001" } } },
+      },
+      jsonOutput: { useCommonNames: true, exclude: [] },
+      deidentification: { enabled: false },
+      pseudonymization: { enabled: true, secret: "s3cret" },
+    };
+  }
+
+  it("isEnabled reflects the enabled flag", () => {
+    assert.strictEqual(isEnabled(undefined), false);
+    assert.strictEqual(isEnabled({ enabled: true }), true);
+  });
+
+  it("isForcedVersion recognizes index --force and admin console reprocess versions", () => {
+    assert.strictEqual(isForcedVersion("index-1700000000000-abc123"), true);
+    assert.strictEqual(isForcedVersion("reprocess-1700000000000-abc123-0"), true);
+    assert.strictEqual(isForcedVersion("1700000000000123"), false);
+    assert.strictEqual(isForcedVersion(undefined), false);
+  });
+
+  describe("configFingerprint", () => {
+    it("ignores key order and settings that don't shape the output", () => {
+      const a = sampleConfig();
+      const b = sampleConfig();
+      b.jsonOutput = { exclude: [], useCommonNames: true };
+      b.gcpConfig.bigQuery.insertBatchSize = 10;
+      b.gcpConfig.projectId = "other";
+      assert.strictEqual(configFingerprint(a), configFingerprint(b));
+    });
+
+    it("changes with output, embedding and pseudonymization settings", () => {
+      const base = configFingerprint(sampleConfig());
+      const changes = [
+        (c) => { c.jsonOutput.exclude = ["PixelData"]; },
+        (c) => { c.deidentification.enabled = true; },
+        (c) => { c.gcpConfig.embedding.input.vector.model = "other"; },
+        (c) => { c.gcpConfig.bigQuery.promotedColumns = ["Modality"]; },
+        (c) => { c.pseudonymization.secret = "rotated"; },
+      ];
+      for (const change of changes) {
+        const config = sampleConfig();
+        change(config);
+        assert.notStrictEqual(configFingerprint(config), base);
+      }
+    });
+  });
+
+  it("isUnchanged needs both the hash and the fingerprint to match", () => {
+    const entry = { sha256: "a", configFingerprint: "f" };
+    assert.strictEqual(isUnchanged(null, entry), false);
+    assert.strictEqual(isUnchanged({ sha256: "a", configFingerprint: "f" }, entry), true);
+    assert.strictEqual(isUnchanged({ sha256: "b", configFingerprint: "f" }, entry), false);
+    assert.strictEqual(isUnchanged({ sha256: "a", configFingerprint: "g" }, entry), false);
+  });
+
+  describe("createFileCache", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dcm2bq-unchanged-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("records entries and reads them back from a new cache", async () => {
+      const cacheFile = path.join(tmpDir, "cache", "unchanged.json");
+      const cache = createFileCache(cacheFile);
+      assert.strictEqual(await cache.lookup("file:///a.dcm"), null);
+      await Promise.all([
+        cache.record("file:///a.dcm", { sha256: "a", configFingerprint: "f" }),
+        cache.record("file:///b.dcm", { sha256: "b", configFingerprint: "f" }),
+      ]);
+
+      const reloaded = createFileCache(cacheFile);
+      assert.deepStrictEqual(await reloaded.lookup("file:///a.dcm"), { sha256: "a", configFingerprint: "f" });
+      assert.deepStrictEqual(await reloaded.lookup("file:///b.dcm"), { sha256: "b", configFingerprint: "f" });
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(cacheFile)), ["unchanged.json"]);
+    });
+  });
+
+  it("createTableCache looks up through the given function", async () => {
+    const cache = createTableCache(async (uriPath) => ({ sha256: uriPath, configFingerprint: "f" }));
+    assert.deepStrictEqual(await cache.lookup("gs://b/o.dcm"), { sha256: "gs://b/o.dcm", configFingerprint: "f" });
+    await cache.record("gs://b/o.dcm", {});
+  });
+});
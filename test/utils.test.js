@@ -15,7 +15,7 @@
  */
 
 const assert = require("assert");
-const { createHttpError, deepAssign, deepClone, DEBUG_MODE, createNonRetryableError } = require("../src/utils");
+const { createHttpError, deepAssign, deepClone, DEBUG_MODE, createNonRetryableError, createPool, createByteBudget } = require("../src/utils");
 
 describe("utils", () => {
   describe("deepClone", () => {
@@ -276,6 +276,69 @@ describe("utils", () => {
     });
   });
 
+  describe("createPool", () => {
+    it("should run at most maxConcurrent tasks at once across callers", async () => {
+      const pool = createPool(2);
+      let running = 0;
+      let peak = 0;
+      const task = (value) => async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return value;
+      };
+      // Two independent callers sharing the pool
+      const [first, second] = await Promise.all([
+        Promise.all([1, 2, 3].map((value) => pool.run(task(value)))),
+        Promise.all([4, 5].map((value) => pool.run(task(value)))),
+      ]);
+      assert.deepStrictEqual(first, [1, 2, 3]);
+      assert.deepStrictEqual(second, [4, 5]);
+      assert.strictEqual(peak, 2);
+    });
+
+    it("should free the slot of a failed task", async () => {
+      const pool = createPool(1);
+      await assert.rejects(pool.run(async () => {
+        throw new Error("failed");
+      }), /failed/);
+      assert.strictEqual(await pool.run(async () => "next"), "next");
+    });
+
+    it("should have at least one slot", () => {
+      assert.strictEqual(createPool(0).size, 1);
+    });
+  });
+
+  describe("createByteBudget", () => {
+    it("should make callers wait for room until bytes are released", async () => {
+      const budget = createByteBudget(100);
+      budget.take(60);
+      await budget.waitForRoom(() => true);
+      budget.take(60);
+      let waited = false;
+      const waiting = budget.waitForRoom(() => true).then(() => {
+        waited = true;
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(waited, false);
+      budget.release(60);
+      await waiting;
+      assert.strictEqual(budget.used(), 60);
+    });
+
+    it("should not make a caller wait that may not", async () => {
+      const budget = createByteBudget(10);
+      budget.take(20);
+      await budget.waitForRoom(() => false);
+      // No limit
+      const unlimited = createByteBudget(0);
+      unlimited.take(1e12);
+      await unlimited.waitForRoom(() => true);
+    });
+  });
+
   describe("DEBUG_MODE", () => {
     it("should be a boolean value", () => {
       assert.strictEqual(typeof DEBUG_MODE, "boolean");
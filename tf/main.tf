@@ -111,6 +111,7 @@ locals {
         datasetId         = google_bigquery_dataset.dicom_dataset.dataset_id
         instancesTableId  = google_bigquery_table.instances_table.table_id
         embeddingsTableId = google_bigquery_table.embeddings_table.table_id
+        failuresTableId   = google_bigquery_table.failures_table.table_id
       }
       embedding = local.embedding_config
     }
@@ -124,6 +125,11 @@ locals {
       useCommonNames          = true
       explicitBulkDataRoot    = false
     }
+    # Continue long archives in a new message before the 10 minute ack deadline
+    archives = {
+      timeBudgetMs      = 480000
+      continuationTopic = google_pubsub_topic.gcs_events.name
+    }
   }
 
   deploy_admin_console = var.deploy_admin_console
@@ -131,6 +137,7 @@ locals {
   admin_console_instances_view_id = var.admin_console_bq_instances_view_id != "" ? var.admin_console_bq_instances_view_id : "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.instances_view.table_id}"
   admin_console_instances_table_id = "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.instances_table.table_id}"
   admin_console_dead_letter_table_id = var.admin_console_bq_dead_letter_table_id != "" ? var.admin_console_bq_dead_letter_table_id : "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.dead_letter_table.table_id}"
+  admin_console_failures_table_id = "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.failures_table.table_id}"
   admin_console_embeddings_table_id = "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.embeddings_table.table_id}"
   admin_console_embeddings_view_id = var.admin_console_bq_embeddings_view_id != "" ? var.admin_console_bq_embeddings_view_id : "${var.project_id}.${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.embeddings_view.table_id}"
 }
@@ -168,7 +175,8 @@ resource "google_bigquery_table" "instances_table" {
   deletion_protection = false
   dataset_id          = google_bigquery_dataset.dicom_dataset.dataset_id
   table_id            = var.bq_instances_table_id != "" ? var.bq_instances_table_id : "instances"
-  schema              = file("${path.module}/init.schema.json")
+  schema              = file(var.bq_instances_schema_file != "" ? var.bq_instances_schema_file : "${path.module}/init.schema.json")
+  clustering          = length(var.bq_instances_clustering_fields) > 0 ? var.bq_instances_clustering_fields : null
 }
 
 resource "google_bigquery_table" "embeddings_table" {
@@ -182,7 +190,8 @@ resource "google_bigquery_table" "embeddings_table" {
 // Embedding row `id` is deterministic per (instanceId, frameNumber), so the same
 // frame can end up with multiple physical rows across reprocessing; this view
 // always keeps only the most recent row per `id`, guaranteeing one embedding per
-// frame to every consumer that reads from it instead of the raw table.
+// frame to every consumer that reads from it instead of the raw table. A frame whose
+// latest row is a deletion (the members of a deleted archive) is left out.
 resource "google_bigquery_table" "embeddings_view" {
   deletion_protection = false
   dataset_id          = google_bigquery_dataset.dicom_dataset.dataset_id
@@ -201,6 +210,7 @@ resource "google_bigquery_table" "embeddings_view" {
       )
       WHERE
         _emb_row_id = 1
+        AND NOT COALESCE(deleted, FALSE)
     EOT
     use_legacy_sql = false
   }
@@ -223,6 +233,10 @@ resource "google_bigquery_table" "instances_view" {
           `${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.instances_table.table_id}`
         WHERE
           metadata IS NULL
+          -- "unchanged" marker rows (skipUnchanged.writeRow) have no metadata but are not deletions
+          AND NOT COALESCE(info.unchanged, FALSE)
+          -- neither are archive summary rows and object metadata updates
+          AND COALESCE(info.event, '') NOT IN ('ARCHIVE_SUMMARY', 'OBJECT_METADATA_UPDATE')
         GROUP BY
           base_path,
           version
@@ -235,7 +249,8 @@ resource "google_bigquery_table" "instances_view" {
         LEFT JOIN
           latest_tombstone_by_object tombstone
         ON
-          tombstone.base_path = SPLIT(active.path, '#')[SAFE_OFFSET(0)]
+          -- a deletion of the row's own path (e.g. an archive member), or of the archive holding it
+          tombstone.base_path IN (active.path, SPLIT(active.path, '#')[SAFE_OFFSET(0)])
           AND tombstone.version = active.version
           AND tombstone.tombstone_timestamp >= active.timestamp
         WHERE
@@ -249,6 +264,20 @@ resource "google_bigquery_table" "instances_view" {
         FROM
           active_not_deleted
       ),
+      -- GCS custom metadata, contentType and storage class of the latest metadata update per object version
+      latest_object_metadata AS (
+        SELECT
+          path AS object_path,
+          version,
+          ARRAY_AGG(info.objectMetadata ORDER BY timestamp DESC LIMIT 1)[SAFE_OFFSET(0)] AS object_metadata
+        FROM
+          `${google_bigquery_dataset.dicom_dataset.dataset_id}.${google_bigquery_table.instances_table.table_id}`
+        WHERE
+          info.objectMetadata IS NOT NULL
+        GROUP BY
+          object_path,
+          version
+      ),
       embedding_info AS (
         SELECT
           instanceId,
@@ -265,13 +294,20 @@ resource "google_bigquery_table" "instances_view" {
         COALESCE(ei.frame_count, 0) AS frame_count,
         COALESCE(ei.embedding_count, 0) AS embedding_count,
         ei.first_embedding_info.model AS embedding_model,
-        ei.first_embedding_info.input AS embedding_input
+        ei.first_embedding_info.input AS embedding_input,
+        om.object_metadata
       FROM
         latest_by_id l
       LEFT JOIN
         embedding_info ei
       ON
         l.id = ei.instanceId
+      LEFT JOIN
+        latest_object_metadata om
+      ON
+        -- the row's own object, or the archive holding it
+        om.object_path IN (l.path, SPLIT(l.path, '#')[SAFE_OFFSET(0)])
+        AND om.version = l.version
       WHERE
         l._row_id = 1
     EOT
@@ -292,6 +328,14 @@ resource "google_bigquery_table" "dead_letter_table" {
   ])
 }
 
+// Events acknowledged without retry (non-retryable errors), which never reach the dead-letter table
+resource "google_bigquery_table" "failures_table" {
+  deletion_protection = false
+  dataset_id          = google_bigquery_dataset.dicom_dataset.dataset_id
+  table_id            = var.bq_failures_table_id != "" ? var.bq_failures_table_id : "failures"
+  schema              = file("${path.module}/failures.schema.json")
+}
+
 # Pub/Sub topics
 resource "google_pubsub_topic" "gcs_events" { name = "dcm2bq-gcs-events${local.name_suffix}" }
 resource "google_pubsub_topic" "dead_letter_topic" { name = "dcm2bq-dead-letter-events${local.name_suffix}" }
@@ -372,6 +416,13 @@ resource "google_project_iam_member" "cloudrun_sa_bq_writer" {
   member  = "serviceAccount:${google_service_account.cloudrun_sa.email}"
 }
 
+// Queries: the live rows of deleted objects, skipUnchanged lookups, DML deletes of embeddings
+resource "google_project_iam_member" "cloudrun_sa_bq_job_user" {
+  project = var.project_id
+  role    = "roles/bigquery.jobUser"
+  member  = "serviceAccount:${google_service_account.cloudrun_sa.email}"
+}
+
 resource "google_project_iam_member" "cloudrun_sa_gcs_reader" {
   project = var.project_id
   role    = "roles/storage.objectViewer"
@@ -400,6 +451,13 @@ resource "google_project_iam_member" "pubsub_bq_writer" {
 }
 
 
+# Allow the processor to republish the rest of a long archive as a continuation
+resource "google_pubsub_topic_iam_member" "cloudrun_sa_gcs_events_publisher" {
+  topic  = google_pubsub_topic.gcs_events.name
+  role   = "roles/pubsub.publisher"
+  member = "serviceAccount:${google_service_account.cloudrun_sa.email}"
+}
+
 # IAM permissions for dead letter functionality
 # Allow Pub/Sub to publish to the dead letter topic
 resource "google_pubsub_topic_iam_member" "dead_letter_publisher" {
@@ -504,6 +562,11 @@ resource "google_cloud_run_v2_service" "admin_console_service" {
         value = local.admin_console_dead_letter_table_id
       }
 
+      env {
+        name  = "BQ_FAILURES_TABLE_ID"
+        value = local.admin_console_failures_table_id
+      }
+
       env {
         name  = "BQ_EMBEDDINGS_TABLE_ID"
         value = local.admin_console_embeddings_table_id
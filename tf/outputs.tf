@@ -32,6 +32,11 @@ output "bigquery_dead_letter_table" {
   value       = google_bigquery_table.dead_letter_table.id
 }
 
+output "bigquery_failures_table" {
+  description = "The ID of the BigQuery failures table."
+  value       = google_bigquery_table.failures_table.id
+}
+
 output "gcs_processed_data_bucket_name" {
   description = "The name of the GCS bucket for processed data (extracted images and text)."
   value       = google_storage_bucket.processed_data_bucket.name
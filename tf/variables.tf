@@ -53,12 +53,30 @@ variable "bq_instances_table_id" {
   default     = ""
 }
 
+variable "bq_instances_schema_file" {
+  description = "Path to the instances table schema; generate one with promoted columns via `dcm2bq schema -o <file>` (default: init.schema.json)"
+  type        = string
+  default     = ""
+}
+
+variable "bq_instances_clustering_fields" {
+  description = "Promoted columns to cluster the instances table on (max 4, must be in the instances schema); written by `dcm2bq schema --tfvars <file>` from gcpConfig.bigQuery.clusteringFields"
+  type        = list(string)
+  default     = []
+}
+
 variable "bq_dead_letter_table_id" {
   description = "The BigQuery table ID for dead-letter Pub/Sub messages."
   type        = string
   default     = ""
 }
 
+variable "bq_failures_table_id" {
+  description = "The BigQuery table ID for events that failed with a non-retryable error."
+  type        = string
+  default     = ""
+}
+
 variable "bq_embeddings_table_id" {
   description = "BigQuery table id for DICOM embeddings (per-frame)"
   type        = string